@@ -0,0 +1,25 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// Describes a kind of text automatically converted to a link when the user types a word boundary,
+/// and when content is pasted.
+public enum AutoLinkDetector: String, Codable, Sendable, CaseIterable {
+    /// Addresses starting with `http://` or `https://`.
+    case url
+    /// Addresses starting with `www.`, the link uses `https://`.
+    case www
+    /// Email addresses, the link uses `mailto:`.
+    case email
+    /// Phone numbers written without spaces, such as `+41221234567`, the link uses `tel:`.
+    case phone
+}
@@ -0,0 +1,68 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes how and when the editor reports the changes of its content.
+///
+/// Serializing the whole HTML on every keystroke is slow with long content, so the changes are
+/// grouped and reported when the user pauses typing.
+public struct ContentChangeConfiguration: Codable, Sendable {
+    /// Describes what the editor sends when the content changes.
+    public enum Mode: String, Codable, Sendable {
+        /// The whole HTML content is sent, ``RichHTMLEditorView/html`` is always up to date.
+        case html
+        /// Only the top level blocks that changed are sent as a ``ContentDelta``,
+        /// ``RichHTMLEditorView/html`` is rebuilt from the deltas and is always up to date.
+        case delta
+        /// Nothing is sent, ``RichHTMLEditorView/html`` is only updated when you call
+        /// ``RichHTMLEditorView/getHTML(completion:)``.
+        case onDemand
+    }
+
+    /// What the editor sends when the content changes.
+    ///
+    /// The default value is ``Mode/html``.
+    public var mode: Mode
+
+    /// The pause in typing after which the changes are reported, in seconds.
+    ///
+    /// Set it to 0 to report each change as soon as it happens, the whole HTML is then serialized on every keystroke.
+    ///
+    /// The default value is 0.3 second.
+    public var debounceDelay: TimeInterval
+
+    /// The maximum time a change can wait before being reported during a long typing session, in seconds.
+    ///
+    /// The default value is 2 seconds.
+    public var maximumDelay: TimeInterval
+
+    /// Whether the reported HTML is normalized, like ``RichHTMLEditorView/normalizeContent()`` does.
+    ///
+    /// Only the reported HTML is normalized, the displayed content and its undo history are not changed.
+    ///
+    /// The default value is `false`.
+    public var normalizesHTML: Bool
+
+    public init(
+        mode: Mode = .html,
+        debounceDelay: TimeInterval = 0.3,
+        maximumDelay: TimeInterval = 2,
+        normalizesHTML: Bool = false
+    ) {
+        self.mode = mode
+        self.debounceDelay = debounceDelay
+        self.maximumDelay = maximumDelay
+        self.normalizesHTML = normalizesHTML
+    }
+}
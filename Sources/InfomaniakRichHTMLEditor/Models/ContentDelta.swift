@@ -0,0 +1,49 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// Describes which top level blocks of the content changed since the previous delta.
+///
+/// The HTML content of the editor is the concatenation of its top level blocks. A delta replaces
+/// ``deleteCount`` blocks starting at ``index`` with ``insertedBlocks``, like
+/// `Array.replaceSubrange(_:with:)`.
+public struct ContentDelta: Codable, Sendable {
+    /// A Boolean value that indicates whether the delta contains the whole content.
+    ///
+    /// The first delta sent after switching to ``ContentChangeConfiguration/Mode/delta`` contains every block.
+    public let isInitial: Bool
+    /// The index of the first changed block, in the blocks known before the delta.
+    public let index: Int
+    /// The number of blocks removed at ``index``.
+    public let deleteCount: Int
+    /// The HTML of the blocks inserted at ``index``.
+    public let insertedBlocks: [String]
+    /// The number of blocks of the content after the delta.
+    public let blockCount: Int
+
+    /// Applies the delta to the blocks known before the delta.
+    ///
+    /// - Parameter blocks: The HTML of the top level blocks before the delta.
+    /// - Returns: The HTML of the top level blocks after the delta, or nil if the delta doesn't match the blocks.
+    public func applying(to blocks: [String]) -> [String]? {
+        if isInitial {
+            return insertedBlocks
+        }
+        guard index >= 0, deleteCount >= 0, index + deleteCount <= blocks.count else {
+            return nil
+        }
+
+        var newBlocks = blocks
+        newBlocks.replaceSubrange(index ..< index + deleteCount, with: insertedBlocks)
+        return newBlocks.count == blockCount ? newBlocks : nil
+    }
+}
@@ -0,0 +1,32 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+import Foundation
+
+/// Describes the maximum length of the content that the user can type.
+///
+/// The user can't type more once a limit is reached, and the pasted or dropped content is trimmed to the room left.
+/// The content set with ``RichHTMLEditorView/html`` is never trimmed.
+public struct ContentLimits: Codable, Sendable, Equatable {
+    /// The maximum number of characters, line breaks are not counted. `nil` for no limit.
+    public var maximumCharacterCount: Int?
+
+    /// The maximum number of words. `nil` for no limit.
+    public var maximumWordCount: Int?
+
+    public init(maximumCharacterCount: Int? = nil, maximumWordCount: Int? = nil) {
+        self.maximumCharacterCount = maximumCharacterCount
+        self.maximumWordCount = maximumWordCount
+    }
+}
@@ -0,0 +1,34 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+import Foundation
+
+/// Describes the length of the content of the editor, as counted for the ``ContentLimits``.
+public struct ContentStatistics: Codable, Sendable, Equatable {
+    /// The number of characters, line breaks are not counted.
+    public let characterCount: Int
+    /// The number of words.
+    public let wordCount: Int
+    /// The number of non-empty lines, list items and blocks.
+    public let paragraphCount: Int
+    /// The estimated time needed to read the content, in seconds, at 200 words per minute.
+    public let readingTime: TimeInterval
+
+    init(characterCount: Int = 0, wordCount: Int = 0, paragraphCount: Int = 0, readingTime: TimeInterval = 0) {
+        self.characterCount = characterCount
+        self.wordCount = wordCount
+        self.paragraphCount = paragraphCount
+        self.readingTime = readingTime
+    }
+}
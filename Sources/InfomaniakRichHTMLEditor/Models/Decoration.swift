@@ -0,0 +1,67 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes a decoration drawn over the content of the editor, such as the underline of a grammar suggestion.
+///
+/// The decorations are never part of the HTML content: they don't change ``RichHTMLEditorView/html`` and the
+/// content change reports. Their appearance is given by CSS rules for their class, injected with
+/// ``RichHTMLEditorView/injectAdditionalCSS(_:)-406n9``, for example
+/// `.grammar { border-bottom: 2px solid red; }`.
+public struct Decoration: Codable, Sendable, Equatable {
+    /// The identifier of the decoration, it is reported when the user taps the decoration.
+    public let id: String
+    /// The CSS class of the elements drawing the decoration.
+    public let className: String
+    /// The offset of the first decorated character, `nil` for a decoration of elements.
+    public let start: Int?
+    /// The offset after the last decorated character, `nil` for a decoration of elements.
+    public let end: Int?
+    /// The CSS selector of the decorated elements, `nil` for a decoration of text.
+    public let selector: String?
+
+    /// Creates a decoration of a range of the text.
+    ///
+    /// The offsets count the UTF-16 code units of the text of the content, where the text of all the elements
+    /// is concatenated without line breaks like the DOM `textContent` property. The decoration follows its text
+    /// while the user types, and it is removed when its text is deleted.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the decoration.
+    ///   - className: The CSS class of the elements drawing the decoration.
+    ///   - textRange: The offsets of the decorated characters.
+    public init(id: String, className: String, textRange: Range<Int>) {
+        self.id = id
+        self.className = className
+        start = textRange.lowerBound
+        end = textRange.upperBound
+        selector = nil
+    }
+
+    /// Creates a decoration of the elements of the content matching a CSS selector.
+    ///
+    /// The elements are matched again when the content changes.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the decoration.
+    ///   - className: The CSS class of the elements drawing the decoration.
+    ///   - selector: The CSS selector of the decorated elements.
+    public init(id: String, className: String, selector: String) {
+        self.id = id
+        self.className = className
+        start = nil
+        end = nil
+        self.selector = selector
+    }
+}
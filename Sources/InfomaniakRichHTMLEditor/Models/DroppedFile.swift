@@ -0,0 +1,52 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes a file dropped or pasted in the editor.
+///
+/// The editor displays a placeholder where the file was dropped until you replace it, usually once the file is
+/// uploaded, with ``RichHTMLEditorView/replaceAttachmentPlaceholder(id:withImageURL:alternativeText:width:)`` or
+/// ``RichHTMLEditorView/replaceAttachmentPlaceholder(id:withChipURL:name:)``, or remove it if the upload failed.
+public struct DroppedFile: Codable, Sendable, Equatable {
+    /// Describes how the file was added to the editor.
+    public enum Origin: String, Codable, Sendable {
+        /// The file was dragged and dropped in the editor.
+        case drop
+        /// The file was pasted in the editor.
+        case paste
+    }
+
+    /// The identifier of the placeholder of the file.
+    public let id: String
+    /// The name of the file.
+    public let name: String
+    /// The MIME type of the file, `application/octet-stream` if it is unknown.
+    public let mimeType: String
+    /// The size of the file, in bytes.
+    public let size: Int
+    /// How the file was added to the editor.
+    public let origin: Origin
+    /// The content of the file, only reported for the files up to ``RichHTMLEditorView/maximumDroppedFileDataSize``.
+    public let data: Data?
+
+    /// The frame of the placeholder of the file in the coordinate space of the editor.
+    public var rect: CGRect {
+        return CGRect(x: x, y: y, width: width, height: height)
+    }
+
+    private let x: Double
+    private let y: Double
+    private let width: Double
+    private let height: Double
+}
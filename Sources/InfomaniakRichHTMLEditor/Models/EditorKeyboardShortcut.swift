@@ -0,0 +1,69 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+import Foundation
+
+/// Describes a keyboard shortcut of the editor, which runs an editor command when the user presses a key combination
+/// on a hardware keyboard.
+public struct EditorKeyboardShortcut: Codable, Sendable, Hashable {
+    /// Describes what happens when the user presses the key combination of a shortcut.
+    public struct Action: Codable, Sendable, Hashable {
+        let command: String
+        let arguments: [String?]
+
+        /// Runs a command of the DOM `document.execCommand()` function, such as `bold` or `insertOrderedList`.
+        public static func execCommand(_ command: String, argument: String? = nil) -> Action {
+            return Action(command: "execCommand", arguments: [command, argument])
+        }
+
+        /// Creates a link with the given URL at the selection.
+        ///
+        /// Without URL, the selected text becomes a link when it is a URL, an address starting with `www.` or an email
+        /// address. Otherwise the key combination is reported to
+        /// ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:didPressKeyCombination:)`` so you can ask for the URL.
+        public static func createLink(url: URL? = nil) -> Action {
+            return Action(command: "createLink", arguments: [url?.absoluteString])
+        }
+
+        /// Turns the selected blocks into headings of the given level, between 1 and 6, or into paragraphs for 0.
+        public static func setHeading(_ level: Int) -> Action {
+            return Action(command: "setHeading", arguments: [String(level)])
+        }
+
+        /// Removes the link at the selection.
+        public static let unlink = Action(command: "unlink", arguments: [])
+
+        /// Reports the key combination to ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:didPressKeyCombination:)``
+        /// without letting WebKit handle it.
+        public static let forward = Action(command: "forward", arguments: [])
+
+        /// Lets WebKit handle the key combination, to disable a default shortcut of the editor.
+        public static let native = Action(command: "native", arguments: [])
+    }
+
+    /// The key combination of the shortcut.
+    public let keys: KeyCombination
+    /// What happens when the user presses the key combination.
+    public let action: Action
+
+    /// Creates a keyboard shortcut.
+    ///
+    /// - Parameters:
+    ///   - keys: The key combination of the shortcut.
+    ///   - action: What happens when the user presses the key combination.
+    public init(keys: KeyCombination, action: Action) {
+        self.keys = keys
+        self.action = action
+    }
+}
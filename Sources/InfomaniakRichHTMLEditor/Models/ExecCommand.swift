@@ -35,8 +35,6 @@ enum ExecCommand: String, CaseIterable, Sendable {
     
     // Commands that return nothing
     case removeFormat
-    case undo
-    case redo
     case indent
     case outdent
 }
@@ -0,0 +1,32 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// The settings of a search in the editor.
+public struct FindOptions: Codable, Sendable, Equatable {
+    /// Whether uppercase and lowercase letters are considered different.
+    public var caseSensitive: Bool
+    /// Whether the matches must be whole words.
+    public var wholeWord: Bool
+    /// Whether the query is a JavaScript regular expression.
+    ///
+    /// The replacement can then refer to the groups of the match with `$1`, `$2`…
+    public var regex: Bool
+
+    public init(caseSensitive: Bool = false, wholeWord: Bool = false, regex: Bool = false) {
+        self.caseSensitive = caseSensitive
+        self.wholeWord = wholeWord
+        self.regex = regex
+    }
+}
@@ -0,0 +1,35 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes the matches of the current search in the editor.
+public struct FindResults: Codable, Sendable, Equatable {
+    /// The number of matches in the content.
+    public let matchCount: Int
+    /// The index of the current match, `nil` if there is no match.
+    public let currentIndex: Int?
+
+    /// The frame of the current match in the coordinate space of the editor, `nil` if there is no match.
+    public var currentMatchRect: CGRect? {
+        guard let x, let y, let width, let height else {
+            return nil
+        }
+        return CGRect(x: x, y: y, width: width, height: height)
+    }
+
+    private let x: Double?
+    private let y: Double?
+    private let width: Double?
+    private let height: Double?
+}
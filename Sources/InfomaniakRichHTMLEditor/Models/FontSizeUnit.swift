@@ -0,0 +1,20 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// Describes the unit of a font size set with ``RichHTMLEditorView/setFontSize(_:unit:)``.
+public enum FontSizeUnit: String, Codable, Sendable {
+    /// Typographic points, `pt` in CSS. A point is 4/3 of a CSS pixel.
+    case points = "pt"
+    /// CSS pixels, `px` in CSS. In the editor, a CSS pixel matches a point of the screen.
+    case pixels = "px"
+}
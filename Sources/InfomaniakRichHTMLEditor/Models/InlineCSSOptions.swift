@@ -0,0 +1,27 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// The settings used to export the content of the editor with inline CSS.
+public struct InlineCSSOptions: Codable, Sendable {
+    /// Whether the `class` attributes of the content are kept.
+    ///
+    /// Once the CSS is inline, the classes are only needed if the recipient applies its own styles to them.
+    /// The default value is `false`.
+    public var keepsClassAttributes: Bool
+
+    public init(keepsClassAttributes: Bool = false) {
+        self.keepsClassAttributes = keepsClassAttributes
+    }
+}
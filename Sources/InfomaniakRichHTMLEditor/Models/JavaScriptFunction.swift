@@ -24,6 +24,65 @@ enum JavaScriptFunction: Sendable {
     case setCaretAtSelector(selector: String)
     case getSelectedText
     case transformColoredLists
+    case normalizeContent
+    case insertChecklist
+    case setListStyleType(type: String)
+    case setListStart(start: Int)
+    case continueListNumbering
+    case toggleInlineCode
+    case saveSelection
+    case setFontSize(size: Double, unit: String)
+    case setLineHeight(lineHeight: Double)
+    case setLetterSpacing(spacing: Double)
+    case restoreSelection(selection: SerializedSelection)
+    case setSanitizerConfiguration(configuration: SanitizerConfiguration)
+    case undo
+    case redo
+    case setPasteMode(mode: String)
+    case pasteContent(html: String?, text: String?, mode: String)
+    case insertImage(source: String, alternativeText: String?, width: Int?)
+    case setImageAlternativeText(alternativeText: String)
+    case setImageWidth(width: Int)
+    case loadBlockedImages
+    case updateAttachmentProgress(id: String, fraction: Double)
+    case replaceAttachmentPlaceholderWithImage(id: String, source: String, alternativeText: String?, width: Int?)
+    case replaceAttachmentPlaceholderWithChip(id: String, url: String, name: String)
+    case removeAttachmentPlaceholder(id: String)
+    case insertTable(rows: Int, columns: Int)
+    case insertTableRow(position: String)
+    case insertTableColumn(position: String)
+    case deleteTableRow
+    case deleteTableColumn
+    case mergeTableCells
+    case splitTableCell
+    case setTableCellBackgroundColor(color: String)
+    case setMarkdown(markdown: String)
+    case getContentAsMarkdown
+    case getContentAsPlainText(options: PlainTextOptions)
+    case getContentWithInlineCSS(options: InlineCSSOptions)
+    case setContentChangeConfiguration(configuration: ContentChangeConfiguration)
+    case getHTMLContent
+    case setMentionTriggers(triggers: [String])
+    case insertMention(mention: Mention)
+    case getMentions
+    case find(query: String, options: FindOptions)
+    case findNext
+    case findPrevious
+    case clearFind
+    case replace(replacement: String)
+    case replaceAll(replacement: String)
+    case setProtectedRegionConfiguration(configuration: ProtectedRegionConfiguration)
+    case setProtectedRegionsCollapsed(isCollapsed: Bool)
+    case addDecorations(decorations: [Decoration])
+    case removeDecorations(ids: [String])
+    case removeAllDecorations
+    case setAutoLinkDetectors(detectors: [String])
+    case setLinkTapBehavior(behavior: String)
+    case getLinkAtSelection
+    case setKeyboardShortcuts(shortcuts: [EditorKeyboardShortcut])
+    case setContentLimits(limits: ContentLimits)
+    case setReadOnly(isReadOnly: Bool)
+    case setMaximumDroppedFileDataSize(size: Int)
 
     var identifier: String {
         switch self {
@@ -51,6 +110,124 @@ enum JavaScriptFunction: Sendable {
             return "getSelectedText"
         case .transformColoredLists:
             return "transformColoredLists"
+        case .normalizeContent:
+            return "normalizeContent"
+        case .insertChecklist:
+            return "insertChecklist"
+        case .setListStyleType:
+            return "setListStyleType"
+        case .setListStart:
+            return "setListStart"
+        case .continueListNumbering:
+            return "continueListNumbering"
+        case .toggleInlineCode:
+            return "toggleInlineCode"
+        case .saveSelection:
+            return "saveSelection"
+        case .setFontSize:
+            return "setFontSize"
+        case .setLineHeight:
+            return "setLineHeight"
+        case .setLetterSpacing:
+            return "setLetterSpacing"
+        case .restoreSelection:
+            return "restoreSelection"
+        case .setSanitizerConfiguration:
+            return "setSanitizerConfiguration"
+        case .undo:
+            return "undo"
+        case .redo:
+            return "redo"
+        case .setPasteMode:
+            return "setPasteMode"
+        case .pasteContent:
+            return "pasteContent"
+        case .insertImage:
+            return "insertImage"
+        case .setImageAlternativeText:
+            return "setImageAlternativeText"
+        case .updateAttachmentProgress:
+            return "updateAttachmentProgress"
+        case .replaceAttachmentPlaceholderWithImage:
+            return "replaceAttachmentPlaceholderWithImage"
+        case .replaceAttachmentPlaceholderWithChip:
+            return "replaceAttachmentPlaceholderWithChip"
+        case .removeAttachmentPlaceholder:
+            return "removeAttachmentPlaceholder"
+        case .setImageWidth:
+            return "setImageWidth"
+        case .loadBlockedImages:
+            return "loadBlockedImages"
+        case .insertTable:
+            return "insertTable"
+        case .insertTableRow:
+            return "insertTableRow"
+        case .insertTableColumn:
+            return "insertTableColumn"
+        case .deleteTableRow:
+            return "deleteTableRow"
+        case .deleteTableColumn:
+            return "deleteTableColumn"
+        case .mergeTableCells:
+            return "mergeTableCells"
+        case .splitTableCell:
+            return "splitTableCell"
+        case .setTableCellBackgroundColor:
+            return "setTableCellBackgroundColor"
+        case .setMarkdown:
+            return "setMarkdown"
+        case .getContentAsMarkdown:
+            return "getContentAsMarkdown"
+        case .getContentAsPlainText:
+            return "getContentAsPlainText"
+        case .getContentWithInlineCSS:
+            return "getContentWithInlineCSS"
+        case .setContentChangeConfiguration:
+            return "setContentChangeConfiguration"
+        case .getHTMLContent:
+            return "getHTMLContent"
+        case .setMentionTriggers:
+            return "setMentionTriggers"
+        case .insertMention:
+            return "insertMention"
+        case .getMentions:
+            return "getMentions"
+        case .find:
+            return "find"
+        case .findNext:
+            return "findNext"
+        case .findPrevious:
+            return "findPrevious"
+        case .clearFind:
+            return "clearFind"
+        case .replace:
+            return "replace"
+        case .replaceAll:
+            return "replaceAll"
+        case .setProtectedRegionConfiguration:
+            return "setProtectedRegionConfiguration"
+        case .setProtectedRegionsCollapsed:
+            return "setProtectedRegionsCollapsed"
+        case .addDecorations:
+            return "addDecorations"
+        case .removeDecorations:
+            return "removeDecorations"
+        case .removeAllDecorations:
+            return "removeAllDecorations"
+        case .setAutoLinkDetectors:
+            return "setAutoLinkDetectors"
+        case .setLinkTapBehavior:
+            return "setLinkTapBehavior"
+        case .getLinkAtSelection:
+            return "getLinkAtSelection"
+        case .setKeyboardShortcuts:
+            return "setKeyboardShortcuts"
+        case .setContentLimits:
+            return "setContentLimits"
+        case .setReadOnly:
+            return "setReadOnly"
+        case .setMaximumDroppedFileDataSize:
+            return "setMaximumDroppedFileDataSize"
         }
     }
 
@@ -66,7 +243,90 @@ enum JavaScriptFunction: Sendable {
             return [url, text]
         case .setCaretAtSelector(let selector):
             return [selector]
-        case .unlink, .focus, .blur, .setCaretAtBeginningOfDocument, .setCaretAtEndOfDocument, .getSelectedText, .transformColoredLists:
+        case .setListStyleType(let type):
+            return [type]
+        case .setListStart(let start):
+            return [start]
+        case .setSanitizerConfiguration(let configuration):
+            return [configuration]
+        case .setPasteMode(let mode):
+            return [mode]
+        case .pasteContent(let html, let text, let mode):
+            return [html, text, mode]
+        case .insertImage(let source, let alternativeText, let width):
+            return [source, alternativeText, width]
+        case .setImageAlternativeText(let alternativeText):
+            return [alternativeText]
+        case .updateAttachmentProgress(let id, let fraction):
+            return [id, fraction]
+        case .replaceAttachmentPlaceholderWithImage(let id, let source, let alternativeText, let width):
+            return [id, source, alternativeText, width]
+        case .replaceAttachmentPlaceholderWithChip(let id, let url, let name):
+            return [id, url, name]
+        case .removeAttachmentPlaceholder(let id):
+            return [id]
+        case .setImageWidth(let width):
+            return [width]
+        case .insertTable(let rows, let columns):
+            return [rows, columns]
+        case .insertTableRow(let position):
+            return [position]
+        case .insertTableColumn(let position):
+            return [position]
+        case .setTableCellBackgroundColor(let color):
+            return [color]
+        case .setMarkdown(let markdown):
+            return [markdown]
+        case .getContentAsPlainText(let options):
+            return [options]
+        case .getContentWithInlineCSS(let options):
+            return [options]
+        case .setContentChangeConfiguration(let configuration):
+            return [configuration]
+        case .setMentionTriggers(let triggers):
+            return [triggers]
+        case .insertMention(let mention):
+            return [mention]
+        case .find(let query, let options):
+            return [query, options]
+        case .replace(let replacement):
+            return [replacement]
+        case .replaceAll(let replacement):
+            return [replacement]
+        case .setProtectedRegionConfiguration(let configuration):
+            return [configuration]
+        case .setProtectedRegionsCollapsed(let isCollapsed):
+            return [isCollapsed]
+        case .addDecorations(let decorations):
+            return [decorations]
+        case .removeDecorations(let ids):
+            return [ids]
+        case .setAutoLinkDetectors(let detectors):
+            return [detectors]
+        case .setLinkTapBehavior(let behavior):
+            return [behavior]
+        case .setKeyboardShortcuts(let shortcuts):
+            return [shortcuts]
+        case .setContentLimits(let limits):
+            return [limits]
+        case .setReadOnly(let isReadOnly):
+            return [isReadOnly]
+        case .setMaximumDroppedFileDataSize(let size):
+            return [size]
+        case .restoreSelection(let selection):
+            return [selection]
+        case .setFontSize(let size, let unit):
+            return [size, unit]
+        case .setLineHeight(let lineHeight):
+            return [lineHeight]
+        case .setLetterSpacing(let spacing):
+            return [spacing]
+        case .unlink, .focus, .blur, .setCaretAtBeginningOfDocument, .setCaretAtEndOfDocument, .getSelectedText,
+             .transformColoredLists, .normalizeContent, .insertChecklist, .toggleInlineCode, .undo, .redo, .deleteTableRow,
+             .deleteTableColumn, .mergeTableCells, .splitTableCell,
+             .getContentAsMarkdown, .getHTMLContent, .getMentions, .findNext, .findPrevious, .clearFind,
+             .getLinkAtSelection, .saveSelection, .removeAllDecorations, .continueListNumbering,
+             .loadBlockedImages:
             return []
         }
     }
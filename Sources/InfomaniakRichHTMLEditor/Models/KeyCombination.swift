@@ -0,0 +1,44 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+import Foundation
+
+/// Describes a combination of keys pressed on a hardware keyboard.
+public struct KeyCombination: Codable, Sendable, Hashable {
+    /// A modifier key of a combination.
+    public enum Modifier: String, Codable, Sendable, CaseIterable {
+        case command
+        case control
+        case option
+        case shift
+    }
+
+    /// The key pressed with the modifiers, in lowercase.
+    ///
+    /// Letters and digits don't depend on the modifiers or the keyboard layout: Shift+Command+7 uses `7`.
+    /// The other keys use the name of the DOM `KeyboardEvent.key` property, such as `enter`, `tab` or `arrowup`.
+    public let key: String
+    /// The modifier keys of the combination.
+    public let modifiers: Set<Modifier>
+
+    /// Creates a key combination.
+    ///
+    /// - Parameters:
+    ///   - key: The key pressed with the modifiers, such as `k` or `enter`.
+    ///   - modifiers: The modifier keys of the combination.
+    public init(key: String, modifiers: Set<Modifier>) {
+        self.key = key.lowercased()
+        self.modifiers = modifiers
+    }
+}
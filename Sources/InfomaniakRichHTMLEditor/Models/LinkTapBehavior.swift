@@ -0,0 +1,24 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// Describes what happens when the user taps a link in the editor.
+///
+/// The tap is reported to the delegate with both behaviors.
+public enum LinkTapBehavior: String, Codable, Sendable {
+    /// The insertion point moves in the link, so the user can edit it.
+    case edit
+    /// The link is opened, like with the contextual menu.
+    ///
+    /// ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:shouldHandleLink:)`` lets you open it yourself.
+    case open
+}
@@ -0,0 +1,42 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// Describes the markers of the items of a list.
+public enum ListStyleType: String, Codable, Sendable, CaseIterable {
+    /// Numbered with decimal numbers, like 1, 2, 3.
+    case decimal
+    /// Numbered with lowercase letters, like a, b, c.
+    case lowerAlpha = "lower-alpha"
+    /// Numbered with uppercase letters, like A, B, C.
+    case upperAlpha = "upper-alpha"
+    /// Numbered with lowercase roman numerals, like i, ii, iii.
+    case lowerRoman = "lower-roman"
+    /// Numbered with uppercase roman numerals, like I, II, III.
+    case upperRoman = "upper-roman"
+    /// Bulleted with a filled circle.
+    case disc
+    /// Bulleted with a hollow circle.
+    case circle
+    /// Bulleted with a filled square.
+    case square
+
+    /// Whether the items are numbered, the list is an ordered list.
+    public var isOrdered: Bool {
+        switch self {
+        case .decimal, .lowerAlpha, .upperAlpha, .lowerRoman, .upperRoman:
+            return true
+        case .disc, .circle, .square:
+            return false
+        }
+    }
+}
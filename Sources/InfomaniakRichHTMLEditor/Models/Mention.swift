@@ -0,0 +1,35 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes a mention chip of the editor, such as a colleague or a saved snippet.
+public struct Mention: Codable, Sendable, Equatable {
+    /// The identifier of the item, it is the value of the `data-mention-id` attribute.
+    public let id: String
+    /// The text displayed in the chip after the trigger.
+    public let label: String
+    /// The trigger of the chip, for example `@`.
+    ///
+    /// When inserting a mention, the trigger of the active query is used if `nil`.
+    public let trigger: String?
+    /// Additional values stored in the `data-*` attributes of the chip, the keys are in camel case.
+    public let data: [String: String]
+
+    public init(id: String, label: String, trigger: String? = nil, data: [String: String] = [:]) {
+        self.id = id
+        self.label = label
+        self.trigger = trigger
+        self.data = data
+    }
+}
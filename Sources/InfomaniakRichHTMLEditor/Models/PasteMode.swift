@@ -0,0 +1,24 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+/// Describes how pasted content is inserted in the editor.
+public enum PasteMode: String, Codable, Sendable {
+    /// Only the text is inserted, without any formatting.
+    case plainText
+    /// The content is converted to the markup of the editor: bold, italic, underline,
+    /// strikethrough, links, lists, headings and tables. Colors, fonts and sizes are removed.
+    case cleanFormatting
+    /// The formatting of the source is kept, but its classes and unsafe content are removed.
+    case keepFormatting
+}
@@ -0,0 +1,33 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// The settings used to convert the content of the editor to plain text.
+public struct PlainTextOptions: Codable, Sendable {
+    /// Describes how the destination of the links is written in the plain text.
+    public enum LinkStyle: String, Codable, Sendable {
+        /// The links are numbered like `text [1]` and their destinations are listed at the end of the text.
+        case footnotes
+        /// The destination follows the text of the link like `text <https://example.com>`.
+        case inline
+    }
+
+    /// The maximum length of a line, longer lines are wrapped between words. If nil, the lines are never wrapped.
+    public var lineWidth: Int?
+    /// How the destination of the links is written.
+    public var linkStyle: LinkStyle
+
+    public init(lineWidth: Int? = 76, linkStyle: LinkStyle = .footnotes) {
+        self.lineWidth = lineWidth
+        self.linkStyle = linkStyle
+    }
+}
@@ -0,0 +1,35 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes the regions of the content that the user can't edit, such as a quoted thread or a signature.
+///
+/// Protected regions can't be edited, are deleted as a whole and can be collapsed behind a "…" toggle.
+/// The toggle and the collapsed state are never part of the HTML of the editor.
+public struct ProtectedRegionConfiguration: Codable, Sendable {
+    /// The CSS selectors matching the protected regions, for example `blockquote[data-quote]`.
+    ///
+    /// The default value is an empty array, no region is protected.
+    public var selectors: [String]
+
+    /// Whether the protected regions are collapsed when they appear in the content.
+    ///
+    /// The default value is `false`.
+    public var isCollapsedByDefault: Bool
+
+    public init(selectors: [String] = [], isCollapsedByDefault: Bool = false) {
+        self.selectors = selectors
+        self.isCollapsedByDefault = isCollapsedByDefault
+    }
+}
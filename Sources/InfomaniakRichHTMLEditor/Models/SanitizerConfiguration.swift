@@ -0,0 +1,92 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+/// Describes which parts of the HTML are kept when content is inserted in the editor.
+///
+/// The editor sanitizes the HTML set with ``RichHTMLEditorView/html``, the pasted HTML and the
+/// destination of the links. Everything that is not explicitly allowed is removed.
+public struct SanitizerConfiguration: Codable, Sendable {
+    /// A Boolean value that indicates whether the content is sanitized.
+    ///
+    /// The default value is `true`.
+    public var isEnabled: Bool
+
+    /// The HTML tags to keep.
+    ///
+    /// Other tags are unwrapped, except unsafe tags such as `script` or `iframe` which
+    /// are removed with their content.
+    public var allowedTags: [String]
+
+    /// The HTML attributes to keep.
+    ///
+    /// A trailing `*` allows every attribute starting with the prefix, for example `data-*`.
+    /// Event handlers such as `onclick` are always removed.
+    public var allowedAttributes: [String]
+
+    /// The CSS properties to keep in `style` attributes.
+    ///
+    /// A shorthand property also allows its longhand properties, `margin` allows `margin-top`.
+    public var allowedStyleProperties: [String]
+
+    /// The URL schemes allowed for links.
+    public var allowedURLSchemes: [String]
+
+    /// The URL schemes allowed for the source of images.
+    ///
+    /// Remote images are blocked by default to prevent tracking pixels from loading,
+    /// add `https` to allow them. A blocked remote image keeps its source in the HTML and can be loaded
+    /// later with ``RichHTMLEditorView/loadBlockedImages()``.
+    public var allowedImageURLSchemes: [String]
+
+    public init(
+        isEnabled: Bool = true,
+        allowedTags: [String] = SanitizerConfiguration.defaultAllowedTags,
+        allowedAttributes: [String] = SanitizerConfiguration.defaultAllowedAttributes,
+        allowedStyleProperties: [String] = SanitizerConfiguration.defaultAllowedStyleProperties,
+        allowedURLSchemes: [String] = SanitizerConfiguration.defaultAllowedURLSchemes,
+        allowedImageURLSchemes: [String] = SanitizerConfiguration.defaultAllowedImageURLSchemes
+    ) {
+        self.isEnabled = isEnabled
+        self.allowedTags = allowedTags
+        self.allowedAttributes = allowedAttributes
+        self.allowedStyleProperties = allowedStyleProperties
+        self.allowedURLSchemes = allowedURLSchemes
+        self.allowedImageURLSchemes = allowedImageURLSchemes
+    }
+}
+
+public extension SanitizerConfiguration {
+    static let defaultAllowedTags = [
+        "a", "abbr", "address", "b", "bdi", "bdo", "big", "blockquote", "br", "caption", "center", "cite", "code",
+        "col", "colgroup", "dd", "del", "dfn", "div", "dl", "dt", "em", "font", "h1", "h2", "h3", "h4", "h5", "h6",
+        "hr", "i", "img", "ins", "kbd", "li", "mark", "ol", "p", "pre", "q", "s", "samp", "small", "span", "strike",
+        "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "tt", "u", "ul", "var", "wbr"
+    ]
+
+    static let defaultAllowedAttributes = [
+        "align", "alt", "bgcolor", "border", "cellpadding", "cellspacing", "class", "color", "colspan", "dir",
+        "face", "height", "href", "id", "lang", "rowspan", "size", "span", "src", "start", "style", "target",
+        "title", "type", "valign", "width", "data-*"
+    ]
+
+    static let defaultAllowedStyleProperties = [
+        "background-color", "border", "border-collapse", "border-spacing", "color", "direction", "display",
+        "font", "height", "letter-spacing", "line-height", "list-style-type", "margin", "max-width", "min-width",
+        "padding", "text-align", "text-decoration", "text-indent", "vertical-align", "white-space", "width"
+    ]
+
+    static let defaultAllowedURLSchemes = ["http", "https", "mailto", "tel"]
+
+    static let defaultAllowedImageURLSchemes = ["cid", "data"]
+}
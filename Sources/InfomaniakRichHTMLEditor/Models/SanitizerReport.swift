@@ -0,0 +1,45 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+/// Describes the content removed by the sanitizer from HTML inserted in the editor.
+public struct SanitizerReport: Codable, Sendable {
+    /// Describes where the sanitized HTML comes from.
+    public enum Origin: String, Codable, Sendable {
+        /// The HTML set with ``RichHTMLEditorView/html``.
+        case setContent
+        /// The HTML pasted by the user.
+        case paste
+        /// The destination of a new link.
+        case link
+        /// The source of a new image.
+        case image
+        /// The HTML inserted with the `insertHTML` command.
+        case insertHTML
+    }
+
+    /// Where the sanitized HTML comes from.
+    public let origin: Origin
+    /// The tags removed or unwrapped, without duplicates.
+    public let removedTags: [String]
+    /// The attributes removed, without duplicates.
+    public let removedAttributes: [String]
+    /// The CSS properties removed from `style` attributes, without duplicates.
+    public let removedStyleProperties: [String]
+    /// The URLs removed because their scheme is not allowed.
+    public let removedURLs: [String]
+    /// The sources of the remote images that are not loaded because their scheme is not allowed.
+    ///
+    /// The images are kept with their source in the HTML, call ``RichHTMLEditorView/loadBlockedImages()`` to load them.
+    public let blockedImageURLs: [String]
+}
@@ -0,0 +1,45 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+import Foundation
+
+/// Describes the image selected by the user in the editor.
+public struct SelectedImage: Codable, Sendable {
+    /// The source of the image, it is the value of the `src` attribute.
+    public let source: String
+    /// The alternative text of the image, it is the value of the `alt` attribute.
+    public let alternativeText: String
+
+    /// The size of the image as displayed in the editor.
+    public var size: CGSize {
+        return CGSize(width: width, height: height)
+    }
+
+    /// The intrinsic size of the image, zero if the image is not loaded.
+    public var naturalSize: CGSize {
+        return CGSize(width: naturalWidth, height: naturalHeight)
+    }
+
+    /// The frame of the image in the coordinate space of the editor.
+    public var rect: CGRect {
+        return CGRect(x: x, y: y, width: width, height: height)
+    }
+
+    private let x: Double
+    private let y: Double
+    private let width: Double
+    private let height: Double
+    private let naturalWidth: Double
+    private let naturalHeight: Double
+}
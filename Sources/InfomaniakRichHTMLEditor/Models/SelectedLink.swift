@@ -0,0 +1,32 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes a link of the editor, such as the link at the insertion point or a link tapped by the user.
+public struct SelectedLink: Codable, Sendable, Equatable {
+    /// The destination of the link, it is the value of the `href` attribute.
+    public let url: String
+    /// The text of the link.
+    public let text: String
+
+    /// The frame of the link in the coordinate space of the editor.
+    public var rect: CGRect {
+        return CGRect(x: x, y: y, width: width, height: height)
+    }
+
+    private let x: Double
+    private let y: Double
+    private let width: Double
+    private let height: Double
+}
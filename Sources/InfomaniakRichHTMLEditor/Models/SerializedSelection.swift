@@ -0,0 +1,35 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// A selection of the editor saved with ``RichHTMLEditorView/saveSelection(completion:)``.
+///
+/// The selection can be encoded to JSON and stored, for example with a draft, then restored with
+/// ``RichHTMLEditorView/restoreSelection(_:)`` after the content was set again or the app relaunched.
+public struct SerializedSelection: Codable, Sendable, Equatable {
+    /// Describes one end of the selection.
+    public struct Point: Codable, Sendable, Equatable {
+        /// The indexes of the child nodes leading from the editor to the node of the point.
+        public let path: [Int]?
+        /// The offset of the point in its node.
+        public let offset: Int
+        /// The number of characters of the content before the point, used when the path is no longer valid.
+        public let textOffset: Int
+    }
+
+    /// The point where the selection starts, where the user started selecting.
+    public let anchor: Point
+    /// The point where the selection ends, where the caret is.
+    public let focus: Point
+}
@@ -0,0 +1,20 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+/// Describes where a table row or column is inserted, relatively to the cell containing the insertion point.
+public enum TableInsertionPosition: String, Codable, Sendable {
+    /// Above the current row, or before the current column.
+    case before
+    /// Below the current row, or after the current column.
+    case after
+}
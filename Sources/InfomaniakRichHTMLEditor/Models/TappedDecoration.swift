@@ -0,0 +1,30 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+import Foundation
+
+/// Describes a decoration tapped by the user.
+public struct TappedDecoration: Codable, Sendable, Equatable {
+    /// The identifier of the tapped decoration.
+    public let id: String
+
+    /// The frame of the tapped text or element in the coordinate space of the editor.
+    public var rect: CGRect {
+        return CGRect(x: x, y: y, width: width, height: height)
+    }
+
+    private let x: Double
+    private let y: Double
+    private let width: Double
+    private let height: Double
+}
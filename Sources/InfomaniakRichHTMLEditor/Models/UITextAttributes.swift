@@ -27,14 +27,44 @@ public struct UITextAttributes: Codable, Sendable {
     public var hasSuperscript = false
     public var hasOrderedList = false
     public var hasUnorderedList = false
+    /// Whether the selection is in a checklist, a checklist is not reported as an unordered list.
+    public var hasChecklist = false
+    /// The markers of the list containing the selection, nil when it is not in a list or in a checklist.
+    public var listStyleType: ListStyleType?
+    /// The nesting depth of the list containing the selection, 1 for a top level list and 0 when it is not in a list.
+    public var listDepth = 0
 
     public var hasLink = false
+    /// Whether the selection is in inline code.
+    public var hasCode = false
+    /// Whether the selection starts in a code block.
+    public var isInCodeBlock = false
     public var textJustification: TextJustification?
 
+    public var canUndo = false
+    public var canRedo = false
+
+    /// Whether the selection starts in a table cell.
+    public var isInTable = false
+    /// The index of the row of the current table cell, counted in the grid of the table.
+    public var tableRowIndex: Int?
+    /// The index of the column of the current table cell, counted in the grid of the table.
+    public var tableColumnIndex: Int?
+
     public var fontName = ""
     public var fontSize: Int? {
         return Int(rawFontSize)
     }
+
+    /// The font size of the selection in CSS pixels, whatever the unit used in the HTML.
+    /// It is nil when the selection mixes several sizes.
+    public var cssFontSize: Double?
+    /// The line height of the selection, as a multiple of the font size.
+    /// It is nil when the line height is the default one or when the selection mixes several line heights.
+    public var lineHeight: Double?
+    /// The space added between the characters of the selection, in CSS pixels.
+    /// It is nil when the selection mixes several spacings.
+    public var letterSpacing: Double?
     
     public var formatBlock: String = ""
 
@@ -50,3 +80,53 @@ public struct UITextAttributes: Codable, Sendable {
     private var rawForegroundColor = ""
     private var rawBackgroundColor = ""
 }
+
+extension UITextAttributes {
+    enum CodingKeys: String, CodingKey {
+        case hasBold, hasItalic, hasUnderline, hasStrikeThrough, hasSubscript, hasSuperscript, hasOrderedList,
+             hasUnorderedList, hasChecklist, listStyleType, listDepth
+        case hasLink, hasCode, isInCodeBlock, textJustification
+        case canUndo, canRedo
+        case isInTable, tableRowIndex, tableColumnIndex
+        case fontName, cssFontSize, lineHeight, letterSpacing, formatBlock
+        case rawFontSize, rawForegroundColor, rawBackgroundColor
+    }
+
+    // A missing or null value keeps its default, so that one attribute can't prevent the others from being decoded
+    public init(from decoder: Decoder) throws {
+        let container = try decoder.container(keyedBy: CodingKeys.self)
+        hasBold = try container.decodeIfPresent(Bool.self, forKey: .hasBold) ?? false
+        hasItalic = try container.decodeIfPresent(Bool.self, forKey: .hasItalic) ?? false
+        hasUnderline = try container.decodeIfPresent(Bool.self, forKey: .hasUnderline) ?? false
+        hasStrikeThrough = try container.decodeIfPresent(Bool.self, forKey: .hasStrikeThrough) ?? false
+        hasSubscript = try container.decodeIfPresent(Bool.self, forKey: .hasSubscript) ?? false
+        hasSuperscript = try container.decodeIfPresent(Bool.self, forKey: .hasSuperscript) ?? false
+        hasOrderedList = try container.decodeIfPresent(Bool.self, forKey: .hasOrderedList) ?? false
+        hasUnorderedList = try container.decodeIfPresent(Bool.self, forKey: .hasUnorderedList) ?? false
+        hasChecklist = try container.decodeIfPresent(Bool.self, forKey: .hasChecklist) ?? false
+        listStyleType = try? container.decodeIfPresent(ListStyleType.self, forKey: .listStyleType)
+        listDepth = try container.decodeIfPresent(Int.self, forKey: .listDepth) ?? 0
+
+        hasLink = try container.decodeIfPresent(Bool.self, forKey: .hasLink) ?? false
+        hasCode = try container.decodeIfPresent(Bool.self, forKey: .hasCode) ?? false
+        isInCodeBlock = try container.decodeIfPresent(Bool.self, forKey: .isInCodeBlock) ?? false
+        textJustification = try? container.decodeIfPresent(TextJustification.self, forKey: .textJustification)
+
+        canUndo = try container.decodeIfPresent(Bool.self, forKey: .canUndo) ?? false
+        canRedo = try container.decodeIfPresent(Bool.self, forKey: .canRedo) ?? false
+
+        isInTable = try container.decodeIfPresent(Bool.self, forKey: .isInTable) ?? false
+        tableRowIndex = try container.decodeIfPresent(Int.self, forKey: .tableRowIndex)
+        tableColumnIndex = try container.decodeIfPresent(Int.self, forKey: .tableColumnIndex)
+
+        fontName = try container.decodeIfPresent(String.self, forKey: .fontName) ?? ""
+        cssFontSize = try container.decodeIfPresent(Double.self, forKey: .cssFontSize)
+        lineHeight = try container.decodeIfPresent(Double.self, forKey: .lineHeight)
+        letterSpacing = try container.decodeIfPresent(Double.self, forKey: .letterSpacing)
+        formatBlock = try container.decodeIfPresent(String.self, forKey: .formatBlock) ?? ""
+
+        rawFontSize = try container.decodeIfPresent(String.self, forKey: .rawFontSize) ?? ""
+        rawForegroundColor = try container.decodeIfPresent(String.self, forKey: .rawForegroundColor) ?? ""
+        rawBackgroundColor = try container.decodeIfPresent(String.self, forKey: .rawBackgroundColor) ?? ""
+    }
+}
@@ -35,11 +35,34 @@ extension UserScript {
 
         // Editor
         UserScript(name: "text-attributes", injectionTime: .atDocumentStart),
+        UserScript(name: "sanitizer", injectionTime: .atDocumentStart),
+        UserScript(name: "history", injectionTime: .atDocumentStart),
+        UserScript(name: "read-only", injectionTime: .atDocumentStart),
         UserScript(name: "commands", injectionTime: .atDocumentStart),
         UserScript(name: "selection", injectionTime: .atDocumentStart),
         UserScript(name: "links", injectionTime: .atDocumentStart),
+        UserScript(name: "auto-links", injectionTime: .atDocumentStart),
         UserScript(name: "observer", injectionTime: .atDocumentStart),
+        UserScript(name: "content-changes", injectionTime: .atDocumentStart),
         UserScript(name: "focus", injectionTime: .atDocumentStart),
+        UserScript(name: "paste", injectionTime: .atDocumentStart),
+        UserScript(name: "images", injectionTime: .atDocumentStart),
+        UserScript(name: "tables", injectionTime: .atDocumentStart),
+        UserScript(name: "mentions", injectionTime: .atDocumentStart),
+        UserScript(name: "find", injectionTime: .atDocumentStart),
+        UserScript(name: "protected-regions", injectionTime: .atDocumentStart),
+        UserScript(name: "checklists", injectionTime: .atDocumentStart),
+        UserScript(name: "lists", injectionTime: .atDocumentStart),
+        UserScript(name: "code", injectionTime: .atDocumentStart),
+        UserScript(name: "text-style", injectionTime: .atDocumentStart),
+        UserScript(name: "normalizer", injectionTime: .atDocumentStart),
+        UserScript(name: "inline-css", injectionTime: .atDocumentStart),
+        UserScript(name: "decorations", injectionTime: .atDocumentStart),
+        UserScript(name: "attachments", injectionTime: .atDocumentStart),
+        UserScript(name: "keyboard-shortcuts", injectionTime: .atDocumentStart),
+        UserScript(name: "content-statistics", injectionTime: .atDocumentStart),
+        UserScript(name: "markdown", injectionTime: .atDocumentStart),
+        UserScript(name: "plain-text", injectionTime: .atDocumentStart),
 
         // Main
         UserScript(name: "main", injectionTime: .atDocumentStart)
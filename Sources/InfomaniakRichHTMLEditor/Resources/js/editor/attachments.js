@@ -0,0 +1,263 @@
+"use strict";
+
+// MARK: - Variables
+
+/** The placeholders shown while the host uploads a dropped or pasted file, they are never part of the reported HTML */
+const ATTACHMENT_PLACEHOLDER_ATTRIBUTE = "data-attachment-placeholder";
+/** The chips linking to an uploaded file */
+const ATTACHMENT_CHIP_ATTRIBUTE = "data-attachment";
+
+/** Describes how a file was added to the editor */
+const AttachmentOrigin = {
+    drop: "drop",
+    paste: "paste"
+};
+
+/** The maximum size of the files whose content is sent to the WKWebView, in bytes, can be overridden by the host */
+let maximumDroppedFileDataSize = 0;
+
+/** The number of files received, used to create unique placeholder IDs */
+let receivedFileCount = 0;
+/**
+ * The HTML replacing each finished placeholder, an empty string when it was removed.
+ * Undoing can bring a placeholder back after its upload finished, it is then replaced again.
+ */
+const finishedAttachmentPlaceholders = new Map();
+
+// MARK: - Configuration
+
+/**
+ * Sets the maximum size of the dropped or pasted files whose content is reported with them.
+ * The content is read in memory and sent encoded in Base64, so only the metadata of the files is reported by default.
+ *
+ * @param {number} size - The maximum size of a file, in bytes, 0 to never report the content
+ */
+function setMaximumDroppedFileDataSize(size) {
+    maximumDroppedFileDataSize = Math.max(0, size);
+}
+
+// MARK: - Receive files
+
+function handleFileDrop(event) {
+    const files = [...(event.dataTransfer?.files ?? [])];
+    if (files.length === 0 || isEditorReadOnly) {
+        return;
+    }
+
+    // The files are inserted where they are dropped, not at the current insertion point
+    event.preventDefault();
+    const dropRange = document.caretRangeFromPoint(event.clientX, event.clientY);
+    const range = (dropRange !== null && getEditor().contains(dropRange.startContainer)) ? dropRange : getRange();
+    insertAttachmentPlaceholders(files, range, AttachmentOrigin.drop);
+}
+
+function handleFilePaste(event) {
+    // Copying a file also copies its name as text, but the HTML of a web page wins over its images
+    const clipboardData = event.clipboardData;
+    const files = [...(clipboardData?.files ?? [])];
+    if (files.length === 0 || clipboardData.types.includes("text/html")) {
+        return;
+    }
+
+    event.preventDefault();
+    insertAttachmentPlaceholders(files, getRange(), AttachmentOrigin.paste);
+}
+
+function insertAttachmentPlaceholders(files, range, origin) {
+    if (range === null || !getEditor().contains(range.commonAncestorContainer) || isInCodeBlock(range.startContainer)) {
+        return;
+    }
+
+    recordHistoryStep();
+    range.deleteContents();
+    range.collapse(true);
+
+    for (const file of files) {
+        receivedFileCount += 1;
+        const id = `attachment-${Date.now().toString(36)}-${receivedFileCount}`;
+        const placeholder = createAttachmentPlaceholder(id, file.name);
+        range.insertNode(placeholder);
+        range.setStartAfter(placeholder);
+        range.collapse(true);
+        readReceivedFile(file, id, origin);
+    }
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function readReceivedFile(file, id, origin) {
+    if (file.size > maximumDroppedFileDataSize) {
+        reportReceivedFile(file, id, origin, null);
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.addEventListener("load", () => {
+        // The data URL is `data:<type>;base64,<data>`
+        reportReceivedFile(file, id, origin, reader.result.slice(reader.result.indexOf(",") + 1));
+    });
+    reader.addEventListener("error", () => {
+        removeAttachmentPlaceholder(id);
+    });
+    reader.readAsDataURL(file);
+}
+
+function reportReceivedFile(file, id, origin, data) {
+    const placeholder = getAttachmentPlaceholder(id);
+    const rect = placeholder?.getBoundingClientRect();
+    reportFileDidDrop({
+        id: id,
+        name: file.name,
+        mimeType: file.type || "application/octet-stream",
+        size: file.size,
+        origin: origin,
+        data: data,
+        x: rect?.x ?? 0,
+        y: rect?.y ?? 0,
+        width: rect?.width ?? 0,
+        height: rect?.height ?? 0
+    });
+}
+
+function createAttachmentPlaceholder(id, name) {
+    const placeholder = document.createElement("span");
+    placeholder.setAttribute(ATTACHMENT_PLACEHOLDER_ATTRIBUTE, id);
+    placeholder.setAttribute("contenteditable", "false");
+
+    const nameElement = document.createElement("span");
+    nameElement.className = "attachment-name";
+    nameElement.textContent = name;
+    const progressElement = document.createElement("span");
+    progressElement.className = "attachment-progress";
+    progressElement.style.width = "0%";
+
+    placeholder.append(nameElement, progressElement);
+    return placeholder;
+}
+
+// MARK: - Upload progress
+
+/**
+ * Updates the progress displayed by the placeholder of a dropped or pasted file.
+ *
+ * @param {string} id - The ID of the placeholder, reported with the file
+ * @param {number} fraction - The uploaded fraction of the file, between 0 and 1
+ */
+function updateAttachmentProgress(id, fraction) {
+    const progressElement = getAttachmentPlaceholder(id)?.querySelector(".attachment-progress");
+    if (progressElement != null) {
+        progressElement.style.width = `${Math.round(Math.min(1, Math.max(0, fraction)) * 100)}%`;
+    }
+}
+
+/**
+ * Replaces the placeholder of an uploaded file with an image.
+ * The source must use one of the image URL schemes allowed by the sanitizer, otherwise the placeholder is removed.
+ *
+ * @param {string} id - The ID of the placeholder, reported with the file
+ * @param {string} source - The source of the image
+ * @param {string|null} alternativeText - An optional alternative text for the image
+ * @param {number|null} width - An optional width for the image, in pixels
+ */
+function replaceAttachmentPlaceholderWithImage(id, source, alternativeText, width) {
+    const sanitizedSource = sanitizeURL(source, SanitizerOrigin.image);
+    if (sanitizedSource === null) {
+        removeAttachmentPlaceholder(id);
+        return;
+    }
+
+    const image = document.createElement("img");
+    image.src = sanitizedSource;
+    if (alternativeText != null) {
+        image.alt = alternativeText;
+    }
+    if (width != null) {
+        image.setAttribute("width", width);
+    }
+    finishAttachmentPlaceholder(id, image.outerHTML);
+}
+
+/**
+ * Replaces the placeholder of an uploaded file with a chip linking to the file.
+ * The URL must use one of the URL schemes allowed by the sanitizer, otherwise the placeholder is removed.
+ *
+ * @param {string} id - The ID of the placeholder, reported with the file
+ * @param {string} url - The URL of the uploaded file
+ * @param {string} name - The text of the chip, usually the name of the file
+ */
+function replaceAttachmentPlaceholderWithChip(id, url, name) {
+    const sanitizedURL = sanitizeURL(url, SanitizerOrigin.link);
+    if (sanitizedURL === null) {
+        removeAttachmentPlaceholder(id);
+        return;
+    }
+
+    const chip = document.createElement("a");
+    chip.href = sanitizedURL;
+    chip.setAttribute(ATTACHMENT_CHIP_ATTRIBUTE, "");
+    chip.setAttribute("contenteditable", "false");
+    chip.textContent = name;
+    finishAttachmentPlaceholder(id, chip.outerHTML);
+}
+
+/**
+ * Removes the placeholder of a file, for example when its upload failed.
+ *
+ * @param {string} id - The ID of the placeholder, reported with the file
+ */
+function removeAttachmentPlaceholder(id) {
+    finishAttachmentPlaceholder(id, "");
+}
+
+function finishAttachmentPlaceholder(id, html) {
+    // The final content replaces the placeholder without a new undo step, undoing removes the whole file.
+    // It is not an edit of the user, an upload that finishes after the editor became read-only still completes.
+    finishedAttachmentPlaceholders.set(id, html);
+    replaceFinishedAttachmentPlaceholders(getEditor());
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Replaces the placeholders whose upload already finished, for example after undoing.
+ *
+ * @param {Element} root - The element containing the placeholders
+ */
+function replaceFinishedAttachmentPlaceholders(root) {
+    for (const placeholder of root.querySelectorAll(`[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`)) {
+        const html = finishedAttachmentPlaceholders.get(placeholder.getAttribute(ATTACHMENT_PLACEHOLDER_ATTRIBUTE));
+        if (html === undefined) {
+            continue;
+        }
+
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        placeholder.replaceWith(template.content);
+    }
+}
+
+// MARK: - Export
+
+/**
+ * Removes the placeholders of the files being uploaded. Only called on a copy of the content.
+ *
+ * @param {Element} root - The copy of the content
+ */
+function removeAttachmentPlaceholders(root) {
+    for (const placeholder of root.querySelectorAll(`[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`)) {
+        placeholder.remove();
+    }
+}
+
+// MARK: - Utils
+
+function isInAttachmentPlaceholder(node) {
+    const element = (node.nodeType === Node.ELEMENT_NODE) ? node : node.parentElement;
+    return element?.closest(`[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`) != null;
+}
+
+function getAttachmentPlaceholder(id) {
+    return [...getEditor().querySelectorAll(`[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`)]
+        .find(placeholder => placeholder.getAttribute(ATTACHMENT_PLACEHOLDER_ATTRIBUTE) === id) ?? null;
+}
@@ -0,0 +1,223 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Describes the kinds of text automatically converted to links */
+const AutoLinkDetector = {
+    url: "url",
+    www: "www",
+    email: "email",
+    phone: "phone"
+};
+
+/** The patterns recognized by each detector and the destination of their links */
+const autoLinkDetectorRules = {
+    [AutoLinkDetector.url]: {
+        pattern: /^https?:\/\/[\w-]+(\.[\w-]+)*(:\d+)?([/?#]\S*)?$/i,
+        getURL: text => text
+    },
+    [AutoLinkDetector.www]: {
+        pattern: /^www\.[\w-]+(\.[\w-]+)+(:\d+)?([/?#]\S*)?$/i,
+        getURL: text => `https://${text}`
+    },
+    [AutoLinkDetector.email]: {
+        pattern: /^(mailto:)?[\w.!#$%&'*+/=?^`{|}~-]+@[\w-]+(\.[\w-]+)+$/i,
+        getURL: text => `mailto:${text.replace(/^mailto:/i, "")}`
+    },
+    [AutoLinkDetector.phone]: {
+        pattern: /^\+?[\d(][\d().-]{5,}\d$/,
+        getURL: text => `tel:${text.replace(/[^\d+]/g, "")}`
+    }
+};
+
+/** Elements whose text is never converted to links */
+const AUTO_LINK_EXCLUDED_SELECTOR = "a, code, pre, [data-mention-id], [data-editor-protected]";
+const AUTO_LINK_PHONE_MIN_DIGITS = 7;
+
+/** The detectors enabled by the host */
+let autoLinkDetectors = [AutoLinkDetector.url, AutoLinkDetector.www, AutoLinkDetector.email];
+
+/** The position of the caret before the user typed a word boundary, where a link may end */
+let pendingAutoLinkPosition = null;
+/** The link created by the last word boundary, it is removed if the user immediately presses Backspace */
+let lastAutoLink = null;
+
+// MARK: - Configuration
+
+/**
+ * Sets the kinds of text automatically converted to links when the user types a word boundary
+ * and when content is pasted.
+ *
+ * @param {Array<string>} detectors - The enabled detectors, some of `AutoLinkDetector`
+ */
+function setAutoLinkDetectors(detectors) {
+    autoLinkDetectors = detectors.filter(detector => autoLinkDetectorRules[detector] !== undefined);
+}
+
+// MARK: - Detect links while typing
+
+function handleAutoLinkBeforeInput(event) {
+    const autoLink = lastAutoLink;
+    lastAutoLink = null;
+    pendingAutoLinkPosition = null;
+
+    const range = getRange();
+    if (range === null || !range.collapsed) {
+        return;
+    }
+
+    if (event.inputType === "deleteContentBackward" && autoLink !== null && isCaretAtPosition(range, autoLink.caret)) {
+        // Backspace right after a link was created removes the link but keeps the text
+        event.preventDefault();
+        removeAutoLink(autoLink.anchor);
+        return;
+    }
+
+    const isWordBoundary = (
+        (event.inputType === "insertText" && /^\s$/.test(event.data ?? "")) ||
+        event.inputType === "insertParagraph" || event.inputType === "insertLineBreak"
+    );
+    if (isWordBoundary && range.startContainer.nodeType === Node.TEXT_NODE) {
+        pendingAutoLinkPosition = { node: range.startContainer, offset: range.startOffset };
+    }
+}
+
+function handleAutoLinkInput() {
+    const position = pendingAutoLinkPosition;
+    pendingAutoLinkPosition = null;
+    if (position === null || autoLinkDetectors.length === 0 || !getEditor().contains(position.node)) {
+        return;
+    }
+
+    const textBeforeBoundary = position.node.data.slice(0, position.offset);
+    const tokenStart = textBeforeBoundary.search(/\S+$/);
+    if (tokenStart < 0 || isExcludedFromAutoLinks(position.node)) {
+        return;
+    }
+
+    const link = detectAutoLink(textBeforeBoundary.slice(tokenStart));
+    if (link === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const range = document.createRange();
+    range.setStart(position.node, tokenStart + link.start);
+    range.setEnd(position.node, tokenStart + link.end);
+    const anchor = createLinkForTextRange(range, link.url);
+
+    const caretRange = getRange();
+    lastAutoLink = {
+        anchor: anchor,
+        caret: (caretRange === null) ? null : { node: caretRange.startContainer, offset: caretRange.startOffset }
+    };
+}
+
+function removeAutoLink(anchor) {
+    if (!anchor.isConnected) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const range = getRange()?.cloneRange();
+    const parent = anchor.parentNode;
+    while (anchor.firstChild !== null) {
+        parent.insertBefore(anchor.firstChild, anchor);
+    }
+    anchor.remove();
+
+    if (range != null) {
+        const selection = document.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+}
+
+// MARK: - Detect links in pasted content
+
+/**
+ * Converts the links found in the text between two text offsets of the content, for example the pasted text.
+ *
+ * @param {number} startTextOffset - The text offset where the search starts
+ * @param {number} endTextOffset - The text offset where the search ends
+ */
+function autoLinkTextBetweenOffsets(startTextOffset, endTextOffset) {
+    if (autoLinkDetectors.length === 0 || endTextOffset <= startTextOffset) {
+        return;
+    }
+
+    let nodeStart = 0;
+    for (const textNode of getTextNodes(getEditor())) {
+        const nodeEnd = nodeStart + textNode.length;
+        if (nodeEnd > startTextOffset && nodeStart < endTextOffset && !isExcludedFromAutoLinks(textNode)) {
+            autoLinkTextNode(textNode);
+        }
+        nodeStart = nodeEnd;
+    }
+}
+
+function autoLinkTextNode(textNode) {
+    const links = [];
+    for (const token of textNode.data.matchAll(/\S+/g)) {
+        const link = detectAutoLink(token[0]);
+        if (link !== null) {
+            links.push({ start: token.index + link.start, end: token.index + link.end, url: link.url });
+        }
+    }
+
+    // From the end, so that wrapping a link doesn't move the next ones
+    for (const link of links.reverse()) {
+        const range = document.createRange();
+        range.setStart(textNode, link.start);
+        range.setEnd(textNode, link.end);
+        createLinkForTextRange(range, link.url);
+    }
+}
+
+// MARK: - Utils
+
+function detectAutoLink(token) {
+    // The punctuation around a link in a sentence is not part of the link
+    const start = token.match(/^[(<["']*/)[0].length;
+    let end = token.length;
+    while (end > start && /[.,;:!?)>\]"']/.test(token[end - 1])) {
+        const candidate = token.slice(start, end);
+        const isClosingParenthesisOfLink = token[end - 1] === ")" &&
+            candidate.split("(").length > candidate.split(")").length - 1;
+        if (isClosingParenthesisOfLink) {
+            break;
+        }
+        end--;
+    }
+
+    const text = token.slice(start, end);
+    for (const detector of autoLinkDetectors) {
+        const rule = autoLinkDetectorRules[detector];
+        if (!rule.pattern.test(text) || (detector === AutoLinkDetector.phone && !isPhoneNumber(text))) {
+            continue;
+        }
+
+        // Links not allowed by the sanitizer are silently ignored, they were never requested by the user
+        const url = rule.getURL(text);
+        if (isURLAllowed(url, sanitizerConfiguration.allowedURLSchemes)) {
+            return { start: start, end: end, url: url };
+        }
+    }
+    return null;
+}
+
+function isPhoneNumber(text) {
+    // Dates look like phone numbers
+    const isDate = /^\d{1,4}[-./]\d{1,2}[-./]\d{1,4}$/.test(text);
+    return !isDate && text.replace(/\D/g, "").length >= AUTO_LINK_PHONE_MIN_DIGITS;
+}
+
+function isExcludedFromAutoLinks(textNode) {
+    return textNode.parentElement === null || textNode.parentElement.closest(AUTO_LINK_EXCLUDED_SELECTOR) !== null;
+}
+
+function isCaretAtPosition(range, position) {
+    return position !== null && range.startContainer === position.node && range.startOffset === position.offset;
+}
@@ -0,0 +1,220 @@
+"use strict";
+
+// MARK: - Variables
+
+const CHECKLIST_SELECTOR = "ul[data-checklist]";
+
+/** Boxes added before the items of the exported HTML, the email clients don't display the editor checkboxes */
+const CHECKLIST_EXPORT_BOX_ATTRIBUTE = "data-checklist-box";
+const CHECKLIST_EXPORT_UNCHECKED_BOX = "\u2610 ";
+const CHECKLIST_EXPORT_CHECKED_BOX = "\u2611 ";
+
+/** The item where the user pressed Enter, to find the item created by WebKit */
+let checklistItemBeforeParagraphInsertion = null;
+
+// MARK: - Insert checklist
+
+/**
+ * Creates or removes a checklist for the current selection or at the insertion point.
+ * A bulleted or numbered list is converted to a checklist.
+ */
+function insertChecklist() {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer)) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const list = getClosestList(range.startContainer);
+    if (list !== null && isChecklist(list)) {
+        // WebKit turns the items back into paragraphs, the checklist attributes are removed by the normalization
+        document.execCommand("insertUnorderedList");
+    } else {
+        if (list === null || list.localName !== "ul") {
+            document.execCommand("insertUnorderedList");
+        }
+
+        const newList = getClosestList(getRange().startContainer);
+        if (newList !== null) {
+            convertToChecklist(newList);
+        }
+    }
+
+    normalizeChecklists();
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function convertToChecklist(list) {
+    // The attributes are only set when missing, setting an attribute is a change of the content
+    if (!list.hasAttribute("data-checklist")) {
+        list.setAttribute("data-checklist", "");
+    }
+    // An inline style is used so the checklists look the same in the email clients
+    if (list.style.listStyleType !== "none") {
+        list.style.listStyleType = "none";
+    }
+    for (const item of list.children) {
+        if (item.localName === "li" && !item.hasAttribute("data-checked")) {
+            item.setAttribute("data-checked", "false");
+        }
+    }
+}
+
+// MARK: - Check items
+
+function handleChecklistClick(event) {
+    const item = event.target.closest?.("li");
+    if (item == null || !getEditor().contains(item) || !isChecklistItem(item)) {
+        return;
+    }
+
+    // The checkbox is a pseudo-element displayed in the margin of the item, on its first line
+    const rect = item.getBoundingClientRect();
+    const style = window.getComputedStyle(item);
+    const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+    if (event.clientX >= rect.left || event.clientY > rect.top + lineHeight) {
+        return;
+    }
+
+    // The items can still be checked in read-only mode, where there is no undo
+    event.preventDefault();
+    if (!isEditorReadOnly) {
+        recordHistoryStep();
+    }
+    item.setAttribute("data-checked", item.getAttribute("data-checked") === "true" ? "false" : "true");
+}
+
+// MARK: - Edit items
+
+function handleChecklistBeforeInput(event) {
+    checklistItemBeforeParagraphInsertion = null;
+    if (event.inputType !== "insertParagraph") {
+        return;
+    }
+
+    const range = getRange();
+    const item = (range === null) ? null : getClosestListItem(range.startContainer);
+    if (item !== null && isChecklistItem(item)) {
+        checklistItemBeforeParagraphInsertion = item;
+    }
+}
+
+function handleChecklistInput(event) {
+    const previousItem = checklistItemBeforeParagraphInsertion;
+    checklistItemBeforeParagraphInsertion = null;
+    if (event.inputType !== "insertParagraph" || previousItem === null) {
+        return;
+    }
+
+    // WebKit copies the attributes of the split item, but a new item is never checked
+    const range = getRange();
+    const item = (range === null) ? null : getClosestListItem(range.startContainer);
+    if (item === null || !isChecklistItem(item)) {
+        return;
+    }
+
+    const newItem = (item !== previousItem) ? item : item.previousElementSibling;
+    if (newItem?.localName === "li") {
+        newItem.setAttribute("data-checked", "false");
+    }
+}
+
+// MARK: - Normalize checklists
+
+function handleChecklistMutations(mutations) {
+    if (mutations.some(mutation => mutation.type === "childList")) {
+        normalizeChecklists();
+    }
+}
+
+/**
+ * Keeps the checklists consistent after WebKit edited the lists: indenting an item creates a nested list
+ * without attributes, and outdenting or converting the list leaves items that are not in a checklist anymore.
+ */
+function normalizeChecklists() {
+    const editor = getEditor();
+    if (editor.querySelector(`${CHECKLIST_SELECTOR}, [data-checked]`) === null) {
+        return;
+    }
+
+    for (const list of editor.querySelectorAll("ul:not([data-checklist])")) {
+        const hasCheckedItems = [...list.children].some(child => child.hasAttribute("data-checked"));
+        const parentList = getClosestList(list.parentNode);
+        if (hasCheckedItems && parentList !== null && isChecklist(parentList)) {
+            convertToChecklist(list);
+        }
+    }
+
+    for (const list of editor.querySelectorAll(CHECKLIST_SELECTOR)) {
+        convertToChecklist(list);
+    }
+
+    for (const element of editor.querySelectorAll("[data-checked]")) {
+        if (!isChecklistItem(element)) {
+            element.removeAttribute("data-checked");
+        }
+    }
+}
+
+// MARK: - Export
+
+/**
+ * Adds a box character before each item of the checklists, so the state of the items can still be read
+ * in the email clients. Only called on a copy of the content.
+ *
+ * @param {Element} root - The copy of the content
+ */
+function addChecklistExportBoxes(root) {
+    for (const item of root.querySelectorAll(`${CHECKLIST_SELECTOR} > li`)) {
+        const box = document.createElement("span");
+        box.setAttribute(CHECKLIST_EXPORT_BOX_ATTRIBUTE, "");
+        box.textContent = (item.getAttribute("data-checked") === "true")
+            ? CHECKLIST_EXPORT_CHECKED_BOX
+            : CHECKLIST_EXPORT_UNCHECKED_BOX;
+        item.prepend(box);
+    }
+}
+
+/**
+ * Removes the boxes added by `addChecklistExportBoxes()`, when exported content is set again.
+ *
+ * @param {Element} root - The new content
+ */
+function removeChecklistExportBoxes(root) {
+    for (const box of root.querySelectorAll(`[${CHECKLIST_EXPORT_BOX_ATTRIBUTE}]`)) {
+        box.remove();
+    }
+}
+
+// MARK: - Utils
+
+function hasChecklist() {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.startContainer)) {
+        return false;
+    }
+
+    const list = getClosestList(range.startContainer);
+    return list !== null && isChecklist(list);
+}
+
+function isChecklist(list) {
+    return list.matches(CHECKLIST_SELECTOR);
+}
+
+function isChecklistItem(element) {
+    return element.localName === "li" && element.parentElement?.matches(CHECKLIST_SELECTOR) === true;
+}
+
+function getClosestList(node) {
+    const element = (node.nodeType === Node.ELEMENT_NODE) ? node : node.parentElement;
+    const list = element?.closest("ul, ol") ?? null;
+    return (list !== null && getEditor().contains(list)) ? list : null;
+}
+
+function getClosestListItem(node) {
+    const element = (node.nodeType === Node.ELEMENT_NODE) ? node : node.parentElement;
+    const item = element?.closest("li") ?? null;
+    return (item !== null && getEditor().contains(item)) ? item : null;
+}
@@ -0,0 +1,268 @@
+"use strict";
+
+// MARK: - Variables
+
+const CODE_BLOCK_TAG = "pre";
+
+/** Commands of `execCommand()` that have no effect in a code block, its text is never formatted */
+const codeBlockIgnoredCommands = [
+    "bold", "italic", "underline", "strikeThrough", "subscript", "superscript", "fontName", "fontSize", "foreColor",
+    "backColor", "removeFormat"
+];
+
+// MARK: - Inline code
+
+/**
+ * Creates or removes inline code for the current selection or at the insertion point.
+ * Inline code is ignored in a code block.
+ */
+function toggleInlineCode() {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer) || isInCodeBlock(range.startContainer)) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const codeElements = getInlineCodeElementsOfRange(range);
+    if (codeElements.length > 0) {
+        removeInlineCode(codeElements, range);
+    } else if (range.collapsed) {
+        insertElementWithCaretPlaceholder(document.createElement("code"), range);
+    } else {
+        wrapTextOfRange(range, () => document.createElement("code"));
+    }
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function removeInlineCode(codeElements, range) {
+    // The text doesn't change, the selection is restored with its text offsets
+    const editor = getEditor();
+    const startTextOffset = getTextOffsetOfPoint(editor, range.startContainer, range.startOffset);
+    const endTextOffset = getTextOffsetOfPoint(editor, range.endContainer, range.endOffset);
+
+    for (const code of codeElements) {
+        const parent = code.parentNode;
+        while (code.firstChild !== null) {
+            parent.insertBefore(code.firstChild, code);
+        }
+        code.remove();
+        parent.normalize();
+    }
+
+    const start = getPointAtTextOffset(editor, startTextOffset);
+    const end = getPointAtTextOffset(editor, endTextOffset);
+    setSelectionRange(start.node, start.offset, end.node, end.offset);
+}
+
+function getInlineCodeElementsOfRange(range) {
+    const startCode = getClosestInlineCode(range.startContainer);
+    const codeElements = [...getEditor().querySelectorAll("code")].filter(code => (
+        code.closest(CODE_BLOCK_TAG) === null && doesElementInteractWithRange(code, range)
+    ));
+    if (startCode !== null && !codeElements.includes(startCode)) {
+        codeElements.push(startCode);
+    }
+    return codeElements;
+}
+
+// MARK: - Code blocks
+
+/**
+ * Changes the type of the blocks of the selection, called by `execCommand()` for the `formatBlock` command.
+ * The `pre` tag converts the blocks to a single code block, another tag converts a code block back to regular blocks.
+ *
+ * @param {string} argument - The tag of the new blocks, for example `pre` or `h1`
+ */
+function formatBlock(argument) {
+    const tag = argument.replace(/[<>]/g, "").toLowerCase();
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer)) {
+        return;
+    }
+
+    const codeBlock = getClosestCodeBlock(range.startContainer);
+    if (codeBlock !== null) {
+        if (tag !== CODE_BLOCK_TAG) {
+            convertCodeBlockToBlocks(codeBlock, tag, range);
+        }
+        return;
+    }
+    if (tag !== CODE_BLOCK_TAG) {
+        document.execCommand("formatBlock", false, tag);
+        return;
+    }
+
+    // WebKit creates the code blocks, their lines are then merged in a single block of plain text
+    document.execCommand("formatBlock", false, CODE_BLOCK_TAG);
+    const newRange = getRange();
+    const codeBlocks = [...getEditor().querySelectorAll(CODE_BLOCK_TAG)].filter(block => (
+        newRange !== null && doesElementInteractWithRange(block, newRange)
+    ));
+    if (codeBlocks.length === 0) {
+        return;
+    }
+
+    const caretTextOffset = getTextOffsetOfPoint(codeBlocks[0], newRange.endContainer, newRange.endOffset);
+    const lines = codeBlocks.map(block => getCodeBlockText(block).replace(/\n$/, ""));
+    const mergedCodeBlock = codeBlocks[0];
+    mergedCodeBlock.textContent = lines.join("\n");
+    for (const block of codeBlocks.slice(1)) {
+        block.remove();
+    }
+    if (mergedCodeBlock.textContent === "") {
+        mergedCodeBlock.appendChild(document.createElement("br"));
+    }
+
+    // An empty line after the code block lets the user keep writing below it
+    if (mergedCodeBlock.nextSibling === null && mergedCodeBlock.parentNode === getEditor()) {
+        const lineAfterCodeBlock = document.createElement("div");
+        lineAfterCodeBlock.appendChild(document.createElement("br"));
+        mergedCodeBlock.after(lineAfterCodeBlock);
+    }
+
+    const caret = getPointAtTextOffset(mergedCodeBlock, Math.min(caretTextOffset, mergedCodeBlock.textContent.length));
+    setSelectionRange(caret.node, caret.offset, caret.node, caret.offset);
+}
+
+function convertCodeBlockToBlocks(codeBlock, tag, range) {
+    const caretTextOffset = codeBlock.contains(range.endContainer)
+        ? getTextOffsetOfPoint(codeBlock, range.endContainer, range.endOffset)
+        : 0;
+    const text = getCodeBlockText(codeBlock).replace(/\n$/, "");
+
+    let caretBlock = null;
+    let caretOffset = 0;
+    let lineStart = 0;
+    const blocks = text.split("\n").map(line => {
+        const block = document.createElement(tag);
+        if (line === "") {
+            block.appendChild(document.createElement("br"));
+        } else {
+            block.textContent = line;
+        }
+
+        if (caretBlock === null && caretTextOffset <= lineStart + line.length) {
+            caretBlock = block;
+            caretOffset = Math.max(0, caretTextOffset - lineStart);
+        }
+        lineStart += line.length + 1;
+        return block;
+    });
+
+    codeBlock.replaceWith(...blocks);
+
+    caretBlock = caretBlock ?? blocks[blocks.length - 1];
+    if (caretBlock.firstChild?.nodeType === Node.TEXT_NODE) {
+        setSelectionRange(caretBlock.firstChild, caretOffset, caretBlock.firstChild, caretOffset);
+    } else {
+        setSelectionRange(caretBlock, 0, caretBlock, 0);
+    }
+}
+
+function getCodeBlockText(codeBlock) {
+    // WebKit uses line breaks for the empty lines of the blocks it converted
+    let text = "";
+    const walker = document.createTreeWalker(codeBlock, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeType === Node.TEXT_NODE) {
+            text += node.data;
+        } else if (node.localName === "br") {
+            text += "\n";
+        }
+    }
+    return text;
+}
+
+// MARK: - Edit code blocks
+
+function handleCodeBlockBeforeInput(event) {
+    const range = getRange();
+    if (range === null || !isInCodeBlock(range.startContainer)) {
+        return;
+    }
+
+    if (event.inputType === "insertParagraph" || event.inputType === "insertLineBreak") {
+        // Enter never leaves the code block, a new line is inserted instead
+        event.preventDefault();
+        insertTextInCodeBlock("\n");
+    } else if (event.inputType.startsWith("format")) {
+        event.preventDefault();
+    }
+}
+
+function handleCodeBlockKeyDown(event) {
+    if (event.key !== "Tab" || event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) {
+        return;
+    }
+
+    const range = getRange();
+    if (range === null || !isInCodeBlock(range.startContainer)) {
+        return;
+    }
+
+    event.preventDefault();
+    recordHistoryStep();
+    insertTextInCodeBlock("\t");
+}
+
+/**
+ * Inserts plain text at the insertion point of a code block, its whitespace is kept as is.
+ *
+ * @param {string} text - The text to insert
+ */
+function insertTextInCodeBlock(text) {
+    const range = getRange();
+    const codeBlock = getClosestCodeBlock(range.startContainer);
+
+    range.deleteContents();
+    const textNode = document.createTextNode(text.replace(/\r\n?/g, "\n"));
+    range.insertNode(textNode);
+
+    // A trailing line break is not displayed, a second one makes the new empty line visible
+    const rangeAfterText = document.createRange();
+    rangeAfterText.setStartAfter(textNode);
+    rangeAfterText.setEnd(codeBlock, codeBlock.childNodes.length);
+    const contentAfterText = rangeAfterText.cloneContents();
+    const isAtEndOfCodeBlock = contentAfterText.textContent === "" && contentAfterText.querySelector("br") === null;
+    if (textNode.data.endsWith("\n") && isAtEndOfCodeBlock) {
+        textNode.after(document.createTextNode("\n"));
+    }
+
+    setSelectionRange(textNode, textNode.length, textNode, textNode.length);
+}
+
+// MARK: - Utils
+
+function isCodeBlockCommandIgnored(command) {
+    const range = getRange();
+    return range !== null && isInCodeBlock(range.startContainer) && codeBlockIgnoredCommands.includes(command);
+}
+
+function isSelectionInCodeBlock() {
+    const range = getRange();
+    return range !== null && isInCodeBlock(range.startContainer);
+}
+
+function hasInlineCode() {
+    const range = getRange();
+    return range !== null && getClosestInlineCode(range.startContainer) !== null;
+}
+
+function isInCodeBlock(node) {
+    return getClosestCodeBlock(node) !== null;
+}
+
+function getClosestCodeBlock(node) {
+    const element = (node.nodeType === Node.ELEMENT_NODE) ? node : node.parentElement;
+    const codeBlock = element?.closest(CODE_BLOCK_TAG) ?? null;
+    return (codeBlock !== null && getEditor().contains(codeBlock)) ? codeBlock : null;
+}
+
+function getClosestInlineCode(node) {
+    const element = (node.nodeType === Node.ELEMENT_NODE) ? node : node.parentElement;
+    const code = element?.closest("code") ?? null;
+    return (code !== null && getEditor().contains(code) && code.closest(CODE_BLOCK_TAG) === null) ? code : null;
+}
@@ -3,98 +3,33 @@
 /**
  * Executes a command with document.execCommand().
  * If the command changes the selected text, the WKWebView will be notified.
+ * The HTML inserted with the `insertHTML` command is sanitized first.
+ * The formatting commands are ignored in a code block.
+ * The command is recorded as a new undo step. Throws an error when the editor is read-only.
  *
  * @param {string} command - The name of the command to execute
  * @param {string|null} argument - An optional argument for the command
  */
 function execCommand(command, argument) {
-    document.execCommand(command, false, argument);
-    reportSelectedTextAttributesIfNecessary();
-}
+    assertEditorIsEditable(command);
+    if (isCodeBlockCommandIgnored(command)) {
+        return;
+    }
 
-/**
- * Saves the current caret position for later restoration.
- * This is a general version that works for any DOM transformation.
- *
- * @returns {Object} - Object containing caret position information
- */
-function saveGeneralCaretPosition() {
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return null;
-    
-    const range = selection.getRangeAt(0);
-    
-    // Get the text content and caret offset within the editor
-    const editor = getEditor();
-    const editorText = editor.textContent || '';
-    const caretOffset = getCaretOffsetInElement(editor, range);
-    
-    return {
-        editor: editor,
-        textContent: editorText,
-        caretOffset: caretOffset,
-        range: range.cloneRange()
-    };
-}
+    recordHistoryStep();
 
-/**
- * Restores the caret position after DOM manipulation.
- * This is a general version that works for any DOM transformation.
- *
- * @param {Object} savedRange - The saved caret position information
- */
-function restoreGeneralCaretPosition(savedRange) {
-    if (!savedRange || !savedRange.editor) return;
-    
-    try {
-        const selection = window.getSelection();
-        const range = document.createRange();
-        
-        // Find the text node in the editor and set the caret position
-        const textNodes = getTextNodes(savedRange.editor);
-        let currentOffset = 0;
-        let targetNode = null;
-        let targetOffset = 0;
-        
-        for (const textNode of textNodes) {
-            const nodeLength = textNode.textContent.length;
-            if (currentOffset + nodeLength >= savedRange.caretOffset) {
-                targetNode = textNode;
-                targetOffset = savedRange.caretOffset - currentOffset;
-                break;
-            }
-            currentOffset += nodeLength;
-        }
-        
-        if (targetNode) {
-            range.setStart(targetNode, Math.min(targetOffset, targetNode.textContent.length));
-            range.setEnd(targetNode, Math.min(targetOffset, targetNode.textContent.length));
-            selection.removeAllRanges();
-            selection.addRange(range);
-        } else {
-            // Fallback: place caret at the end of the editor
-            range.selectNodeContents(savedRange.editor);
-            range.collapse(false);
-            selection.removeAllRanges();
-            selection.addRange(range);
-        }
-    } catch (error) {
-        console.warn('Could not restore caret position:', error);
+    if (command === "formatBlock") {
+        formatBlock(argument);
+    } else if (command === "indent" && isSelectionInList()) {
+        // WebKit nests a list directly in the list, the items are nested in their previous item instead
+        indentListItems();
+    } else if (command === "outdent" && isSelectionInNestedList()) {
+        outdentListItems();
+    } else {
+        const sanitizedArgument = (command === "insertHTML") ? sanitizeHTML(argument, SanitizerOrigin.insertHTML) : argument;
+        document.execCommand(command, false, sanitizedArgument);
     }
-}
-
-/**
- * Gets the caret offset within an element.
- *
- * @param {Element} element - The element to measure within
- * @param {Range} range - The range containing the caret
- * @returns {number} - The offset position
- */
-function getCaretOffsetInElement(element, range) {
-    const preCaretRange = range.cloneRange();
-    preCaretRange.selectNodeContents(element);
-    preCaretRange.setEnd(range.endContainer, range.endOffset);
-    return preCaretRange.toString().length;
+    reportSelectedTextAttributesIfNecessary();
 }
 
 /**
@@ -123,13 +58,15 @@ function getTextNodes(element) {
 /**
  * Transforms ul/ol elements wrapped in span or font with color styling.
  * Converts the wrapper to font tags within each list item.
+ * The transformation is part of the undo step of the list command which precedes it.
  */
 function transformColoredLists() {
+    assertEditorIsEditable("transformColoredLists");
     const editor = getEditor();
     if (!editor) return;
     
-    // Save the current caret position before making changes
-    const savedRange = saveGeneralCaretPosition();
+    // Save the current selection before making changes
+    const serializedSelection = serializeSelection();
     
     // Find all spans with color styling that contain lists
     const spansWithLists = editor.querySelectorAll('span[style*="color"]');
@@ -161,9 +98,9 @@ function transformColoredLists() {
         }
     });
     
-    // Restore the caret position after making changes
-    if (savedRange) {
-        setTimeout(() => restoreGeneralCaretPosition(savedRange), 0);
+    // Restore the selection after making changes
+    if (serializedSelection) {
+        setTimeout(() => restoreSerializedSelection(serializedSelection), 0);
     }
     
     reportSelectedTextAttributesIfNecessary();
@@ -193,31 +130,22 @@ function extractColorFromStyle(styleString) {
     const colorMatch = styleString.match(/color\s*:\s*([^;]+)/i);
     if (!colorMatch) return null;
 
-    const colorValue = colorMatch[1].trim();
-
-    // Convert rgb() to hex if needed
-    if (colorValue.startsWith('rgb(')) {
-        const rgb = colorValue.match(/\d+/g);
-        if (rgb && rgb.length >= 3) {
-            const r = parseInt(rgb[0]);
-            const g = parseInt(rgb[1]);
-            const b = parseInt(rgb[2]);
-            return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-        }
-    }
-
-    // Return the color value as-is if it's already in a valid format
-    return colorValue;
+    // Convert rgb() to hex if needed, other formats are returned as is
+    return convertColorToHex(colorMatch[1].trim());
 }
 
 /**
  * Sets the HTML content of the editor.
- * The current content will be replaced by the new content.
+ * The current content will be replaced by the new content once sanitized.
+ * The history is cleared, the new content can't be undone.
  *
  * @param {string} content - The new HTML content of the editor
  */
 function setContent(content) {
-    getEditor().innerHTML = content;
+    getEditor().innerHTML = sanitizeHTML(content, SanitizerOrigin.setContent);
+    removeChecklistExportBoxes(getEditor());
+    resetProtectedRegions();
+    resetHistory();
 }
 
 /**
@@ -227,6 +155,7 @@ function setContent(content) {
  */
 function injectCSS(content) {
     const styleElement = document.createElement("style");
+    styleElement.setAttribute(INJECTED_CSS_ATTRIBUTE, "");
     styleElement.textContent = content;
     document.head.appendChild(styleElement);
 }
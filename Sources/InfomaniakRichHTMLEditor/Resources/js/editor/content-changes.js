@@ -0,0 +1,285 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Describes what is sent to the WKWebView when the content changes */
+const ContentChangeReportMode = {
+    html: "html",
+    delta: "delta",
+    onDemand: "onDemand"
+};
+
+/** Rules used to report the changes of the content, can be overridden by the host, the delays are in seconds */
+let contentChangeConfiguration = {
+    mode: ContentChangeReportMode.html,
+    debounceDelay: 0.3,
+    maximumDelay: 2,
+    normalizesHTML: false
+};
+
+/** Whether the content changed since the last report */
+let isContentDirty = false;
+/** The timer of the next report */
+let contentChangeTimer = null;
+/** When the first change not reported yet happened, to report long typing sessions regularly */
+let firstPendingContentChangeTime = null;
+
+/** The top level nodes of the editor changed since the last report */
+let dirtyContentBlocks = new Set();
+/** The top level nodes of the editor and their HTML, as they were last reported in delta mode */
+let reportedContentBlocks = null;
+
+// MARK: - Configuration
+
+/**
+ * Overrides the rules used to report the changes of the content.
+ * The properties not provided keep their current value. Pending changes are reported before switching.
+ *
+ * @param {Object} configuration - The new rules
+ */
+function setContentChangeConfiguration(configuration) {
+    flushContentChanges();
+    contentChangeConfiguration = { ...contentChangeConfiguration, ...configuration };
+
+    if (contentChangeConfiguration.mode === ContentChangeReportMode.delta) {
+        // The first delta contains the whole content
+        reportedContentBlocks = null;
+        isContentDirty = true;
+        flushContentChanges();
+    }
+}
+
+// MARK: - Get content
+
+/**
+ * Reports the pending changes and returns the current HTML content of the editor.
+ * In `onDemand` mode, this is the only way to get the content.
+ *
+ * @returns {string} - The HTML content of the editor
+ */
+function getHTMLContent() {
+    flushContentChanges();
+    isContentDirty = false;
+    return getContentHTML();
+}
+
+// MARK: - Handle changes
+
+function handleContentMutations(mutations) {
+    // The attributes of the editor itself, the display attributes and the upload progress are not part of the content
+    const displayAttributes = Object.values(EditorDisplayAttribute);
+    const contentMutations = mutations.filter(mutation => (
+        (mutation.type !== "attributes" ||
+            (mutation.target !== getEditor() && !displayAttributes.includes(mutation.attributeName))) &&
+        !isInAttachmentPlaceholder(mutation.target)
+    ));
+    if (contentMutations.length === 0) {
+        return;
+    }
+
+    // The features following the content share this observer, each change is only processed once
+    handleProtectedRegionMutations(contentMutations);
+    handleChecklistMutations(contentMutations);
+    handleFindMutations();
+    handleDecorationMutations();
+
+    for (const mutation of contentMutations) {
+        const block = getContentBlockOfNode(mutation.target);
+        if (block !== null) {
+            dirtyContentBlocks.add(block);
+        }
+        invalidateContentStatistics(block);
+    }
+
+    if (!isContentDirty) {
+        // Cheap notification so the host knows right away that there are unsaved changes
+        isContentDirty = true;
+        reportContentDidBecomeDirty();
+    }
+    scheduleContentChangeReport();
+}
+
+function scheduleContentChangeReport() {
+    if (contentChangeConfiguration.mode === ContentChangeReportMode.onDemand) {
+        return;
+    }
+
+    // Without a delay, the changes are reported as soon as they happen
+    if (contentChangeConfiguration.debounceDelay <= 0) {
+        flushContentChanges();
+        return;
+    }
+
+    const now = Date.now();
+    if (firstPendingContentChangeTime === null) {
+        firstPendingContentChangeTime = now;
+    }
+
+    // The report waits for a pause in typing, but never longer than the maximum delay
+    const remainingMaximumDelay = firstPendingContentChangeTime + contentChangeConfiguration.maximumDelay * 1000 - now;
+    const delay = Math.max(0, Math.min(contentChangeConfiguration.debounceDelay * 1000, remainingMaximumDelay));
+
+    clearTimeout(contentChangeTimer);
+    contentChangeTimer = setTimeout(flushContentChanges, delay);
+}
+
+function flushContentChanges() {
+    clearTimeout(contentChangeTimer);
+    contentChangeTimer = null;
+    firstPendingContentChangeTime = null;
+
+    if (!isContentDirty) {
+        return;
+    }
+
+    switch (contentChangeConfiguration.mode) {
+        case ContentChangeReportMode.html:
+            isContentDirty = false;
+            dirtyContentBlocks.clear();
+            reportContentDidChange(getContentHTML());
+            break;
+        case ContentChangeReportMode.delta: {
+            isContentDirty = false;
+            const delta = computeContentDelta();
+            if (delta !== null) {
+                reportContentDeltaDidChange(delta);
+            }
+            break;
+        }
+        case ContentChangeReportMode.onDemand:
+            // The content stays dirty until the host asks for it
+            break;
+    }
+}
+
+// MARK: - Delta
+
+/**
+ * Compares the top level nodes of the editor with the last reported ones.
+ * Only the nodes that changed are serialized, the delta describes the range of blocks to replace.
+ *
+ * @returns {Object|null} - The delta, or null if the content didn't change
+ */
+function computeContentDelta() {
+    const isInitialDelta = reportedContentBlocks === null;
+    const previousBlocks = reportedContentBlocks || [];
+    const previousHTMLByNode = new Map(previousBlocks.map(block => [block.node, block.html]));
+
+    const currentBlocks = [...getEditor().childNodes].map(node => {
+        const isUnchanged = previousHTMLByNode.has(node) && !dirtyContentBlocks.has(node);
+        return { node: node, html: isUnchanged ? previousHTMLByNode.get(node) : getNodeHTML(node) };
+    });
+    reportedContentBlocks = currentBlocks;
+    dirtyContentBlocks.clear();
+
+    let startIndex = 0;
+    while (
+        startIndex < previousBlocks.length && startIndex < currentBlocks.length &&
+        previousBlocks[startIndex].html === currentBlocks[startIndex].html
+    ) {
+        startIndex++;
+    }
+
+    let endOffset = 0;
+    while (
+        endOffset < previousBlocks.length - startIndex && endOffset < currentBlocks.length - startIndex &&
+        previousBlocks[previousBlocks.length - 1 - endOffset].html === currentBlocks[currentBlocks.length - 1 - endOffset].html
+    ) {
+        endOffset++;
+    }
+
+    const deleteCount = previousBlocks.length - startIndex - endOffset;
+    const insertedBlocks = currentBlocks.slice(startIndex, currentBlocks.length - endOffset).map(block => block.html);
+    if (!isInitialDelta && deleteCount === 0 && insertedBlocks.length === 0) {
+        return null;
+    }
+
+    return {
+        isInitial: isInitialDelta,
+        index: startIndex,
+        deleteCount: deleteCount,
+        insertedBlocks: insertedBlocks,
+        blockCount: currentBlocks.length
+    };
+}
+
+// MARK: - Utils
+
+function getContentBlockOfNode(node) {
+    // Mutations of the list of blocks itself target the editor, the new blocks are serialized anyway
+    const editor = getEditor();
+    let block = node;
+    while (block !== null && block.parentNode !== editor) {
+        block = block.parentNode;
+    }
+    return block;
+}
+
+function getContentHTML(editor = getEditor()) {
+    return isExportCopyNeeded(editor) ? createExportCopy(editor).firstChild.innerHTML : editor.innerHTML;
+}
+
+function getNodeHTML(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+        return isExportCopyNeeded(node) ? createExportCopy(node).innerHTML : node.outerHTML;
+    }
+
+    // Text nodes are escaped like in `innerHTML`
+    const template = document.createElement("template");
+    template.content.appendChild(node.cloneNode());
+    return template.innerHTML;
+}
+
+function isExportCopyNeeded(element) {
+    if (contentChangeConfiguration.normalizesHTML) {
+        return true;
+    }
+
+    const displayAttributeSelectors = Object.values(EditorDisplayAttribute).map(attribute => `[${attribute}]`);
+    const selector = [
+        ...displayAttributeSelectors, CHECKLIST_SELECTOR, `[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`,
+        `[${BLOCKED_IMAGE_SOURCE_ATTRIBUTE}]`
+    ].join(", ");
+    return element.matches(selector) || element.querySelector(selector) !== null;
+}
+
+/**
+ * Copies an element without what is only displayed in the editor: display attributes, upload placeholders…
+ * The copy is wrapped because it is cleaned like its descendants, it can be replaced or removed,
+ * for example when it is an upload placeholder or a `font` element normalized to a `span`.
+ *
+ * @param {Element} element - The element to copy
+ * @returns {Element} - A `div` containing the cleaned copy
+ */
+function createExportCopy(element) {
+    // The displayed content is never changed, a copy is cleaned instead
+    const copy = element.cloneNode(true);
+    const displayAttributes = Object.values(EditorDisplayAttribute);
+    for (const descendant of [copy, ...copy.querySelectorAll("*")]) {
+        for (const attribute of displayAttributes) {
+            descendant.removeAttribute(attribute);
+        }
+    }
+
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(copy);
+    if (contentChangeConfiguration.normalizesHTML) {
+        normalizeHTML(wrapper);
+    }
+    removeAttachmentPlaceholders(wrapper);
+    addChecklistExportBoxes(wrapper);
+    restoreBlockedImageSources(wrapper);
+    return wrapper;
+}
+
+/**
+ * Copies the content of the editor for the Markdown and plain text exports, without the upload placeholders.
+ * These formats write the state of the checklist items themselves, the boxes of the exported HTML are removed.
+ *
+ * @returns {Element} - The cleaned copy of the editor
+ */
+function getTextExportCopy() {
+    const copy = createExportCopy(getEditor()).firstChild;
+    removeChecklistExportBoxes(copy);
+    return copy;
+}
@@ -0,0 +1,327 @@
+"use strict";
+
+// MARK: - Variables
+
+/** The words read in a minute, used to estimate the reading time */
+const READING_WORDS_PER_MINUTE = 200;
+/** Matches a word, the apostrophes and hyphens between letters don't split it */
+const STATISTICS_WORD_REGEX = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+/** Elements starting a new line in the counted text */
+const STATISTICS_LINE_TAGS = [...NORMALIZER_BLOCK_TAGS, "br"];
+
+/** The maximum length of the content typed by the user, can be overridden by the host, null for no limit */
+let contentLimits = {
+    maximumCharacterCount: null,
+    maximumWordCount: null
+};
+
+/** The counted text of the top level nodes of the editor and its counts, only the changed nodes are read again */
+let statisticsOfBlocks = new Map();
+/** The top level nodes of the editor changed since their text was counted */
+const dirtyStatisticsBlocks = new Set();
+/** The statistics of the whole content, null when the content changed since they were computed */
+let contentStatistics = null;
+/** The last reported statistics */
+let reportedContentStatistics = null;
+/** The timer of the next report */
+let contentStatisticsTimer = null;
+
+// MARK: - Configuration
+
+/**
+ * Sets the maximum length of the content. The user can't type more, and the pasted content is trimmed.
+ * The content set by the host is never trimmed.
+ *
+ * @param {Object} limits - The new limits
+ * @param {number|null} limits.maximumCharacterCount - The maximum number of characters, line breaks are not counted
+ * @param {number|null} limits.maximumWordCount - The maximum number of words
+ */
+function setContentLimits(limits) {
+    contentLimits = {
+        maximumCharacterCount: limits.maximumCharacterCount ?? null,
+        maximumWordCount: limits.maximumWordCount ?? null
+    };
+}
+
+// MARK: - Statistics
+
+/**
+ * Marks a top level node of the editor as changed. Called for the content mutations.
+ *
+ * @param {Node|null} block - The changed top level node, null when only the list of nodes changed
+ */
+function invalidateContentStatistics(block) {
+    if (block !== null) {
+        dirtyStatisticsBlocks.add(block);
+    }
+    contentStatistics = null;
+
+    // Typing changes the content many times in a row, the statistics are reported with the content changes
+    clearTimeout(contentStatisticsTimer);
+    contentStatisticsTimer = setTimeout(reportContentStatisticsIfNecessary, contentChangeConfiguration.debounceDelay * 1000);
+}
+
+function reportContentStatisticsIfNecessary() {
+    const statistics = getContentStatistics();
+    const isUnchanged = reportedContentStatistics !== null &&
+        Object.keys(statistics).every(key => statistics[key] === reportedContentStatistics[key]);
+    if (!isUnchanged) {
+        reportedContentStatistics = statistics;
+        reportContentStatisticsDidChange(statistics);
+    }
+}
+
+/**
+ * Counts the characters, words and paragraphs of the content.
+ * The counts are kept until the content changes, and only the changed top level nodes are read again.
+ *
+ * @returns {Object} - The `characterCount`, `wordCount`, `paragraphCount` and `readingTime` in seconds
+ */
+function getContentStatistics() {
+    if (contentStatistics === null) {
+        contentStatistics = computeContentStatistics();
+    }
+    return { ...contentStatistics };
+}
+
+function computeContentStatistics() {
+    const statistics = { characterCount: 0, wordCount: 0, paragraphCount: 0, readingTime: 0 };
+
+    // The consecutive inline nodes at the top level are on the same line, they are counted together
+    let inlineText = "";
+    for (const blockStatistics of getStatisticsOfBlocks()) {
+        if (blockStatistics.isBlock) {
+            addStatistics(statistics, getTextStatistics(inlineText));
+            addStatistics(statistics, blockStatistics);
+            inlineText = "";
+        } else {
+            inlineText += blockStatistics.text;
+        }
+    }
+    addStatistics(statistics, getTextStatistics(inlineText));
+
+    statistics.readingTime = Math.ceil(statistics.wordCount / READING_WORDS_PER_MINUTE * 60);
+    return statistics;
+}
+
+function addStatistics(statistics, addedStatistics) {
+    statistics.characterCount += addedStatistics.characterCount;
+    statistics.wordCount += addedStatistics.wordCount;
+    statistics.paragraphCount += addedStatistics.paragraphCount;
+}
+
+function getTextStatistics(text) {
+    return {
+        characterCount: countCharacters(text),
+        wordCount: countWords(text),
+        paragraphCount: text.split("\n").filter(line => line.trim() !== "").length
+    };
+}
+
+function getStatisticsOfBlocks() {
+    const previousStatistics = statisticsOfBlocks;
+    statisticsOfBlocks = new Map();
+
+    // The removed nodes are forgotten, the new and changed nodes are read
+    for (const node of getEditor().childNodes) {
+        const blockStatistics = previousStatistics.get(node);
+        if (blockStatistics !== undefined && !dirtyStatisticsBlocks.has(node)) {
+            statisticsOfBlocks.set(node, blockStatistics);
+            continue;
+        }
+
+        const text = getStatisticsText(node);
+        statisticsOfBlocks.set(node, {
+            text: text,
+            isBlock: node.nodeType === Node.ELEMENT_NODE && STATISTICS_LINE_TAGS.includes(node.localName),
+            ...getTextStatistics(text)
+        });
+    }
+    dirtyStatisticsBlocks.clear();
+    return statisticsOfBlocks.values();
+}
+
+function getStatisticsText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.data;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.hasAttribute(ATTACHMENT_PLACEHOLDER_ATTRIBUTE)) {
+        return "";
+    }
+
+    const text = [...node.childNodes].map(getStatisticsText).join("");
+    return STATISTICS_LINE_TAGS.includes(node.localName) ? `\n${text}\n` : text;
+}
+
+function countCharacters(text) {
+    // Characters outside of the basic plane, like emojis, count once
+    return [...text.replace(/[\n\u200b]/g, "")].length;
+}
+
+function countWords(text) {
+    return text.match(STATISTICS_WORD_REGEX)?.length ?? 0;
+}
+
+// MARK: - Limits
+
+function handleContentLimitsBeforeInput(event) {
+    if (!hasContentLimits() || !["insertText", "insertReplacementText", "insertFromDrop"].includes(event.inputType)) {
+        return;
+    }
+
+    const range = getRange();
+    const insertedText = event.data ?? event.dataTransfer?.getData("text/plain") ?? "";
+    if (range !== null && !isInsertionWithinContentLimits(range, insertedText)) {
+        event.preventDefault();
+    }
+}
+
+function handleContentLimitsCompositionEnd(event) {
+    // The composition can't be prevented while the user types, the composed text is trimmed once it is committed
+    const range = getRange();
+    const composedText = event.data ?? "";
+    if (!hasContentLimits() || composedText === "" || range === null || !range.collapsed ||
+        range.startContainer.nodeType !== Node.TEXT_NODE) {
+        return;
+    }
+
+    const textNode = range.startContainer;
+    const start = range.startOffset - composedText.length;
+    if (start < 0 || textNode.data.slice(start, range.startOffset) !== composedText) {
+        return;
+    }
+
+    // The mutation of the composed text may not be observed yet
+    invalidateContentStatistics(getContentBlockOfNode(textNode));
+    const composedRange = document.createRange();
+    composedRange.setStart(textNode, start);
+    composedRange.setEnd(textNode, range.startOffset);
+    const trimmedText = trimText(composedText, getRoomLeftByContentLimits(composedRange));
+    if (!trimmedText.isTrimmed) {
+        return;
+    }
+
+    textNode.replaceData(start, composedText.length, trimmedText.text);
+    const caretRange = document.createRange();
+    caretRange.setStart(textNode, start + trimmedText.text.length);
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caretRange);
+}
+
+function isInsertionWithinContentLimits(range, insertedText) {
+    const statistics = getContentStatistics();
+    const selectedText = range.toString();
+
+    const characterCount = statistics.characterCount - countCharacters(selectedText) + countCharacters(insertedText);
+    const isAddingCharacters = countCharacters(insertedText) > countCharacters(selectedText);
+    if (contentLimits.maximumCharacterCount !== null && isAddingCharacters &&
+        characterCount > contentLimits.maximumCharacterCount) {
+        return false;
+    }
+
+    // Typing a letter after a word doesn't add a word, typing a space in a word does
+    const { before, after } = getTextAroundRange(range);
+    const addedWordCount = countWords(before + insertedText + after) - countWords(before + selectedText + after);
+    return contentLimits.maximumWordCount === null || addedWordCount <= 0 ||
+        statistics.wordCount + addedWordCount <= contentLimits.maximumWordCount;
+}
+
+/**
+ * Trims pasted text to the room left by the limits, keeping whole words.
+ *
+ * @param {string} text - The pasted text
+ * @returns {string} - The text that can be inserted
+ */
+function trimTextToContentLimits(text) {
+    if (!hasContentLimits()) {
+        return text;
+    }
+
+    const room = getRoomLeftByContentLimits();
+    return trimText(text, room).text;
+}
+
+/**
+ * Trims pasted HTML to the room left by the limits, the elements after the last allowed word are removed.
+ *
+ * @param {string} html - The pasted HTML
+ * @returns {string} - The HTML that can be inserted
+ */
+function trimHTMLToContentLimits(html) {
+    if (!hasContentLimits()) {
+        return html;
+    }
+
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    const room = getRoomLeftByContentLimits();
+    let isFull = false;
+    for (const textNode of getTextNodes(template.content)) {
+        if (isFull) {
+            textNode.remove();
+            continue;
+        }
+
+        const trimmedText = trimText(textNode.data, room);
+        textNode.data = trimmedText.text;
+        if (room.characterCount !== null) {
+            room.characterCount -= countCharacters(trimmedText.text);
+        }
+        if (room.wordCount !== null) {
+            room.wordCount -= countWords(trimmedText.text);
+        }
+        isFull = trimmedText.isTrimmed;
+    }
+
+    if (!isFull) {
+        return template.innerHTML;
+    }
+
+    // Without any room left, the empty blocks would still add lines
+    removeEmptyInlineElements(template.content);
+    return (template.content.textContent === "") ? "" : template.innerHTML;
+}
+
+function trimText(text, room) {
+    let trimmedText = text;
+    if (room.wordCount !== null) {
+        const words = [...text.matchAll(STATISTICS_WORD_REGEX)];
+        if (words.length > Math.max(0, room.wordCount)) {
+            trimmedText = (room.wordCount <= 0) ? "" : text.slice(0, words[room.wordCount].index).trimEnd();
+        }
+    }
+    if (room.characterCount !== null && countCharacters(trimmedText) > room.characterCount) {
+        trimmedText = [...trimmedText].slice(0, Math.max(0, room.characterCount)).join("");
+    }
+    return { text: trimmedText, isTrimmed: trimmedText !== text };
+}
+
+function getRoomLeftByContentLimits(replacedRange = getRange()) {
+    // The replaced text frees some room, it is the selection for the pasted content
+    const statistics = getContentStatistics();
+    const selectedText = replacedRange?.toString() ?? "";
+    const maximumCharacterCount = contentLimits.maximumCharacterCount;
+    const maximumWordCount = contentLimits.maximumWordCount;
+    return {
+        characterCount: (maximumCharacterCount === null) ? null :
+            maximumCharacterCount - statistics.characterCount + countCharacters(selectedText),
+        wordCount: (maximumWordCount === null) ? null :
+            maximumWordCount - statistics.wordCount + countWords(selectedText)
+    };
+}
+
+// MARK: - Utils
+
+function hasContentLimits() {
+    return contentLimits.maximumCharacterCount !== null || contentLimits.maximumWordCount !== null;
+}
+
+function getTextAroundRange(range) {
+    const before = (range.startContainer.nodeType === Node.TEXT_NODE) ?
+        range.startContainer.data.slice(0, range.startOffset) : "";
+    const after = (range.endContainer.nodeType === Node.TEXT_NODE) ?
+        range.endContainer.data.slice(range.endOffset) : "";
+    return { before: before, after: after };
+}
@@ -0,0 +1,187 @@
+"use strict";
+
+// MARK: - Variables
+
+const DECORATION_OVERLAY_ID = "swift-rich-html-editor-decorations";
+
+/** The decorations by ID, the range of a text decoration is a live range which follows the edits of the content */
+const decorations = new Map();
+/** The overlay drawing the decorations, it lives outside of the editor so it is never part of the content */
+let decorationOverlay = null;
+/** The timer redrawing the decorations after the content changed */
+let decorationRefreshTimer = null;
+
+// MARK: - Add and remove decorations
+
+/**
+ * Draws decorations over the content, such as the underline of a grammar suggestion, without changing the HTML
+ * of the editor. A decoration covers a range of the text or the elements matching a selector. The text ranges
+ * follow the text while the user types, and a decoration is removed when all its text is deleted.
+ * A decoration replaces the existing decoration with the same ID.
+ *
+ * @param {Array<Object>} newDecorations - The decorations to draw
+ * @param {string} newDecorations[].id - The identifier reported when the user taps the decoration
+ * @param {string} newDecorations[].className - The class of the elements drawing the decoration, styled with `injectCSS()`
+ * @param {number|null} newDecorations[].start - The offset of the first character in the text content of the editor
+ * @param {number|null} newDecorations[].end - The offset after the last character in the text content of the editor
+ * @param {string|null} newDecorations[].selector - The selector of the decorated elements, used instead of the offsets
+ */
+function addDecorations(newDecorations) {
+    const editor = getEditor();
+    for (const decoration of newDecorations) {
+        let range = null;
+        if (decoration.selector == null) {
+            const start = getPointAtTextOffset(editor, decoration.start);
+            const end = getPointAtTextOffset(editor, Math.max(decoration.start, decoration.end));
+            range = document.createRange();
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+        }
+
+        decorations.delete(decoration.id);
+        decorations.set(decoration.id, {
+            id: decoration.id,
+            className: decoration.className,
+            selector: decoration.selector ?? null,
+            range: range
+        });
+    }
+    updateDecorations();
+}
+
+/**
+ * Removes the decorations with the given IDs.
+ *
+ * @param {Array<string>} ids - The IDs of the decorations to remove
+ */
+function removeDecorations(ids) {
+    for (const id of ids) {
+        decorations.delete(id);
+    }
+    updateDecorations();
+}
+
+/**
+ * Removes all the decorations.
+ */
+function removeAllDecorations() {
+    decorations.clear();
+    updateDecorations();
+}
+
+// MARK: - Draw decorations
+
+function handleDecorationMutations() {
+    if (decorations.size === 0) {
+        return;
+    }
+
+    // Typing changes the content many times in a row, the decorations are drawn once
+    clearTimeout(decorationRefreshTimer);
+    decorationRefreshTimer = setTimeout(updateDecorations, 0);
+}
+
+function updateDecorations() {
+    clearTimeout(decorationRefreshTimer);
+    decorationOverlay?.remove();
+    decorationOverlay = null;
+
+    // A live range collapses when its text is deleted or when the content is replaced
+    const editor = getEditor();
+    for (const decoration of [...decorations.values()]) {
+        const range = decoration.range;
+        if (range !== null && (range.collapsed || !editor.contains(range.commonAncestorContainer))) {
+            decorations.delete(decoration.id);
+        }
+    }
+    if (decorations.size === 0) {
+        return;
+    }
+
+    decorationOverlay = document.createElement("div");
+    decorationOverlay.id = DECORATION_OVERLAY_ID;
+    for (const decoration of decorations.values()) {
+        for (const part of getDecorationParts(decoration)) {
+            for (const rect of part.rects) {
+                const box = document.createElement("div");
+                box.className = `decoration ${decoration.className}`;
+                box.style.left = `${rect.left + window.scrollX}px`;
+                box.style.top = `${rect.top + window.scrollY}px`;
+                box.style.width = `${rect.width}px`;
+                box.style.height = `${rect.height}px`;
+                decorationOverlay.appendChild(box);
+            }
+        }
+    }
+    document.body.appendChild(decorationOverlay);
+}
+
+function getDecorationParts(decoration) {
+    // A part is a decorated range or element, with the rects of its lines and its frame
+    if (decoration.range !== null) {
+        return [{ rects: getTextRectsOfRange(decoration.range), frame: decoration.range.getBoundingClientRect() }];
+    }
+
+    let elements = [];
+    try {
+        elements = [...getEditor().querySelectorAll(decoration.selector)];
+    } catch {
+        // An invalid selector decorates nothing
+    }
+    return elements.map(element => {
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        const textRects = getTextRectsOfRange(range);
+        const frame = element.getBoundingClientRect();
+        return { rects: textRects.length > 0 ? textRects : [frame], frame: frame };
+    });
+}
+
+function getTextRectsOfRange(range) {
+    // The rects of the range itself include the whole frame of the blocks it contains, only the text is decorated
+    const commonAncestor = range.commonAncestorContainer;
+    const root = (commonAncestor.nodeType === Node.TEXT_NODE) ? commonAncestor.parentNode : commonAncestor;
+    const rects = [];
+    for (const textNode of getTextNodes(root)) {
+        if (!range.intersectsNode(textNode) || textNode.data.trim() === "") {
+            continue;
+        }
+
+        const textRange = document.createRange();
+        textRange.selectNodeContents(textNode);
+        if (textNode === range.startContainer) {
+            textRange.setStart(textNode, range.startOffset);
+        }
+        if (textNode === range.endContainer) {
+            textRange.setEnd(textNode, range.endOffset);
+        }
+        rects.push(...[...textRange.getClientRects()].filter(rect => rect.width > 0));
+    }
+    return rects;
+}
+
+// MARK: - Tap decorations
+
+function handleDecorationClick(event) {
+    if (decorations.size === 0) {
+        return;
+    }
+
+    // The last decoration is drawn above the others
+    for (const decoration of [...decorations.values()].reverse()) {
+        const tappedPart = getDecorationParts(decoration).find(part => part.rects.some(rect => (
+            event.clientX >= rect.left && event.clientX <= rect.right &&
+            event.clientY >= rect.top && event.clientY <= rect.bottom
+        )));
+        if (tappedPart !== undefined) {
+            reportDecorationDidTap({
+                id: decoration.id,
+                x: tappedPart.frame.x,
+                y: tappedPart.frame.y,
+                width: tappedPart.frame.width,
+                height: tappedPart.frame.height
+            });
+            return;
+        }
+    }
+}
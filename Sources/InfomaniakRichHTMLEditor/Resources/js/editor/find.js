@@ -0,0 +1,399 @@
+"use strict";
+
+// MARK: - Variables
+
+const FIND_HIGHLIGHT_NAME = "swift-rich-html-editor-find";
+const FIND_CURRENT_HIGHLIGHT_NAME = "swift-rich-html-editor-find-current";
+/** Elements whose text is searched separately, a match never spans two of them */
+const FIND_BLOCK_SELECTOR = "address, blockquote, dd, div, dl, dt, h1, h2, h3, h4, h5, h6, li, ol, p, pre, table, td, th, ul";
+/** Characters that continue a word, a whole word match can't be next to one of them */
+const FIND_WORD_CHARACTER_REGEX = /[\p{L}\p{N}_]/u;
+
+/** The active search: its regular expression, the ranges of the matches and the index of the current one */
+let findState = null;
+/** The results last sent to the WKWebView, to avoid sending the same results twice */
+let lastReportedFindResults = null;
+/** The overlay drawing the matches when the CSS Custom Highlight API is not available */
+let findOverlay = null;
+/** The timer refreshing the matches after the content changed */
+let findRefreshTimer = null;
+
+// MARK: - Find
+
+/**
+ * Searches the content and highlights all the matches, without changing the HTML of the editor.
+ * The first match after the insertion point becomes the current one. The matches are refreshed when the content changes.
+ *
+ * @param {string} query - The text to search, an empty query ends the search
+ * @param {Object|null} options - Optional settings of the search
+ * @param {boolean} options.caseSensitive - Whether uppercase and lowercase letters are different
+ * @param {boolean} options.wholeWord - Whether the matches must be whole words
+ * @param {boolean} options.regex - Whether the query is a regular expression
+ */
+function find(query, options) {
+    if (query === "") {
+        clearFind();
+        return;
+    }
+
+    const regExp = createFindRegExp(query, options ?? {});
+    clearTimeout(findRefreshTimer);
+    findState = {
+        regExp: regExp,
+        isRegex: options?.regex === true,
+        isWholeWord: options?.wholeWord === true,
+        matches: [],
+        currentIndex: -1
+    };
+
+    const range = getRange();
+    refreshFindMatches(range !== null && getEditor().contains(range.startContainer) ? range : null);
+}
+
+/**
+ * Selects the next match and scrolls to it, the search wraps at the end of the content.
+ */
+function findNext() {
+    moveToFindMatch(1);
+}
+
+/**
+ * Selects the previous match and scrolls to it, the search wraps at the beginning of the content.
+ */
+function findPrevious() {
+    moveToFindMatch(-1);
+}
+
+/**
+ * Ends the search and removes the highlights.
+ */
+function clearFind() {
+    clearTimeout(findRefreshTimer);
+    findState = null;
+    updateFindHighlights();
+    reportFindResults();
+}
+
+// MARK: - Replace
+
+/**
+ * Replaces the current match and selects the next one. It can be undone.
+ * With a regular expression, the replacement can refer to the groups of the match with `$1`, `$2`…
+ *
+ * @param {string} replacement - The text replacing the match
+ */
+function replace(replacement) {
+    if (findState === null || findState.currentIndex < 0) {
+        return;
+    }
+
+    recordHistoryStep();
+    const textNode = replaceFindMatch(findState.matches[findState.currentIndex], replacement);
+
+    // The search continues after the replacement, so that it is never matched again
+    const caretRange = document.createRange();
+    caretRange.setStart(textNode, textNode.length);
+    caretRange.collapse(true);
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caretRange);
+
+    refreshFindMatches(caretRange);
+    if (findState.currentIndex >= 0) {
+        selectCurrentFindMatch();
+    } else {
+        computeAndReportCaretPosition();
+    }
+}
+
+/**
+ * Replaces all the matches at once, they are undone as a single step.
+ *
+ * @param {string} replacement - The text replacing the matches
+ */
+function replaceAll(replacement) {
+    if (findState === null || findState.matches.length === 0) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    // From the end, so that replacing a match doesn't move the next ones
+    for (const match of [...findState.matches].reverse()) {
+        replaceFindMatch(match, replacement);
+    }
+    refreshFindMatches(null);
+}
+
+function replaceFindMatch(match, replacement) {
+    let text = replacement;
+    if (findState.isRegex) {
+        const matchedText = match.toString();
+        const regExp = new RegExp(findState.regExp.source, findState.regExp.flags.replace("g", ""));
+        if (regExp.test(matchedText)) {
+            text = matchedText.replace(regExp, replacement);
+        }
+    }
+
+    const textNode = document.createTextNode(text);
+    match.deleteContents();
+    match.insertNode(textNode);
+
+    // A match spanning several formats leaves empty elements next to the replacement
+    for (const sibling of [textNode.previousSibling, textNode.nextSibling]) {
+        if (sibling?.nodeType === Node.ELEMENT_NODE && sibling.textContent === "" && !sibling.matches("br, img") &&
+            sibling.querySelector("br, img") === null) {
+            sibling.remove();
+        }
+    }
+    return textNode;
+}
+
+// MARK: - Matches
+
+function handleFindMutations() {
+    if (findState === null) {
+        return;
+    }
+
+    // Typing changes the content many times in a row, the matches are computed once
+    clearTimeout(findRefreshTimer);
+    findRefreshTimer = setTimeout(() => {
+        if (findState !== null) {
+            refreshFindMatches(findState.matches[findState.currentIndex] ?? null);
+        }
+    }, 0);
+}
+
+function refreshFindMatches(reference) {
+    const matches = collectFindMatches(findState.regExp, findState.isWholeWord);
+    const isReferenceInEditor = reference != null && getEditor().contains(reference.startContainer);
+
+    let currentIndex = -1;
+    if (matches.length > 0) {
+        currentIndex = isReferenceInEditor
+            ? matches.findIndex(match => match.compareBoundaryPoints(Range.START_TO_START, reference) >= 0)
+            : 0;
+        if (currentIndex < 0) {
+            currentIndex = 0;
+        }
+    }
+
+    findState.matches = matches;
+    findState.currentIndex = currentIndex;
+    updateFindHighlights();
+    reportFindResults();
+}
+
+function collectFindMatches(regExp, isWholeWord) {
+    // The text of the content is concatenated, each segment remembers the text node it comes from
+    const segments = [];
+    let text = "";
+    let previousBlock = null;
+    const skippedSelector = getFindSkippedSelector();
+
+    const walker = document.createTreeWalker(getEditor(), NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.localName === "br") {
+                text += "\n";
+            }
+            continue;
+        }
+        if (node.parentElement.closest(skippedSelector) !== null) {
+            // A match never spans the skipped text either
+            if (text !== "" && !text.endsWith("\n")) {
+                text += "\n";
+            }
+            continue;
+        }
+
+        const block = node.parentElement.closest(FIND_BLOCK_SELECTOR);
+        if (block !== previousBlock && text !== "") {
+            text += "\n";
+        }
+        previousBlock = block;
+
+        segments.push({ node: node, start: text.length });
+        text += node.data;
+    }
+
+    const matches = [];
+    regExp.lastIndex = 0;
+    let match = null;
+    while ((match = regExp.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            regExp.lastIndex++;
+            continue;
+        }
+        if (isWholeWord && !isWholeWordFindMatch(text, match.index, match.index + match[0].length)) {
+            // A shorter match may start in the rejected one
+            regExp.lastIndex = match.index + 1;
+            continue;
+        }
+
+        const start = getFindSegmentPoint(segments, match.index, false);
+        const end = getFindSegmentPoint(segments, match.index + match[0].length, true);
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        matches.push(range);
+    }
+    return matches;
+}
+
+function getFindSkippedSelector() {
+    // The user can't edit the chips and the protected regions, even collapsed ones, their text is never matched
+    return [
+        MENTION_CHIP_SELECTOR,
+        `[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`,
+        `[${ATTACHMENT_CHIP_ATTRIBUTE}]`,
+        `[${EditorDisplayAttribute.protectedRegion}]`
+    ].join(", ");
+}
+
+function getFindSegmentPoint(segments, textOffset, isEnd) {
+    // The last segment starting before the offset, an end offset belongs to the segment it ends
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        const start = segments[middle].start;
+        if (isEnd ? start < textOffset : start <= textOffset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    const segment = segments[low];
+    return { node: segment.node, offset: Math.min(textOffset - segment.start, segment.node.length) };
+}
+
+function createFindRegExp(query, options) {
+    const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    let flags = "gm";
+    if (!options.caseSensitive) {
+        flags += "i";
+    }
+
+    // An invalid regular expression throws, the error is reported to the WKWebView
+    return new RegExp(source, flags);
+}
+
+function isWholeWordFindMatch(text, start, end) {
+    // Checked after the search, lookbehinds are not supported before Safari 16.4
+    const previousCharacter = [...text.slice(Math.max(0, start - 2), start)].pop() ?? "";
+    const nextCharacter = [...text.slice(end, end + 2)][0] ?? "";
+    return !FIND_WORD_CHARACTER_REGEX.test(previousCharacter) && !FIND_WORD_CHARACTER_REGEX.test(nextCharacter);
+}
+
+// MARK: - Navigation
+
+function moveToFindMatch(direction) {
+    if (findState === null || findState.matches.length === 0) {
+        return;
+    }
+
+    // The current match is selected first if the user hasn't reached it yet
+    const count = findState.matches.length;
+    const currentMatch = findState.matches[findState.currentIndex];
+    if (!isFindMatchSelected(currentMatch)) {
+        if (direction < 0 && !isCaretAfterFindMatch(currentMatch)) {
+            findState.currentIndex = (findState.currentIndex - 1 + count) % count;
+        }
+    } else {
+        findState.currentIndex = (findState.currentIndex + direction + count) % count;
+    }
+
+    selectCurrentFindMatch();
+    updateFindHighlights();
+    reportFindResults();
+}
+
+function selectCurrentFindMatch() {
+    const match = findState.matches[findState.currentIndex];
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(match.cloneRange());
+
+    const rect = match.getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+        window.scrollBy(0, rect.top - (window.innerHeight - rect.height) / 2);
+    }
+    computeAndReportCaretPosition();
+}
+
+function isFindMatchSelected(match) {
+    const range = getRange();
+    return (
+        range !== null && getEditor().contains(range.startContainer) &&
+        range.compareBoundaryPoints(Range.START_TO_START, match) === 0 &&
+        range.compareBoundaryPoints(Range.END_TO_END, match) === 0
+    );
+}
+
+function isCaretAfterFindMatch(match) {
+    const range = getRange();
+    return (
+        range !== null && getEditor().contains(range.startContainer) &&
+        range.compareBoundaryPoints(Range.START_TO_END, match) >= 0
+    );
+}
+
+// MARK: - Highlights
+
+function updateFindHighlights() {
+    const matches = findState?.matches ?? [];
+    const currentMatch = (findState === null) ? null : (findState.matches[findState.currentIndex] ?? null);
+
+    if (window.CSS?.highlights !== undefined && typeof Highlight === "function") {
+        CSS.highlights.set(FIND_HIGHLIGHT_NAME, new Highlight(...matches.filter(match => match !== currentMatch)));
+        CSS.highlights.set(FIND_CURRENT_HIGHLIGHT_NAME, (currentMatch === null) ? new Highlight() : new Highlight(currentMatch));
+        return;
+    }
+
+    findOverlay?.remove();
+    findOverlay = null;
+    if (matches.length === 0) {
+        return;
+    }
+
+    // The overlay lives outside of the editor so it is never part of the content
+    findOverlay = document.createElement("div");
+    findOverlay.id = "swift-rich-html-editor-find-overlay";
+    for (const match of matches) {
+        for (const rect of match.getClientRects()) {
+            const box = document.createElement("div");
+            box.className = (match === currentMatch) ? "find-match current" : "find-match";
+            box.style.left = `${rect.left + window.scrollX}px`;
+            box.style.top = `${rect.top + window.scrollY}px`;
+            box.style.width = `${rect.width}px`;
+            box.style.height = `${rect.height}px`;
+            findOverlay.appendChild(box);
+        }
+    }
+    document.body.appendChild(findOverlay);
+}
+
+function reportFindResults() {
+    const currentMatch = (findState === null) ? null : (findState.matches[findState.currentIndex] ?? null);
+    const rect = currentMatch?.getBoundingClientRect();
+    const results = {
+        matchCount: findState?.matches.length ?? 0,
+        currentIndex: (currentMatch === null) ? null : findState.currentIndex,
+        x: rect?.x ?? null,
+        y: rect?.y ?? null,
+        width: rect?.width ?? null,
+        height: rect?.height ?? null
+    };
+
+    if (lastReportedFindResults !== null && compareObjectProperties(results, lastReportedFindResults)) {
+        return;
+    }
+    lastReportedFindResults = results;
+    reportFindResultsDidChange(results);
+}
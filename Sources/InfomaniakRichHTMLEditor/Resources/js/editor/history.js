@@ -0,0 +1,186 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Maximum number of steps that can be undone */
+const HISTORY_MAX_LENGTH = 100;
+/** Delay after which typing starts a new undo step, in milliseconds */
+const HISTORY_TYPING_DELAY = 1000;
+
+/** Snapshots of the content before each undoable step, the most recent one last */
+let undoStack = [];
+/** Snapshots of the content before each undone step, the most recent one last */
+let redoStack = [];
+
+/** Information about the last user input, used to group typing into undo steps */
+let lastHistoryInput = null;
+/** Position of the caret after the last user input */
+let lastHistoryInputCaret = null;
+
+const HistoryInputGroup = {
+    insert: "Insert",
+    delete: "Delete",
+    other: "Other"
+};
+
+// MARK: - Undo and redo
+
+/**
+ * Restores the content and the selection as they were before the last step.
+ */
+function undo() {
+    assertEditorIsEditable("undo");
+    moveHistorySnapshot(undoStack, redoStack);
+}
+
+/**
+ * Restores the content and the selection as they were before the last undo.
+ */
+function redo() {
+    assertEditorIsEditable("redo");
+    moveHistorySnapshot(redoStack, undoStack);
+}
+
+// MARK: - Record history
+
+/**
+ * Saves the current content and selection as a new undo step.
+ * Must be called before changing the DOM, every command of the editor calls it.
+ * Throws an error when the editor is read-only, so that the command doesn't change the content.
+ */
+function recordHistoryStep() {
+    assertEditorIsEditable();
+    lastHistoryInput = null;
+
+    const snapshot = createHistorySnapshot();
+    const lastSnapshot = undoStack[undoStack.length - 1];
+    if (lastSnapshot === undefined || lastSnapshot.html !== snapshot.html) {
+        undoStack.push(snapshot);
+        if (undoStack.length > HISTORY_MAX_LENGTH) {
+            undoStack.shift();
+        }
+    }
+    redoStack = [];
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Clears the history, the current content becomes the initial state of the editor.
+ */
+function resetHistory() {
+    undoStack = [];
+    redoStack = [];
+    lastHistoryInput = null;
+    lastHistoryInputCaret = null;
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function getHistoryState() {
+    return {
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0
+    };
+}
+
+// MARK: - Handle user input
+
+function handleHistoryBeforeInput(event) {
+    switch (event.inputType) {
+        case "historyUndo":
+            event.preventDefault();
+            undo();
+            return;
+        case "historyRedo":
+            event.preventDefault();
+            redo();
+            return;
+    }
+
+    const input = {
+        group: getHistoryInputGroup(event.inputType),
+        data: event.data,
+        time: Date.now()
+    };
+    if (shouldStartNewHistoryStep(input)) {
+        recordHistoryStep();
+    }
+    lastHistoryInput = input;
+}
+
+function handleHistoryInput() {
+    const range = getRange();
+    lastHistoryInputCaret = (range === null) ? null : { node: range.endContainer, offset: range.endOffset };
+}
+
+// MARK: - Utils
+
+function shouldStartNewHistoryStep(input) {
+    if (lastHistoryInput === null || input.group === HistoryInputGroup.other || input.group !== lastHistoryInput.group) {
+        return true;
+    }
+    if (input.time - lastHistoryInput.time > HISTORY_TYPING_DELAY || hasCaretMovedSinceLastInput()) {
+        return true;
+    }
+
+    // A new word starts a new step
+    const isWhitespace = (data) => data != null && /^\s+$/.test(data);
+    return isWhitespace(lastHistoryInput.data) && !isWhitespace(input.data);
+}
+
+function hasCaretMovedSinceLastInput() {
+    const range = getRange();
+    if (range === null || lastHistoryInputCaret === null) {
+        return true;
+    }
+    return range.endContainer !== lastHistoryInputCaret.node || range.endOffset !== lastHistoryInputCaret.offset;
+}
+
+function getHistoryInputGroup(inputType) {
+    switch (inputType) {
+        case "insertText":
+        case "insertCompositionText":
+            return HistoryInputGroup.insert;
+        case "deleteContentBackward":
+        case "deleteContentForward":
+        case "deleteWordBackward":
+        case "deleteWordForward":
+            return HistoryInputGroup.delete;
+        default:
+            return HistoryInputGroup.other;
+    }
+}
+
+function moveHistorySnapshot(sourceStack, destinationStack) {
+    const currentSnapshot = createHistorySnapshot();
+
+    // Skip the steps that did not change the content
+    let snapshot = sourceStack.pop();
+    while (snapshot !== undefined && snapshot.html === currentSnapshot.html) {
+        snapshot = sourceStack.pop();
+    }
+
+    if (snapshot !== undefined) {
+        destinationStack.push(currentSnapshot);
+        restoreHistorySnapshot(snapshot);
+    }
+
+    lastHistoryInput = null;
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function createHistorySnapshot() {
+    return {
+        html: getEditor().innerHTML,
+        selection: serializeSelection()
+    };
+}
+
+function restoreHistorySnapshot(snapshot) {
+    getEditor().innerHTML = snapshot.html;
+    replaceFinishedAttachmentPlaceholders(getEditor());
+    if (snapshot.selection !== null) {
+        restoreSerializedSelection(snapshot.selection);
+    }
+}
@@ -0,0 +1,262 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Minimum width of an image resized by the user, in pixels */
+const IMAGE_MIN_WIDTH = 16;
+
+/** The image currently selected by the user */
+let selectedImage = null;
+/** The overlay displaying the resize handles around the selected image */
+let imageResizeOverlay = null;
+/** Information about the resize gesture in progress */
+let imageResizeGesture = null;
+
+const ImageResizeCorner = {
+    topLeft: "top-left",
+    topRight: "top-right",
+    bottomLeft: "bottom-left",
+    bottomRight: "bottom-right"
+};
+
+// MARK: - Insert and edit images
+
+/**
+ * Inserts an image at the insertion point, replacing the current selection.
+ * The source must use one of the image URL schemes allowed by the sanitizer, such as `data:` or `cid:`.
+ *
+ * @param {string} source - The source of the image
+ * @param {string|null} alternativeText - An optional alternative text for the image
+ * @param {number|null} width - An optional width for the image, in pixels
+ */
+function insertImage(source, alternativeText, width) {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer)) {
+        return;
+    }
+
+    const sanitizedSource = sanitizeURL(source, SanitizerOrigin.image);
+    if (sanitizedSource === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const image = document.createElement("img");
+    image.src = sanitizedSource;
+    if (alternativeText != null) {
+        image.alt = alternativeText;
+    }
+    if (width != null) {
+        image.setAttribute("width", width);
+    }
+
+    range.deleteContents();
+    range.insertNode(image);
+    range.setStartAfter(image);
+    range.collapse(true);
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+/**
+ * Sets the alternative text of the selected image.
+ *
+ * @param {string} alternativeText - The new alternative text
+ */
+function setImageAlternativeText(alternativeText) {
+    if (selectedImage === null) {
+        return;
+    }
+
+    recordHistoryStep();
+    selectedImage.alt = alternativeText;
+    reportSelectedImageDidChange(getImageInformation(selectedImage));
+}
+
+/**
+ * Sets the width of the selected image, its height is computed to keep its aspect ratio.
+ *
+ * @param {number} width - The new width of the image, in pixels
+ */
+function setImageWidth(width) {
+    if (selectedImage === null) {
+        return;
+    }
+
+    recordHistoryStep();
+    resizeImage(selectedImage, width, getImageAspectRatio(selectedImage));
+    updateImageResizeOverlayPosition();
+    reportSelectedImageDidChange(getImageInformation(selectedImage));
+}
+
+// MARK: - Select images
+
+function handleImageClick(event) {
+    const target = event.target;
+    if (target instanceof HTMLImageElement && getEditor().contains(target) && !isEditorReadOnly) {
+        selectImage(target);
+    } else if (imageResizeOverlay === null || !imageResizeOverlay.contains(target)) {
+        deselectImage();
+    }
+}
+
+function handleImageSelectionChange() {
+    if (selectedImage !== null && imageResizeGesture === null && !isImageSelected(selectedImage)) {
+        deselectImage();
+    }
+}
+
+function selectImage(image) {
+    const range = document.createRange();
+    range.selectNode(image);
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    selectedImage = image;
+    showImageResizeOverlay();
+    reportSelectedImageDidChange(getImageInformation(image));
+}
+
+function deselectImage() {
+    if (selectedImage === null) {
+        return;
+    }
+
+    selectedImage = null;
+    imageResizeOverlay?.remove();
+    imageResizeOverlay = null;
+    reportSelectedImageDidChange(null);
+}
+
+function isImageSelected(image) {
+    const range = getRange();
+    if (range === null || !getEditor().contains(image)) {
+        return false;
+    }
+
+    const imageIndex = Array.prototype.indexOf.call(image.parentNode.childNodes, image);
+    return (
+        range.startContainer === image.parentNode && range.startOffset === imageIndex &&
+        range.endContainer === image.parentNode && range.endOffset === imageIndex + 1
+    );
+}
+
+// MARK: - Resize images
+
+function showImageResizeOverlay() {
+    if (imageResizeOverlay === null) {
+        // The overlay lives outside of the editor so it is never part of the content
+        imageResizeOverlay = document.createElement("div");
+        imageResizeOverlay.id = "swift-rich-html-editor-image-overlay";
+
+        for (const corner of Object.values(ImageResizeCorner)) {
+            const handle = document.createElement("div");
+            handle.className = `image-resize-handle ${corner}`;
+            handle.dataset.corner = corner;
+            handle.addEventListener("pointerdown", startImageResize);
+            handle.addEventListener("pointermove", updateImageResize);
+            handle.addEventListener("pointerup", endImageResize);
+            handle.addEventListener("pointercancel", endImageResize);
+            imageResizeOverlay.appendChild(handle);
+        }
+
+        document.body.appendChild(imageResizeOverlay);
+    }
+
+    updateImageResizeOverlayPosition();
+}
+
+function updateImageResizeOverlayPosition() {
+    if (imageResizeOverlay === null || selectedImage === null) {
+        return;
+    }
+
+    const rect = selectedImage.getBoundingClientRect();
+    imageResizeOverlay.style.left = `${rect.left + window.scrollX}px`;
+    imageResizeOverlay.style.top = `${rect.top + window.scrollY}px`;
+    imageResizeOverlay.style.width = `${rect.width}px`;
+    imageResizeOverlay.style.height = `${rect.height}px`;
+}
+
+function startImageResize(event) {
+    if (selectedImage === null) {
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    event.target.setPointerCapture(event.pointerId);
+
+    recordHistoryStep();
+    imageResizeGesture = {
+        corner: event.target.dataset.corner,
+        startX: event.clientX,
+        startWidth: selectedImage.getBoundingClientRect().width,
+        aspectRatio: getImageAspectRatio(selectedImage)
+    };
+}
+
+function updateImageResize(event) {
+    if (imageResizeGesture === null) {
+        return;
+    }
+
+    event.preventDefault();
+
+    // Dragging a left handle to the left makes the image bigger
+    const corner = imageResizeGesture.corner;
+    const direction = (corner === ImageResizeCorner.topLeft || corner === ImageResizeCorner.bottomLeft) ? -1 : 1;
+    const width = imageResizeGesture.startWidth + (event.clientX - imageResizeGesture.startX) * direction;
+
+    resizeImage(selectedImage, width, imageResizeGesture.aspectRatio);
+    updateImageResizeOverlayPosition();
+}
+
+function endImageResize(event) {
+    if (imageResizeGesture === null) {
+        return;
+    }
+
+    event.target.releasePointerCapture(event.pointerId);
+    imageResizeGesture = null;
+    reportSelectedImageDidChange(getImageInformation(selectedImage));
+}
+
+function resizeImage(image, width, aspectRatio) {
+    const maxWidth = getEditor().clientWidth || width;
+    const newWidth = Math.round(Math.min(Math.max(width, IMAGE_MIN_WIDTH), maxWidth));
+
+    // Both attributes are set so email clients which ignore CSS keep the aspect ratio
+    image.setAttribute("width", newWidth);
+    image.setAttribute("height", Math.round(newWidth / aspectRatio));
+}
+
+// MARK: - Utils
+
+function getImageAspectRatio(image) {
+    if (image.naturalWidth > 0 && image.naturalHeight > 0) {
+        return image.naturalWidth / image.naturalHeight;
+    }
+
+    const rect = image.getBoundingClientRect();
+    return (rect.width > 0 && rect.height > 0) ? rect.width / rect.height : 1;
+}
+
+function getImageInformation(image) {
+    const rect = image.getBoundingClientRect();
+    return {
+        source: getImageSource(image),
+        alternativeText: image.alt,
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height,
+        naturalWidth: image.naturalWidth,
+        naturalHeight: image.naturalHeight
+    };
+}
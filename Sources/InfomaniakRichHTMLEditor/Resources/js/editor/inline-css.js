@@ -0,0 +1,259 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Marks the style elements added by `injectCSS()`, only their rules are written in the exported HTML */
+const INJECTED_CSS_ATTRIBUTE = "data-injected-css";
+/** The inherited properties, the ones set on the page or the editor are written on the top level elements */
+const INLINE_CSS_INHERITED_PROPERTIES = [
+    "color", "direction", "font", "hyphens", "letter-spacing", "line-height", "list-style", "tab-size", "text-align",
+    "text-indent", "text-transform", "white-space", "word-spacing"
+];
+
+// MARK: - Export with inline CSS
+
+/**
+ * Returns the HTML content of the editor with the rules of the CSS added by `injectCSS()` written in the
+ * `style` attribute of the elements they apply to, so the email clients display the content like the editor.
+ * The rules follow the cascade: the inline styles of the content override the rules, unless they are important.
+ * The inherited properties of the rules applied to the page or to the editor itself, like its font, are written
+ * on the top level elements. The rules of pseudo-elements can't be inlined and are ignored.
+ *
+ * @param {Object|null} options - Optional settings of the export
+ * @param {boolean} options.keepsClassAttributes - Whether the `class` attributes are kept, they are removed if false
+ * @returns {string} - The HTML content of the editor with inline styles
+ */
+function getContentWithInlineCSS(options) {
+    const editor = getEditor();
+    const copy = editor.cloneNode(true);
+
+    // The selectors are matched against the displayed content, the copy has the same elements in the same order
+    const elements = [...editor.querySelectorAll("*")];
+    const copiedElements = [...copy.querySelectorAll("*")];
+    const declarationsOfElements = new Map();
+    const ancestors = getInlineCSSAncestors(editor);
+    const declarationsOfAncestors = ancestors.map(() => new Map());
+
+    let order = 0;
+    for (const rule of getInjectedStyleRules()) {
+        order += 1;
+        const selectors = splitSelectorList(rule.selectorText);
+        for (const [index, element] of elements.entries()) {
+            const specificity = getMatchingSpecificity(element, selectors);
+            if (specificity === null) {
+                continue;
+            }
+
+            const copiedElement = copiedElements[index];
+            if (!declarationsOfElements.has(copiedElement)) {
+                declarationsOfElements.set(copiedElement, new Map());
+            }
+            addCascadedDeclarations(declarationsOfElements.get(copiedElement), rule.style, specificity, order);
+        }
+        for (const [index, ancestor] of ancestors.entries()) {
+            const specificity = getMatchingSpecificity(ancestor, selectors);
+            if (specificity !== null) {
+                addCascadedDeclarations(declarationsOfAncestors[index], rule.style, specificity, order);
+            }
+        }
+    }
+
+    for (const [element, declarations] of declarationsOfElements) {
+        writeInlineDeclarations(element, declarations);
+    }
+    writeInheritedDeclarations(copy, getInheritedDeclarations(declarationsOfAncestors));
+
+    if (options?.keepsClassAttributes !== true) {
+        for (const element of copy.querySelectorAll("[class]")) {
+            element.removeAttribute("class");
+        }
+    }
+
+    return getContentHTML(copy);
+}
+
+// MARK: - Rules
+
+function getInjectedStyleRules() {
+    const rules = [];
+    for (const styleElement of document.querySelectorAll(`style[${INJECTED_CSS_ATTRIBUTE}]`)) {
+        if (styleElement.sheet !== null) {
+            appendStyleRules(styleElement.sheet.cssRules, rules);
+        }
+    }
+    return rules;
+}
+
+function appendStyleRules(cssRules, rules) {
+    for (const rule of cssRules) {
+        if (rule instanceof CSSStyleRule) {
+            rules.push(rule);
+        } else if (rule instanceof CSSMediaRule && window.matchMedia(rule.media.mediaText).matches) {
+            appendStyleRules(rule.cssRules, rules);
+        }
+    }
+}
+
+// MARK: - Cascade
+
+function addCascadedDeclarations(declarations, style, specificity, order) {
+    for (const property of Array.from(style)) {
+        const declaration = {
+            value: style.getPropertyValue(property),
+            isImportant: style.getPropertyPriority(property) === "important",
+            specificity,
+            order
+        };
+
+        const currentDeclaration = declarations.get(property);
+        if (currentDeclaration === undefined || compareDeclarations(declaration, currentDeclaration) >= 0) {
+            declarations.set(property, declaration);
+        }
+    }
+}
+
+function compareDeclarations(lhs, rhs) {
+    if (lhs.isImportant !== rhs.isImportant) {
+        return lhs.isImportant ? 1 : -1;
+    }
+    return compareSpecificities(lhs.specificity, rhs.specificity) || lhs.order - rhs.order;
+}
+
+function compareSpecificities(lhs, rhs) {
+    for (let index = 0; index < lhs.length; index++) {
+        if (lhs[index] !== rhs[index]) {
+            return lhs[index] - rhs[index];
+        }
+    }
+    return 0;
+}
+
+function writeInlineDeclarations(element, declarations) {
+    // The inline style of the content is more specific than any rule, except the important ones
+    const inlineStyle = element.style;
+    const inlineProperties = Array.from(inlineStyle);
+    for (const [property, declaration] of declarations) {
+        const isOverridden = inlineProperties.includes(property) &&
+            (!declaration.isImportant || inlineStyle.getPropertyPriority(property) === "important");
+        if (!isOverridden) {
+            inlineStyle.setProperty(property, declaration.value);
+        }
+    }
+}
+
+// MARK: - Inheritance
+
+function getInlineCSSAncestors(editor) {
+    // From the root of the page to the editor, the closest ancestor wins
+    const ancestors = [];
+    for (let element = editor; element !== null; element = element.parentElement) {
+        ancestors.unshift(element);
+    }
+    return ancestors;
+}
+
+function getInheritedDeclarations(declarationsOfAncestors) {
+    const inheritedDeclarations = new Map();
+    for (const declarations of declarationsOfAncestors) {
+        for (const [property, declaration] of declarations) {
+            if (isInheritedProperty(property)) {
+                inheritedDeclarations.set(property, declaration.value);
+            }
+        }
+    }
+    return inheritedDeclarations;
+}
+
+function writeInheritedDeclarations(root, declarations) {
+    if (declarations.size === 0) {
+        return;
+    }
+
+    for (const child of [...root.childNodes]) {
+        let element = child;
+        if (child.nodeType === Node.TEXT_NODE && child.data.trim() !== "") {
+            // The text directly in the editor has no element to style
+            element = document.createElement("span");
+            child.replaceWith(element);
+            element.appendChild(child);
+        } else if (child.nodeType !== Node.ELEMENT_NODE || child.localName === "br") {
+            continue;
+        }
+
+        // An inherited value never overrides the style of the element itself
+        for (const [property, value] of declarations) {
+            if (element.style.getPropertyValue(property) === "") {
+                element.style.setProperty(property, value);
+            }
+        }
+    }
+}
+
+function isInheritedProperty(property) {
+    return INLINE_CSS_INHERITED_PROPERTIES.some(inheritedProperty => (
+        property === inheritedProperty || property.startsWith(`${inheritedProperty}-`)
+    ));
+}
+
+// MARK: - Selectors
+
+function splitSelectorList(selectorText) {
+    // The commas of functional pseudo-classes like `:is(a, b)` don't separate selectors
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < selectorText.length; index++) {
+        const character = selectorText[index];
+        if (character === "(" || character === "[") {
+            depth += 1;
+        } else if (character === ")" || character === "]") {
+            depth -= 1;
+        } else if (character === "," && depth === 0) {
+            selectors.push(selectorText.slice(start, index).trim());
+            start = index + 1;
+        }
+    }
+    selectors.push(selectorText.slice(start).trim());
+    return selectors;
+}
+
+function getMatchingSpecificity(element, selectors) {
+    let highestSpecificity = null;
+    for (const selector of selectors) {
+        let isMatching = false;
+        try {
+            isMatching = element.matches(selector);
+        } catch {
+            // Pseudo-elements can't be matched, their declarations don't apply to the element
+            continue;
+        }
+
+        const specificity = isMatching ? computeSpecificity(selector) : null;
+        if (specificity !== null &&
+            (highestSpecificity === null || compareSpecificities(specificity, highestSpecificity) > 0)) {
+            highestSpecificity = specificity;
+        }
+    }
+    return highestSpecificity;
+}
+
+/**
+ * Computes the specificity of a selector, counting the arguments of the functional pseudo-classes
+ * like simple selectors, which is close enough for the rules of an editor theme.
+ *
+ * @param {string} selector - A selector without commas at its top level
+ * @returns {Array<number>} - The number of IDs, of classes, attributes and pseudo-classes, and of types
+ */
+function computeSpecificity(selector) {
+    const simplifiedSelector = selector
+        .replace(/\[[^\]]*\]/g, ".attribute")
+        .replace(/:where\([^)]*\)/g, "")
+        .replace(/::?(before|after|first-line|first-letter|marker|placeholder|selection)\b/g, " pseudo")
+        .replace(/:(not|is|has)\(/g, " ")
+        .replace(/[()]/g, " ");
+
+    const ids = (simplifiedSelector.match(/#[\w-]+/g) ?? []).length;
+    const classes = (simplifiedSelector.match(/\.[\w-]+|:[\w-]+/g) ?? []).length;
+    const types = (simplifiedSelector.match(/(^|[\s>+~])[a-zA-Z][\w-]*/g) ?? []).length;
+    return [ids, classes, types];
+}
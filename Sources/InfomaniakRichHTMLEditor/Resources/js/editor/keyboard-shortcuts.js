@@ -0,0 +1,149 @@
+"use strict";
+
+// MARK: - Variables
+
+/** The modifier keys of a key combination, in the order used to identify the combinations */
+const KeyboardShortcutModifier = {
+    control: "control",
+    option: "option",
+    shift: "shift",
+    command: "command"
+};
+
+/** Commands that don't run an editor command */
+const KeyboardShortcutCommand = {
+    /** The combination is reported to the host instead of being handled by WebKit */
+    forward: "forward",
+    /** The combination is left to WebKit, to disable a default shortcut */
+    native: "native"
+};
+
+/** The editor commands a shortcut can run, they return false when they don't apply to the current selection */
+const keyboardShortcutCommands = {
+    execCommand: (command, argument) => execCommand(command, argument ?? null),
+    createLink: url => createLinkFromShortcut(url),
+    setHeading: level => execCommand("formatBlock", parseInt(level) > 0 ? `h${parseInt(level)}` : "div"),
+    unlink: () => unlink()
+};
+
+/** The shortcuts available before the host registers its own */
+const defaultKeyboardShortcuts = [
+    createKeyboardShortcut("b", ["command"], "execCommand", "bold"),
+    createKeyboardShortcut("i", ["command"], "execCommand", "italic"),
+    createKeyboardShortcut("u", ["command"], "execCommand", "underline"),
+    createKeyboardShortcut("x", ["shift", "command"], "execCommand", "strikeThrough"),
+    createKeyboardShortcut("7", ["shift", "command"], "execCommand", "insertOrderedList"),
+    createKeyboardShortcut("8", ["shift", "command"], "execCommand", "insertUnorderedList"),
+    createKeyboardShortcut("k", ["command"], "createLink"),
+    createKeyboardShortcut("k", ["shift", "command"], "unlink"),
+    // Option+Command+0 turns a heading back into a paragraph
+    ...["0", "1", "2", "3", "4", "5", "6"].map(level => (
+        createKeyboardShortcut(level, ["option", "command"], "setHeading", level)
+    ))
+];
+
+/** The registered shortcuts by key combination, the shortcuts of the host override the default ones */
+let keyboardShortcuts = createKeyboardShortcutRegistry([]);
+
+// MARK: - Configuration
+
+/**
+ * Registers the keyboard shortcuts of the host, they are added to the default shortcuts and override them.
+ * Replaces the shortcuts registered by a previous call.
+ *
+ * @param {Array<Object>} shortcuts - The shortcuts of the host
+ * @param {Object} shortcuts[].keys - The key combination, with its `key` and the list of its `modifiers`
+ * @param {Object} shortcuts[].action - The `command` of `keyboardShortcutCommands` or `KeyboardShortcutCommand` to run,
+ * with its list of `arguments`
+ */
+function setKeyboardShortcuts(shortcuts) {
+    keyboardShortcuts = createKeyboardShortcutRegistry(shortcuts);
+}
+
+function createKeyboardShortcutRegistry(shortcuts) {
+    const registry = new Map();
+    for (const shortcut of [...defaultKeyboardShortcuts, ...shortcuts]) {
+        registry.set(getKeyCombinationIdentifier(shortcut.keys.key, shortcut.keys.modifiers), shortcut);
+    }
+    return registry;
+}
+
+function createKeyboardShortcut(key, modifiers, command, ...commandArguments) {
+    return { keys: { key: key, modifiers: modifiers }, action: { command: command, arguments: commandArguments } };
+}
+
+// MARK: - Handle shortcuts
+
+function handleKeyboardShortcutKeyDown(event) {
+    if (event.isComposing || isEditorReadOnly) {
+        return;
+    }
+
+    // The combinations without a shortcut are left to WebKit, like copy or paste, only the forwarded ones are reported
+    const keys = getKeyCombinationOfEvent(event);
+    const action = keyboardShortcuts.get(getKeyCombinationIdentifier(keys.key, keys.modifiers))?.action;
+    if (action === undefined || action.command === KeyboardShortcutCommand.native) {
+        return;
+    }
+
+    if (action.command === KeyboardShortcutCommand.forward) {
+        event.preventDefault();
+        reportKeyboardShortcutDidPress(keys);
+        return;
+    }
+
+    const runCommand = keyboardShortcutCommands[action.command];
+    if (runCommand !== undefined && runCommand(...(action.arguments ?? [])) !== false) {
+        event.preventDefault();
+        return;
+    }
+
+    // A shortcut that doesn't apply to the selection is reported, for example to ask for the URL of a link
+    reportKeyboardShortcutDidPress(keys);
+}
+
+function createLinkFromShortcut(url) {
+    if (url != null) {
+        createLink(url, null);
+        return;
+    }
+
+    // Without a URL, the selected text becomes a link if it is a link, the host can ask the user otherwise
+    const selectedText = document.getSelection().toString().trim();
+    const link = (selectedText === "") ? null : detectAutoLink(selectedText);
+    if (link === null || link.start !== 0 || link.end !== selectedText.length) {
+        return false;
+    }
+    createLink(link.url, null);
+}
+
+// MARK: - Key combinations
+
+function getKeyCombinationOfEvent(event) {
+    // The code of the key doesn't depend on the modifiers, Shift+7 is not "&"
+    let key = event.key.toLowerCase();
+    const codeMatch = event.code?.match(/^(?:Key|Digit)(\w)$/);
+    if (codeMatch) {
+        key = codeMatch[1].toLowerCase();
+    }
+
+    const modifiers = [];
+    if (event.ctrlKey) {
+        modifiers.push(KeyboardShortcutModifier.control);
+    }
+    if (event.altKey) {
+        modifiers.push(KeyboardShortcutModifier.option);
+    }
+    if (event.shiftKey) {
+        modifiers.push(KeyboardShortcutModifier.shift);
+    }
+    if (event.metaKey) {
+        modifiers.push(KeyboardShortcutModifier.command);
+    }
+    return { key: key, modifiers: modifiers };
+}
+
+function getKeyCombinationIdentifier(key, modifiers) {
+    const sortedModifiers = Object.values(KeyboardShortcutModifier).filter(modifier => modifiers.includes(modifier));
+    return [...sortedModifiers, key.toLowerCase()].join("+");
+}
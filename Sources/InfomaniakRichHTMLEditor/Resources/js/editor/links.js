@@ -1,3 +1,25 @@
+// MARK: - Variables
+
+/** Describes what happens when the user taps a link */
+const LinkTapBehavior = {
+    edit: "edit",
+    open: "open"
+};
+
+/** What happens when the user taps a link, can be overridden by the host */
+let linkTapBehavior = LinkTapBehavior.edit;
+
+// MARK: - Configuration
+
+/**
+ * Sets what happens when the user taps a link. The tap is reported to the WKWebView with both behaviors.
+ *
+ * @param {string} behavior - `edit` to move the insertion point in the link, `open` to open it, one of `LinkTapBehavior`
+ */
+function setLinkTapBehavior(behavior) {
+    linkTapBehavior = behavior;
+}
+
 // MARK: - Detect links
 
 function hasLink() {
@@ -14,6 +36,16 @@ function getAllAnchorsOfSelection() {
     return anchorElements.filter(element => doesElementInteractWithRange(element, range));
 }
 
+/**
+ * Describes the link at the insertion point or the first link of the current selection.
+ *
+ * @returns {Object|null} - The destination, the text and the frame of the link, or null if there is no link
+ */
+function getLinkAtSelection() {
+    const anchor = getFirstAnchorOfSelection();
+    return (anchor === null) ? null : getLinkInformation(anchor);
+}
+
 function getFirstAnchorOfSelection() {
     const anchors = getAllAnchorsOfSelection();
     if (anchors.length <= 0) {
@@ -22,21 +54,61 @@ function getFirstAnchorOfSelection() {
     return anchors[0];
 }
 
+// MARK: - Tap links
+
+function handleLinkClick(event) {
+    const anchor = event.target.closest?.("a[href]");
+    if (anchor == null || !getEditor().contains(anchor)) {
+        return;
+    }
+
+    // There is nothing to edit in read-only mode, the links are always opened
+    reportLinkDidTap(getLinkInformation(anchor));
+    if (linkTapBehavior === LinkTapBehavior.open || isEditorReadOnly) {
+        event.preventDefault();
+        openLink(anchor.getAttribute("href"));
+    }
+}
+
+function openLink(url) {
+    // Links can't be followed in an editable content, a copy outside of the editor is activated instead
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.style.display = "none";
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+}
+
 // MARK: - Create and edit links
 
+/**
+ * Creates a link for the current selection or at the insertion point.
+ * If the insertion point is in a link, the link is updated instead.
+ *
+ * @param {string} url - The destination of the link
+ * @param {string|null} text - The text of the link, the current text is kept if missing
+ */
 function createLink(url, text) {
     const range = getRange();
     if (range === null) {
         return;
     }
 
-    const trimmedText = text.trim();
+    const sanitizedURL = sanitizeURL(url, SanitizerOrigin.link);
+    if (sanitizedURL === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const trimmedText = text?.trim() ?? "";
     const formattedText = trimmedText === "" ? null : trimmedText;
 
     if (range.collapsed) {
-        createLinkForCaret(url, formattedText, range);
+        createLinkForCaret(sanitizedURL, formattedText, range);
     } else {
-        createLinkForRange(url, formattedText);
+        createLinkForRange(sanitizedURL, formattedText);
     }
 }
 
@@ -55,6 +127,13 @@ function createLinkForCaret(url, text, range) {
     setCaretAtEndOfAnchor(anchor);
 }
 
+function createLinkForTextRange(range, url) {
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    range.surroundContents(anchor);
+    return anchor;
+}
+
 function createLinkForRange(url, text) {
     document.execCommand("createLink", false, url);
     
@@ -67,6 +146,8 @@ function createLinkForRange(url, text) {
 // MARK: - Remove link
 
 function unlink() {
+    recordHistoryStep();
+
     const anchorNodes = getAllAnchorsOfSelection();
     anchorNodes.forEach(unlinkAnchorNode);
 }
@@ -95,6 +176,18 @@ function getSelectedText() {
     return range.toString();
 }
 
+function getLinkInformation(anchor) {
+    const rect = anchor.getBoundingClientRect();
+    return {
+        url: anchor.getAttribute("href"),
+        text: anchor.textContent,
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
 function updateAnchorText(anchor, text) {
     if (text !== null && anchor.textContent !== text) {
         anchor.textContent = text;
@@ -0,0 +1,317 @@
+"use strict";
+
+// MARK: - Variables
+
+/** The markers of the lists, the first ones number the items */
+const ListStyleType = {
+    decimal: "decimal",
+    lowerAlpha: "lower-alpha",
+    upperAlpha: "upper-alpha",
+    lowerRoman: "lower-roman",
+    upperRoman: "upper-roman",
+    disc: "disc",
+    circle: "circle",
+    square: "square"
+};
+const ORDERED_LIST_STYLE_TYPES = [
+    ListStyleType.decimal, ListStyleType.lowerAlpha, ListStyleType.upperAlpha, ListStyleType.lowerRoman,
+    ListStyleType.upperRoman
+];
+
+// MARK: - List style
+
+/**
+ * Sets the markers of the lists containing the selection, or creates a list with these markers.
+ * A numbered style turns a bulleted list or a checklist into a numbered list, and a bullet style does the opposite.
+ * The style is set inline so that the email clients display the same markers.
+ *
+ * @param {string} type - The new markers, one of `ListStyleType`
+ */
+function setListStyleType(type) {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer) || isInCodeBlock(range.startContainer)) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const tagName = ORDERED_LIST_STYLE_TYPES.includes(type) ? "ol" : "ul";
+    let lists = getListsOfRange(range);
+    if (lists.length === 0) {
+        document.execCommand(tagName === "ol" ? "insertOrderedList" : "insertUnorderedList");
+        lists = getListsOfRange(getRange());
+    }
+
+    const selectionBoundaries = saveListSelectionBoundaries();
+    for (const list of lists) {
+        const styledList = (list.localName === tagName) ? list : replaceListTag(list, tagName);
+        styledList.removeAttribute("data-checklist");
+        for (const item of styledList.children) {
+            item.removeAttribute("data-checked");
+        }
+        styledList.style.listStyleType = type;
+    }
+    restoreListSelectionBoundaries(selectionBoundaries);
+
+    normalizeChecklists();
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function replaceListTag(list, tagName) {
+    const newList = document.createElement(tagName);
+    for (const attribute of list.attributes) {
+        // Only the numbered lists have a start number
+        if (tagName === "ol" || attribute.name !== "start") {
+            newList.setAttribute(attribute.name, attribute.value);
+        }
+    }
+    newList.append(...list.childNodes);
+    list.replaceWith(newList);
+    return newList;
+}
+
+// MARK: - Numbering
+
+/**
+ * Sets the number of the first item of the numbered list containing the insertion point.
+ *
+ * @param {number} start - The number of the first item, counted from 1 whatever the style of the list
+ */
+function setListStart(start) {
+    const list = getNumberedListOfSelection();
+    if (list === null) {
+        return;
+    }
+
+    recordHistoryStep();
+    setNumberedListStart(list, start);
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Numbers the list containing the insertion point after the previous numbered list of the same level,
+ * for example when a paragraph separates the items of a numbered list.
+ */
+function continueListNumbering() {
+    const list = getNumberedListOfSelection();
+    const previousList = (list === null) ? null : getPreviousNumberedList(list);
+    if (previousList === null) {
+        return;
+    }
+
+    recordHistoryStep();
+    const previousItemCount = [...previousList.children].filter(child => child.localName === "li").length;
+    setNumberedListStart(list, getNumberedListStart(previousList) + previousItemCount);
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function setNumberedListStart(list, start) {
+    if (start === 1) {
+        list.removeAttribute("start");
+    } else {
+        list.setAttribute("start", `${start}`);
+    }
+}
+
+function getNumberedListStart(list) {
+    const start = parseInt(list.getAttribute("start"));
+    return isNaN(start) ? 1 : start;
+}
+
+function getPreviousNumberedList(list) {
+    // The lists of the same level are siblings, only other lists are skipped between them
+    let sibling = list.previousElementSibling;
+    while (sibling !== null) {
+        if (sibling.localName === "ol") {
+            return sibling;
+        }
+        sibling = sibling.previousElementSibling;
+    }
+    return null;
+}
+
+// MARK: - Nesting
+
+/**
+ * Nests the selected list items in their previous item, in a list of the same kind.
+ * The first item of a list can't be nested.
+ */
+function indentListItems() {
+    const items = getSelectedListItems();
+    const previousItem = items[0]?.previousElementSibling;
+    if (previousItem == null || previousItem.localName !== "li") {
+        return;
+    }
+
+    const selectionBoundaries = saveListSelectionBoundaries();
+    const list = items[0].parentElement;
+    let sublist = previousItem.lastElementChild;
+    if (sublist === null || sublist.localName !== list.localName) {
+        sublist = document.createElement(list.localName);
+        previousItem.appendChild(sublist);
+    }
+    for (const item of items) {
+        sublist.appendChild(item);
+        // The nested items of the item follow it, at the same level
+        const nestedList = item.lastElementChild;
+        if (nestedList !== null && nestedList.localName === list.localName) {
+            item.after(...nestedList.children);
+            nestedList.remove();
+        }
+    }
+
+    restoreListSelectionBoundaries(selectionBoundaries);
+    normalizeChecklists();
+}
+
+/**
+ * Moves the selected nested list items up one level, after their parent item.
+ */
+function outdentListItems() {
+    const items = getSelectedListItems();
+    if (items.length === 0) {
+        return;
+    }
+
+    const selectionBoundaries = saveListSelectionBoundaries();
+    const list = items[0].parentElement;
+    const parentItem = list.parentElement;
+
+    // The items following the last outdented one stay nested, in the last outdented item
+    const lastItem = items[items.length - 1];
+    const followingItems = [];
+    for (let sibling = lastItem.nextElementSibling; sibling !== null; sibling = sibling.nextElementSibling) {
+        followingItems.push(sibling);
+    }
+    if (followingItems.length > 0) {
+        const sublist = list.cloneNode(false);
+        sublist.removeAttribute("start");
+        sublist.append(...followingItems);
+        lastItem.appendChild(sublist);
+    }
+
+    parentItem.after(...items);
+    if (list.children.length === 0) {
+        list.remove();
+    }
+
+    restoreListSelectionBoundaries(selectionBoundaries);
+    normalizeChecklists();
+}
+
+function handleListKeyDown(event) {
+    if (event.key !== "Tab" || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+        return;
+    }
+
+    // Tab never moves the focus out of a list, Shift+Tab in a top level list turns the items into paragraphs
+    if (isSelectionInList()) {
+        event.preventDefault();
+        execCommand(event.shiftKey ? "outdent" : "indent");
+    }
+}
+
+// MARK: - List state
+
+/**
+ * Describes the list containing the selection, for the text attributes.
+ *
+ * @returns {Object} - The style of the markers of the list, and its nesting depth starting at 1 for a top level list
+ */
+function getListState() {
+    const range = getRange();
+    const list = (range === null) ? null : getClosestList(range.startContainer);
+    if (list === null) {
+        return { listStyleType: null, listDepth: 0 };
+    }
+
+    let depth = 0;
+    for (let ancestor = list; ancestor !== null; ancestor = getClosestList(ancestor.parentNode)) {
+        depth += 1;
+    }
+    const styleType = list.style.listStyleType || window.getComputedStyle(list).listStyleType;
+    return {
+        listStyleType: (isChecklist(list) || !Object.values(ListStyleType).includes(styleType)) ? null : styleType,
+        listDepth: depth
+    };
+}
+
+// MARK: - Utils
+
+function isSelectionInList() {
+    return getSelectedListItems().length > 0;
+}
+
+function isSelectionInNestedList() {
+    const items = getSelectedListItems();
+    return items.length > 0 && items[0].parentElement.parentElement.localName === "li";
+}
+
+function getListsOfRange(range) {
+    const lists = new Set();
+    for (const item of getListItemsOfRange(range)) {
+        lists.add(item.parentElement);
+    }
+    return [...lists];
+}
+
+function getSelectedListItems() {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer) || isInCodeBlock(range.startContainer)) {
+        return [];
+    }
+
+    // Only the items of the list where the selection starts, their own nested items move with them
+    const items = getListItemsOfRange(range);
+    const list = items[0]?.parentElement;
+    return items.filter(item => item.parentElement === list);
+}
+
+function getListItemsOfRange(range) {
+    const startItem = getClosestListItem(range.startContainer);
+    const root = (range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE) ?
+        range.commonAncestorContainer : range.commonAncestorContainer.parentElement;
+    // The items containing the item where the selection starts are not selected, only their nested list is
+    const items = [...root.querySelectorAll("li")].filter(item => (
+        range.intersectsNode(item) && (startItem === null || item === startItem || !item.contains(startItem))
+    ));
+    if (startItem !== null && !items.includes(startItem)) {
+        items.unshift(startItem);
+    }
+    return items.filter(item => ["ol", "ul"].includes(item.parentElement?.localName));
+}
+
+function saveListSelectionBoundaries() {
+    // Moving the items resets the selection, the nodes where it starts and ends are kept
+    const range = getRange();
+    return (range === null) ? null : {
+        startContainer: range.startContainer,
+        startOffset: range.startOffset,
+        endContainer: range.endContainer,
+        endOffset: range.endOffset
+    };
+}
+
+function restoreListSelectionBoundaries(boundaries) {
+    const editor = getEditor();
+    if (boundaries === null || !editor.contains(boundaries.startContainer) || !editor.contains(boundaries.endContainer)) {
+        return;
+    }
+
+    const range = document.createRange();
+    range.setStart(boundaries.startContainer, boundaries.startOffset);
+    range.setEnd(boundaries.endContainer, boundaries.endOffset);
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function getNumberedListOfSelection() {
+    const range = getRange();
+    if (range === null) {
+        return null;
+    }
+
+    const list = getClosestList(range.startContainer);
+    return (list !== null && list.localName === "ol") ? list : null;
+}
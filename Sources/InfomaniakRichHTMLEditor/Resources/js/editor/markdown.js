@@ -0,0 +1,561 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Elements converted to Markdown blocks, the other elements are converted to inline Markdown */
+const markdownBlockTags = [
+    "address", "article", "blockquote", "div", "dl", "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header",
+    "hr", "li", "ol", "p", "pre", "section", "table", "ul"
+];
+
+const MARKDOWN_HARD_BREAK = "\\\n";
+
+// MARK: - Import and export Markdown
+
+/**
+ * Replaces the content of the editor with the HTML converted from the Markdown text.
+ * Raw HTML written in the Markdown text is kept as text.
+ *
+ * @param {string} markdown - The CommonMark text to convert
+ */
+function setMarkdown(markdown) {
+    setContent(convertMarkdownToHTML(markdown));
+}
+
+/**
+ * Converts the content of the editor to CommonMark.
+ * What Markdown can't express is dropped while the text is kept: colors, fonts, sizes, underline and
+ * alignment are removed, and each row of a table becomes a paragraph with cells separated by ` | `.
+ *
+ * @returns {string} - The content of the editor as Markdown
+ */
+function getContentAsMarkdown() {
+    return convertBlockChildrenToMarkdown(getTextExportCopy()).join("\n\n");
+}
+
+// MARK: - Markdown to HTML
+
+function convertMarkdownToHTML(markdown) {
+    const lines = markdown.replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n");
+    const blocks = parseMarkdownBlocks(lines);
+
+    // Each line of the editor is a block, an empty line separates paragraphs like when the user types
+    let html = "";
+    blocks.forEach((block, index) => {
+        if (block.type === "paragraph") {
+            if (index > 0 && blocks[index - 1].type === "paragraph") {
+                html += "<div><br></div>";
+            }
+            html += `<div>${block.html}</div>`;
+        } else {
+            html += block.html;
+        }
+    });
+    return html;
+}
+
+function parseMarkdownBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+        let match;
+        if (isMarkdownBlankLine(line)) {
+            index++;
+        } else if ((match = line.match(/^( {0,3})(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/))) {
+            index = parseMarkdownCodeBlock(lines, index, match, blocks);
+        } else if ((match = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/))) {
+            const level = match[1].length;
+            blocks.push({ type: "heading", html: `<h${level}>${convertMarkdownInline(match[2] || "")}</h${level}>` });
+            index++;
+        } else if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) {
+            blocks.push({ type: "rule", html: "<hr>" });
+            index++;
+        } else if (/^ {0,3}>/.test(line)) {
+            index = parseMarkdownBlockquote(lines, index, blocks);
+        } else if (matchMarkdownListItem(line) !== null) {
+            index = parseMarkdownList(lines, index, blocks);
+        } else {
+            index = parseMarkdownParagraph(lines, index, blocks);
+        }
+    }
+    return blocks;
+}
+
+function parseMarkdownCodeBlock(lines, index, openingMatch, blocks) {
+    const [, indentation, fence, language] = openingMatch;
+    const closingFence = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}\\s*$`);
+
+    const codeLines = [];
+    let lineIndex = index + 1;
+    while (lineIndex < lines.length && !closingFence.test(lines[lineIndex])) {
+        // The indentation of the opening fence is removed from the content
+        codeLines.push(lines[lineIndex].replace(new RegExp(`^ {0,${indentation.length}}`), ""));
+        lineIndex++;
+    }
+
+    const languageAttribute = language ? ` class="language-${escapeHTML(language)}"` : "";
+    blocks.push({ type: "code", html: `<pre><code${languageAttribute}>${escapeHTML(codeLines.join("\n"))}</code></pre>` });
+    return lineIndex + 1;
+}
+
+function parseMarkdownBlockquote(lines, index, blocks) {
+    const quotedLines = [];
+    let lineIndex = index;
+    while (lineIndex < lines.length && /^ {0,3}>/.test(lines[lineIndex])) {
+        quotedLines.push(lines[lineIndex].replace(/^ {0,3}> ?/, ""));
+        lineIndex++;
+    }
+
+    const quotedHTML = convertMarkdownToHTML(quotedLines.join("\n"));
+    blocks.push({ type: "blockquote", html: `<blockquote>${quotedHTML}</blockquote>` });
+    return lineIndex;
+}
+
+function parseMarkdownList(lines, index, blocks) {
+    const firstItem = matchMarkdownListItem(lines[index]);
+    const listTag = firstItem.isOrdered ? "ol" : "ul";
+    const startAttribute = (firstItem.isOrdered && firstItem.number !== 1) ? ` start="${firstItem.number}"` : "";
+
+    let itemsHTML = "";
+    let lineIndex = index;
+    while (lineIndex < lines.length) {
+        const item = matchMarkdownListItem(lines[lineIndex]);
+        if (item === null || item.isOrdered !== firstItem.isOrdered || item.delimiter !== firstItem.delimiter) {
+            break;
+        }
+
+        const itemLines = [item.content];
+        lineIndex++;
+        while (lineIndex < lines.length) {
+            const line = lines[lineIndex];
+            const lineIndentation = getMarkdownIndentation(line);
+            if (isMarkdownBlankLine(line)) {
+                // A blank line only continues the item if the next line belongs to it
+                const nextLineIndex = lines.findIndex((nextLine, nextIndex) => nextIndex > lineIndex && !isMarkdownBlankLine(nextLine));
+                if (nextLineIndex < 0 || getMarkdownIndentation(lines[nextLineIndex]) < item.contentIndentation) {
+                    break;
+                }
+                itemLines.push("");
+            } else if (lineIndentation >= item.contentIndentation || (lineIndentation > item.indentation && matchMarkdownListItem(line) !== null)) {
+                // Nested lists are often indented with less spaces than the content of the item
+                itemLines.push(line.slice(Math.min(lineIndentation, item.contentIndentation)));
+            } else if (matchMarkdownListItem(line) === null && !isMarkdownBlockStart(line)) {
+                // Lazy continuation of the paragraph of the item
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+            lineIndex++;
+        }
+
+        // The paragraphs of an item are its text, not lines of the editor
+        const itemBlocks = parseMarkdownBlocks(itemLines);
+        const itemHTML = itemBlocks.map((block, blockIndex) => {
+            const isFollowingParagraph = block.type === "paragraph" && blockIndex > 0 && itemBlocks[blockIndex - 1].type === "paragraph";
+            return (isFollowingParagraph ? "<br>" : "") + block.html;
+        }).join("");
+        itemsHTML += `<li>${itemHTML || "<br>"}</li>`;
+
+        // Blank lines between the items of a same list
+        let nextLineIndex = lineIndex;
+        while (nextLineIndex < lines.length && isMarkdownBlankLine(lines[nextLineIndex])) {
+            nextLineIndex++;
+        }
+        const nextItem = nextLineIndex < lines.length ? matchMarkdownListItem(lines[nextLineIndex]) : null;
+        if (nextItem !== null && nextItem.isOrdered === firstItem.isOrdered && nextItem.delimiter === firstItem.delimiter) {
+            lineIndex = nextLineIndex;
+        }
+    }
+
+    blocks.push({ type: "list", html: `<${listTag}${startAttribute}>${itemsHTML}</${listTag}>` });
+    return lineIndex;
+}
+
+function parseMarkdownParagraph(lines, index, blocks) {
+    const paragraphLines = [];
+    let lineIndex = index;
+    while (
+        lineIndex < lines.length && !isMarkdownBlankLine(lines[lineIndex]) &&
+        (lineIndex === index || (!isMarkdownBlockStart(lines[lineIndex]) && matchMarkdownListItem(lines[lineIndex]) === null))
+    ) {
+        paragraphLines.push(lines[lineIndex].replace(/^ +/, ""));
+        lineIndex++;
+    }
+
+    blocks.push({ type: "paragraph", html: convertMarkdownInline(paragraphLines.join("\n").trimEnd()) });
+    return lineIndex;
+}
+
+function matchMarkdownListItem(line) {
+    const match = line.match(/^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)(.*)$/);
+    if (match === null || /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) {
+        return null;
+    }
+
+    const [, indentation, marker, number, orderedDelimiter, spacing, content] = match;
+    // With more than 4 spaces after the marker, the content is an indented code block in CommonMark
+    const spacingLength = (spacing.length === 0 || spacing.length > 4) ? 1 : spacing.length;
+    return {
+        isOrdered: number !== undefined,
+        number: number !== undefined ? parseInt(number) : null,
+        delimiter: orderedDelimiter || marker,
+        indentation: indentation.length,
+        contentIndentation: indentation.length + marker.length + spacingLength,
+        content: content
+    };
+}
+
+function isMarkdownBlockStart(line) {
+    return (
+        /^ {0,3}(`{3,}|~{3,})/.test(line) ||
+        /^ {0,3}#{1,6}([ \t]|$)/.test(line) ||
+        /^ {0,3}>/.test(line) ||
+        /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)
+    );
+}
+
+function isMarkdownBlankLine(line) {
+    return /^\s*$/.test(line);
+}
+
+function getMarkdownIndentation(line) {
+    return line.match(/^ */)[0].length;
+}
+
+// MARK: - Inline Markdown to HTML
+
+function convertMarkdownInline(text) {
+    let html = "";
+    let index = 0;
+    while (index < text.length) {
+        const rest = text.slice(index);
+        let match;
+
+        if ((match = rest.match(/^\\([!-/:-@[-`{-~])/))) {
+            html += escapeHTML(match[1]);
+        } else if ((match = rest.match(/^(?:\\| {2,})\n/))) {
+            html += "<br>";
+        } else if ((match = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+            html += `<code>${escapeHTML(trimMarkdownCodeSpan(match[2]))}</code>`;
+        } else if ((match = rest.match(/^!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/))) {
+            html += `<img src="${escapeHTML(match[2])}" alt="${escapeHTML(match[1])}">`;
+        } else if ((match = rest.match(/^\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/))) {
+            html += `<a href="${escapeHTML(match[2])}">${convertMarkdownInline(match[1])}</a>`;
+        } else if ((match = rest.match(/^<((?:https?|mailto|tel):[^\s<>]*)>/i))) {
+            html += `<a href="${escapeHTML(match[1])}">${escapeHTML(match[1])}</a>`;
+        } else if ((match = rest.match(/^<([^\s@<>]+@[^\s@<>]+)>/))) {
+            html += `<a href="mailto:${escapeHTML(match[1])}">${escapeHTML(match[1])}</a>`;
+        } else if ((match = matchMarkdownEmphasis(text, index))) {
+            html += `<${match.tag}>${convertMarkdownInline(match.content)}</${match.tag}>`;
+            index += match.source.length;
+            continue;
+        } else {
+            // Soft line breaks are rendered as spaces
+            html += escapeHTML(text[index] === "\n" ? " " : text[index]);
+            index++;
+            continue;
+        }
+
+        index += match[0].length;
+    }
+    return html;
+}
+
+function matchMarkdownEmphasis(text, index) {
+    const delimiters = [["**", "b"], ["__", "b"], ["~~", "s"], ["*", "i"], ["_", "i"]];
+    for (const [delimiter, tag] of delimiters) {
+        if (!text.startsWith(delimiter, index) || /\s/.test(text[index + delimiter.length] || " ")) {
+            continue;
+        }
+        // Underscores inside words are not delimiters, like in `snake_case`
+        if (delimiter[0] === "_" && /[\p{L}\p{N}]/u.test(text[index - 1] || "")) {
+            continue;
+        }
+
+        const closingIndex = findMarkdownClosingDelimiter(text, delimiter, index + delimiter.length);
+        if (closingIndex >= 0) {
+            return {
+                source: text.slice(index, closingIndex + delimiter.length),
+                tag: tag,
+                content: text.slice(index + delimiter.length, closingIndex)
+            };
+        }
+    }
+    return null;
+}
+
+function findMarkdownClosingDelimiter(text, delimiter, fromIndex) {
+    let index = fromIndex;
+    while (index < text.length) {
+        const character = text[index];
+        if (character === "\\") {
+            index += 2;
+            continue;
+        }
+        if (character === "`") {
+            // Delimiters are ignored in code spans
+            const codeMatch = text.slice(index).match(/^(`+)[\s\S]*?[^`]\1(?!`)/);
+            index += codeMatch !== null ? codeMatch[0].length : 1;
+            continue;
+        }
+        if (character !== delimiter[0]) {
+            index++;
+            continue;
+        }
+
+        let runEnd = index;
+        while (text[runEnd] === character) {
+            runEnd++;
+        }
+        const runLength = runEnd - index;
+        const isRightFlanking = index > fromIndex && !/\s/.test(text[index - 1]);
+        const isIntraword = character === "_" && /[\p{L}\p{N}]/u.test(text[runEnd] || "");
+
+        if (isRightFlanking && !isIntraword && runLength >= delimiter.length) {
+            if (delimiter.length === 1 && runLength === 2) {
+                // A strong emphasis nested in the emphasis
+                const nestedClosingIndex = findMarkdownClosingDelimiter(text, character + character, runEnd);
+                if (nestedClosingIndex >= 0) {
+                    index = nestedClosingIndex + 2;
+                    continue;
+                }
+            }
+            // In a run like `***`, the outermost delimiter is the last one
+            return runEnd - delimiter.length;
+        }
+        index = runEnd;
+    }
+    return -1;
+}
+
+function trimMarkdownCodeSpan(code) {
+    const singleLineCode = code.replace(/\n/g, " ");
+    if (/^ [\s\S]* $/.test(singleLineCode) && singleLineCode.trim() !== "") {
+        return singleLineCode.slice(1, -1);
+    }
+    return singleLineCode;
+}
+
+// MARK: - HTML to Markdown
+
+function convertBlockChildrenToMarkdown(element) {
+    const blocks = [];
+    let inlineNodes = [];
+    let previousBlockElement = null;
+    let isUsingAlternateListMarker = false;
+
+    const appendInlineBlock = () => {
+        const markdown = convertInlineNodesToMarkdown(inlineNodes);
+        if (markdown !== "") {
+            blocks.push(markdown.split("\n").map(escapeMarkdownLineStart).join("\n"));
+        }
+        inlineNodes = [];
+    };
+
+    for (const child of element.childNodes) {
+        if (child.nodeType === Node.ELEMENT_NODE && markdownBlockTags.includes(child.localName)) {
+            appendInlineBlock();
+            // Two adjacent lists need different markers, otherwise they are read as a single list
+            const isAdjacentList = ["ul", "ol"].includes(child.localName) && previousBlockElement?.localName === child.localName;
+            isUsingAlternateListMarker = isAdjacentList && !isUsingAlternateListMarker;
+            blocks.push(...convertBlockElementToMarkdown(child, isUsingAlternateListMarker));
+            previousBlockElement = child;
+        } else {
+            inlineNodes.push(child);
+            if (child.nodeType !== Node.TEXT_NODE || child.textContent.trim() !== "") {
+                previousBlockElement = null;
+            }
+        }
+    }
+    appendInlineBlock();
+
+    return blocks;
+}
+
+function convertBlockElementToMarkdown(element, isUsingAlternateListMarker) {
+    const tagName = element.localName;
+    switch (tagName) {
+        case "h1":
+        case "h2":
+        case "h3":
+        case "h4":
+        case "h5":
+        case "h6": {
+            const text = convertInlineNodesToMarkdown([...element.childNodes]).replaceAll(MARKDOWN_HARD_BREAK, " ");
+            return text === "" ? [] : [`${"#".repeat(parseInt(tagName[1]))} ${text}`];
+        }
+        case "hr":
+            return ["---"];
+        case "pre":
+            return [convertPreformattedElementToMarkdown(element)];
+        case "blockquote": {
+            const quotedMarkdown = convertBlockChildrenToMarkdown(element).join("\n\n");
+            return [quotedMarkdown.split("\n").map(line => line === "" ? ">" : `> ${line}`).join("\n")];
+        }
+        case "ul":
+        case "ol": {
+            const listMarkdown = convertListToMarkdown(element, isUsingAlternateListMarker);
+            return listMarkdown === "" ? [] : [listMarkdown];
+        }
+        case "table":
+            return [...element.rows].map(row => {
+                return [...row.cells].map(cell => convertBlockChildrenToMarkdown(cell).join(" ")).join(" | ");
+            }).filter(row => row.replaceAll("|", "").trim() !== "");
+        default:
+            return convertBlockChildrenToMarkdown(element);
+    }
+}
+
+function convertListToMarkdown(list, isUsingAlternateMarker = false) {
+    const isOrdered = list.localName === "ol";
+    let number = isOrdered ? (parseInt(list.getAttribute("start")) || 1) : 0;
+    const bulletMarker = isUsingAlternateMarker ? "* " : "- ";
+    const orderedDelimiter = isUsingAlternateMarker ? ")" : ".";
+
+    const items = [];
+    let previousMarker = bulletMarker;
+    for (const child of list.children) {
+        if (child.localName === "li") {
+            previousMarker = isOrdered ? `${number++}${orderedDelimiter} ` : bulletMarker;
+            const isChecked = child.getAttribute("data-checked") === "true";
+            const taskMarker = isChecklistItem(child) ? (isChecked ? "[x] " : "[ ] ") : "";
+            const itemMarkdown = taskMarker + convertBlockChildrenToMarkdown(child).join("\n");
+            items.push(indentMarkdownLines(previousMarker + itemMarkdown, previousMarker.length).trimEnd());
+        } else if (child.localName === "ul" || child.localName === "ol") {
+            // WebKit nests a list directly in its parent list when indenting an item
+            const nestedMarkdown = indentMarkdownLines(convertListToMarkdown(child), previousMarker.length, true);
+            if (items.length > 0) {
+                items[items.length - 1] += `\n${nestedMarkdown}`;
+            } else {
+                items.push(nestedMarkdown);
+            }
+        }
+    }
+    return items.join("\n");
+}
+
+function convertPreformattedElementToMarkdown(element) {
+    const code = getPreformattedText(element).replace(/\n$/, "");
+    const longestBacktickRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = "`".repeat(Math.max(3, longestBacktickRun + 1));
+    const language = (element.querySelector("code")?.className.match(/language-(\S+)/) || [])[1] || "";
+    return `${fence}${language}\n${code}\n${fence}`;
+}
+
+// MARK: - Inline HTML to Markdown
+
+function convertInlineNodesToMarkdown(nodes) {
+    const markdown = nodes.map(convertInlineNodeToMarkdown).join("");
+    // Line breaks at the edges of a block are only there to give a height to empty lines
+    return markdown.replace(/^(?:\\\n|\s)+|(?:\\\n|\s)+$/g, "");
+}
+
+function convertInlineNodeToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return escapeMarkdownText(node.textContent.replace(/\s+/g, " "));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return "";
+    }
+
+    const tagName = node.localName;
+    switch (tagName) {
+        case "br":
+            return MARKDOWN_HARD_BREAK;
+        case "img":
+            return `![${escapeMarkdownText(node.getAttribute("alt") || "")}](${escapeMarkdownURL(getImageSource(node))})`;
+        case "code":
+            return convertCodeSpanToMarkdown(node.textContent);
+        case "a": {
+            const content = convertInlineNodesToMarkdown([...node.childNodes]);
+            const href = node.getAttribute("href");
+            if (!href) {
+                return content;
+            }
+            if (content === escapeMarkdownText(href) || `mailto:${node.textContent}` === href) {
+                return `<${node.textContent}>`;
+            }
+            return `[${content}](${escapeMarkdownURL(href)})`;
+        }
+        default: {
+            const content = [...node.childNodes].map(convertInlineNodeToMarkdown).join("");
+            return wrapMarkdownDelimiters(content, getMarkdownDelimiters(node));
+        }
+    }
+}
+
+function getMarkdownDelimiters(element) {
+    const tagName = element.localName;
+    const style = element.style;
+    const textDecoration = style.textDecorationLine || style.textDecoration || "";
+
+    const isBold = ["b", "strong"].includes(tagName) || style.fontWeight === "bold" || parseInt(style.fontWeight) >= 600;
+    const isItalic = ["i", "em"].includes(tagName) || style.fontStyle === "italic";
+    const isStrikeThrough = ["s", "strike", "del"].includes(tagName) || textDecoration.includes("line-through");
+
+    return (isBold ? "**" : "") + (isItalic ? "*" : "") + (isStrikeThrough ? "~~" : "");
+}
+
+function wrapMarkdownDelimiters(content, delimiters) {
+    if (delimiters === "") {
+        return content;
+    }
+
+    // Delimiters can't be next to whitespaces, they are moved inside the spaces around the content
+    const [, leadingSpaces, text, trailingSpaces] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (text === "") {
+        return content;
+    }
+    const closingDelimiters = delimiters.match(/\*\*|\*|~~/g).reverse().join("");
+    return `${leadingSpaces}${delimiters}${text}${closingDelimiters}${trailingSpaces}`;
+}
+
+function convertCodeSpanToMarkdown(code) {
+    const longestBacktickRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = "`".repeat(longestBacktickRun + 1);
+    const padding = (code.startsWith("`") || code.endsWith("`")) ? " " : "";
+    return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+// MARK: - Utils
+
+function escapeMarkdownText(text) {
+    return text.replace(/[\\`*_[\]<>~]/g, "\\$&");
+}
+
+function escapeMarkdownURL(url) {
+    return url.replace(/[\s()<>]/g, character => encodeURIComponent(character));
+}
+
+function escapeMarkdownLineStart(line) {
+    // Text that would start a heading, a quote, a list or a rule is escaped
+    return line
+        .replace(/^(\s*)(#|>|[-+](?=\s|$)|=+\s*$)/, "$1\\$2")
+        .replace(/^(\s*\d+)([.)])(?=\s|$)/, "$1\\$2");
+}
+
+function indentMarkdownLines(markdown, indentation, shouldIndentFirstLine = false) {
+    const padding = " ".repeat(indentation);
+    return markdown.split("\n").map((line, index) => {
+        return (line === "" || (index === 0 && !shouldIndentFirstLine)) ? line : padding + line;
+    }).join("\n");
+}
+
+function getPreformattedText(element) {
+    let text = "";
+    for (const child of element.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+            text += child.textContent;
+        } else if (child.localName === "br") {
+            text += "\n";
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+            const isBlock = markdownBlockTags.includes(child.localName);
+            if (isBlock && text !== "" && !text.endsWith("\n")) {
+                text += "\n";
+            }
+            text += getPreformattedText(child);
+        }
+    }
+    return text;
+}
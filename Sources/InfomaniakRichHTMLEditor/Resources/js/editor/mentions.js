@@ -0,0 +1,249 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Maximum length of a query, longer words are not considered as mentions */
+const MENTION_QUERY_MAX_LENGTH = 50;
+const MENTION_CHIP_SELECTOR = "[data-mention-id]";
+
+/** The characters starting a query, for example `@`, `#` or `/` */
+let mentionTriggers = [];
+/** The query being typed by the user, null if there is none */
+let activeMentionQuery = null;
+
+// MARK: - Configuration
+
+/**
+ * Sets the characters starting a mention query. A query starts with a trigger at the beginning of a word
+ * and ends at the first whitespace.
+ *
+ * @param {Array<string>} triggers - The trigger characters, an empty array disables the mentions
+ */
+function setMentionTriggers(triggers) {
+    mentionTriggers = triggers.filter(trigger => trigger.length === 1);
+    handleMentionQueryChange();
+}
+
+// MARK: - Insert mentions
+
+/**
+ * Replaces the active query with a non-editable mention chip.
+ * If there is no active query, the chip is inserted at the insertion point.
+ *
+ * @param {Object} mention - The item chosen by the user
+ * @param {string} mention.id - The identifier of the item, stored in `data-mention-id`
+ * @param {string} mention.label - The text displayed after the trigger
+ * @param {string|null} mention.trigger - The trigger of the chip, the one of the active query is used if missing
+ * @param {Object|null} mention.data - Additional values stored as `data-*` attributes of the chip
+ */
+function insertMention(mention) {
+    const range = getMentionInsertionRange();
+    if (range === null) {
+        return;
+    }
+
+    const trigger = mention.trigger ?? activeMentionQuery?.trigger ?? "";
+    recordHistoryStep();
+
+    const chip = createMentionChip(mention, trigger);
+    // A non-breaking space, a trailing regular space would be collapsed and the caret would stick to the chip
+    const space = document.createTextNode("\u00a0");
+    range.deleteContents();
+    range.insertNode(space);
+    range.insertNode(chip);
+    range.setStart(space, space.length);
+    range.collapse(true);
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    setActiveMentionQuery(null);
+}
+
+/**
+ * Lists the mention chips of the content, in the order of the document.
+ *
+ * @returns {Array<Object>} - The identifier, label, trigger and data of each chip
+ */
+function getMentions() {
+    return [...getEditor().querySelectorAll(MENTION_CHIP_SELECTOR)].map(getMentionInformation);
+}
+
+function createMentionChip(mention, trigger) {
+    const chip = document.createElement("span");
+    chip.className = "mention";
+    chip.setAttribute("contenteditable", "false");
+
+    for (const [key, value] of Object.entries(mention.data ?? {})) {
+        const attributeName = key.replace(/([A-Z])/g, "-$1").toLowerCase().replace(/[^a-z0-9-]/g, "");
+        if (attributeName !== "") {
+            chip.setAttribute(`data-${attributeName}`, value);
+        }
+    }
+    chip.setAttribute("data-mention-id", mention.id);
+    chip.setAttribute("data-mention-trigger", trigger);
+    chip.textContent = trigger + mention.label;
+
+    return chip;
+}
+
+function getMentionInsertionRange() {
+    if (activeMentionQuery !== null && activeMentionQuery.node.isConnected) {
+        const range = document.createRange();
+        range.setStart(activeMentionQuery.node, activeMentionQuery.startOffset);
+        range.setEnd(activeMentionQuery.node, activeMentionQuery.endOffset);
+        return range;
+    }
+
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer)) {
+        return null;
+    }
+    return range;
+}
+
+function getMentionInformation(chip) {
+    const trigger = chip.dataset.mentionTrigger ?? "";
+    const text = chip.textContent;
+
+    const data = {};
+    for (const [key, value] of Object.entries(chip.dataset)) {
+        if (key !== "mentionId" && key !== "mentionTrigger") {
+            data[key] = value;
+        }
+    }
+
+    return {
+        id: chip.dataset.mentionId,
+        label: text.startsWith(trigger) ? text.slice(trigger.length) : text,
+        trigger: trigger,
+        data: data
+    };
+}
+
+// MARK: - Detect queries
+
+function handleMentionQueryChange() {
+    setActiveMentionQuery(findMentionQuery());
+}
+
+function findMentionQuery() {
+    if (mentionTriggers.length === 0 || isEditorReadOnly) {
+        return null;
+    }
+
+    const range = getRange();
+    if (range === null || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) {
+        return null;
+    }
+
+    const node = range.startContainer;
+    if (!getEditor().contains(node) || node.parentElement.closest(MENTION_CHIP_SELECTOR) !== null) {
+        return null;
+    }
+
+    const textBeforeCaret = node.textContent.slice(0, range.startOffset);
+    const minimumIndex = Math.max(0, textBeforeCaret.length - MENTION_QUERY_MAX_LENGTH - 1);
+    for (let index = textBeforeCaret.length - 1; index >= minimumIndex; index--) {
+        const character = textBeforeCaret[index];
+        if (/\s/.test(character)) {
+            return null;
+        }
+
+        // The trigger must start a word, so that email addresses are not taken for mentions
+        if (mentionTriggers.includes(character) && (index === 0 || /\s/.test(textBeforeCaret[index - 1]))) {
+            return {
+                trigger: character,
+                query: textBeforeCaret.slice(index + 1),
+                node: node,
+                startOffset: index,
+                endOffset: range.startOffset
+            };
+        }
+    }
+    return null;
+}
+
+function setActiveMentionQuery(query) {
+    const previousQuery = activeMentionQuery;
+    activeMentionQuery = query;
+
+    if (query === null) {
+        if (previousQuery !== null) {
+            reportMentionQueryDidChange(null);
+        }
+        return;
+    }
+
+    const isSameQuery = previousQuery !== null && previousQuery.trigger === query.trigger &&
+        previousQuery.query === query.query && previousQuery.node === query.node &&
+        previousQuery.startOffset === query.startOffset;
+    if (isSameQuery) {
+        return;
+    }
+
+    const caretRect = computeCaretRect();
+    reportMentionQueryDidChange({
+        trigger: query.trigger,
+        query: query.query,
+        x: caretRect?.x ?? 0,
+        y: caretRect?.y ?? 0,
+        width: caretRect?.width ?? 0,
+        height: caretRect?.height ?? 0
+    });
+}
+
+// MARK: - Delete mentions
+
+function handleMentionBeforeInput(event) {
+    const isBackward = event.inputType === "deleteContentBackward";
+    if (!isBackward && event.inputType !== "deleteContentForward") {
+        return;
+    }
+
+    const range = getRange();
+    if (range === null || !range.collapsed) {
+        return;
+    }
+
+    const chip = getAdjacentMentionChip(range.startContainer, range.startOffset, isBackward);
+    if (chip === null) {
+        return;
+    }
+
+    // The chip is atomic, it is always removed as a whole
+    event.preventDefault();
+    recordHistoryStep();
+
+    range.setStartBefore(chip);
+    range.collapse(true);
+    chip.remove();
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function getAdjacentMentionChip(container, offset, isBackward) {
+    let sibling = null;
+    if (container.nodeType === Node.TEXT_NODE) {
+        const isAtEdge = isBackward ? offset === 0 : offset === container.length;
+        if (!isAtEdge) {
+            return null;
+        }
+        sibling = isBackward ? container.previousSibling : container.nextSibling;
+    } else {
+        sibling = isBackward ? container.childNodes[offset - 1] : container.childNodes[offset];
+    }
+
+    // WebKit often leaves empty text nodes around non-editable elements
+    while (sibling != null && sibling.nodeType === Node.TEXT_NODE && sibling.length === 0) {
+        sibling = isBackward ? sibling.previousSibling : sibling.nextSibling;
+    }
+
+    if (sibling?.nodeType === Node.ELEMENT_NODE && sibling.matches(MENTION_CHIP_SELECTOR)) {
+        return sibling;
+    }
+    return null;
+}
@@ -0,0 +1,275 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Inline elements that can be merged with an identical sibling or removed when empty */
+const NORMALIZER_INLINE_TAGS = [
+    "a", "b", "code", "del", "em", "font", "i", "ins", "mark", "s", "small", "span", "strike", "strong", "sub",
+    "sup", "u"
+];
+/** Elements that can't be inside an inline element */
+const NORMALIZER_BLOCK_TAGS = [
+    "address", "blockquote", "dd", "div", "dl", "dt", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "li", "ol", "p",
+    "pre", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"
+];
+/** Blocks containing other blocks, the text between their children is only indentation */
+const NORMALIZER_CONTAINER_TAGS = ["dl", "ol", "table", "tbody", "tfoot", "thead", "tr", "ul"];
+
+/** The CSS font sizes matching the 1–7 sizes of the `font` element */
+const fontElementSizes = ["x-small", "small", "medium", "large", "x-large", "xx-large", "xxx-large"];
+
+// MARK: - Normalize content
+
+/**
+ * Cleans the HTML produced by the editing commands without changing how the content looks:
+ * `font` elements become styled spans, colors use the hexadecimal format, identical inline elements are merged,
+ * empty elements and useless line breaks are removed and blocks are moved out of inline elements.
+ * The normalization is recorded as a new undo step.
+ */
+function normalizeContent() {
+    recordHistoryStep();
+
+    const serializedSelection = serializeSelection();
+    normalizeHTML(getEditor());
+    if (serializedSelection !== null) {
+        restoreSerializedSelection(serializedSelection);
+    }
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Normalizes the HTML of an element in place, see `normalizeContent()`.
+ *
+ * @param {Element} root - The element to normalize, its own tag and attributes are kept
+ */
+function normalizeHTML(root) {
+    convertFontElements(root);
+    moveBlocksOutOfInlineElements(root);
+    removeEmptyInlineElements(root);
+    removeUselessLineBreaks(root);
+    mergeNestedSpans(root);
+    // Last, the previous steps set the colors with `style` which serializes them as `rgb()`
+    convertColorsToHex(root);
+    mergeAdjacentInlineElements(root);
+    root.normalize();
+}
+
+// MARK: - Steps
+
+function convertFontElements(root) {
+    // From the innermost, so that the nested elements are converted before their parent is replaced
+    for (const font of [...root.querySelectorAll("font")].reverse()) {
+        const span = document.createElement("span");
+        for (const attribute of font.attributes) {
+            if (!["color", "face", "size"].includes(attribute.name)) {
+                span.setAttribute(attribute.name, attribute.value);
+            }
+        }
+
+        const color = font.getAttribute("color");
+        if (color !== null) {
+            span.style.color = color;
+        }
+        const face = font.getAttribute("face");
+        if (face !== null) {
+            span.style.fontFamily = face;
+        }
+        const size = parseInt(font.getAttribute("size"));
+        if (size >= 1 && size <= fontElementSizes.length) {
+            span.style.fontSize = fontElementSizes[size - 1];
+        }
+
+        // The inline style of the font element overrides its attributes
+        for (const property of Array.from(font.style)) {
+            span.style.setProperty(property, font.style.getPropertyValue(property));
+        }
+
+        span.append(...font.childNodes);
+        font.replaceWith(span);
+    }
+}
+
+function convertColorsToHex(root) {
+    // The style attribute is edited as text, setting a color with `style` would serialize it as `rgb()` again
+    for (const element of root.querySelectorAll("[style]")) {
+        const style = element.getAttribute("style");
+        const hexStyle = style.replace(/rgba?\([^)]*\)/gi, color => convertColorToHex(color));
+        if (hexStyle !== style) {
+            element.setAttribute("style", hexStyle);
+        }
+    }
+}
+
+function moveBlocksOutOfInlineElements(root) {
+    // From the innermost, so that the blocks moved out of an element are then moved out of its parents
+    const inlineSelector = NORMALIZER_INLINE_TAGS.join(", ");
+    for (const inlineElement of [...root.querySelectorAll(inlineSelector)].reverse()) {
+        if (![...inlineElement.children].some(isNormalizerBlock)) {
+            continue;
+        }
+
+        // The formatting of the inline element is applied to the content of each block
+        const fragment = document.createDocumentFragment();
+        distributeInlineElement(inlineElement, inlineElement, fragment);
+        inlineElement.replaceWith(fragment);
+    }
+}
+
+function distributeInlineElement(inlineElement, source, destination) {
+    const isContainer = NORMALIZER_CONTAINER_TAGS.includes(source.localName);
+    let inlineRun = null;
+    for (const child of [...source.childNodes]) {
+        if (child.nodeType === Node.ELEMENT_NODE && isNormalizerBlock(child)) {
+            inlineRun = null;
+            const block = child.cloneNode(false);
+            distributeInlineElement(inlineElement, child, block);
+            destination.appendChild(block);
+        } else if (isContainer && child.nodeType === Node.TEXT_NODE && child.data.trim() === "") {
+            destination.appendChild(child);
+        } else {
+            if (inlineRun === null) {
+                inlineRun = inlineElement.cloneNode(false);
+                destination.appendChild(inlineRun);
+            }
+            inlineRun.appendChild(child);
+        }
+    }
+}
+
+function removeEmptyInlineElements(root) {
+    const inlineSelector = NORMALIZER_INLINE_TAGS.join(", ");
+    for (const element of [...root.querySelectorAll(inlineSelector)].reverse()) {
+        // The empty element holding the caret of the user is kept, and so are the anchors which are link targets
+        const isEmpty = element.childNodes.length === 0 ||
+            (element.textContent === "" && element.querySelector("br, img, hr, table") === null);
+        if (isEmpty && !element.hasAttribute("id") && !element.hasAttribute("name")) {
+            element.remove();
+        }
+    }
+}
+
+function removeUselessLineBreaks(root) {
+    // A line break ending a block is not displayed, unless it is the only content of the block or of its last line
+    for (const lineBreak of root.querySelectorAll("br")) {
+        const block = lineBreak.parentElement?.closest(NORMALIZER_BLOCK_TAGS.join(", "));
+        if (block == null || !root.contains(block) || getLastMeaningfulNode(block) !== lineBreak) {
+            continue;
+        }
+
+        const previousNode = getPreviousMeaningfulNode(lineBreak, block);
+        const isEndingTextLine = previousNode !== null && previousNode.nodeType === Node.TEXT_NODE;
+        const isEndingInlineElement = previousNode !== null && previousNode.nodeType === Node.ELEMENT_NODE &&
+            !isNormalizerBlock(previousNode) && previousNode.localName !== "br";
+        if (isEndingTextLine || isEndingInlineElement) {
+            lineBreak.remove();
+        }
+    }
+}
+
+function mergeNestedSpans(root) {
+    for (const span of [...root.querySelectorAll("span")].reverse()) {
+        const child = span.firstChild;
+        const isOnlyChildSpan = span.childNodes.length === 1 && child.nodeType === Node.ELEMENT_NODE &&
+            child.localName === "span";
+        if (!isOnlyChildSpan || !hasOnlyStyleAttribute(span) || !hasOnlyStyleAttribute(child)) {
+            continue;
+        }
+
+        // The style of the inner span overrides the style of the outer span
+        for (const property of Array.from(span.style)) {
+            if (child.style.getPropertyValue(property) === "") {
+                child.style.setProperty(property, span.style.getPropertyValue(property));
+            }
+        }
+        span.replaceWith(child);
+    }
+}
+
+function mergeAdjacentInlineElements(root) {
+    const inlineSelector = NORMALIZER_INLINE_TAGS.join(", ");
+    for (const element of [...root.querySelectorAll(inlineSelector)]) {
+        // The merged elements are removed, the root itself can be detached like the copy of the exported content
+        const previousSibling = element.previousSibling;
+        if (!root.contains(element) || previousSibling?.nodeType !== Node.ELEMENT_NODE) {
+            continue;
+        }
+
+        if (previousSibling.localName === element.localName && haveSameAttributes(previousSibling, element)) {
+            previousSibling.append(...element.childNodes);
+            element.remove();
+        }
+    }
+}
+
+// MARK: - Colors
+
+/**
+ * Converts an opaque `rgb()` or `rgba()` color to the hexadecimal format, other colors are returned as is.
+ *
+ * @param {string} color - A CSS color
+ * @returns {string} - The hexadecimal color, for example `#ff0000`
+ */
+function convertColorToHex(color) {
+    const match = color.trim().match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+    if (match === null) {
+        return color;
+    }
+
+    // A translucent color has no hexadecimal format supported by all the email clients
+    const alpha = match[4];
+    if (alpha !== undefined && (alpha.endsWith("%") ? parseFloat(alpha) / 100 : parseFloat(alpha)) < 1) {
+        return color;
+    }
+
+    const components = match.slice(1, 4).map(component => Math.min(255, parseInt(component)));
+    return "#" + components.map(component => component.toString(16).padStart(2, "0")).join("");
+}
+
+// MARK: - Utils
+
+function isNormalizerBlock(element) {
+    return NORMALIZER_BLOCK_TAGS.includes(element.localName);
+}
+
+function hasOnlyStyleAttribute(element) {
+    return element.attributes.length === 1 && element.hasAttribute("style");
+}
+
+function haveSameAttributes(lhs, rhs) {
+    if (lhs.attributes.length !== rhs.attributes.length) {
+        return false;
+    }
+    return [...lhs.attributes].every(attribute => rhs.getAttribute(attribute.name) === attribute.value);
+}
+
+function getLastMeaningfulNode(element) {
+    let node = element.lastChild;
+    while (node !== null) {
+        if (node.nodeType === Node.TEXT_NODE && node.data.trim() === "") {
+            node = node.previousSibling;
+        } else if (node.nodeType === Node.ELEMENT_NODE && !isNormalizerBlock(node) && node.localName !== "br" &&
+            node.lastChild !== null && node.textContent === "") {
+            // Empty formatting elements around the line break
+            node = node.lastChild;
+        } else {
+            return node;
+        }
+    }
+    return null;
+}
+
+function getPreviousMeaningfulNode(node, block) {
+    let current = node;
+    while (current !== block) {
+        let sibling = current.previousSibling;
+        while (sibling !== null && sibling.nodeType === Node.TEXT_NODE && sibling.data === "") {
+            sibling = sibling.previousSibling;
+        }
+        if (sibling !== null) {
+            return sibling;
+        }
+        current = current.parentNode;
+    }
+    return null;
+}
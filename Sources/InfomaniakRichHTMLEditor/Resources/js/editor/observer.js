@@ -2,11 +2,9 @@
 
 // MARK: - Observation methods
 
-function observeContentMutation(target, contentContainer) {
-    const mutationObserver = new MutationObserver(() => {
-        reportContentDidChange(contentContainer.innerHTML);
-    });
-    mutationObserver.observe(target, { subtree: true, childList: true, characterData: true });
+function observeContentMutation(target) {
+    const mutationObserver = new MutationObserver(handleContentMutations);
+    mutationObserver.observe(target, { subtree: true, childList: true, characterData: true, attributes: true });
 }
 
 function observeResize(target) {
@@ -23,3 +21,79 @@ function observeSelectionChange(target) {
         reportSelectedTextAttributesIfNecessary();
     });
 }
+
+function observeInput(target) {
+    target.addEventListener("beforeinput", handleHistoryBeforeInput);
+    target.addEventListener("input", handleHistoryInput);
+    target.addEventListener("input", handleCaretPlaceholderInput);
+}
+
+function observePaste(target) {
+    target.addEventListener("paste", handlePaste);
+}
+
+function observeAttachments(target) {
+    target.addEventListener("drop", handleFileDrop);
+}
+
+function observeImageSelection(target) {
+    target.addEventListener("click", handleImageClick);
+    target.addEventListener("selectionchange", handleImageSelectionChange);
+    window.addEventListener("resize", updateImageResizeOverlayPosition);
+}
+
+function observeTableNavigation(target) {
+    target.addEventListener("keydown", handleTableKeyDown);
+}
+
+function observeMentions(target) {
+    target.addEventListener("beforeinput", handleMentionBeforeInput);
+    target.addEventListener("selectionchange", handleMentionQueryChange);
+}
+
+function observeFindResults() {
+    window.addEventListener("resize", updateFindHighlights);
+}
+
+function observeDecorations(target) {
+    target.addEventListener("click", handleDecorationClick);
+    window.addEventListener("resize", updateDecorations);
+}
+
+function observeProtectedRegions(target) {
+    target.addEventListener("click", handleProtectedRegionClick);
+    target.addEventListener("beforeinput", handleProtectedRegionBeforeInput);
+}
+
+function observeAutoLinks(target) {
+    target.addEventListener("beforeinput", handleAutoLinkBeforeInput);
+    target.addEventListener("input", handleAutoLinkInput);
+}
+
+function observeLinkTaps(target) {
+    target.addEventListener("click", handleLinkClick);
+}
+
+function observeCode(target) {
+    target.addEventListener("beforeinput", handleCodeBlockBeforeInput);
+    target.addEventListener("keydown", handleCodeBlockKeyDown);
+}
+
+function observeChecklists(target) {
+    target.addEventListener("click", handleChecklistClick);
+    target.addEventListener("beforeinput", handleChecklistBeforeInput);
+    target.addEventListener("input", handleChecklistInput);
+}
+
+function observeContentLimits(target) {
+    target.addEventListener("beforeinput", handleContentLimitsBeforeInput);
+    target.addEventListener("compositionend", handleContentLimitsCompositionEnd);
+}
+
+function observeLists(target) {
+    target.addEventListener("keydown", handleListKeyDown);
+}
+
+function observeKeyboardShortcuts(target) {
+    target.addEventListener("keydown", handleKeyboardShortcutKeyDown);
+}
@@ -0,0 +1,311 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Describes how the pasted content is inserted */
+const PasteMode = {
+    plainText: "plainText",
+    cleanFormatting: "cleanFormatting",
+    keepFormatting: "keepFormatting"
+};
+
+/** The mode used when the user pastes content, can be overridden by the host */
+let pasteMode = PasteMode.cleanFormatting;
+
+/** Elements kept by the clean formatting mode, associated with the tag used in the editor */
+const pasteStructuralTags = {
+    a: "a", blockquote: "blockquote", br: "br", code: "code", div: "div", h1: "h1", h2: "h2", h3: "h3", h4: "h4",
+    h5: "h5", h6: "h6", hr: "hr", img: "img", li: "li", ol: "ol", p: "div", pre: "pre", sub: "sub", sup: "sup",
+    table: "table", tbody: "tbody", td: "td", tfoot: "tfoot", th: "th", thead: "thead", tr: "tr", ul: "ul"
+};
+/** Attributes kept by the clean formatting mode */
+const pasteAllowedAttributes = ["alt", "colspan", "height", "href", "rowspan", "src", "start", "width"];
+/** Inline formatting tags, from the outermost to the innermost */
+const pasteFormattingTags = {
+    bold: "b",
+    italic: "i",
+    underline: "u",
+    strikeThrough: "s"
+};
+
+// MARK: - Configuration
+
+/**
+ * Sets the mode used when the user pastes content.
+ *
+ * @param {string} mode - The new mode, one of `PasteMode`
+ */
+function setPasteMode(mode) {
+    pasteMode = mode;
+}
+
+// MARK: - Paste content
+
+/**
+ * Inserts pasted content at the insertion point, replacing the current selection.
+ * The paste is recorded as a new undo step.
+ *
+ * @param {string|null} html - The pasted HTML, if any
+ * @param {string|null} text - The pasted plain text, if any
+ * @param {string} mode - How the content should be inserted, one of `PasteMode`
+ */
+function pasteContent(html, text, mode) {
+    recordHistoryStep();
+    extendSelectionToProtectedRegions();
+    const startTextOffset = getCaretTextOffset();
+
+    // The pasted content is trimmed to the maximum length of the content
+    if (isSelectionInCodeBlock()) {
+        // The code is pasted as is, it is never formatted
+        insertTextInCodeBlock(trimTextToContentLimits(text || getTextFromHTML(html || "")));
+    } else if (mode === PasteMode.plainText || !html) {
+        document.execCommand("insertText", false, trimTextToContentLimits(text || getTextFromHTML(html || "")));
+    } else {
+        document.execCommand("insertHTML", false, trimHTMLToContentLimits(cleanPastedHTML(html, mode)));
+    }
+
+    const endTextOffset = getCaretTextOffset();
+    if (startTextOffset !== null && endTextOffset !== null) {
+        autoLinkTextBetweenOffsets(startTextOffset, endTextOffset);
+    }
+    reportSelectedTextAttributesIfNecessary();
+}
+
+function handlePaste(event) {
+    if (isEditorReadOnly) {
+        return;
+    }
+
+    handleFilePaste(event);
+    if (event.defaultPrevented) {
+        return;
+    }
+
+    const clipboardData = event.clipboardData;
+    if (clipboardData == null || (!clipboardData.types.includes("text/html") && !clipboardData.types.includes("text/plain"))) {
+        return;
+    }
+
+    event.preventDefault();
+    pasteContent(clipboardData.getData("text/html"), clipboardData.getData("text/plain"), pasteMode);
+}
+
+// MARK: - Clean HTML
+
+function cleanPastedHTML(html, mode) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    removeClipboardArtifacts(template.content);
+    convertWordLists(template.content);
+
+    template.innerHTML = sanitizeHTML(template.innerHTML, SanitizerOrigin.paste);
+    if (mode === PasteMode.keepFormatting) {
+        // Classes and identifiers refer to the stylesheet of the source document
+        template.content.querySelectorAll("[class], [id]").forEach(element => {
+            element.removeAttribute("class");
+            element.removeAttribute("id");
+        });
+        return template.innerHTML;
+    }
+
+    const cleanedFragment = document.createDocumentFragment();
+    appendNormalizedChildNodes(template.content, cleanedFragment, {});
+    mergeAdjacentFormattingElements(cleanedFragment);
+
+    const cleanedTemplate = document.createElement("template");
+    cleanedTemplate.content.appendChild(cleanedFragment);
+    return cleanedTemplate.innerHTML;
+}
+
+function removeClipboardArtifacts(root) {
+    // Trailing line break added by WebKit when the copied selection ends with a paragraph
+    root.querySelectorAll("br.Apple-interchange-newline").forEach(br => br.remove());
+}
+
+function appendNormalizedChildNodes(source, destination, inheritedFormatting) {
+    for (const child of source.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+            // Line breaks used to indent the source HTML are not part of the content
+            if (/^\s*\n\s*$/.test(child.textContent)) {
+                continue;
+            }
+            appendFormattedText(child.textContent, destination, inheritedFormatting);
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+            appendNormalizedElement(child, destination, inheritedFormatting);
+        }
+    }
+}
+
+function appendNormalizedElement(element, destination, inheritedFormatting) {
+    const tagName = element.localName;
+    const formatting = getPastedElementFormatting(element, inheritedFormatting);
+
+    // Paragraphs inside list items would add an empty line to each item
+    const isParagraphInListItem = tagName === "p" && element.parentElement?.localName === "li";
+    const normalizedTagName = isParagraphInListItem ? undefined : pasteStructuralTags[tagName];
+    if (normalizedTagName === undefined) {
+        appendNormalizedChildNodes(element, destination, formatting);
+        return;
+    }
+
+    const normalizedElement = document.createElement(normalizedTagName);
+    for (const attributeName of pasteAllowedAttributes) {
+        if (element.hasAttribute(attributeName)) {
+            normalizedElement.setAttribute(attributeName, element.getAttribute(attributeName));
+        }
+    }
+    destination.appendChild(normalizedElement);
+    appendNormalizedChildNodes(element, normalizedElement, formatting);
+}
+
+function appendFormattedText(text, destination, formatting) {
+    let container = destination;
+    for (const key in pasteFormattingTags) {
+        if (formatting[key]) {
+            const formattingElement = document.createElement(pasteFormattingTags[key]);
+            container.appendChild(formattingElement);
+            container = formattingElement;
+        }
+    }
+    container.appendChild(document.createTextNode(text));
+}
+
+function getPastedElementFormatting(element, inheritedFormatting) {
+    const tagName = element.localName;
+    const style = element.style;
+    const formatting = { ...inheritedFormatting };
+
+    if (["b", "strong"].includes(tagName)) {
+        formatting.bold = true;
+    } else if (["i", "em"].includes(tagName)) {
+        formatting.italic = true;
+    } else if (["u", "ins"].includes(tagName)) {
+        formatting.underline = true;
+    } else if (["s", "strike", "del"].includes(tagName)) {
+        formatting.strikeThrough = true;
+    }
+
+    // Styles win over tags, Google Docs wraps the whole content in `<b style="font-weight: normal">`
+    if (style.fontWeight) {
+        formatting.bold = style.fontWeight === "bold" || style.fontWeight === "bolder" || parseInt(style.fontWeight) >= 600;
+    }
+    if (style.fontStyle) {
+        formatting.italic = style.fontStyle === "italic" || style.fontStyle === "oblique";
+    }
+    const textDecoration = style.textDecorationLine || style.textDecoration;
+    if (textDecoration) {
+        formatting.underline = formatting.underline || textDecoration.includes("underline");
+        formatting.strikeThrough = formatting.strikeThrough || textDecoration.includes("line-through");
+    }
+
+    return formatting;
+}
+
+function mergeAdjacentFormattingElements(root) {
+    const formattingTags = Object.values(pasteFormattingTags);
+    for (const child of [...root.childNodes]) {
+        if (child.parentNode !== root) {
+            // Already merged into its previous sibling
+            continue;
+        }
+
+        let nextSibling = child.nextSibling;
+        while (
+            child.nodeType === Node.ELEMENT_NODE && formattingTags.includes(child.localName) &&
+            nextSibling?.nodeType === Node.ELEMENT_NODE && nextSibling.localName === child.localName
+        ) {
+            child.append(...nextSibling.childNodes);
+            nextSibling.remove();
+            nextSibling = child.nextSibling;
+        }
+    }
+
+    for (const child of root.children) {
+        mergeAdjacentFormattingElements(child);
+    }
+}
+
+// MARK: - Word lists
+
+/**
+ * Word exports lists as paragraphs with a `mso-list` style and a fake bullet.
+ * Converts each run of such paragraphs into real nested lists.
+ */
+function convertWordLists(root) {
+    let currentRun = [];
+    for (const paragraph of root.querySelectorAll("p")) {
+        const listInformation = getWordListInformation(paragraph);
+        if (listInformation === null) {
+            continue;
+        }
+
+        const previousItem = currentRun[currentRun.length - 1];
+        if (
+            previousItem !== undefined &&
+            (previousItem.paragraph.nextElementSibling !== paragraph || previousItem.listID !== listInformation.listID)
+        ) {
+            convertWordListRun(currentRun);
+            currentRun = [];
+        }
+        currentRun.push({ paragraph: paragraph, ...listInformation });
+    }
+    convertWordListRun(currentRun);
+}
+
+function getWordListInformation(paragraph) {
+    const listMatch = (paragraph.getAttribute("style") || "").match(/mso-list:\s*(l\d+)\s+level(\d+)/i);
+    if (listMatch === null) {
+        return null;
+    }
+
+    let isOrdered = false;
+    const marker = [...paragraph.querySelectorAll("span")].find(span => /mso-list:\s*ignore/i.test(span.getAttribute("style")));
+    if (marker !== undefined) {
+        isOrdered = /^\s*\(?([0-9]+|[a-z]|[ivxlcdm]+)[.)]/i.test(marker.textContent);
+        marker.remove();
+    }
+
+    return { listID: listMatch[1], level: parseInt(listMatch[2]), isOrdered: isOrdered };
+}
+
+function convertWordListRun(run) {
+    const listStack = [];
+    for (const item of run) {
+        while (listStack.length > 0 && listStack[listStack.length - 1].level > item.level) {
+            listStack.pop();
+        }
+
+        if (listStack.length === 0 || listStack[listStack.length - 1].level < item.level) {
+            const list = document.createElement(item.isOrdered ? "ol" : "ul");
+            if (listStack.length === 0) {
+                item.paragraph.before(list);
+            } else {
+                const parentList = listStack[listStack.length - 1].list;
+                (parentList.lastElementChild || parentList).appendChild(list);
+            }
+            listStack.push({ level: item.level, list: list });
+        }
+
+        const listItem = document.createElement("li");
+        listItem.append(...item.paragraph.childNodes);
+        listStack[listStack.length - 1].list.appendChild(listItem);
+        item.paragraph.remove();
+    }
+}
+
+// MARK: - Utils
+
+function getCaretTextOffset() {
+    const range = getRange();
+    const editor = getEditor();
+    if (range === null || !editor.contains(range.startContainer)) {
+        return null;
+    }
+    return getTextOffsetOfPoint(editor, range.startContainer, range.startOffset);
+}
+
+function getTextFromHTML(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content.textContent;
+}
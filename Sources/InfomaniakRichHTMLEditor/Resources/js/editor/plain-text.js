@@ -0,0 +1,285 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Describes how the destination of the links is written in the plain text */
+const PlainTextLinkStyle = {
+    footnotes: "footnotes",
+    inline: "inline"
+};
+
+/** Elements rendered as separate blocks of lines, the other elements are part of the current line */
+const plainTextBlockTags = [
+    "address", "article", "blockquote", "div", "dl", "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header",
+    "hr", "li", "ol", "p", "pre", "section", "table", "ul"
+];
+/** Blocks separated from their neighbours by an empty line, the lines of the editor are `div` elements */
+const plainTextSpacedBlockTags = ["blockquote", "h1", "h2", "h3", "h4", "h5", "h6", "ol", "p", "pre", "table", "ul"];
+
+const PLAIN_TEXT_QUOTE_PREFIX = "> ";
+const PLAIN_TEXT_BULLET = "- ";
+const PLAIN_TEXT_UNCHECKED_BOX = "[ ] ";
+const PLAIN_TEXT_CHECKED_BOX = "[x] ";
+const PLAIN_TEXT_RULE = "---";
+
+// MARK: - Export plain text
+
+/**
+ * Converts the content of the editor to plain text, for example for the text/plain part of an email.
+ * Lists keep their bullets and numbers, checklist items start with `[x]` or `[ ]`, quotes are prefixed with `>`
+ * and the links are written as numbered footnotes or inline.
+ *
+ * @param {Object|null} options - Optional settings of the conversion
+ * @param {number|null} options.lineWidth - The maximum length of a line, the lines are not wrapped if missing
+ * @param {string} options.linkStyle - How the links are written, one of `PlainTextLinkStyle`
+ * @returns {string} - The content of the editor as plain text
+ */
+function getContentAsPlainText(options) {
+    const context = {
+        lineWidth: options?.lineWidth || null,
+        linkStyle: options?.linkStyle || PlainTextLinkStyle.footnotes,
+        footnotes: []
+    };
+
+    const lines = [];
+    appendPlainTextBlockChildren(getTextExportCopy(), lines, { firstPrefix: "", prefix: "" }, context);
+
+    let text = layoutPlainTextLines(lines, context.lineWidth).join("\n");
+    if (context.footnotes.length > 0) {
+        const footnotes = context.footnotes.map((url, index) => `[${index + 1}] ${url}`);
+        text += (text === "" ? "" : "\n\n") + footnotes.join("\n");
+    }
+    return text;
+}
+
+// MARK: - Blocks
+
+function appendPlainTextBlockChildren(element, lines, state, context) {
+    let currentLine = "";
+    let hasInlineContent = false;
+
+    for (const child of element.childNodes) {
+        if (child.nodeType === Node.ELEMENT_NODE && plainTextBlockTags.includes(child.localName)) {
+            if (hasInlineContent) {
+                appendPlainTextLine(currentLine, lines, state);
+            }
+            currentLine = "";
+            hasInlineContent = false;
+            appendPlainTextBlockElement(child, lines, state, context);
+        } else if (child.localName === "br") {
+            // A line break always ends a line, even an empty one
+            appendPlainTextLine(currentLine, lines, state);
+            currentLine = "";
+            hasInlineContent = false;
+        } else {
+            const text = getPlainTextOfInlineNode(child, context);
+            currentLine += text;
+            hasInlineContent = hasInlineContent || text.trim() !== "";
+        }
+    }
+
+    if (hasInlineContent) {
+        appendPlainTextLine(currentLine, lines, state);
+    }
+}
+
+function appendPlainTextBlockElement(element, lines, state, context) {
+    const tagName = element.localName;
+    const isSpaced = plainTextSpacedBlockTags.includes(tagName) && element.parentElement?.localName !== "li";
+    if (isSpaced) {
+        lines.push({ isSeparator: true, prefix: state.prefix });
+    }
+
+    const lineCount = lines.length;
+    switch (tagName) {
+        case "blockquote": {
+            const quoteState = {
+                firstPrefix: state.firstPrefix + PLAIN_TEXT_QUOTE_PREFIX,
+                prefix: state.prefix + PLAIN_TEXT_QUOTE_PREFIX
+            };
+            appendPlainTextBlockChildren(element, lines, quoteState, context);
+            break;
+        }
+        case "ul":
+        case "ol":
+            appendPlainTextList(element, lines, state, context);
+            break;
+        case "pre":
+            for (const line of getPreformattedText(element).replace(/\n$/, "").split("\n")) {
+                appendPlainTextLine(line, lines, state, true);
+            }
+            break;
+        case "table":
+            for (const row of element.rows) {
+                const cells = [...row.cells].map(cell => getPlainTextOfBlock(cell, context));
+                appendPlainTextLine(cells.join(" | "), lines, state);
+            }
+            break;
+        case "hr":
+            appendPlainTextLine(PLAIN_TEXT_RULE, lines, state);
+            break;
+        default:
+            appendPlainTextBlockChildren(element, lines, state, context);
+            break;
+    }
+
+    if (lines.length > lineCount) {
+        state.firstPrefix = state.prefix;
+    }
+    if (isSpaced) {
+        lines.push({ isSeparator: true, prefix: state.prefix });
+    }
+}
+
+function appendPlainTextList(list, lines, state, context) {
+    const isOrdered = list.localName === "ol";
+    let number = isOrdered ? (parseInt(list.getAttribute("start")) || 1) : 0;
+
+    let itemState = null;
+    for (const child of list.children) {
+        if (child.localName === "li") {
+            const marker = isOrdered ? `${number++}. ` : getPlainTextBullet(child);
+            itemState = { firstPrefix: state.firstPrefix + marker, prefix: state.prefix + " ".repeat(marker.length) };
+
+            const lineCount = lines.length;
+            appendPlainTextBlockChildren(child, lines, itemState, context);
+            if (lines.length === lineCount) {
+                // An empty item still shows its bullet
+                appendPlainTextLine("", lines, itemState);
+            }
+            state.firstPrefix = state.prefix;
+        } else if (child.localName === "ul" || child.localName === "ol") {
+            // WebKit nests a list directly in its parent list when indenting an item
+            appendPlainTextList(child, lines, itemState ?? state, context);
+        }
+    }
+}
+
+function getPlainTextBullet(item) {
+    if (!isChecklistItem(item)) {
+        return PLAIN_TEXT_BULLET;
+    }
+    return (item.getAttribute("data-checked") === "true") ? PLAIN_TEXT_CHECKED_BOX : PLAIN_TEXT_UNCHECKED_BOX;
+}
+
+function appendPlainTextLine(text, lines, state, isPreformatted = false) {
+    lines.push({
+        text: isPreformatted ? text : text.trim(),
+        firstPrefix: state.firstPrefix,
+        prefix: state.prefix,
+        isPreformatted: isPreformatted
+    });
+    state.firstPrefix = state.prefix;
+}
+
+// MARK: - Inline content
+
+function getPlainTextOfInlineNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, " ");
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return "";
+    }
+
+    switch (node.localName) {
+        case "img": {
+            const alternativeText = node.getAttribute("alt");
+            return alternativeText ? `[${alternativeText}]` : "";
+        }
+        case "a":
+            return getPlainTextOfAnchor(node, context);
+        default:
+            return [...node.childNodes].map(child => getPlainTextOfInlineNode(child, context)).join("");
+    }
+}
+
+function getPlainTextOfAnchor(anchor, context) {
+    const text = [...anchor.childNodes].map(child => getPlainTextOfInlineNode(child, context)).join("");
+    const href = anchor.getAttribute("href");
+    if (!href || href.startsWith("#")) {
+        return text;
+    }
+
+    // A link showing its own destination doesn't need to repeat it
+    const destination = href.replace(/^mailto:/i, "");
+    if (text.trim() === "" || text.trim() === href || text.trim() === destination) {
+        return text.trim() === "" ? destination : text;
+    }
+
+    if (context.linkStyle === PlainTextLinkStyle.inline) {
+        return `${text} <${destination}>`;
+    }
+
+    let footnoteIndex = context.footnotes.indexOf(href);
+    if (footnoteIndex < 0) {
+        context.footnotes.push(href);
+        footnoteIndex = context.footnotes.length - 1;
+    }
+    return `${text} [${footnoteIndex + 1}]`;
+}
+
+function getPlainTextOfBlock(element, context) {
+    const lines = [];
+    appendPlainTextBlockChildren(element, lines, { firstPrefix: "", prefix: "" }, context);
+    return lines.filter(line => !line.isSeparator).map(line => line.text).join(" ").trim();
+}
+
+// MARK: - Layout
+
+function layoutPlainTextLines(lines, lineWidth) {
+    const layoutLines = [];
+    let isAfterEmptyLine = true;
+    let previousSeparator = null;
+
+    for (const line of lines) {
+        if (line.isSeparator) {
+            // Consecutive separators and separators next to empty lines are merged, the outermost one wins
+            if (!isAfterEmptyLine) {
+                layoutLines.push(line.prefix.trimEnd());
+                isAfterEmptyLine = true;
+                previousSeparator = line;
+            } else if (previousSeparator !== null && line.prefix.length < previousSeparator.prefix.length) {
+                layoutLines[layoutLines.length - 1] = line.prefix.trimEnd();
+                previousSeparator = line;
+            }
+            continue;
+        }
+        previousSeparator = null;
+
+        const wrappedLines = line.isPreformatted ? [line.text] : wrapPlainTextLine(line.text, lineWidth, line.prefix.length);
+        wrappedLines.forEach((wrappedLine, index) => {
+            const prefix = (index === 0) ? line.firstPrefix : line.prefix;
+            layoutLines.push((prefix + wrappedLine).trimEnd());
+        });
+        isAfterEmptyLine = line.text === "";
+    }
+
+    while (layoutLines.length > 0 && layoutLines[layoutLines.length - 1].replace(/>/g, "").trim() === "") {
+        layoutLines.pop();
+    }
+    return layoutLines;
+}
+
+function wrapPlainTextLine(text, lineWidth, prefixLength) {
+    if (lineWidth === null || text.length + prefixLength <= lineWidth) {
+        return [text];
+    }
+
+    // Words longer than the line, like URLs, are never cut
+    const availableWidth = Math.max(lineWidth - prefixLength, 1);
+    const wrappedLines = [];
+    let currentLine = "";
+    for (const word of text.split(" ")) {
+        if (currentLine === "") {
+            currentLine = word;
+        } else if (currentLine.length + 1 + word.length <= availableWidth) {
+            currentLine += ` ${word}`;
+        } else {
+            wrappedLines.push(currentLine);
+            currentLine = word;
+        }
+    }
+    wrappedLines.push(currentLine);
+    return wrappedLines;
+}
@@ -0,0 +1,294 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Size of the "…" toggle displayed at the top of the protected regions, must match `style.css` */
+const PROTECTED_REGION_TOGGLE_WIDTH = 32;
+const PROTECTED_REGION_TOGGLE_HEIGHT = 20;
+
+/** Rules used to find the protected regions, can be overridden by the host */
+let protectedRegionConfiguration = {
+    selectors: [],
+    isCollapsedByDefault: false
+};
+
+/** Inputs replacing a selection that overlaps protected regions, they are replayed once the regions are deleted */
+const PROTECTED_REGION_REPLAYED_INPUTS = {
+    insertText: "insertText",
+    insertReplacementText: "insertText",
+    insertParagraph: "insertParagraph",
+    insertLineBreak: "insertLineBreak"
+};
+
+/** The protected regions of the content and their HTML, to report the ones removed */
+let knownProtectedRegions = new Map();
+
+// MARK: - Configuration
+
+/**
+ * Sets the rules used to find the protected regions, for example `blockquote[data-quote]`.
+ * Protected regions can't be edited, are deleted as a whole and can be collapsed with their "…" toggle.
+ *
+ * @param {Object} configuration - The new rules
+ * @param {Array<string>} configuration.selectors - The CSS selectors matching the protected regions
+ * @param {boolean} configuration.isCollapsedByDefault - Whether the regions are collapsed when they appear
+ */
+function setProtectedRegionConfiguration(configuration) {
+    // An invalid selector throws before changing anything, the error is reported to the WKWebView
+    getEditor().querySelectorAll(configuration.selectors.join(", ") || "*");
+
+    protectedRegionConfiguration = { ...protectedRegionConfiguration, ...configuration };
+    resetProtectedRegions();
+}
+
+/**
+ * Collapses or expands all the protected regions of the content.
+ *
+ * @param {boolean} isCollapsed - Whether the regions should be collapsed
+ */
+function setProtectedRegionsCollapsed(isCollapsed) {
+    for (const region of knownProtectedRegions.keys()) {
+        setProtectedRegionCollapsed(region, isCollapsed);
+    }
+}
+
+// MARK: - Find regions
+
+/**
+ * Finds the protected regions of the new content, without reporting the previous ones as removed.
+ * Called each time the whole content is replaced.
+ */
+function resetProtectedRegions() {
+    knownProtectedRegions = new Map();
+    refreshProtectedRegions(false);
+}
+
+function handleProtectedRegionMutations(mutations) {
+    if (mutations.some(mutation => mutation.type === "childList")) {
+        refreshProtectedRegions(true);
+    }
+}
+
+function refreshProtectedRegions(shouldReportRemovedRegions) {
+    const regions = markProtectedRegions();
+    const previousRegions = knownProtectedRegions;
+    knownProtectedRegions = new Map(
+        regions.map(region => [region, previousRegions.get(region) ?? getNodeHTML(region)])
+    );
+
+    if (!shouldReportRemovedRegions) {
+        return;
+    }
+
+    // Undo replaces the regions with identical copies, they are not removed
+    const remainingHTML = [...knownProtectedRegions.values()];
+    for (const [region, html] of previousRegions) {
+        if (knownProtectedRegions.has(region)) {
+            continue;
+        }
+
+        const index = remainingHTML.indexOf(html);
+        if (index >= 0) {
+            remainingHTML.splice(index, 1);
+        } else {
+            reportProtectedRegionDidRemove(html);
+        }
+    }
+}
+
+function markProtectedRegions() {
+    const editor = getEditor();
+    const selector = protectedRegionConfiguration.selectors.join(", ");
+    const regions = (selector === "") ? [] : [...editor.querySelectorAll(selector)];
+
+    for (const element of editor.querySelectorAll(`[${EditorDisplayAttribute.protectedRegion}]`)) {
+        if (!regions.includes(element)) {
+            element.removeAttribute(EditorDisplayAttribute.protectedRegion);
+            element.removeAttribute(EditorDisplayAttribute.collapsed);
+        }
+    }
+
+    for (const region of regions) {
+        if (!region.hasAttribute(EditorDisplayAttribute.protectedRegion)) {
+            region.setAttribute(EditorDisplayAttribute.protectedRegion, "");
+            setProtectedRegionCollapsed(region, protectedRegionConfiguration.isCollapsedByDefault);
+        }
+    }
+    return regions;
+}
+
+// MARK: - Collapse regions
+
+function handleProtectedRegionClick(event) {
+    const region = event.target.closest?.(`[${EditorDisplayAttribute.protectedRegion}]`);
+    if (region == null || !getEditor().contains(region)) {
+        return;
+    }
+
+    // The toggle is a pseudo-element, it is found with the position of the click
+    const rect = region.getBoundingClientRect();
+    const style = window.getComputedStyle(region);
+    const toggleLeft = rect.left + parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft);
+    const toggleTop = rect.top + parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop);
+    const isToggleClicked = (
+        event.clientX >= toggleLeft && event.clientX <= toggleLeft + PROTECTED_REGION_TOGGLE_WIDTH &&
+        event.clientY >= toggleTop && event.clientY <= toggleTop + PROTECTED_REGION_TOGGLE_HEIGHT
+    );
+    if (!isToggleClicked) {
+        return;
+    }
+
+    event.preventDefault();
+    setProtectedRegionCollapsed(region, !region.hasAttribute(EditorDisplayAttribute.collapsed));
+}
+
+function setProtectedRegionCollapsed(region, isCollapsed) {
+    if (isCollapsed) {
+        region.setAttribute(EditorDisplayAttribute.collapsed, "");
+    } else {
+        region.removeAttribute(EditorDisplayAttribute.collapsed);
+    }
+}
+
+// MARK: - Delete regions
+
+function handleProtectedRegionBeforeInput(event) {
+    const range = getRange();
+    if (range === null) {
+        return;
+    }
+    if (!range.collapsed) {
+        handleProtectedRegionSelectionInput(event, range);
+        return;
+    }
+
+    const isBackward = event.inputType === "deleteContentBackward";
+    if (!isBackward && event.inputType !== "deleteContentForward") {
+        return;
+    }
+
+    const region = getAdjacentProtectedRegion(range.startContainer, range.startOffset, isBackward);
+    if (region === null) {
+        return;
+    }
+
+    // The region can't be edited, it is always removed as a whole
+    event.preventDefault();
+    recordHistoryStep();
+
+    range.setStartBefore(region);
+    range.collapse(true);
+    region.remove();
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function handleProtectedRegionSelectionInput(event, range) {
+    const isDeletion = event.inputType.startsWith("delete");
+    if (!isDeletion && !event.inputType.startsWith("insert")) {
+        return;
+    }
+
+    const coveringRange = getRangeCoveringProtectedRegions(range);
+    if (coveringRange === null) {
+        return;
+    }
+
+    // A selection overlapping a region would delete a part of it, the whole region is deleted instead
+    event.preventDefault();
+    const replayedInput = PROTECTED_REGION_REPLAYED_INPUTS[event.inputType];
+    if (!isDeletion && replayedInput === undefined) {
+        return;
+    }
+
+    recordHistoryStep();
+    coveringRange.deleteContents();
+    coveringRange.collapse(true);
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(coveringRange);
+
+    if (replayedInput !== undefined) {
+        document.execCommand(replayedInput, false, event.data ?? event.dataTransfer?.getData("text/plain") ?? null);
+    }
+}
+
+/**
+ * Extends the selection to the whole protected regions it overlaps, before replacing it with pasted content.
+ */
+function extendSelectionToProtectedRegions() {
+    const range = getRange();
+    const coveringRange = (range === null || range.collapsed) ? null : getRangeCoveringProtectedRegions(range);
+    if (coveringRange === null) {
+        return;
+    }
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(coveringRange);
+}
+
+function getRangeCoveringProtectedRegions(range) {
+    // A selection inside a single region can't change it, only the regions containing one end of the range are added
+    const startRegion = getOutermostProtectedRegion(range.startContainer, range.endContainer);
+    const endRegion = getOutermostProtectedRegion(range.endContainer, range.startContainer);
+    if (startRegion === null && endRegion === null) {
+        return null;
+    }
+
+    const coveringRange = range.cloneRange();
+    if (startRegion !== null) {
+        coveringRange.setStartBefore(startRegion);
+    }
+    if (endRegion !== null) {
+        coveringRange.setEndAfter(endRegion);
+    }
+    return coveringRange;
+}
+
+function getOutermostProtectedRegion(node, otherNode) {
+    const editor = getEditor();
+    let region = null;
+    for (let ancestor = node; ancestor !== null && ancestor !== editor; ancestor = ancestor.parentNode) {
+        if (isProtectedRegion(ancestor) && !ancestor.contains(otherNode)) {
+            region = ancestor;
+        }
+    }
+    return region;
+}
+
+function getAdjacentProtectedRegion(container, offset, isBackward) {
+    const editor = getEditor();
+    let node = container;
+    if (container.nodeType === Node.TEXT_NODE) {
+        const isAtEdge = isBackward ? offset === 0 : offset === container.length;
+        if (!isAtEdge) {
+            return null;
+        }
+    } else {
+        const child = isBackward ? container.childNodes[offset - 1] : container.childNodes[offset];
+        if (child != null) {
+            return isProtectedRegion(child) ? child : null;
+        }
+    }
+
+    // The caret is at the edge of its ancestors until one of them has a sibling in that direction
+    while (node !== null && node !== editor && editor.contains(node)) {
+        let sibling = isBackward ? node.previousSibling : node.nextSibling;
+        while (sibling != null && sibling.nodeType === Node.TEXT_NODE && sibling.textContent.trim() === "") {
+            sibling = isBackward ? sibling.previousSibling : sibling.nextSibling;
+        }
+
+        if (sibling != null) {
+            return isProtectedRegion(sibling) ? sibling : null;
+        }
+        node = node.parentNode;
+    }
+    return null;
+}
+
+function isProtectedRegion(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.hasAttribute(EditorDisplayAttribute.protectedRegion);
+}
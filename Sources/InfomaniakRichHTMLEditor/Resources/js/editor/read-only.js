@@ -0,0 +1,40 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Whether the user can only read the content, can be toggled by the host */
+let isEditorReadOnly = false;
+
+// MARK: - Read-only mode
+
+/**
+ * Toggles the read-only mode. In this mode the content can still be selected and copied, the links are opened,
+ * and the checklists and the protected regions can still be toggled. The commands changing the content throw
+ * an error instead, but the placeholders of the files being uploaded can still be replaced or removed.
+ *
+ * @param {boolean} isReadOnly - Whether the content can only be read
+ */
+function setReadOnly(isReadOnly) {
+    isEditorReadOnly = isReadOnly;
+
+    const editor = getEditor();
+    editor.setAttribute("contenteditable", isReadOnly ? "false" : "true");
+    if (isReadOnly) {
+        deselectImage();
+        setActiveMentionQuery(null);
+    }
+}
+
+/**
+ * Throws an error when the editor is read-only, called before changing the content.
+ *
+ * @param {string|null} command - The name of the command changing the content, if any
+ */
+function assertEditorIsEditable(command = null) {
+    if (!isEditorReadOnly) {
+        return;
+    }
+
+    const subject = (command === null) ? "the command" : `the "${command}" command`;
+    throw new Error(`The editor is read-only, ${subject} can't change the content`);
+}
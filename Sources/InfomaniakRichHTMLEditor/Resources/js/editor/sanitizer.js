@@ -0,0 +1,308 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Rules used to decide which parts of an HTML fragment are kept, can be overridden by the host */
+let sanitizerConfiguration = {
+    isEnabled: true,
+    allowedTags: [
+        "a", "abbr", "address", "b", "bdi", "bdo", "big", "blockquote", "br", "caption", "center", "cite", "code",
+        "col", "colgroup", "dd", "del", "dfn", "div", "dl", "dt", "em", "font", "h1", "h2", "h3", "h4", "h5", "h6",
+        "hr", "i", "img", "ins", "kbd", "li", "mark", "ol", "p", "pre", "q", "s", "samp", "small", "span", "strike",
+        "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "tt", "u", "ul", "var", "wbr"
+    ],
+    allowedAttributes: [
+        "align", "alt", "bgcolor", "border", "cellpadding", "cellspacing", "class", "color", "colspan", "dir",
+        "face", "height", "href", "id", "lang", "rowspan", "size", "span", "src", "start", "style", "target",
+        "title", "type", "valign", "width", "data-*"
+    ],
+    allowedStyleProperties: [
+        "background-color", "border", "border-collapse", "border-spacing", "color", "direction", "display",
+        "font", "height", "letter-spacing", "line-height", "list-style-type", "margin", "max-width", "min-width",
+        "padding", "text-align", "text-decoration", "text-indent", "vertical-align", "white-space", "width"
+    ],
+    allowedURLSchemes: ["http", "https", "mailto", "tel"],
+    allowedImageURLSchemes: ["cid", "data"]
+};
+
+/** Tags that are removed with their content instead of being unwrapped */
+const sanitizerDroppedTags = [
+    "applet", "base", "button", "embed", "form", "frame", "frameset", "head", "iframe", "input", "link", "math",
+    "meta", "noscript", "object", "script", "select", "style", "svg", "template", "textarea", "title"
+];
+
+/** Attributes that contain a URL and must be checked against the allowed schemes */
+const sanitizerURLAttributes = ["href", "src", "action", "background", "cite", "formaction", "poster", "xlink:href"];
+
+/** Keeps the source of a blocked remote image, so that it can be loaded later and is still in the exported HTML */
+const BLOCKED_IMAGE_SOURCE_ATTRIBUTE = "data-blocked-src";
+/** The schemes of the remote images, their source is kept when they are blocked */
+const REMOTE_IMAGE_URL_SCHEMES = ["http", "https"];
+
+/** Describes where the sanitized HTML comes from */
+const SanitizerOrigin = {
+    setContent: "setContent",
+    paste: "paste",
+    link: "link",
+    image: "image",
+    insertHTML: "insertHTML"
+};
+
+// MARK: - Configuration
+
+/**
+ * Overrides the rules of the sanitizer.
+ * The properties not provided keep their current value.
+ *
+ * @param {Object} configuration - The new rules of the sanitizer
+ */
+function setSanitizerConfiguration(configuration) {
+    sanitizerConfiguration = { ...sanitizerConfiguration, ...configuration };
+}
+
+// MARK: - Sanitize HTML
+
+/**
+ * Removes every tag, attribute, CSS property and URL that is not allowed by the configuration.
+ * If something has been removed, the WKWebView will be notified.
+ *
+ * @param {string} html - The HTML fragment to clean
+ * @param {string} origin - The origin of the fragment, one of `SanitizerOrigin`
+ * @returns {string} - The cleaned HTML fragment
+ */
+function sanitizeHTML(html, origin) {
+    if (!sanitizerConfiguration.isEnabled) {
+        return html;
+    }
+
+    // The content of a template is inert: scripts don't run and images don't load
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    const report = createSanitizerReport(origin);
+    sanitizeChildNodes(template.content, report);
+    reportSanitizerReportIfNecessary(report);
+
+    return template.innerHTML;
+}
+
+/**
+ * Checks that the URL can be used as the destination of a link, or as the source of an image
+ * when the origin is `SanitizerOrigin.image`.
+ * If it can't, the WKWebView will be notified.
+ *
+ * @param {string} url - The URL to check
+ * @param {string} origin - The origin of the URL, one of `SanitizerOrigin`
+ * @returns {string|null} - The URL if it is allowed, null otherwise
+ */
+function sanitizeURL(url, origin) {
+    const allowedSchemes = (origin === SanitizerOrigin.image)
+        ? sanitizerConfiguration.allowedImageURLSchemes
+        : sanitizerConfiguration.allowedURLSchemes;
+    if (!sanitizerConfiguration.isEnabled || isURLAllowed(url, allowedSchemes)) {
+        return url;
+    }
+
+    const report = createSanitizerReport(origin);
+    report.removedURLs.push(url);
+    reportSanitizerReportIfNecessary(report);
+
+    return null;
+}
+
+// MARK: - Blocked images
+
+/**
+ * Loads the remote images blocked by the sanitizer, for example when the user chooses to display them.
+ */
+function loadBlockedImages() {
+    for (const image of getEditor().querySelectorAll(`img[${BLOCKED_IMAGE_SOURCE_ATTRIBUTE}]`)) {
+        const source = getBlockedImageSource(image);
+        image.removeAttribute(BLOCKED_IMAGE_SOURCE_ATTRIBUTE);
+        if (source !== null) {
+            image.setAttribute("src", source);
+        }
+    }
+}
+
+/**
+ * Gives their source back to the blocked images of a copy of the content, before it is exported.
+ *
+ * @param {Element} root - The copy of the content
+ */
+function restoreBlockedImageSources(root) {
+    for (const image of root.querySelectorAll(`img[${BLOCKED_IMAGE_SOURCE_ATTRIBUTE}]`)) {
+        const source = getBlockedImageSource(image);
+        image.removeAttribute(BLOCKED_IMAGE_SOURCE_ATTRIBUTE);
+        if (source !== null && !image.hasAttribute("src")) {
+            image.setAttribute("src", source);
+        }
+    }
+}
+
+/**
+ * @param {HTMLImageElement} image - An image of the content
+ * @returns {string} - The source of the image, or the source of the remote image blocked by the sanitizer
+ */
+function getImageSource(image) {
+    return image.getAttribute("src") || getBlockedImageSource(image) || "";
+}
+
+function getBlockedImageSource(image) {
+    // The attribute can come from the inserted HTML, only a remote URL is used as a source
+    const source = image.getAttribute(BLOCKED_IMAGE_SOURCE_ATTRIBUTE);
+    return (source !== null && isRemoteImageURL(source)) ? source : null;
+}
+
+// MARK: - Utils
+
+function sanitizeChildNodes(parent, report) {
+    for (const child of [...parent.childNodes]) {
+        switch (child.nodeType) {
+            case Node.ELEMENT_NODE:
+                sanitizeElement(child, report);
+                break;
+            case Node.TEXT_NODE:
+                break;
+            default:
+                // Comments (including Word conditional comments) and processing instructions
+                child.remove();
+                break;
+        }
+    }
+}
+
+function sanitizeElement(element, report) {
+    const tagName = element.localName.toLowerCase();
+    if (!sanitizerConfiguration.allowedTags.includes(tagName)) {
+        addUniqueValue(report.removedTags, tagName);
+        if (sanitizerDroppedTags.includes(tagName)) {
+            element.remove();
+        } else {
+            sanitizeChildNodes(element, report);
+            element.replaceWith(...element.childNodes);
+        }
+        return;
+    }
+
+    sanitizeAttributes(element, report);
+    if (tagName === "img" && !element.hasAttribute("src") && getBlockedImageSource(element) === null) {
+        // Images without a source are either tracking pixels or broken images
+        element.remove();
+        return;
+    }
+
+    sanitizeChildNodes(element, report);
+}
+
+function sanitizeAttributes(element, report) {
+    for (const attribute of [...element.attributes]) {
+        const name = attribute.name.toLowerCase();
+        if (!isAttributeAllowed(name) || (name === "id" && attribute.value === getEditor().id)) {
+            element.removeAttribute(attribute.name);
+            addUniqueValue(report.removedAttributes, name);
+        } else if (sanitizerURLAttributes.includes(name) && !isURLAllowed(attribute.value, getAllowedURLSchemes(element))) {
+            element.removeAttribute(attribute.name);
+            if (element.localName === "img" && name === "src" && isRemoteImageURL(attribute.value)) {
+                // The image doesn't load, but it is not lost when the content is saved
+                element.setAttribute(BLOCKED_IMAGE_SOURCE_ATTRIBUTE, attribute.value);
+                report.blockedImageURLs.push(attribute.value);
+            } else {
+                report.removedURLs.push(attribute.value);
+            }
+        }
+    }
+
+    if (element.hasAttribute("style")) {
+        sanitizeStyle(element, report);
+    }
+}
+
+function sanitizeStyle(element, report) {
+    const style = element.style;
+    for (const property of Array.from(style)) {
+        const value = style.getPropertyValue(property);
+        if (!isStylePropertyAllowed(property) || /(url|expression|image-set)\s*\(/i.test(value)) {
+            style.removeProperty(property);
+            addUniqueValue(report.removedStyleProperties, property);
+        }
+    }
+
+    if (style.length === 0) {
+        element.removeAttribute("style");
+    }
+}
+
+function isAttributeAllowed(name) {
+    // Event handlers are never allowed, whatever the configuration
+    if (name.startsWith("on")) {
+        return false;
+    }
+
+    return sanitizerConfiguration.allowedAttributes.some(allowedAttribute => {
+        if (allowedAttribute.endsWith("*")) {
+            return name.startsWith(allowedAttribute.slice(0, -1));
+        }
+        return name === allowedAttribute;
+    });
+}
+
+function isStylePropertyAllowed(property) {
+    // Shorthand properties are expanded by the CSS parser, "margin" allows "margin-top"
+    return sanitizerConfiguration.allowedStyleProperties.some(allowedProperty => {
+        return property === allowedProperty || property.startsWith(`${allowedProperty}-`);
+    });
+}
+
+function isURLAllowed(url, allowedSchemes) {
+    // Browsers ignore whitespaces and control characters in schemes, "java\tscript:" is still JavaScript
+    const compactURL = url.replace(/[\u0000-\u0020\u007F]+/g, "");
+    const schemeMatch = compactURL.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (schemeMatch === null) {
+        // Relative URLs and fragments
+        return true;
+    }
+    return allowedSchemes.includes(schemeMatch[1].toLowerCase());
+}
+
+function isRemoteImageURL(url) {
+    const compactURL = url.replace(/[\u0000-\u0020\u007F]+/g, "");
+    return REMOTE_IMAGE_URL_SCHEMES.some(scheme => compactURL.toLowerCase().startsWith(`${scheme}:`));
+}
+
+function getAllowedURLSchemes(element) {
+    if (element.localName === "img") {
+        return sanitizerConfiguration.allowedImageURLSchemes;
+    }
+    return sanitizerConfiguration.allowedURLSchemes;
+}
+
+function createSanitizerReport(origin) {
+    return {
+        origin: origin,
+        removedTags: [],
+        removedAttributes: [],
+        removedStyleProperties: [],
+        removedURLs: [],
+        blockedImageURLs: []
+    };
+}
+
+function reportSanitizerReportIfNecessary(report) {
+    const hasRemovedContent = (
+        report.removedTags.length > 0 ||
+        report.removedAttributes.length > 0 ||
+        report.removedStyleProperties.length > 0 ||
+        report.removedURLs.length > 0 ||
+        report.blockedImageURLs.length > 0
+    );
+    if (hasRemovedContent) {
+        reportSanitizerDidRemoveContent(report);
+    }
+}
+
+function addUniqueValue(array, value) {
+    if (!array.includes(value)) {
+        array.push(value);
+    }
+}
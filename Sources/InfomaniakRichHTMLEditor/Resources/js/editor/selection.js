@@ -3,6 +3,11 @@
 let lastSelectionRange = null;
 let lastFocusedSelectionGrabber = null;
 
+/** A zero-width space keeps the caret in a new empty inline element */
+const CARET_PLACEHOLDER = "\u200b";
+/** The text node of the last inserted placeholder, until the user types some text */
+let caretPlaceholder = null;
+
 // MARK: - Compute caret position
 
 function computeAndReportCaretPosition() {
@@ -34,8 +39,157 @@ function computeCaretRect() {
     return caretRect;
 }
 
+// MARK: - Save and restore selection
+
+/**
+ * Saves the current selection so the host can store it, for example with a draft.
+ *
+ * @returns {Object|null} - The serialized selection or null if the editor contains no selection
+ */
+function saveSelection() {
+    return serializeSelection();
+}
+
+/**
+ * Restores a selection saved with `saveSelection()`, even after the content was set again or the app relaunched.
+ * If the content changed, the selection is placed at the same text offsets, or at the end of the content.
+ *
+ * @param {Object} serializedSelection - The saved selection
+ */
+function restoreSelection(serializedSelection) {
+    restoreSerializedSelection(serializedSelection);
+    reportSelectedTextAttributesIfNecessary();
+}
+
+// MARK: - Serialize selection
+
+/**
+ * Serializes the current selection of the editor so it can be restored once the DOM has been rebuilt.
+ * Each end of the selection is described by its DOM path from the editor and by its text offset,
+ * which is used as a fallback when the path is no longer valid.
+ *
+ * @returns {Object|null} - The serialized selection or null if the editor contains no selection
+ */
+function serializeSelection() {
+    const selection = document.getSelection();
+    const editor = getEditor();
+    if (selection.rangeCount <= 0 || !editor.contains(selection.anchorNode) || !editor.contains(selection.focusNode)) {
+        return null;
+    }
+
+    return {
+        anchor: serializeSelectionPoint(editor, selection.anchorNode, selection.anchorOffset),
+        focus: serializeSelectionPoint(editor, selection.focusNode, selection.focusOffset)
+    };
+}
+
+/**
+ * Restores a selection serialized with `serializeSelection()`.
+ *
+ * @param {Object} serializedSelection - The serialized selection
+ */
+function restoreSerializedSelection(serializedSelection) {
+    if (serializedSelection?.anchor == null || serializedSelection?.focus == null) {
+        return;
+    }
+
+    const editor = getEditor();
+    const anchor = deserializeSelectionPoint(editor, serializedSelection.anchor);
+    const focus = deserializeSelectionPoint(editor, serializedSelection.focus);
+
+    document.getSelection().setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+}
+
+function serializeSelectionPoint(root, node, offset) {
+    return {
+        path: getNodePath(node, root),
+        offset: offset,
+        textOffset: getTextOffsetOfPoint(root, node, offset)
+    };
+}
+
+function deserializeSelectionPoint(root, point) {
+    // The path is only trusted if the text before it didn't change, the text offset is used otherwise
+    const node = getNodeFromPath(point.path, root);
+    const textOffset = Number.isInteger(point.textOffset) ? Math.max(0, point.textOffset) : 0;
+    const isPathValid = (
+        node !== null && Number.isInteger(point.offset) && point.offset >= 0 && point.offset <= getNodeLength(node) &&
+        getTextOffsetOfPoint(root, node, point.offset) === textOffset
+    );
+    if (isPathValid) {
+        return { node: node, offset: point.offset };
+    }
+    return getPointAtTextOffset(root, textOffset);
+}
+
+function getTextOffsetOfPoint(root, node, offset) {
+    const range = document.createRange();
+    range.selectNodeContents(root);
+    range.setEnd(node, offset);
+    return range.toString().length;
+}
+
+function getPointAtTextOffset(root, textOffset) {
+    let currentOffset = 0;
+    for (const textNode of getTextNodes(root)) {
+        const nodeLength = textNode.textContent.length;
+        if (currentOffset + nodeLength >= textOffset) {
+            return { node: textNode, offset: textOffset - currentOffset };
+        }
+        currentOffset += nodeLength;
+    }
+
+    // The text is shorter than the offset, fallback to the end of the root
+    return { node: root, offset: root.childNodes.length };
+}
+
+// MARK: - Caret placeholder
+
+/**
+ * Inserts an empty inline element, such as a styled span, and moves the caret in it so the user types in it.
+ * A zero-width space keeps the caret in the element, it is removed as soon as the user typed some text.
+ *
+ * @param {Element} element - The element to insert
+ * @param {Range} range - The insertion point
+ */
+function insertElementWithCaretPlaceholder(element, range) {
+    const placeholder = document.createTextNode(CARET_PLACEHOLDER);
+    element.appendChild(placeholder);
+    range.insertNode(element);
+    setSelectionRange(placeholder, placeholder.length, placeholder, placeholder.length);
+    caretPlaceholder = placeholder;
+}
+
+function handleCaretPlaceholderInput() {
+    const placeholder = caretPlaceholder;
+    if (placeholder === null || placeholder.data === CARET_PLACEHOLDER) {
+        return;
+    }
+    caretPlaceholder = null;
+
+    const placeholderIndex = placeholder.data.indexOf(CARET_PLACEHOLDER);
+    const range = getRange();
+    if (!placeholder.isConnected || placeholderIndex < 0 || range === null || range.startContainer !== placeholder) {
+        return;
+    }
+
+    const caretOffset = range.startOffset - ((placeholderIndex < range.startOffset) ? 1 : 0);
+    placeholder.deleteData(placeholderIndex, 1);
+    setSelectionRange(placeholder, caretOffset, placeholder, caretOffset);
+}
+
 // MARK: - Utils
 
+function setSelectionRange(startNode, startOffset, endNode, endOffset) {
+    const range = document.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset);
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
 const SelectionGrabber = {
     start: "Start",
     end: "End",
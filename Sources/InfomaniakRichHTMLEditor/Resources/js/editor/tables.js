@@ -0,0 +1,507 @@
+"use strict";
+
+// MARK: - Variables
+
+/** Where a row or a column is inserted relatively to the current cell */
+const TableInsertionPosition = {
+    before: "before",
+    after: "after"
+};
+
+/** Inline styles are used so the tables look the same in the email clients */
+const TABLE_STYLE = "border-collapse: collapse; width: 100%;";
+const TABLE_CELL_STYLE = "border: 1px solid #cccccc; padding: 4px; min-width: 24px;";
+
+// MARK: - Insert table
+
+/**
+ * Inserts an empty table at the insertion point and moves the caret to its first cell.
+ *
+ * @param {number} rows - The number of rows of the table
+ * @param {number} columns - The number of columns of the table
+ */
+function insertTable(rows, columns) {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer) || rows <= 0 || columns <= 0) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const table = document.createElement("table");
+    table.setAttribute("style", TABLE_STYLE);
+    const tableBody = table.createTBody();
+    for (let rowIndex = 0; rowIndex < rows; rowIndex++) {
+        const row = tableBody.insertRow();
+        for (let columnIndex = 0; columnIndex < columns; columnIndex++) {
+            row.appendChild(createTableCell());
+        }
+    }
+
+    // An empty line after the table lets the user keep writing below it
+    const lineAfterTable = document.createElement("div");
+    lineAfterTable.appendChild(document.createElement("br"));
+
+    range.deleteContents();
+    range.insertNode(lineAfterTable);
+    range.insertNode(table);
+
+    setCaretInTableCell(table.rows[0].cells[0]);
+    reportSelectedTextAttributesIfNecessary();
+}
+
+// MARK: - Rows and columns
+
+/**
+ * Inserts a row before or after the row of the current cell.
+ *
+ * @param {string} position - Where the row should be inserted, one of `TableInsertionPosition`
+ */
+function insertTableRow(position) {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+
+    recordHistoryStep();
+    insertTableRowInContext(context, position);
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Inserts a column before or after the column of the current cell.
+ *
+ * @param {string} position - Where the column should be inserted, one of `TableInsertionPosition`
+ */
+function insertTableColumn(position) {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const { table, grid, positions, cell } = context;
+    const cellPosition = positions.get(cell);
+    const newColumnIndex = (position === TableInsertionPosition.before) ? cellPosition.column : cellPosition.column + cell.colSpan;
+
+    const extendedCells = new Set();
+    grid.forEach((gridRow, rowIndex) => {
+        const previousCell = gridRow[newColumnIndex - 1];
+        if (previousCell !== undefined && previousCell === gridRow[newColumnIndex]) {
+            // The cell spans over the new column, it is extended instead of adding a new cell
+            if (!extendedCells.has(previousCell)) {
+                previousCell.colSpan += 1;
+                extendedCells.add(previousCell);
+            }
+            return;
+        }
+        insertCellInTableRow(table.rows[rowIndex], positions, newColumnIndex, createTableCell(gridRow[cellPosition.column]));
+    });
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Deletes the row of the current cell, the table is deleted with its last row.
+ */
+function deleteTableRow() {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const { table, grid, positions, cell } = context;
+    const rowIndex = positions.get(cell).row;
+    const row = table.rows[rowIndex];
+    const nextRow = table.rows[rowIndex + 1];
+
+    const handledCells = new Set();
+    for (const gridCell of grid[rowIndex]) {
+        if (gridCell === undefined || handledCells.has(gridCell)) {
+            continue;
+        }
+        handledCells.add(gridCell);
+
+        if (gridCell.rowSpan <= 1) {
+            continue;
+        }
+        gridCell.rowSpan -= 1;
+        if (positions.get(gridCell).row === rowIndex && nextRow !== undefined) {
+            // The cell starts in the deleted row, it is moved to the next row
+            insertCellInTableRow(nextRow, positions, positions.get(gridCell).column, gridCell);
+        }
+    }
+
+    row.remove();
+    if (table.rows.length === 0) {
+        table.remove();
+    } else {
+        setCaretInTableCell(table.rows[Math.min(rowIndex, table.rows.length - 1)].cells[0]);
+    }
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Deletes the column of the current cell, the table is deleted with its last column.
+ */
+function deleteTableColumn() {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const { table, grid, positions, cell } = context;
+    const columnIndex = positions.get(cell).column;
+
+    const handledCells = new Set();
+    for (const gridRow of grid) {
+        const gridCell = gridRow[columnIndex];
+        if (gridCell === undefined || handledCells.has(gridCell)) {
+            continue;
+        }
+        handledCells.add(gridCell);
+
+        if (gridCell.colSpan > 1) {
+            gridCell.colSpan -= 1;
+        } else {
+            gridCell.remove();
+        }
+    }
+
+    for (const row of [...table.rows]) {
+        if (row.cells.length === 0) {
+            row.remove();
+        }
+    }
+
+    if (table.rows.length === 0) {
+        table.remove();
+    } else {
+        const gridRow = getTableGrid(table).grid[0];
+        setCaretInTableCell(gridRow[Math.min(columnIndex, gridRow.length - 1)]);
+    }
+    reportSelectedTextAttributesIfNecessary();
+}
+
+// MARK: - Merge and split cells
+
+/**
+ * Merges the selected cells into a single cell.
+ * If the selection is collapsed, the current cell is merged with the cell on its right.
+ */
+function mergeTableCells() {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+
+    const { grid, positions, cell } = context;
+    const cellPosition = positions.get(cell);
+    let area = {
+        top: cellPosition.row,
+        left: cellPosition.column,
+        bottom: cellPosition.row + cell.rowSpan - 1,
+        right: cellPosition.column + cell.colSpan - 1
+    };
+
+    const endCell = getClosestTableCell(context.range.endContainer);
+    if (!context.range.collapsed && endCell !== null && positions.has(endCell)) {
+        area = getTableAreaUnion(area, endCell, positions);
+    } else {
+        const rightCell = grid[cellPosition.row][area.right + 1];
+        if (rightCell === undefined) {
+            return;
+        }
+        area = getTableAreaUnion(area, rightCell, positions);
+    }
+    area = expandTableAreaToWholeCells(area, grid, positions);
+
+    const targetCell = grid[area.top][area.left];
+    const mergedCells = new Set([targetCell]);
+    recordHistoryStep();
+
+    for (let rowIndex = area.top; rowIndex <= area.bottom; rowIndex++) {
+        for (let columnIndex = area.left; columnIndex <= area.right; columnIndex++) {
+            const mergedCell = grid[rowIndex][columnIndex];
+            if (mergedCell === undefined || mergedCells.has(mergedCell)) {
+                continue;
+            }
+            mergedCells.add(mergedCell);
+
+            if (!isTableCellEmpty(mergedCell)) {
+                if (!isTableCellEmpty(targetCell)) {
+                    targetCell.appendChild(document.createElement("br"));
+                }
+                targetCell.append(...mergedCell.childNodes);
+            }
+            mergedCell.remove();
+        }
+    }
+
+    targetCell.colSpan = area.right - area.left + 1;
+    targetCell.rowSpan = area.bottom - area.top + 1;
+
+    setCaretInTableCell(targetCell);
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Splits the current cell, if it spans over several rows or columns, into single cells.
+ */
+function splitTableCell() {
+    const context = getTableSelectionContext();
+    if (context === null || (context.cell.colSpan <= 1 && context.cell.rowSpan <= 1)) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const { table, positions, cell } = context;
+    const cellPosition = positions.get(cell);
+    for (let rowIndex = cellPosition.row; rowIndex < cellPosition.row + cell.rowSpan; rowIndex++) {
+        for (let columnIndex = cellPosition.column; columnIndex < cellPosition.column + cell.colSpan; columnIndex++) {
+            if (rowIndex === cellPosition.row && columnIndex === cellPosition.column) {
+                continue;
+            }
+            insertCellInTableRow(table.rows[rowIndex], positions, columnIndex, createTableCell(cell));
+        }
+    }
+
+    cell.colSpan = 1;
+    cell.rowSpan = 1;
+    reportSelectedTextAttributesIfNecessary();
+}
+
+// MARK: - Cell style
+
+/**
+ * Sets the background color of the selected cells.
+ *
+ * @param {string} color - The new background color of the cells
+ */
+function setTableCellBackgroundColor(color) {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    const cells = [...context.positions.keys()].filter(cell => context.range.intersectsNode(cell));
+    for (const cell of (cells.length > 0 ? cells : [context.cell])) {
+        cell.style.backgroundColor = color;
+    }
+}
+
+// MARK: - Navigate between cells
+
+function handleTableKeyDown(event) {
+    if (event.key !== "Tab" || event.altKey || event.ctrlKey || event.metaKey) {
+        return;
+    }
+
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return;
+    }
+    event.preventDefault();
+
+    const cells = getTableCellsInDocumentOrder(context.table);
+    const cellIndex = cells.indexOf(context.cell);
+    if (event.shiftKey) {
+        if (cellIndex > 0) {
+            setCaretInTableCell(cells[cellIndex - 1]);
+        }
+    } else if (cellIndex < cells.length - 1) {
+        setCaretInTableCell(cells[cellIndex + 1]);
+    } else {
+        // Tab in the last cell adds a new row, like in every word processor
+        recordHistoryStep();
+        const newRow = insertTableRowInContext(context, TableInsertionPosition.after);
+        setCaretInTableCell(newRow.cells[0]);
+    }
+}
+
+// MARK: - Table state
+
+/**
+ * Describes the position of the caret in a table, for the text attributes.
+ *
+ * @returns {Object} - Whether the caret is in a table and the indexes of the current row and column
+ */
+function getTableState() {
+    const context = getTableSelectionContext();
+    if (context === null) {
+        return { isInTable: false, tableRowIndex: null, tableColumnIndex: null };
+    }
+
+    const cellPosition = context.positions.get(context.cell);
+    return { isInTable: true, tableRowIndex: cellPosition.row, tableColumnIndex: cellPosition.column };
+}
+
+// MARK: - Utils
+
+function getTableSelectionContext() {
+    const range = getRange();
+    if (range === null) {
+        return null;
+    }
+
+    const cell = getClosestTableCell(range.startContainer);
+    if (cell === null) {
+        return null;
+    }
+
+    const table = cell.closest("table");
+    const { grid, positions } = getTableGrid(table);
+    if (!positions.has(cell)) {
+        return null;
+    }
+    return { range: range, table: table, grid: grid, positions: positions, cell: cell };
+}
+
+function getClosestTableCell(node) {
+    const cell = getClosestParentNodeElement(node)?.closest("td, th");
+    if (cell == null || !getEditor().contains(cell)) {
+        return null;
+    }
+    return cell;
+}
+
+/**
+ * Computes the grid of a table, where a cell spanning over several rows or columns fills several slots.
+ *
+ * @returns {Object} - The grid, and the position of the top left slot of each cell
+ */
+function getTableGrid(table) {
+    const grid = [];
+    const positions = new Map();
+
+    [...table.rows].forEach((row, rowIndex) => {
+        grid[rowIndex] = grid[rowIndex] || [];
+
+        let columnIndex = 0;
+        for (const cell of row.cells) {
+            while (grid[rowIndex][columnIndex] !== undefined) {
+                columnIndex++;
+            }
+            positions.set(cell, { row: rowIndex, column: columnIndex });
+
+            const rowSpan = Math.min(Math.max(cell.rowSpan, 1), table.rows.length - rowIndex);
+            for (let rowOffset = 0; rowOffset < rowSpan; rowOffset++) {
+                grid[rowIndex + rowOffset] = grid[rowIndex + rowOffset] || [];
+                for (let columnOffset = 0; columnOffset < Math.max(cell.colSpan, 1); columnOffset++) {
+                    grid[rowIndex + rowOffset][columnIndex + columnOffset] = cell;
+                }
+            }
+            columnIndex += Math.max(cell.colSpan, 1);
+        }
+    });
+
+    return { grid: grid, positions: positions };
+}
+
+function insertTableRowInContext(context, position) {
+    const { table, grid, positions, cell } = context;
+    const cellPosition = positions.get(cell);
+    const isBefore = position === TableInsertionPosition.before;
+    const referenceRowIndex = isBefore ? cellPosition.row : cellPosition.row + cell.rowSpan - 1;
+    const newRowIndex = isBefore ? referenceRowIndex : referenceRowIndex + 1;
+    const columnCount = Math.max(...grid.map(gridRow => gridRow.length));
+
+    const newRow = document.createElement("tr");
+    const extendedCells = new Set();
+    for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+        const previousCell = grid[newRowIndex - 1]?.[columnIndex];
+        if (previousCell !== undefined && previousCell === grid[newRowIndex]?.[columnIndex]) {
+            // The cell spans over the new row, it is extended instead of adding a new cell
+            if (!extendedCells.has(previousCell)) {
+                previousCell.rowSpan += 1;
+                extendedCells.add(previousCell);
+            }
+            continue;
+        }
+        newRow.appendChild(createTableCell(grid[referenceRowIndex][columnIndex]));
+    }
+
+    const referenceRow = table.rows[referenceRowIndex];
+    if (isBefore) {
+        referenceRow.before(newRow);
+    } else {
+        referenceRow.after(newRow);
+    }
+    return newRow;
+}
+
+function insertCellInTableRow(row, positions, columnIndex, cell) {
+    // Only the cells of the original grid have a position, new cells keep their insertion order
+    const nextCell = [...row.cells].find(rowCell => positions.has(rowCell) && positions.get(rowCell).column >= columnIndex);
+    row.insertBefore(cell, nextCell || null);
+}
+
+function getTableAreaUnion(area, cell, positions) {
+    const cellPosition = positions.get(cell);
+    return {
+        top: Math.min(area.top, cellPosition.row),
+        left: Math.min(area.left, cellPosition.column),
+        bottom: Math.max(area.bottom, cellPosition.row + cell.rowSpan - 1),
+        right: Math.max(area.right, cellPosition.column + cell.colSpan - 1)
+    };
+}
+
+function expandTableAreaToWholeCells(area, grid, positions) {
+    // A cell partially inside the area extends the area, until the area only contains whole cells
+    let expandedArea = area;
+    let hasChanged = true;
+    while (hasChanged) {
+        hasChanged = false;
+        for (let rowIndex = expandedArea.top; rowIndex <= expandedArea.bottom; rowIndex++) {
+            for (let columnIndex = expandedArea.left; columnIndex <= expandedArea.right; columnIndex++) {
+                const cell = grid[rowIndex]?.[columnIndex];
+                if (cell === undefined) {
+                    continue;
+                }
+                const newArea = getTableAreaUnion(expandedArea, cell, positions);
+                if (!compareObjectProperties(newArea, expandedArea)) {
+                    expandedArea = newArea;
+                    hasChanged = true;
+                }
+            }
+        }
+    }
+    return expandedArea;
+}
+
+function createTableCell(styleSourceCell) {
+    const cell = document.createElement(styleSourceCell?.localName === "th" ? "th" : "td");
+    cell.setAttribute("style", styleSourceCell?.getAttribute("style") || TABLE_CELL_STYLE);
+    cell.appendChild(document.createElement("br"));
+    return cell;
+}
+
+function isTableCellEmpty(cell) {
+    return cell.textContent.trim() === "" && cell.querySelector("img, table") === null;
+}
+
+function getTableCellsInDocumentOrder(table) {
+    return [...table.querySelectorAll("td, th")].filter(cell => cell.closest("table") === table);
+}
+
+function setCaretInTableCell(cell) {
+    if (cell == null) {
+        return;
+    }
+
+    const range = document.createRange();
+    range.selectNodeContents(cell);
+    range.collapse(true);
+
+    const selection = document.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
@@ -28,7 +28,7 @@ const valueCommands = {
 // MARK: - Compute and report TextAttributes
 
 function reportSelectedTextAttributesIfNecessary() {
-    const newSelectedTextAttributes = getSelectionFormatting();
+    const newSelectedTextAttributes = { ...getSelectionFormatting(), ...getHistoryState() };
     if (compareObjectProperties(currentSelectedTextAttributes, newSelectedTextAttributes)) {
         return;
     }
@@ -57,13 +57,24 @@ function defaultFormatting() {
         hasSuperscript: false,
         hasOrderedList: false,
         hasUnorderedList: false,
+        hasChecklist: false,
+        listStyleType: null,
+        listDepth: 0,
+        hasCode: false,
+        isInCodeBlock: false,
         fontName: null,
         rawFontSize: null,
+        cssFontSize: null,
+        lineHeight: null,
+        letterSpacing: null,
         rawForegroundColor: null,
         rawBackgroundColor: null,
         formatBlock: null,
         hasLink: false,
-        textJustification: null
+        textJustification: null,
+        isInTable: false,
+        tableRowIndex: null,
+        tableColumnIndex: null
     };
 }
 
@@ -138,10 +149,14 @@ function getSelectionFormatting() {
             hasSubscript: parentEl.tagName.toLowerCase() === "sub",
             hasSuperscript: parentEl.tagName.toLowerCase() === "sup",
             hasOrderedList: parentEl.closest("ol") !== null,
-            hasUnorderedList: parentEl.closest("ul") !== null,
+            hasUnorderedList: parentEl.closest("ul") !== null && !isChecklist(parentEl.closest("ul, ol")),
+            hasChecklist: parentEl.closest("ul, ol")?.matches(CHECKLIST_SELECTOR) === true,
+            hasCode: getClosestInlineCode(parentEl) !== null,
+            isInCodeBlock: isInCodeBlock(parentEl),
 
             fontName: styles.fontFamily,
             rawFontSize: styles.fontSize,
+            ...getTextStyleOfElement(parentEl),
             rawForegroundColor: styles.color,
             rawBackgroundColor: styles.backgroundColor,
             formatBlock: parentEl.tagName.toLowerCase(),
@@ -158,7 +173,7 @@ function getSelectionFormatting() {
     .filter(Boolean);
 
     // Find attributes that are common across all nodes
-    if (nodeFormats.length === 0) return defaultFormatting;
+    if (nodeFormats.length === 0) return defaultFormatting();
 
     const finalFormatting = {};
     const keys = Object.keys(nodeFormats[0]);
@@ -168,6 +183,9 @@ function getSelectionFormatting() {
         const allSame = nodeFormats.every((f) => f[key] === firstVal);
         if (allSame) {
             finalFormatting[key] = firstVal;
+        } else if (textStyleAttributes.includes(key)) {
+            // The host displays no value rather than the value of a part of the selection
+            finalFormatting[key] = null;
         } else  if(typeof firstVal === 'boolean') {
             finalFormatting[key] = false;
         } else if( key === 'rawForegroundColor' ) {
@@ -180,7 +198,8 @@ function getSelectionFormatting() {
         }
     });
 
-    return finalFormatting;
+    // The table position and the list are the ones where the selection starts
+    return { ...finalFormatting, ...getTableState(), ...getListState() };
 }
 
 function getInheritedTextDecoration(element) {
@@ -235,7 +254,17 @@ function getTextAttributesFromValueCommands(textAttributes) {
 
 function getTextAttributesFromCustomCommands(textAttributes) {
     textAttributes["hasLink"] = hasLink();
+    textAttributes["hasChecklist"] = hasChecklist();
+    textAttributes["hasCode"] = hasInlineCode();
+    textAttributes["isInCodeBlock"] = isSelectionInCodeBlock();
+    Object.assign(textAttributes, getTextStyleState());
+    // A checklist is an unordered list for WebKit, but not for the toolbar
+    if (textAttributes["hasChecklist"]) {
+        textAttributes["hasUnorderedList"] = false;
+    }
     textAttributes["textJustification"] = computeTextJustification();
+    Object.assign(textAttributes, getTableState());
+    Object.assign(textAttributes, getListState());
 }
 
 function computeTextJustification() {
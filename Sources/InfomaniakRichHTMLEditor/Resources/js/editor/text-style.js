@@ -0,0 +1,197 @@
+"use strict";
+
+// MARK: - Variables
+
+/** The units accepted by `setFontSize()` */
+const FontSizeUnit = {
+    points: "pt",
+    pixels: "px"
+};
+
+/** Elements whose line height is changed by `setLineHeight()` */
+const LINE_HEIGHT_BLOCK_SELECTOR = "address, blockquote, dd, div, dt, h1, h2, h3, h4, h5, h6, li, p, pre, td, th";
+
+/** Text attributes computed from the style of the text, they are null when the selection mixes several values */
+const textStyleAttributes = ["cssFontSize", "lineHeight", "letterSpacing"];
+
+// MARK: - Commands
+
+/**
+ * Sets the font size of the selection or at the insertion point with an inline CSS style.
+ * Unlike the `fontSize` command of `execCommand()`, the size is not limited to the 1–7 scale of HTML.
+ *
+ * @param {number} size - The new font size
+ * @param {string} unit - The unit of the size, one of `FontSizeUnit`
+ */
+function setFontSize(size, unit) {
+    applyInlineStyle("font-size", `${size}${unit}`);
+}
+
+/**
+ * Sets the letter spacing of the selection or at the insertion point with an inline CSS style.
+ *
+ * @param {number} spacing - The space added between the characters, in pixels
+ */
+function setLetterSpacing(spacing) {
+    applyInlineStyle("letter-spacing", `${spacing}px`);
+}
+
+/**
+ * Sets the line height of the paragraphs of the selection with an inline CSS style.
+ *
+ * @param {number} lineHeight - The line height, as a multiple of the font size
+ */
+function setLineHeight(lineHeight) {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer)) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    // Text directly in the editor has no paragraph to style
+    if (getLineHeightBlock(range.startContainer) === null || getLineHeightBlock(range.endContainer) === null) {
+        document.execCommand("formatBlock", false, "div");
+    }
+
+    const newRange = getRange();
+    const blocks = [...getEditor().querySelectorAll(LINE_HEIGHT_BLOCK_SELECTOR)].filter(block => (
+        doesElementInteractWithRange(block, newRange) && block.querySelector(LINE_HEIGHT_BLOCK_SELECTOR) === null
+    ));
+    for (const block of blocks) {
+        block.style.lineHeight = `${lineHeight}`;
+    }
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+// MARK: - Inline styles
+
+function applyInlineStyle(property, value) {
+    const range = getRange();
+    if (range === null || !getEditor().contains(range.commonAncestorContainer) || isSelectionInCodeBlock()) {
+        return;
+    }
+
+    recordHistoryStep();
+
+    if (range.collapsed) {
+        const span = document.createElement("span");
+        span.style.setProperty(property, value);
+        insertElementWithCaretPlaceholder(span, range);
+    } else {
+        const styledElements = wrapTextOfRange(range, (textNode, isWholeTextNode) => {
+            // The span of a previous change is reused, so that changing the style again doesn't nest spans
+            const parent = textNode.parentElement;
+            const isStyleSpan = parent.localName === "span" && parent.attributes.length === 1 && parent.hasAttribute("style");
+            const isReusable = isWholeTextNode && isStyleSpan && parent.childNodes.length === 1;
+            return isReusable ? parent : document.createElement("span");
+        });
+        for (const element of styledElements) {
+            element.style.setProperty(property, value);
+        }
+    }
+
+    reportSelectedTextAttributesIfNecessary();
+}
+
+/**
+ * Wraps each selected part of the text nodes of a range in a new element, and selects the wrapped text.
+ * Each text node is wrapped separately, so that a selection spanning several blocks never moves them.
+ * The text of the chips, the protected regions and the code is never wrapped.
+ *
+ * @param {Range} range - The range to wrap
+ * @param {Function} createWrapper - Returns the element wrapping a text node, or its parent to reuse it
+ *                                    when the whole text node is selected
+ * @returns {Array<Element>} - The elements wrapping the text
+ */
+function wrapTextOfRange(range, createWrapper) {
+    const commonAncestor = range.commonAncestorContainer;
+    const unwrappedSelector = getUnwrappedTextSelector();
+    const textNodes = getTextNodes(commonAncestor.nodeType === Node.TEXT_NODE ? commonAncestor.parentNode : commonAncestor)
+        .filter(textNode => range.intersectsNode(textNode) && textNode.parentElement.closest(unwrappedSelector) === null);
+
+    const wrappers = [];
+    const wrappedTextNodes = [];
+    for (const textNode of textNodes) {
+        const start = (textNode === range.startContainer) ? range.startOffset : 0;
+        const end = (textNode === range.endContainer) ? range.endOffset : textNode.length;
+        if (end <= start) {
+            continue;
+        }
+
+        const textRange = document.createRange();
+        textRange.setStart(textNode, start);
+        textRange.setEnd(textNode, end);
+
+        const wrapper = createWrapper(textNode, start === 0 && end === textNode.length);
+        if (wrapper !== textNode.parentElement) {
+            textRange.surroundContents(wrapper);
+        }
+        wrappers.push(wrapper);
+        wrappedTextNodes.push(wrapper.firstChild);
+    }
+
+    if (wrappedTextNodes.length > 0) {
+        const lastTextNode = wrappedTextNodes[wrappedTextNodes.length - 1];
+        setSelectionRange(wrappedTextNodes[0], 0, lastTextNode, lastTextNode.length);
+    }
+    return wrappers;
+}
+
+function getUnwrappedTextSelector() {
+    // The chips and the protected regions can't be edited, and the code keeps its own style
+    return [
+        MENTION_CHIP_SELECTOR,
+        `[${ATTACHMENT_PLACEHOLDER_ATTRIBUTE}]`,
+        `[${ATTACHMENT_CHIP_ATTRIBUTE}]`,
+        `[${EditorDisplayAttribute.protectedRegion}]`,
+        "code",
+        CODE_BLOCK_TAG
+    ].join(", ");
+}
+
+// MARK: - Text attributes
+
+function getTextStyleState() {
+    const range = getRange();
+    const element = (range === null) ? null : getClosestParentNodeElement(range.startContainer);
+    if (element === null || !getEditor().contains(element)) {
+        return { cssFontSize: null, lineHeight: null, letterSpacing: null };
+    }
+    return getTextStyleOfElement(element);
+}
+
+/**
+ * Computes the style of the text of an element as numbers, whatever the unit used in the HTML.
+ *
+ * @param {Element} element - The element containing the text
+ * @returns {Object} - The font size and the letter spacing in pixels, the line height as a multiple of the font size
+ */
+function getTextStyleOfElement(element) {
+    const style = window.getComputedStyle(element);
+    const fontSize = parseFloat(style.fontSize);
+    const lineHeight = parseFloat(style.lineHeight);
+    const letterSpacing = parseFloat(style.letterSpacing);
+
+    return {
+        cssFontSize: Number.isNaN(fontSize) ? null : roundTextStyleValue(fontSize),
+        // "normal" depends on the font, there is no numeric value
+        lineHeight: (Number.isNaN(lineHeight) || Number.isNaN(fontSize) || fontSize === 0)
+            ? null
+            : roundTextStyleValue(lineHeight / fontSize),
+        letterSpacing: Number.isNaN(letterSpacing) ? 0 : roundTextStyleValue(letterSpacing)
+    };
+}
+
+function getLineHeightBlock(node) {
+    // The editor is a `div` too, but it is not a paragraph
+    const editor = getEditor();
+    const element = (node.nodeType === Node.ELEMENT_NODE) ? node : node.parentElement;
+    const block = element?.closest(LINE_HEIGHT_BLOCK_SELECTOR) ?? null;
+    return (block !== null && block !== editor && editor.contains(block)) ? block : null;
+}
+
+function roundTextStyleValue(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -4,6 +4,22 @@ document.addEventListener("DOMContentLoaded", () => {
     reportEditorDidLoad();
 
     observeResize(document.documentElement);
-    observeContentMutation(document, getEditor());
+    observeContentMutation(getEditor());
     observeSelectionChange(document);
+    observeInput(getEditor());
+    observePaste(getEditor());
+    observeAttachments(getEditor());
+    observeImageSelection(document);
+    observeTableNavigation(getEditor());
+    observeMentions(document);
+    observeFindResults();
+    observeProtectedRegions(getEditor());
+    observeAutoLinks(getEditor());
+    observeLinkTaps(getEditor());
+    observeChecklists(getEditor());
+    observeLists(getEditor());
+    observeCode(getEditor());
+    observeDecorations(getEditor());
+    observeKeyboardShortcuts(getEditor());
+    observeContentLimits(getEditor());
 });
@@ -8,6 +8,15 @@ function reportContentDidChange(content) {
     window.webkit.messageHandlers.contentDidChange.postMessage(content);
 }
 
+function reportContentDidBecomeDirty() {
+    window.webkit.messageHandlers.contentDidBecomeDirty.postMessage(null);
+}
+
+function reportContentDeltaDidChange(delta) {
+    const json = JSON.stringify(delta);
+    window.webkit.messageHandlers.contentDeltaDidChange.postMessage(json);
+}
+
 function reportContentHeightDidChange(height) {
     window.webkit.messageHandlers.contentHeightDidChange.postMessage(height);
 }
@@ -20,3 +29,52 @@ function reportSelectedTextAttributesDidChange(textAttributes) {
 function reportCaretPositionDidChange(caretRect) {
     window.webkit.messageHandlers.caretPositionDidChange.postMessage([caretRect.x, caretRect.y, caretRect.width, caretRect.height]);
 }
+
+function reportSanitizerDidRemoveContent(report) {
+    const json = JSON.stringify(report);
+    window.webkit.messageHandlers.sanitizerDidRemoveContent.postMessage(json);
+}
+
+function reportSelectedImageDidChange(imageInformation) {
+    const json = (imageInformation === null) ? null : JSON.stringify(imageInformation);
+    window.webkit.messageHandlers.selectedImageDidChange.postMessage(json);
+}
+
+function reportMentionQueryDidChange(query) {
+    const json = (query === null) ? null : JSON.stringify(query);
+    window.webkit.messageHandlers.mentionQueryDidChange.postMessage(json);
+}
+
+function reportFindResultsDidChange(results) {
+    const json = JSON.stringify(results);
+    window.webkit.messageHandlers.findResultsDidChange.postMessage(json);
+}
+
+function reportProtectedRegionDidRemove(html) {
+    window.webkit.messageHandlers.protectedRegionDidRemove.postMessage(html);
+}
+
+function reportLinkDidTap(link) {
+    const json = JSON.stringify(link);
+    window.webkit.messageHandlers.linkDidTap.postMessage(json);
+}
+
+function reportFileDidDrop(file) {
+    const json = JSON.stringify(file);
+    window.webkit.messageHandlers.fileDidDrop.postMessage(json);
+}
+
+function reportDecorationDidTap(decoration) {
+    const json = JSON.stringify(decoration);
+    window.webkit.messageHandlers.decorationDidTap.postMessage(json);
+}
+
+function reportContentStatisticsDidChange(statistics) {
+    const json = JSON.stringify(statistics);
+    window.webkit.messageHandlers.contentStatisticsDidChange.postMessage(json);
+}
+
+function reportKeyboardShortcutDidPress(keys) {
+    const json = JSON.stringify(keys);
+    window.webkit.messageHandlers.keyboardShortcutDidPress.postMessage(json);
+}
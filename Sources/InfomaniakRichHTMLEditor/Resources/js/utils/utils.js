@@ -8,6 +8,14 @@ function getEditor() {
     return document.getElementById("swift-rich-html-editor");
 }
 
+// MARK: - Display attributes
+
+/** Attributes only used to display the content in the editor, they are never part of the reported HTML */
+const EditorDisplayAttribute = {
+    protectedRegion: "data-editor-protected",
+    collapsed: "data-editor-collapsed"
+};
+
 // MARK: - Current selection
 
 function getRange() {
@@ -18,6 +26,43 @@ function getRange() {
     return selection.getRangeAt(0);
 }
 
+// MARK: - Node paths
+
+function getNodePath(node, root) {
+    const path = [];
+    let currentNode = node;
+    while (currentNode !== root) {
+        if (currentNode == null || currentNode.parentNode == null) {
+            return null;
+        }
+        path.unshift(Array.prototype.indexOf.call(currentNode.parentNode.childNodes, currentNode));
+        currentNode = currentNode.parentNode;
+    }
+    return path;
+}
+
+function getNodeFromPath(path, root) {
+    if (path == null) {
+        return null;
+    }
+
+    let node = root;
+    for (const index of path) {
+        node = node.childNodes[index];
+        if (node == null) {
+            return null;
+        }
+    }
+    return node;
+}
+
+function getNodeLength(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.length;
+    }
+    return node.childNodes.length;
+}
+
 // MARK: - Check element positions
 
 function doesElementInteractWithRange(element, range) {
@@ -45,6 +90,17 @@ function doesPositionMatchTargets(position, targets) {
     });
 }
 
+// MARK: - HTML
+
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
 // MARK: - Compare objects
 
 function compareObjectProperties(lhs, rhs) {
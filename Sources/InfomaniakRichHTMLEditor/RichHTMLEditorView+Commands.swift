@@ -53,6 +53,13 @@ public extension RichHTMLEditorView {
         execCommand(.toggleSuperscript)
     }
 
+    /// Toggles inline code for the current selection or at the insertion point.
+    ///
+    /// The text is wrapped in a `code` element. Inline code is ignored in a code block.
+    func toggleInlineCode() {
+        javaScriptManager.toggleInlineCode()
+    }
+
     /// Creates or remove a numbered ordered list for the current selection or at the insertion point.
     func orderedList() {
         execCommand(.orderedList)
@@ -67,26 +74,309 @@ public extension RichHTMLEditorView {
         javaScriptManager.transformColoredLists()
     }
 
+    /// Creates or remove a checklist for the current selection or at the insertion point.
+    ///
+    /// The items have a checkbox that the user can tap, its state is stored in the `data-checked` attribute.
+    /// A bulleted or numbered list is converted to a checklist.
+    func insertChecklist() {
+        javaScriptManager.insertChecklist()
+    }
+
+    /// Sets the markers of the lists containing the current selection or the insertion point.
+    ///
+    /// A list is created if the selection is not in a list. A numbered style turns a bulleted list or a checklist
+    /// into a numbered list, and a bulleted style does the opposite.
+    ///
+    /// - Parameter type: The new markers of the lists.
+    func setListStyle(_ type: ListStyleType) {
+        javaScriptManager.setListStyleType(type)
+    }
+
+    /// Sets the number of the first item of the numbered list containing the insertion point.
+    ///
+    /// - Parameter start: The number of the first item, counted from 1 whatever the style of the list.
+    func setListStart(_ start: Int) {
+        javaScriptManager.setListStart(start)
+    }
+
+    /// Numbers the list containing the insertion point after the previous numbered list of the same level.
+    ///
+    /// Use it when a paragraph separates the items of a numbered list.
+    func continueListNumbering() {
+        javaScriptManager.continueListNumbering()
+    }
+
     /// Creates a new link for the current selection or at the insertion point.
     ///
+    /// If the insertion point is in a link, this link is updated instead. Pass a nil text to only
+    /// change its destination.
+    ///
     /// - Parameters:
     ///   - url: The destination of the link, it is the value of the `href` attribute.
-    ///   - text: The optional label of the link, if nil the url will be used.
+    ///   - text: The optional label of the link, if nil the url will be used for a new link
+    ///     and the current text will be kept for an existing link.
     func addLink(url: URL, text: String? = nil) {
         javaScriptManager.addLink(text: text, path: url.absoluteString)
     }
 
+    /// Gets the link at the insertion point or the first link of the current selection.
+    ///
+    /// - Parameter completion: A closure called with the link, or nil if there is no link.
+    func getLinkAtSelection(completion: @escaping (SelectedLink?) -> Void) {
+        javaScriptManager.getLinkAtSelection(completion: completion)
+    }
+
     /// Removes all the links of the current selection or at the insertion point.
     func unlink() {
         javaScriptManager.unlink()
     }
 
+    /// Inserts an image at the insertion point, replacing the current selection.
+    ///
+    /// The scheme of the URL must be allowed by ``SanitizerConfiguration/allowedImageURLSchemes``,
+    /// such as `cid:` or `data:`.
+    ///
+    /// - Parameters:
+    ///   - url: The source of the image, it is the value of the `src` attribute.
+    ///   - alternativeText: The optional alternative text of the image.
+    ///   - width: The optional width of the image in points, its height is computed to keep its aspect ratio.
+    func insertImage(url: URL, alternativeText: String? = nil, width: Int? = nil) {
+        javaScriptManager.insertImage(source: url.absoluteString, alternativeText: alternativeText, width: width)
+    }
+
+    /// Inserts an image at the insertion point, replacing the current selection.
+    ///
+    /// The image is embedded in the HTML as a `data:` URL.
+    ///
+    /// - Parameters:
+    ///   - data: The content of the image.
+    ///   - mimeType: The MIME type of the image, for example `image/png`.
+    ///   - alternativeText: The optional alternative text of the image.
+    ///   - width: The optional width of the image in points, its height is computed to keep its aspect ratio.
+    func insertImage(data: Data, mimeType: String, alternativeText: String? = nil, width: Int? = nil) {
+        let source = "data:\(mimeType);base64,\(data.base64EncodedString())"
+        javaScriptManager.insertImage(source: source, alternativeText: alternativeText, width: width)
+    }
+
+    /// Updates the progress displayed by the placeholder of a dropped or pasted file.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    ///   - fraction: The uploaded fraction of the file, between 0 and 1.
+    func updateAttachmentProgress(id: String, fraction: Double) {
+        javaScriptManager.updateAttachmentProgress(id: id, fraction: fraction)
+    }
+
+    /// Replaces the placeholder of a dropped or pasted file with an image.
+    ///
+    /// The scheme of the URL must be allowed by ``SanitizerConfiguration/allowedImageURLSchemes``,
+    /// otherwise the placeholder is removed. Undoing removes the image.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    ///   - url: The source of the image, it is the value of the `src` attribute.
+    ///   - alternativeText: The optional alternative text of the image.
+    ///   - width: The optional width of the image in points, its height is computed to keep its aspect ratio.
+    func replaceAttachmentPlaceholder(id: String, withImageURL url: URL, alternativeText: String? = nil, width: Int? = nil) {
+        javaScriptManager.replaceAttachmentPlaceholderWithImage(
+            id: id,
+            source: url.absoluteString,
+            alternativeText: alternativeText,
+            width: width
+        )
+    }
+
+    /// Replaces the placeholder of a dropped or pasted file with a chip linking to the uploaded file.
+    ///
+    /// The scheme of the URL must be allowed by ``SanitizerConfiguration/allowedURLSchemes``,
+    /// otherwise the placeholder is removed. Undoing removes the chip.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    ///   - url: The URL of the uploaded file.
+    ///   - name: The text of the chip, usually the name of the file.
+    func replaceAttachmentPlaceholder(id: String, withChipURL url: URL, name: String) {
+        javaScriptManager.replaceAttachmentPlaceholderWithChip(id: id, url: url.absoluteString, name: name)
+    }
+
+    /// Removes the placeholder of a dropped or pasted file, for example when its upload failed.
+    ///
+    /// - Parameter id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    func removeAttachmentPlaceholder(id: String) {
+        javaScriptManager.removeAttachmentPlaceholder(id: id)
+    }
+
+    /// Sets the alternative text of the selected image.
+    ///
+    /// - Parameter alternativeText: The new alternative text, it is the value of the `alt` attribute.
+    func setImageAlternativeText(_ alternativeText: String) {
+        javaScriptManager.setImageAlternativeText(alternativeText)
+    }
+
+    /// Resizes the selected image, its height is computed to keep its aspect ratio.
+    ///
+    /// - Parameter width: The new width of the image in points.
+    func setImageWidth(_ width: Int) {
+        javaScriptManager.setImageWidth(width)
+    }
+
+    /// Loads the remote images blocked by the sanitizer, for example when the user chooses to display them.
+    ///
+    /// The blocked images are listed in ``SanitizerReport/blockedImageURLs``. They are kept in the HTML
+    /// with their source, even if they are never loaded.
+    func loadBlockedImages() {
+        javaScriptManager.loadBlockedImages()
+    }
+
+    /// Inserts an empty table at the insertion point and moves the insertion point to its first cell.
+    ///
+    /// In a table, Tab and Shift-Tab move the insertion point to the next and the previous cell.
+    ///
+    /// - Parameters:
+    ///   - rows: The number of rows of the table.
+    ///   - columns: The number of columns of the table.
+    func insertTable(rows: Int, columns: Int) {
+        javaScriptManager.insertTable(rows: rows, columns: columns)
+    }
+
+    /// Inserts a row above or below the row containing the insertion point.
+    ///
+    /// - Parameter position: Where the row should be inserted.
+    func insertTableRow(_ position: TableInsertionPosition) {
+        javaScriptManager.insertTableRow(position: position)
+    }
+
+    /// Inserts a column before or after the column containing the insertion point.
+    ///
+    /// - Parameter position: Where the column should be inserted.
+    func insertTableColumn(_ position: TableInsertionPosition) {
+        javaScriptManager.insertTableColumn(position: position)
+    }
+
+    /// Deletes the row containing the insertion point. The table is deleted with its last row.
+    func deleteTableRow() {
+        javaScriptManager.deleteTableRow()
+    }
+
+    /// Deletes the column containing the insertion point. The table is deleted with its last column.
+    func deleteTableColumn() {
+        javaScriptManager.deleteTableColumn()
+    }
+
+    /// Merges the selected cells into a single cell.
+    ///
+    /// If the selection is collapsed, the cell containing the insertion point is merged with the cell on its right.
+    func mergeTableCells() {
+        javaScriptManager.mergeTableCells()
+    }
+
+    /// Splits the cell containing the insertion point, if it was merged, into single cells.
+    func splitTableCell() {
+        javaScriptManager.splitTableCell()
+    }
+
+    /// Sets the background color of the selected table cells.
+    ///
+    /// - Parameter color: The color of the background.
+    func setTableCellBackgroundColor(_ color: PlatformColor) {
+        javaScriptManager.setTableCellBackgroundColor(color.hexadecimal)
+    }
+
+    /// Replaces the active mention query with a non-editable chip describing the given item.
+    ///
+    /// If there is no active query, the chip is inserted at the insertion point. The chip is deleted
+    /// as a whole with Backspace.
+    ///
+    /// - Parameter mention: The item chosen by the user.
+    func insertMention(_ mention: Mention) {
+        javaScriptManager.insertMention(mention)
+    }
+
+    /// Searches the content and highlights all the matches, without changing the HTML.
+    ///
+    /// The first match after the insertion point becomes the current one. The results are reported
+    /// to ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:findResultsDidChange:)`` and refreshed
+    /// when the content changes. An empty query ends the search.
+    ///
+    /// - Parameters:
+    ///   - query: The text to search.
+    ///   - options: The settings of the search.
+    func find(_ query: String, options: FindOptions = FindOptions()) {
+        javaScriptManager.find(query, options: options)
+    }
+
+    /// Selects the next match of the current search and scrolls to it.
+    func findNext() {
+        javaScriptManager.findNext()
+    }
+
+    /// Selects the previous match of the current search and scrolls to it.
+    func findPrevious() {
+        javaScriptManager.findPrevious()
+    }
+
+    /// Ends the current search and removes the highlights.
+    func clearFind() {
+        javaScriptManager.clearFind()
+    }
+
+    /// Replaces the current match of the search and selects the next one.
+    ///
+    /// The replacement can be undone with ``RichHTMLEditorView/undo()``.
+    ///
+    /// - Parameter replacement: The text replacing the match.
+    func replace(with replacement: String) {
+        javaScriptManager.replace(with: replacement)
+    }
+
+    /// Replaces all the matches of the current search, they are undone as a single step.
+    ///
+    /// - Parameter replacement: The text replacing the matches.
+    func replaceAll(with replacement: String) {
+        javaScriptManager.replaceAll(with: replacement)
+    }
+
+    /// Collapses or expands all the protected regions of the content.
+    ///
+    /// The user can also collapse or expand each region with its "…" toggle.
+    ///
+    /// - Parameter isCollapsed: Whether the regions should be collapsed.
+    func setProtectedRegionsCollapsed(_ isCollapsed: Bool) {
+        javaScriptManager.setProtectedRegionsCollapsed(isCollapsed)
+    }
+
+    /// Draws decorations over the content, such as the underlines of grammar suggestions.
+    ///
+    /// The decorations never change the HTML content. A decoration replaces the existing decoration with the same
+    /// identifier. The delegate is told when the user taps a decoration.
+    ///
+    /// - Parameter decorations: The decorations to draw.
+    func addDecorations(_ decorations: [Decoration]) {
+        javaScriptManager.addDecorations(decorations)
+    }
+
+    /// Removes the decorations with the given identifiers.
+    ///
+    /// - Parameter ids: The identifiers of the decorations to remove.
+    func removeDecorations(withIDs ids: [String]) {
+        javaScriptManager.removeDecorations(withIDs: ids)
+    }
+
+    /// Removes all the decorations.
+    func removeAllDecorations() {
+        javaScriptManager.removeAllDecorations()
+    }
+
     /// Indents the lines containing the current selection or the insertion point.
+    ///
+    /// In a list, the items are nested in their previous item.
     func indent() {
         execCommand(.indent)
     }
 
     /// Outdents the lines containing the current selection or the insertion point.
+    ///
+    /// In a nested list, the items are moved up one level, after their parent item.
     func outdent() {
         execCommand(.outdent)
     }
@@ -122,19 +412,81 @@ public extension RichHTMLEditorView {
 
     /// Changes the font size for the selection or at the insertion point.
     ///
+    /// This command uses the legacy scale of HTML, prefer ``setFontSize(_:unit:)`` to set a precise size.
+    ///
     /// - Parameter size: The size should be included in the interval [1-7].
     func setFontSize(_ size: Int) {
         execCommand(.fontSize, argument: size)
     }
 
-    /// Undoes the last executed command.
+    /// Changes the font size for the selection or at the insertion point.
+    ///
+    /// The size is applied with an inline CSS style. ``UITextAttributes/cssFontSize`` reports the size in pixels.
+    ///
+    /// - Parameters:
+    ///   - size: The new font size.
+    ///   - unit: The unit of the size.
+    func setFontSize(_ size: Double, unit: FontSizeUnit) {
+        javaScriptManager.setFontSize(size, unit: unit)
+    }
+
+    /// Changes the line height of the paragraphs of the selection or at the insertion point.
+    ///
+    /// - Parameter lineHeight: The line height, as a multiple of the font size. For example 1.5.
+    func setLineHeight(_ lineHeight: Double) {
+        javaScriptManager.setLineHeight(lineHeight)
+    }
+
+    /// Changes the space between the characters of the selection or at the insertion point.
+    ///
+    /// - Parameter spacing: The space added between the characters, in pixels. It can be negative.
+    func setLetterSpacing(_ spacing: Double) {
+        javaScriptManager.setLetterSpacing(spacing)
+    }
+
+    /// Saves the current selection so it can be restored later.
+    ///
+    /// The selection is `Codable`, it can be stored with a draft and restored after an app relaunch.
+    ///
+    /// - Parameter completion: A closure called with the selection, or nil if the editor contains no selection.
+    func saveSelection(completion: @escaping (SerializedSelection?) -> Void) {
+        javaScriptManager.saveSelection(completion: completion)
+    }
+
+    /// Restores a selection saved with ``saveSelection(completion:)``.
+    ///
+    /// The selection can be restored right after setting the HTML content. If the content changed since the
+    /// selection was saved, it is placed at the same text offsets, or at the end of the content.
+    ///
+    /// - Parameter selection: The selection to restore.
+    func restoreSelection(_ selection: SerializedSelection) {
+        javaScriptManager.restoreSelection(selection)
+    }
+
+    /// Pastes the content of the general pasteboard at the insertion point with the given mode.
+    ///
+    /// Use this method to offer a "Paste as plain text" action for example. The user paste
+    /// actions use ``RichHTMLEditorView/pasteMode``.
+    ///
+    /// - Parameter mode: How the pasted content should be inserted.
+    func paste(as mode: PasteMode) {
+        javaScriptManager.pasteContent(html: PasteboardHelper.html, text: PasteboardHelper.plainText, mode: mode)
+    }
+
+    /// Undoes the last executed command or the last typed word.
+    ///
+    /// The editor keeps its own history, so programmatic changes such as links or
+    /// setting the HTML content never break it. ``UITextAttributes/canUndo`` indicates
+    /// whether there is something to undo.
     func undo() {
-        execCommand(.undo)
+        javaScriptManager.undo()
     }
 
-    /// Redoes the last executed command.
+    /// Redoes the last undone command.
+    ///
+    /// ``UITextAttributes/canRedo`` indicates whether there is something to redo.
     func redo() {
-        execCommand(.redo)
+        javaScriptManager.redo()
     }
 
     /// Position the caret at a precise position.
@@ -154,6 +506,15 @@ public extension RichHTMLEditorView {
     func setHeading(_ level: Int) {
         execCommand(.formatBlock, argument: "h\(level)")
     }
+
+    /// Converts the current paragraphs to a code block, or the current code block back to paragraphs.
+    ///
+    /// A code block is a `pre` element: its whitespace is kept, Enter inserts a new line in the block,
+    /// the formatting commands are ignored and pasted content is inserted as plain text.
+    /// ``UITextAttributes/isInCodeBlock`` indicates whether the selection is in a code block.
+    func toggleCodeBlock() {
+        execCommand(.formatBlock, argument: selectedTextAttributes.isInCodeBlock ? "div" : "pre")
+    }
     
     func getSelectedText(completion: @escaping (String?) -> Void) {
         javaScriptManager.getSelectedText(completion: completion)
@@ -164,6 +525,18 @@ public extension RichHTMLEditorView {
         javaScriptManager.transformColoredLists()
     }
 
+    /// Cleans the HTML of the content without changing how it looks.
+    ///
+    /// The `font` elements are converted to styled spans, the colors use the hexadecimal format, identical adjacent
+    /// inline elements are merged, empty elements and useless line breaks are removed, and the blocks nested
+    /// in inline elements are moved out of them. The normalization can be undone.
+    ///
+    /// Set ``ContentChangeConfiguration/normalizesHTML`` to normalize the reported HTML instead,
+    /// without changing the displayed content.
+    func normalizeContent() {
+        javaScriptManager.normalizeContent()
+    }
+
     private func execCommand(_ command: ExecCommand, argument: Sendable? = nil) {
         javaScriptManager.execCommand(command, argument: argument)
     }
@@ -123,6 +123,158 @@ public class RichHTMLEditorView: PlatformView {
     /// The style of the text currently selected in the editor view.
     public private(set) var selectedTextAttributes = UITextAttributes()
 
+    /// The image currently selected in the editor view, if any.
+    public private(set) var selectedImage: SelectedImage?
+
+    /// The mention query being typed by the user, if any.
+    public private(set) var mentionQuery: MentionQuery?
+
+    /// The matches of the current search, `nil` if there is no search.
+    public private(set) var findResults: FindResults?
+
+    /// A Boolean value that indicates whether the user can edit the content.
+    ///
+    /// When the Boolean is `false`, the content can still be selected and copied, the tapped links are reported
+    /// to the delegate and opened, and the checklists and protected regions can still be toggled. The commands
+    /// changing the content do nothing and report an error to
+    /// ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:javascriptFunctionDidFail:whileExecuting:)``.
+    /// Setting ``RichHTMLEditorView/html`` still replaces the content, and the uploads of the dropped or pasted
+    /// files can still be finished: their placeholders can be replaced or removed.
+    ///
+    /// The default value is `true`.
+    public var isEditable = true {
+        didSet {
+            javaScriptManager.setReadOnly(!isEditable)
+        }
+    }
+
+    /// The rules used to sanitize the HTML inserted in the editor view.
+    ///
+    /// The HTML set with ``RichHTMLEditorView/html``, the pasted HTML and the destination of
+    /// the links are sanitized. You should set this property before setting the HTML content.
+    public var sanitizerConfiguration = SanitizerConfiguration() {
+        didSet {
+            javaScriptManager.setSanitizerConfiguration(sanitizerConfiguration)
+        }
+    }
+
+    /// The mode used to insert the content pasted by the user.
+    ///
+    /// You can paste with another mode with ``RichHTMLEditorView/paste(as:)``.
+    ///
+    /// The default value is ``PasteMode/cleanFormatting``.
+    public var pasteMode = PasteMode.cleanFormatting {
+        didSet {
+            javaScriptManager.setPasteMode(pasteMode)
+        }
+    }
+
+    /// Describes how and when the editor reports the changes of its content.
+    ///
+    /// With the default configuration, ``RichHTMLEditorView/html`` is updated when the user pauses typing.
+    public var contentChangeConfiguration = ContentChangeConfiguration() {
+        didSet {
+            contentBlocks = []
+            javaScriptManager.setContentChangeConfiguration(contentChangeConfiguration)
+        }
+    }
+
+    /// The characters starting a mention query, for example `@`, `#` or `/`.
+    ///
+    /// When the user types one of them at the beginning of a word, the editor reports the query through
+    /// ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:mentionQueryDidChange:)``. Answer with
+    /// ``RichHTMLEditorView/insertMention(_:)`` to replace the query with a mention chip.
+    ///
+    /// The default value is an empty array, which disables the mentions.
+    public var mentionTriggers = [String]() {
+        didSet {
+            javaScriptManager.setMentionTriggers(mentionTriggers)
+        }
+    }
+
+    /// The kinds of text automatically converted to links when the user types a word boundary,
+    /// and when content is pasted.
+    ///
+    /// Pressing Backspace right after a link was created removes the link.
+    ///
+    /// The default value contains ``AutoLinkDetector/url``, ``AutoLinkDetector/www`` and ``AutoLinkDetector/email``.
+    public var autoLinkDetectors: Set<AutoLinkDetector> = [.url, .www, .email] {
+        didSet {
+            javaScriptManager.setAutoLinkDetectors(autoLinkDetectors)
+        }
+    }
+
+    /// What happens when the user taps a link.
+    ///
+    /// The tap is reported to ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:didTapLink:)`` with both behaviors.
+    ///
+    /// The default value is ``LinkTapBehavior/edit``.
+    public var linkTapBehavior = LinkTapBehavior.edit {
+        didSet {
+            javaScriptManager.setLinkTapBehavior(linkTapBehavior)
+        }
+    }
+
+    /// The maximum size of the dropped or pasted files whose content is reported in ``DroppedFile/data``, in bytes.
+    ///
+    /// The content of a file is read in memory and sent to the app encoded in Base64, set a size that you can
+    /// handle. Larger files are reported without their content.
+    ///
+    /// The default value is 0, only the metadata of the files is reported.
+    public var maximumDroppedFileDataSize = 0 {
+        didSet {
+            javaScriptManager.setMaximumDroppedFileDataSize(maximumDroppedFileDataSize)
+        }
+    }
+
+    /// The keyboard shortcuts of the editor on a hardware keyboard.
+    ///
+    /// They are added to the default shortcuts and override them: Command+B, Command+I and Command+U for bold,
+    /// italic and underline, Shift+Command+X for strikethrough, Shift+Command+7 and Shift+Command+8 for lists,
+    /// Command+K and Shift+Command+K to create and remove a link, and Option+Command+1 to 6 for headings,
+    /// Option+Command+0 for a paragraph. Use ``EditorKeyboardShortcut/Action/native`` to disable a default shortcut.
+    ///
+    /// Use ``EditorKeyboardShortcut/Action/forward`` to report a combination to
+    /// ``RichHTMLEditorViewDelegate/richHTMLEditorView(_:didPressKeyCombination:)``, the combinations without
+    /// shortcut are left to WebKit.
+    ///
+    /// The default value is an empty array.
+    public var keyboardShortcuts = [EditorKeyboardShortcut]() {
+        didSet {
+            javaScriptManager.setKeyboardShortcuts(keyboardShortcuts)
+        }
+    }
+
+    /// Describes the regions of the content that the user can't edit, such as a quoted thread or a signature.
+    ///
+    /// You should set this property before setting the HTML content. The delegate is told when the user
+    /// deletes a protected region, so you can restore it.
+    public var protectedRegionConfiguration = ProtectedRegionConfiguration() {
+        didSet {
+            javaScriptManager.setProtectedRegionConfiguration(protectedRegionConfiguration)
+        }
+    }
+
+    /// The maximum length of the content that the user can type.
+    ///
+    /// The default value has no limit.
+    public var contentLimits = ContentLimits() {
+        didSet {
+            javaScriptManager.setContentLimits(contentLimits)
+        }
+    }
+
+    /// The length of the content: its characters, words, paragraphs and estimated reading time.
+    ///
+    /// The statistics are updated shortly after each change of the content, even when the changes of the content
+    /// are only reported on demand.
+    public private(set) var contentStatistics = ContentStatistics()
+
+    /// A Boolean value that indicates whether the content changed since it was last reported.
+    ///
+    /// It becomes `true` as soon as the user edits the content, before the new content is reported.
+    public private(set) var isContentDirty = false
+
     /// The web view that displays the HTML and handle the input.
     public private(set) var webView: RichHTMLWebView!
 
@@ -131,6 +283,7 @@ public class RichHTMLEditorView: PlatformView {
     var rawHTMLContent = ""
     var rawIsScrollEnabled = false
     var rawContentHeight = CGFloat.zero
+    var contentBlocks = [String]()
 
     var javaScriptManager: JavaScriptManager!
     var scriptMessageHandler: ScriptMessageHandler!
@@ -191,6 +344,86 @@ public extension RichHTMLEditorView {
     }
 }
 
+// MARK: - Import and Export Content
+
+public extension RichHTMLEditorView {
+    /// Replaces the content of the editor with the given Markdown text.
+    ///
+    /// The text is converted to HTML following CommonMark, raw HTML written in the text is kept as text.
+    /// Like setting ``RichHTMLEditorView/html``, it clears the undo history.
+    ///
+    /// - Parameter markdown: The Markdown text to display.
+    func setMarkdown(_ markdown: String) {
+        javaScriptManager.setMarkdown(markdown)
+    }
+
+    /// Gets the current HTML content of the editor, including the changes not reported yet.
+    ///
+    /// Use this method with ``ContentChangeConfiguration/Mode/onDemand``, where the content is never
+    /// reported automatically. ``RichHTMLEditorView/html`` is updated with the result.
+    ///
+    /// - Parameter completion: A closure called with the HTML content, or nil if it couldn't be read.
+    func getHTML(completion: @escaping (String?) -> Void) {
+        javaScriptManager.getHTMLContent { [weak self] html in
+            if let self, let html {
+                rawHTMLContent = html
+                isContentDirty = false
+            }
+            completion(html)
+        }
+    }
+
+    /// Lists the mention chips of the content, in the order of the document.
+    ///
+    /// - Parameter completion: A closure called with the mentions of the content.
+    func getMentions(completion: @escaping ([Mention]) -> Void) {
+        javaScriptManager.getMentions(completion: completion)
+    }
+
+    /// Converts the content of the editor to CommonMark.
+    ///
+    /// The formatting that Markdown can't express, such as colors, fonts or underline, is dropped
+    /// and only the text is kept.
+    ///
+    /// - Parameter completion: A closure called with the Markdown text, or nil if the conversion failed.
+    func getContentAsMarkdown(completion: @escaping (String?) -> Void) {
+        javaScriptManager.getContentAsMarkdown(completion: completion)
+    }
+
+    /// Converts the content of the editor to plain text, for example for the text/plain part of an email.
+    ///
+    /// Paragraphs and line breaks are kept, lists keep their bullets and numbers, quotes are prefixed
+    /// with `>` and the destination of the links is written as footnotes or inline.
+    ///
+    /// - Parameters:
+    ///   - options: The settings of the conversion, such as the maximum length of a line.
+    ///   - completion: A closure called with the plain text, or nil if the conversion failed.
+    func getContentAsPlainText(
+        options: PlainTextOptions = PlainTextOptions(),
+        completion: @escaping (String?) -> Void
+    ) {
+        javaScriptManager.getContentAsPlainText(options: options, completion: completion)
+    }
+
+    /// Gets the HTML content of the editor with the CSS injected with ``RichHTMLEditorView/injectAdditionalCSS(_:)-406n9``
+    /// written in the `style` attribute of the elements, so the email clients display it like the editor.
+    ///
+    /// The rules are applied following the cascade, the styles already inline in the content take precedence
+    /// unless the rule is `!important`. The inherited properties of the rules applied to `body` or to the editor itself,
+    /// such as its font, are written on the top level elements of the content. The rules of pseudo-elements such as
+    /// `::before` can't be inlined and are ignored. ``RichHTMLEditorView/html`` is not changed.
+    ///
+    /// - Parameters:
+    ///   - options: The settings of the export, such as whether the `class` attributes are kept.
+    ///   - completion: A closure called with the HTML content, or nil if it couldn't be read.
+    func getHTMLWithInlineCSS(
+        options: InlineCSSOptions = InlineCSSOptions(),
+        completion: @escaping (String?) -> Void
+    ) {
+        javaScriptManager.getContentWithInlineCSS(options: options, completion: completion)
+    }
+}
+
 // MARK: - WKWebView
 
 public extension RichHTMLEditorView {
@@ -337,6 +570,28 @@ extension RichHTMLEditorView: ScriptMessageHandlerDelegate {
 
     func contentDidChange(_ text: String) {
         rawHTMLContent = text
+        isContentDirty = false
+        delegate?.richHTMLEditorViewDidChange(self)
+    }
+
+    func contentDidBecomeDirty() {
+        isContentDirty = true
+        delegate?.richHTMLEditorViewContentDidBecomeDirty(self)
+    }
+
+    func contentDeltaDidChange(_ delta: ContentDelta) {
+        guard let newContentBlocks = delta.applying(to: contentBlocks) else {
+            // A delta was lost, the editor sends the whole content again
+            logger.error("Content delta doesn't match the known content, resynchronizing")
+            contentBlocks = []
+            javaScriptManager.setContentChangeConfiguration(contentChangeConfiguration)
+            return
+        }
+
+        contentBlocks = newContentBlocks
+        rawHTMLContent = newContentBlocks.joined()
+        isContentDirty = false
+        delegate?.richHTMLEditorView(self, contentDidChangeWith: delta)
         delegate?.richHTMLEditorViewDidChange(self)
     }
 
@@ -369,6 +624,50 @@ extension RichHTMLEditorView: ScriptMessageHandlerDelegate {
 //        }
 //        #endif
     }
+
+    func sanitizerDidRemoveContent(_ report: SanitizerReport) {
+        delegate?.richHTMLEditorView(self, sanitizerDidRemoveContent: report)
+    }
+
+    func selectedImageDidChange(_ selectedImage: SelectedImage?) {
+        self.selectedImage = selectedImage
+        delegate?.richHTMLEditorView(self, selectedImageDidChange: selectedImage)
+    }
+
+    func mentionQueryDidChange(_ mentionQuery: MentionQuery?) {
+        self.mentionQuery = mentionQuery
+        delegate?.richHTMLEditorView(self, mentionQueryDidChange: mentionQuery)
+    }
+
+    func findResultsDidChange(_ findResults: FindResults) {
+        self.findResults = findResults
+        delegate?.richHTMLEditorView(self, findResultsDidChange: findResults)
+    }
+
+    func protectedRegionDidRemove(_ html: String) {
+        delegate?.richHTMLEditorView(self, protectedRegionDidRemove: html)
+    }
+
+    func linkDidTap(_ link: SelectedLink) {
+        delegate?.richHTMLEditorView(self, didTapLink: link)
+    }
+
+    func decorationDidTap(_ decoration: TappedDecoration) {
+        delegate?.richHTMLEditorView(self, didTapDecoration: decoration)
+    }
+
+    func fileDidDrop(_ file: DroppedFile) {
+        delegate?.richHTMLEditorView(self, didDropFile: file)
+    }
+
+    func contentStatisticsDidChange(_ statistics: ContentStatistics) {
+        contentStatistics = statistics
+        delegate?.richHTMLEditorView(self, contentStatisticsDidChange: statistics)
+    }
+
+    func keyCombinationDidPress(_ keys: KeyCombination) {
+        delegate?.richHTMLEditorView(self, didPressKeyCombination: keys)
+    }
 }
 
 // MARK: - JavaScriptManagerDelegate
@@ -38,6 +38,29 @@ public protocol RichHTMLEditorViewDelegate: AnyObject {
     /// - Parameter richHTMLEditorView: The editor which is loaded.
     func richHTMLEditorViewDidChange(_ richHTMLEditorView: RichHTMLEditorView)
 
+    /// Tells the delegate as soon as the user changes the content of the specified editor view,
+    /// before the new content is reported.
+    ///
+    /// The editor calls this method once for each group of changes, it is cheap to implement and
+    /// can be used to mark a document as having unsaved changes.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameter richHTMLEditorView: The editor which is loaded.
+    func richHTMLEditorViewContentDidBecomeDirty(_ richHTMLEditorView: RichHTMLEditorView)
+
+    /// Tells the delegate which top level blocks of the content changed in the specified editor view.
+    ///
+    /// The editor only calls this method with ``ContentChangeConfiguration/Mode/delta``, right before
+    /// ``richHTMLEditorViewDidChange(_:)``.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - delta: The description of the changed blocks.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, contentDidChangeWith delta: ContentDelta)
+
     /// Tells the delegate when the position of the carte or the selection range of the specified
     /// editor moves.
     ///
@@ -112,12 +135,138 @@ public protocol RichHTMLEditorViewDelegate: AnyObject {
     ///   - richHTMLEditorView: The instance of the editor whose content height changed.
     ///   - height: The new height of the content in points.
     func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, contentHeightDidChange height: CGFloat)
+
+    /// Tells the delegate when the sanitizer removed unsafe content from HTML inserted in the specified editor view.
+    ///
+    /// The editor sanitizes the HTML set with ``RichHTMLEditorView/html``, the pasted HTML and
+    /// the destination of the links according to ``RichHTMLEditorView/sanitizerConfiguration``.
+    /// This method is only called when something has been removed.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - report: The description of the removed content.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, sanitizerDidRemoveContent report: SanitizerReport)
+
+    /// Tells the delegate when the user selects or deselects an image in the specified editor view.
+    ///
+    /// The editor calls this method when an image is tapped, and when it is resized with its handles.
+    /// You can use the frame of the image to display your own image menu.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - selectedImage: The selected image, or `nil` if no image is selected anymore.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, selectedImageDidChange selectedImage: SelectedImage?)
+
+    /// Tells the delegate when the user starts, changes or ends a mention query in the specified editor view.
+    ///
+    /// A query starts when the user types one of the ``RichHTMLEditorView/mentionTriggers`` at the beginning
+    /// of a word. You can use the frame of the caret to display your suggestions, and call
+    /// ``RichHTMLEditorView/insertMention(_:)`` with the item chosen by the user.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - mentionQuery: The active query, or `nil` if the query has ended.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, mentionQueryDidChange mentionQuery: MentionQuery?)
+
+    /// Tells the delegate when the matches of the current search change in the specified editor view.
+    ///
+    /// The editor calls this method after ``RichHTMLEditorView/find(_:options:)``, when the user moves to
+    /// another match and when the content changes. If the editor is not scrollable, you can use the frame
+    /// of the current match to scroll to it.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - findResults: The number of matches and the index of the current one.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, findResultsDidChange findResults: FindResults)
+
+    /// Tells the delegate when the user removes a protected region from the specified editor view.
+    ///
+    /// The regions are described by ``RichHTMLEditorView/protectedRegionConfiguration``. The removal
+    /// can be reverted with ``RichHTMLEditorView/undo()``, or you can insert the region again.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - html: The HTML of the removed region.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, protectedRegionDidRemove html: String)
+
+    /// Tells the delegate when the user taps a link in the specified editor view.
+    ///
+    /// With ``LinkTapBehavior/edit``, you can use the values and the frame of the link to display
+    /// your own edit popover, then update the link with ``RichHTMLEditorView/addLink(url:text:)``.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - link: The tapped link.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didTapLink link: SelectedLink)
+
+    /// Tells the delegate when the user taps a decoration in the specified editor view.
+    ///
+    /// The decorations are added with ``RichHTMLEditorView/addDecorations(_:)``. You can use the frame of
+    /// the decoration to display a popover, for example with the suggestions for the decorated text.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - decoration: The tapped decoration.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didTapDecoration decoration: TappedDecoration)
+
+    /// Tells the delegate when the user drops or pastes a file in the specified editor view.
+    ///
+    /// The editor displays a placeholder where the file was inserted. You should upload the file, report its
+    /// progress with ``RichHTMLEditorView/updateAttachmentProgress(id:fraction:)``, then replace the placeholder
+    /// with an image or a chip linking to the file, or remove it with
+    /// ``RichHTMLEditorView/removeAttachmentPlaceholder(id:)`` if the upload failed.
+    /// The placeholders are never part of the HTML content.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - file: The dropped or pasted file.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didDropFile file: DroppedFile)
+
+    /// Tells the delegate when the length of the content changed in the specified editor view.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - statistics: The new statistics of the content.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, contentStatisticsDidChange statistics: ContentStatistics)
+
+    /// Tells the delegate when the user presses the combination of a shortcut using ``EditorKeyboardShortcut/Action/forward``,
+    /// or of a shortcut whose command doesn't apply to the selection.
+    ///
+    /// Register the combinations you handle, for example Command+Enter to send a message. The combinations
+    /// without shortcut are never reported, WebKit handles them, such as Command+C.
+    ///
+    /// Implementation of this method is optional.
+    ///
+    /// - Parameters:
+    ///   - richHTMLEditorView: The editor which is loaded.
+    ///   - keys: The pressed key combination.
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didPressKeyCombination keys: KeyCombination)
 }
 
 // Default implementation for optional functions
 public extension RichHTMLEditorViewDelegate {
     func richHTMLEditorViewDidLoad(_ richHTMLEditorView: RichHTMLEditorView) {}
     func richHTMLEditorViewDidChange(_ richHTMLEditorView: RichHTMLEditorView) {}
+    func richHTMLEditorViewContentDidBecomeDirty(_ richHTMLEditorView: RichHTMLEditorView) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, contentDidChangeWith delta: ContentDelta) {}
     func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, caretPositionDidChange caretPosition: CGRect) {}
     func richHTMLEditorView(
         _ richHTMLEditorView: RichHTMLEditorView,
@@ -132,4 +281,14 @@ public extension RichHTMLEditorViewDelegate {
         return false
     }
     func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, contentHeightDidChange height: CGFloat) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, sanitizerDidRemoveContent report: SanitizerReport) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, selectedImageDidChange selectedImage: SelectedImage?) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, mentionQueryDidChange mentionQuery: MentionQuery?) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, findResultsDidChange findResults: FindResults) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, protectedRegionDidRemove html: String) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didTapLink link: SelectedLink) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didTapDecoration decoration: TappedDecoration) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didDropFile file: DroppedFile) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, contentStatisticsDidChange statistics: ContentStatistics) {}
+    func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didPressKeyCombination keys: KeyCombination) {}
 }
@@ -49,6 +49,11 @@ public extension TextAttributes {
         editor?.toggleSuperscript()
     }
 
+    /// Toggles inline code for the current selection or at the insertion point.
+    func toggleInlineCode() {
+        editor?.toggleInlineCode()
+    }
+
     /// Creates or remove a numbered ordered list for the current selection or at the insertion point.
     func orderedList() {
         editor?.orderedList()
@@ -59,20 +64,259 @@ public extension TextAttributes {
         editor?.unorderedList()
     }
 
+    /// Creates or remove a checklist for the current selection or at the insertion point.
+    func insertChecklist() {
+        editor?.insertChecklist()
+    }
+
+    /// Sets the markers of the lists containing the current selection or the insertion point.
+    ///
+    /// - Parameter type: The new markers of the lists.
+    func setListStyle(_ type: ListStyleType) {
+        editor?.setListStyle(type)
+    }
+
+    /// Sets the number of the first item of the numbered list containing the insertion point.
+    ///
+    /// - Parameter start: The number of the first item, counted from 1 whatever the style of the list.
+    func setListStart(_ start: Int) {
+        editor?.setListStart(start)
+    }
+
+    /// Numbers the list containing the insertion point after the previous numbered list of the same level.
+    func continueListNumbering() {
+        editor?.continueListNumbering()
+    }
+
     /// Creates a new link for the current selection or at the insertion point.
     ///
     /// - Parameters:
     ///   - url: The destination of the link, it is the value of the `href` attribute.
-    ///   - text: The optional label of the link, if nil the url will be used.
+    ///   - text: The optional label of the link, if nil the url will be used for a new link
+    ///     and the current text will be kept for an existing link.
     func addLink(url: URL, text: String? = nil) {
         editor?.addLink(url: url, text: text)
     }
 
+    /// Gets the link at the insertion point or the first link of the current selection.
+    ///
+    /// - Parameter completion: A closure called with the link, or nil if there is no link.
+    func getLinkAtSelection(completion: @escaping (SelectedLink?) -> Void) {
+        guard let editor else {
+            completion(nil)
+            return
+        }
+        editor.getLinkAtSelection(completion: completion)
+    }
+
     /// Removes all the links of the current selection or at the insertion point.
     func unlink() {
         editor?.unlink()
     }
 
+    /// Inserts an image at the insertion point, replacing the current selection.
+    ///
+    /// - Parameters:
+    ///   - url: The source of the image, it is the value of the `src` attribute.
+    ///   - alternativeText: The optional alternative text of the image.
+    ///   - width: The optional width of the image in points, its height is computed to keep its aspect ratio.
+    func insertImage(url: URL, alternativeText: String? = nil, width: Int? = nil) {
+        editor?.insertImage(url: url, alternativeText: alternativeText, width: width)
+    }
+
+    /// Inserts an image at the insertion point, replacing the current selection.
+    ///
+    /// - Parameters:
+    ///   - data: The content of the image.
+    ///   - mimeType: The MIME type of the image, for example `image/png`.
+    ///   - alternativeText: The optional alternative text of the image.
+    ///   - width: The optional width of the image in points, its height is computed to keep its aspect ratio.
+    func insertImage(data: Data, mimeType: String, alternativeText: String? = nil, width: Int? = nil) {
+        editor?.insertImage(data: data, mimeType: mimeType, alternativeText: alternativeText, width: width)
+    }
+
+    /// Updates the progress displayed by the placeholder of a dropped or pasted file.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    ///   - fraction: The uploaded fraction of the file, between 0 and 1.
+    func updateAttachmentProgress(id: String, fraction: Double) {
+        editor?.updateAttachmentProgress(id: id, fraction: fraction)
+    }
+
+    /// Replaces the placeholder of a dropped or pasted file with an image.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    ///   - url: The source of the image, it is the value of the `src` attribute.
+    ///   - alternativeText: The optional alternative text of the image.
+    ///   - width: The optional width of the image in points, its height is computed to keep its aspect ratio.
+    func replaceAttachmentPlaceholder(id: String, withImageURL url: URL, alternativeText: String? = nil, width: Int? = nil) {
+        editor?.replaceAttachmentPlaceholder(id: id, withImageURL: url, alternativeText: alternativeText, width: width)
+    }
+
+    /// Replaces the placeholder of a dropped or pasted file with a chip linking to the uploaded file.
+    ///
+    /// - Parameters:
+    ///   - id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    ///   - url: The URL of the uploaded file.
+    ///   - name: The text of the chip, usually the name of the file.
+    func replaceAttachmentPlaceholder(id: String, withChipURL url: URL, name: String) {
+        editor?.replaceAttachmentPlaceholder(id: id, withChipURL: url, name: name)
+    }
+
+    /// Removes the placeholder of a dropped or pasted file, for example when its upload failed.
+    ///
+    /// - Parameter id: The identifier of the placeholder, it is ``DroppedFile/id``.
+    func removeAttachmentPlaceholder(id: String) {
+        editor?.removeAttachmentPlaceholder(id: id)
+    }
+
+    /// Sets the alternative text of the selected image.
+    ///
+    /// - Parameter alternativeText: The new alternative text, it is the value of the `alt` attribute.
+    func setImageAlternativeText(_ alternativeText: String) {
+        editor?.setImageAlternativeText(alternativeText)
+    }
+
+    /// Resizes the selected image, its height is computed to keep its aspect ratio.
+    ///
+    /// - Parameter width: The new width of the image in points.
+    func setImageWidth(_ width: Int) {
+        editor?.setImageWidth(width)
+    }
+
+    /// Loads the remote images blocked by the sanitizer, for example when the user chooses to display them.
+    func loadBlockedImages() {
+        editor?.loadBlockedImages()
+    }
+
+    /// Inserts an empty table at the insertion point and moves the insertion point to its first cell.
+    ///
+    /// - Parameters:
+    ///   - rows: The number of rows of the table.
+    ///   - columns: The number of columns of the table.
+    func insertTable(rows: Int, columns: Int) {
+        editor?.insertTable(rows: rows, columns: columns)
+    }
+
+    /// Inserts a row above or below the row containing the insertion point.
+    ///
+    /// - Parameter position: Where the row should be inserted.
+    func insertTableRow(_ position: TableInsertionPosition) {
+        editor?.insertTableRow(position)
+    }
+
+    /// Inserts a column before or after the column containing the insertion point.
+    ///
+    /// - Parameter position: Where the column should be inserted.
+    func insertTableColumn(_ position: TableInsertionPosition) {
+        editor?.insertTableColumn(position)
+    }
+
+    /// Deletes the row containing the insertion point. The table is deleted with its last row.
+    func deleteTableRow() {
+        editor?.deleteTableRow()
+    }
+
+    /// Deletes the column containing the insertion point. The table is deleted with its last column.
+    func deleteTableColumn() {
+        editor?.deleteTableColumn()
+    }
+
+    /// Merges the selected cells into a single cell.
+    ///
+    /// If the selection is collapsed, the cell containing the insertion point is merged with the cell on its right.
+    func mergeTableCells() {
+        editor?.mergeTableCells()
+    }
+
+    /// Splits the cell containing the insertion point, if it was merged, into single cells.
+    func splitTableCell() {
+        editor?.splitTableCell()
+    }
+
+    /// Sets the background color of the selected table cells.
+    ///
+    /// - Parameter color: The color of the background.
+    func setTableCellBackgroundColor(_ color: PlatformColor) {
+        editor?.setTableCellBackgroundColor(color)
+    }
+
+    /// Replaces the active mention query with a non-editable chip describing the given item.
+    ///
+    /// - Parameter mention: The item chosen by the user.
+    func insertMention(_ mention: Mention) {
+        editor?.insertMention(mention)
+    }
+
+    /// Searches the content and highlights all the matches, without changing the HTML.
+    ///
+    /// The results are reported to the closure of `onFindResultsChange(perform:)`.
+    /// An empty query ends the search.
+    ///
+    /// - Parameters:
+    ///   - query: The text to search.
+    ///   - options: The settings of the search.
+    func find(_ query: String, options: FindOptions = FindOptions()) {
+        editor?.find(query, options: options)
+    }
+
+    /// Selects the next match of the current search and scrolls to it.
+    func findNext() {
+        editor?.findNext()
+    }
+
+    /// Selects the previous match of the current search and scrolls to it.
+    func findPrevious() {
+        editor?.findPrevious()
+    }
+
+    /// Ends the current search and removes the highlights.
+    func clearFind() {
+        editor?.clearFind()
+    }
+
+    /// Replaces the current match of the search and selects the next one.
+    ///
+    /// - Parameter replacement: The text replacing the match.
+    func replace(with replacement: String) {
+        editor?.replace(with: replacement)
+    }
+
+    /// Replaces all the matches of the current search, they are undone as a single step.
+    ///
+    /// - Parameter replacement: The text replacing the matches.
+    func replaceAll(with replacement: String) {
+        editor?.replaceAll(with: replacement)
+    }
+
+    /// Collapses or expands all the protected regions of the content.
+    ///
+    /// - Parameter isCollapsed: Whether the regions should be collapsed.
+    func setProtectedRegionsCollapsed(_ isCollapsed: Bool) {
+        editor?.setProtectedRegionsCollapsed(isCollapsed)
+    }
+
+    /// Draws decorations over the content, such as the underlines of grammar suggestions.
+    ///
+    /// - Parameter decorations: The decorations to draw.
+    func addDecorations(_ decorations: [Decoration]) {
+        editor?.addDecorations(decorations)
+    }
+
+    /// Removes the decorations with the given identifiers.
+    ///
+    /// - Parameter ids: The identifiers of the decorations to remove.
+    func removeDecorations(withIDs ids: [String]) {
+        editor?.removeDecorations(withIDs: ids)
+    }
+
+    /// Removes all the decorations.
+    func removeAllDecorations() {
+        editor?.removeAllDecorations()
+    }
+
     /// Indents the lines containing the current selection or the insertion point.
     func indent() {
         editor?.indent()
@@ -119,12 +363,60 @@ public extension TextAttributes {
         editor?.setFontSize(size)
     }
 
-    /// Undoes the last executed command.
+    /// Changes the font size for the selection or at the insertion point.
+    ///
+    /// - Parameters:
+    ///   - size: The new font size.
+    ///   - unit: The unit of the size.
+    func setFontSize(_ size: Double, unit: FontSizeUnit) {
+        editor?.setFontSize(size, unit: unit)
+    }
+
+    /// Changes the line height of the paragraphs of the selection or at the insertion point.
+    ///
+    /// - Parameter lineHeight: The line height, as a multiple of the font size. For example 1.5.
+    func setLineHeight(_ lineHeight: Double) {
+        editor?.setLineHeight(lineHeight)
+    }
+
+    /// Changes the space between the characters of the selection or at the insertion point.
+    ///
+    /// - Parameter spacing: The space added between the characters, in pixels. It can be negative.
+    func setLetterSpacing(_ spacing: Double) {
+        editor?.setLetterSpacing(spacing)
+    }
+
+    /// Saves the current selection so it can be restored later.
+    ///
+    /// - Parameter completion: A closure called with the selection, or nil if the editor contains no selection.
+    func saveSelection(completion: @escaping (SerializedSelection?) -> Void) {
+        guard let editor else {
+            completion(nil)
+            return
+        }
+        editor.saveSelection(completion: completion)
+    }
+
+    /// Restores a selection saved with ``saveSelection(completion:)``.
+    ///
+    /// - Parameter selection: The selection to restore.
+    func restoreSelection(_ selection: SerializedSelection) {
+        editor?.restoreSelection(selection)
+    }
+
+    /// Pastes the content of the general pasteboard at the insertion point with the given mode.
+    ///
+    /// - Parameter mode: How the pasted content should be inserted.
+    func paste(as mode: PasteMode) {
+        editor?.paste(as: mode)
+    }
+
+    /// Undoes the last executed command or the last typed word.
     func undo() {
         editor?.undo()
     }
 
-    /// Redoes the last executed command.
+    /// Redoes the last undone command.
     func redo() {
         editor?.redo()
     }
@@ -139,9 +431,19 @@ public extension TextAttributes {
     func setHeading(_ level: Int) {
         editor?.setHeading(level)
     }
+
+    /// Converts the current paragraphs to a code block, or the current code block back to paragraphs.
+    func toggleCodeBlock() {
+        editor?.toggleCodeBlock()
+    }
     
     /// Transforms ul/ol elements wrapped in colored spans or font tags to use font tags within list items.
     func transformColoredLists() {
         editor?.transformColoredLists()
     }
+
+    /// Cleans the HTML of the content without changing how it looks.
+    func normalizeContent() {
+        editor?.normalizeContent()
+    }
 }
@@ -27,12 +27,27 @@ public final class TextAttributes: ObservableObject {
     @Published public private(set) var hasSuperscript = false
     @Published public private(set) var hasOrderedList = false
     @Published public private(set) var hasUnorderedList = false
+    @Published public private(set) var hasChecklist = false
+    @Published public private(set) var listStyleType: ListStyleType?
+    @Published public private(set) var listDepth = 0
 
     @Published public private(set) var hasLink = false
+    @Published public private(set) var hasCode = false
+    @Published public private(set) var isInCodeBlock = false
     @Published public private(set) var textJustification: TextJustification?
 
+    @Published public private(set) var canUndo = false
+    @Published public private(set) var canRedo = false
+
+    @Published public private(set) var isInTable = false
+    @Published public private(set) var tableRowIndex: Int?
+    @Published public private(set) var tableColumnIndex: Int?
+
     @Published public private(set) var fontName = ""
     @Published public private(set) var fontSize: Int?
+    @Published public private(set) var cssFontSize: Double?
+    @Published public private(set) var lineHeight: Double?
+    @Published public private(set) var letterSpacing: Double?
 
     @Published public private(set) var foregroundColor: Color?
     @Published public private(set) var backgroundColor: Color?
@@ -50,12 +65,27 @@ public final class TextAttributes: ObservableObject {
         hasSuperscript = uiTextAttributes.hasSuperscript
         hasOrderedList = uiTextAttributes.hasOrderedList
         hasUnorderedList = uiTextAttributes.hasUnorderedList
+        hasChecklist = uiTextAttributes.hasChecklist
+        listStyleType = uiTextAttributes.listStyleType
+        listDepth = uiTextAttributes.listDepth
 
         hasLink = uiTextAttributes.hasLink
+        hasCode = uiTextAttributes.hasCode
+        isInCodeBlock = uiTextAttributes.isInCodeBlock
         textJustification = uiTextAttributes.textJustification
 
+        canUndo = uiTextAttributes.canUndo
+        canRedo = uiTextAttributes.canRedo
+
+        isInTable = uiTextAttributes.isInTable
+        tableRowIndex = uiTextAttributes.tableRowIndex
+        tableColumnIndex = uiTextAttributes.tableColumnIndex
+
         fontName = uiTextAttributes.fontName
         fontSize = uiTextAttributes.fontSize
+        cssFontSize = uiTextAttributes.cssFontSize
+        lineHeight = uiTextAttributes.lineHeight
+        letterSpacing = uiTextAttributes.letterSpacing
 
         if let uiForegroundColor = uiTextAttributes.foregroundColor {
             foregroundColor = Color(uiForegroundColor)
@@ -92,4 +92,208 @@ public extension View {
     func handleLinkOpening(perform action: @escaping @Sendable (URL) -> Bool) -> some View {
         environment(\.handleLinkOpening, action)
     }
+
+    /// Configures the rules used to sanitize the HTML inserted in the editor.
+    ///
+    /// - Parameter configuration: The rules of the sanitizer.
+    ///
+    /// - Returns: A view that sanitizes the HTML of the editor with the given rules.
+    func editorSanitizerConfiguration(_ configuration: SanitizerConfiguration) -> some View {
+        environment(\.editorSanitizerConfiguration, configuration)
+    }
+
+    /// Configures how and when the editor reports the changes of its content.
+    ///
+    /// The binding to the HTML is only updated when the changes are reported, it is never updated with
+    /// ``ContentChangeConfiguration/Mode/onDemand``.
+    ///
+    /// - Parameter configuration: The rules used to report the changes.
+    ///
+    /// - Returns: A view that reports the changes of the editor with the given rules.
+    func editorContentChangeConfiguration(_ configuration: ContentChangeConfiguration) -> some View {
+        environment(\.editorContentChangeConfiguration, configuration)
+    }
+
+    /// Configures how the content pasted by the user is inserted in the editor.
+    ///
+    /// - Parameter mode: The mode used to insert the pasted content.
+    ///
+    /// - Returns: A view that inserts the pasted content with the given mode.
+    func editorPasteMode(_ mode: PasteMode) -> some View {
+        environment(\.editorPasteMode, mode)
+    }
+
+    /// Performs an action when the sanitizer removes unsafe content from HTML inserted in the editor.
+    ///
+    /// - Parameter action: A closure to run when content is removed. The closure takes a `report`
+    ///   parameter that describes the removed content.
+    ///
+    /// - Returns: A view that fires an action when the sanitizer removes content.
+    func onSanitizerRemoveContent(perform action: @escaping @Sendable (_ report: SanitizerReport) -> Void) -> some View {
+        environment(\.onSanitizerRemoveContent, action)
+    }
+
+    /// Performs an action when the user selects or deselects an image in the editor.
+    ///
+    /// - Parameter action: A closure to run when the selected image changes. The closure takes a
+    ///   `selectedImage` parameter that is `nil` when no image is selected anymore.
+    ///
+    /// - Returns: A view that fires an action when the selected image changes.
+    func onSelectedImageChange(perform action: @escaping @Sendable (_ selectedImage: SelectedImage?) -> Void) -> some View {
+        environment(\.onSelectedImageChange, action)
+    }
+
+    /// Configures the characters starting a mention query in the editor, for example `@`, `#` or `/`.
+    ///
+    /// - Parameter triggers: The trigger characters, an empty array disables the mentions.
+    ///
+    /// - Returns: A view that reports the mention queries started with the given characters.
+    func editorMentionTriggers(_ triggers: [String]) -> some View {
+        environment(\.editorMentionTriggers, triggers)
+    }
+
+    /// Performs an action when the user starts, changes or ends a mention query in the editor.
+    ///
+    /// Use ``TextAttributes/insertMention(_:)`` to replace the query with the item chosen by the user.
+    ///
+    /// - Parameter action: A closure to run when the query changes. The closure takes a
+    ///   `mentionQuery` parameter that is `nil` when the query has ended.
+    ///
+    /// - Returns: A view that fires an action when the mention query changes.
+    func onMentionQueryChange(perform action: @escaping @Sendable (_ mentionQuery: MentionQuery?) -> Void) -> some View {
+        environment(\.onMentionQueryChange, action)
+    }
+
+    /// Performs an action when the matches of the current search change in the editor.
+    ///
+    /// - Parameter action: A closure to run when the results of the search change. The closure takes a
+    ///   `findResults` parameter with the number of matches and the index of the current one.
+    ///
+    /// - Returns: A view that fires an action when the results of the search change.
+    func onFindResultsChange(perform action: @escaping @Sendable (_ findResults: FindResults) -> Void) -> some View {
+        environment(\.onFindResultsChange, action)
+    }
+
+    /// Configures the kinds of text automatically converted to links in the editor.
+    ///
+    /// - Parameter detectors: The enabled detectors, an empty set disables the automatic links.
+    ///
+    /// - Returns: A view that converts the given kinds of text to links.
+    func editorAutoLinkDetectors(_ detectors: Set<AutoLinkDetector>) -> some View {
+        environment(\.editorAutoLinkDetectors, detectors)
+    }
+
+    /// Configures what happens when the user taps a link in the editor.
+    ///
+    /// - Parameter behavior: The behavior of the links.
+    ///
+    /// - Returns: A view that edits or opens the tapped links.
+    func editorLinkTapBehavior(_ behavior: LinkTapBehavior) -> some View {
+        environment(\.editorLinkTapBehavior, behavior)
+    }
+
+    /// Performs an action when the user taps a link in the editor.
+    ///
+    /// - Parameter action: A closure to run when a link is tapped. The closure takes the tapped `link` as parameter.
+    ///
+    /// - Returns: A view that fires an action when a link is tapped.
+    func onLinkTap(perform action: @escaping @Sendable (_ link: SelectedLink) -> Void) -> some View {
+        environment(\.onLinkTap, action)
+    }
+
+    /// Performs an action when the user taps a decoration in the editor.
+    ///
+    /// - Parameter action: A closure to run when a decoration is tapped. The closure takes the tapped `decoration`
+    ///   as parameter.
+    ///
+    /// - Returns: A view that fires an action when a decoration is tapped.
+    func onDecorationTap(perform action: @escaping @Sendable (_ decoration: TappedDecoration) -> Void) -> some View {
+        environment(\.onDecorationTap, action)
+    }
+
+    /// Performs an action when the user drops or pastes a file in the editor.
+    ///
+    /// - Parameter action: A closure to run when a file is dropped or pasted. The closure takes the `file` as
+    ///   parameter.
+    ///
+    /// - Returns: A view that fires an action when a file is dropped or pasted.
+    func onFileDrop(perform action: @escaping @Sendable (_ file: DroppedFile) -> Void) -> some View {
+        environment(\.onFileDrop, action)
+    }
+
+    /// Configures the maximum size of the dropped or pasted files whose content is reported with them.
+    ///
+    /// - Parameter size: The maximum size of a file, in bytes. With 0, only the metadata of the files is reported.
+    ///
+    /// - Returns: A view that reports the content of the files up to the given size.
+    func editorMaximumDroppedFileDataSize(_ size: Int) -> some View {
+        environment(\.editorMaximumDroppedFileDataSize, size)
+    }
+
+    /// Configures whether the user can edit the content of the editor.
+    ///
+    /// - Parameter editable: A Boolean that indicates whether the content can be edited or only read.
+    ///
+    /// - Returns: A view that makes the editor editable or read-only.
+    func editorEditable(_ editable: Bool) -> some View {
+        environment(\.editorEditable, editable)
+    }
+
+    /// Configures the maximum length of the content that the user can type in the editor.
+    ///
+    /// - Parameter limits: The maximum number of characters and words.
+    ///
+    /// - Returns: A view that limits the length of its content.
+    func editorContentLimits(_ limits: ContentLimits) -> some View {
+        environment(\.editorContentLimits, limits)
+    }
+
+    /// Performs an action when the length of the content of the editor changes.
+    ///
+    /// - Parameter action: A closure to run when the statistics change. The closure takes the `statistics` as
+    ///   parameter.
+    ///
+    /// - Returns: A view that fires an action when the length of the content changes.
+    func onContentStatisticsChange(perform action: @escaping @Sendable (_ statistics: ContentStatistics) -> Void) -> some View {
+        environment(\.onContentStatisticsChange, action)
+    }
+
+    /// Configures the keyboard shortcuts of the editor on a hardware keyboard, in addition to the default ones.
+    ///
+    /// - Parameter shortcuts: The keyboard shortcuts, they override the default shortcuts with the same keys.
+    ///
+    /// - Returns: A view that runs the given shortcuts.
+    func editorKeyboardShortcuts(_ shortcuts: [EditorKeyboardShortcut]) -> some View {
+        environment(\.editorKeyboardShortcuts, shortcuts)
+    }
+
+    /// Performs an action when the user presses the combination of a shortcut using
+    /// ``EditorKeyboardShortcut/Action/forward``.
+    ///
+    /// - Parameter action: A closure to run when a key combination is pressed. The closure takes the `keys` as
+    ///   parameter.
+    ///
+    /// - Returns: A view that fires an action when a key combination is pressed.
+    func onKeyCombinationPress(perform action: @escaping @Sendable (_ keys: KeyCombination) -> Void) -> some View {
+        environment(\.onKeyCombinationPress, action)
+    }
+
+    /// Configures the regions of the content that the user can't edit, such as a quoted thread or a signature.
+    ///
+    /// - Parameter configuration: The rules used to find the protected regions.
+    ///
+    /// - Returns: A view that protects the regions matching the given rules.
+    func editorProtectedRegionConfiguration(_ configuration: ProtectedRegionConfiguration) -> some View {
+        environment(\.editorProtectedRegionConfiguration, configuration)
+    }
+
+    /// Performs an action when the user removes a protected region from the editor.
+    ///
+    /// - Parameter action: A closure to run when a protected region is removed. The closure takes
+    ///   the `html` of the removed region as parameter.
+    ///
+    /// - Returns: A view that fires an action when a protected region is removed.
+    func onProtectedRegionRemove(perform action: @escaping @Sendable (_ html: String) -> Void) -> some View {
+        environment(\.onProtectedRegionRemove, action)
+    }
 }
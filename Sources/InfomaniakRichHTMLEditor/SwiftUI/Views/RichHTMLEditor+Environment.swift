@@ -51,6 +51,90 @@ public struct HandleLinkOpeningKey: EnvironmentKey {
     public static let defaultValue: (@Sendable (URL) -> Bool)? = nil
 }
 
+public struct EditorSanitizerConfigurationKey: EnvironmentKey {
+    public static let defaultValue: SanitizerConfiguration? = nil
+}
+
+public struct EditorContentChangeConfigurationKey: EnvironmentKey {
+    public static let defaultValue: ContentChangeConfiguration? = nil
+}
+
+public struct EditorPasteModeKey: EnvironmentKey {
+    public static let defaultValue = PasteMode.cleanFormatting
+}
+
+public struct OnSanitizerRemoveContentKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (SanitizerReport) -> Void)? = nil
+}
+
+public struct OnSelectedImageChangeKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (SelectedImage?) -> Void)? = nil
+}
+
+public struct EditorMentionTriggersKey: EnvironmentKey {
+    public static let defaultValue = [String]()
+}
+
+public struct OnMentionQueryChangeKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (MentionQuery?) -> Void)? = nil
+}
+
+public struct OnFindResultsChangeKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (FindResults) -> Void)? = nil
+}
+
+public struct EditorAutoLinkDetectorsKey: EnvironmentKey {
+    public static let defaultValue: Set<AutoLinkDetector> = [.url, .www, .email]
+}
+
+public struct EditorLinkTapBehaviorKey: EnvironmentKey {
+    public static let defaultValue = LinkTapBehavior.edit
+}
+
+public struct OnLinkTapKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (SelectedLink) -> Void)? = nil
+}
+
+public struct OnDecorationTapKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (TappedDecoration) -> Void)? = nil
+}
+
+public struct OnFileDropKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (DroppedFile) -> Void)? = nil
+}
+
+public struct EditorMaximumDroppedFileDataSizeKey: EnvironmentKey {
+    public static let defaultValue = 0
+}
+
+public struct EditorEditableKey: EnvironmentKey {
+    public static let defaultValue = true
+}
+
+public struct EditorContentLimitsKey: EnvironmentKey {
+    public static let defaultValue = ContentLimits()
+}
+
+public struct OnContentStatisticsChangeKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (ContentStatistics) -> Void)? = nil
+}
+
+public struct EditorKeyboardShortcutsKey: EnvironmentKey {
+    public static let defaultValue = [EditorKeyboardShortcut]()
+}
+
+public struct OnKeyCombinationPressKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (KeyCombination) -> Void)? = nil
+}
+
+public struct EditorProtectedRegionConfigurationKey: EnvironmentKey {
+    public static let defaultValue: ProtectedRegionConfiguration? = nil
+}
+
+public struct OnProtectedRegionRemoveKey: EnvironmentKey {
+    public static let defaultValue: (@Sendable (String) -> Void)? = nil
+}
+
 // MARK: - Environment Values
 
 public extension EnvironmentValues {
@@ -97,4 +181,109 @@ public extension EnvironmentValues {
         get { self[HandleLinkOpeningKey.self] }
         set { self[HandleLinkOpeningKey.self] = newValue }
     }
+
+    var editorSanitizerConfiguration: SanitizerConfiguration? {
+        get { self[EditorSanitizerConfigurationKey.self] }
+        set { self[EditorSanitizerConfigurationKey.self] = newValue }
+    }
+
+    var editorContentChangeConfiguration: ContentChangeConfiguration? {
+        get { self[EditorContentChangeConfigurationKey.self] }
+        set { self[EditorContentChangeConfigurationKey.self] = newValue }
+    }
+
+    var editorPasteMode: PasteMode {
+        get { self[EditorPasteModeKey.self] }
+        set { self[EditorPasteModeKey.self] = newValue }
+    }
+
+    var onSanitizerRemoveContent: (@Sendable (SanitizerReport) -> Void)? {
+        get { self[OnSanitizerRemoveContentKey.self] }
+        set { self[OnSanitizerRemoveContentKey.self] = newValue }
+    }
+
+    var onSelectedImageChange: (@Sendable (SelectedImage?) -> Void)? {
+        get { self[OnSelectedImageChangeKey.self] }
+        set { self[OnSelectedImageChangeKey.self] = newValue }
+    }
+
+    var editorMentionTriggers: [String] {
+        get { self[EditorMentionTriggersKey.self] }
+        set { self[EditorMentionTriggersKey.self] = newValue }
+    }
+
+    var onMentionQueryChange: (@Sendable (MentionQuery?) -> Void)? {
+        get { self[OnMentionQueryChangeKey.self] }
+        set { self[OnMentionQueryChangeKey.self] = newValue }
+    }
+
+    var onFindResultsChange: (@Sendable (FindResults) -> Void)? {
+        get { self[OnFindResultsChangeKey.self] }
+        set { self[OnFindResultsChangeKey.self] = newValue }
+    }
+
+    var editorAutoLinkDetectors: Set<AutoLinkDetector> {
+        get { self[EditorAutoLinkDetectorsKey.self] }
+        set { self[EditorAutoLinkDetectorsKey.self] = newValue }
+    }
+
+    var editorLinkTapBehavior: LinkTapBehavior {
+        get { self[EditorLinkTapBehaviorKey.self] }
+        set { self[EditorLinkTapBehaviorKey.self] = newValue }
+    }
+
+    var onLinkTap: (@Sendable (SelectedLink) -> Void)? {
+        get { self[OnLinkTapKey.self] }
+        set { self[OnLinkTapKey.self] = newValue }
+    }
+
+    var onDecorationTap: (@Sendable (TappedDecoration) -> Void)? {
+        get { self[OnDecorationTapKey.self] }
+        set { self[OnDecorationTapKey.self] = newValue }
+    }
+
+    var onFileDrop: (@Sendable (DroppedFile) -> Void)? {
+        get { self[OnFileDropKey.self] }
+        set { self[OnFileDropKey.self] = newValue }
+    }
+
+    var editorMaximumDroppedFileDataSize: Int {
+        get { self[EditorMaximumDroppedFileDataSizeKey.self] }
+        set { self[EditorMaximumDroppedFileDataSizeKey.self] = newValue }
+    }
+
+    var editorEditable: Bool {
+        get { self[EditorEditableKey.self] }
+        set { self[EditorEditableKey.self] = newValue }
+    }
+
+    var editorContentLimits: ContentLimits {
+        get { self[EditorContentLimitsKey.self] }
+        set { self[EditorContentLimitsKey.self] = newValue }
+    }
+
+    var onContentStatisticsChange: (@Sendable (ContentStatistics) -> Void)? {
+        get { self[OnContentStatisticsChangeKey.self] }
+        set { self[OnContentStatisticsChangeKey.self] = newValue }
+    }
+
+    var editorKeyboardShortcuts: [EditorKeyboardShortcut] {
+        get { self[EditorKeyboardShortcutsKey.self] }
+        set { self[EditorKeyboardShortcutsKey.self] = newValue }
+    }
+
+    var onKeyCombinationPress: (@Sendable (KeyCombination) -> Void)? {
+        get { self[OnKeyCombinationPressKey.self] }
+        set { self[OnKeyCombinationPressKey.self] = newValue }
+    }
+
+    var editorProtectedRegionConfiguration: ProtectedRegionConfiguration? {
+        get { self[EditorProtectedRegionConfigurationKey.self] }
+        set { self[EditorProtectedRegionConfigurationKey.self] = newValue }
+    }
+
+    var onProtectedRegionRemove: (@Sendable (String) -> Void)? {
+        get { self[OnProtectedRegionRemoveKey.self] }
+        set { self[OnProtectedRegionRemoveKey.self] = newValue }
+    }
 }
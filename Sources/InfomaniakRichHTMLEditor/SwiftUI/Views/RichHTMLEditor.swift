@@ -33,6 +33,27 @@ public struct RichHTMLEditor: PlateformViewRepresentable {
     @Environment(\.onJavaScriptFunctionFail) var onJavaScriptFunctionFail
     @Environment(\.introspectEditor) var introspectEditor
     @Environment(\.handleLinkOpening) var handleLinkOpening
+    @Environment(\.editorSanitizerConfiguration) var editorSanitizerConfiguration
+    @Environment(\.editorContentChangeConfiguration) var editorContentChangeConfiguration
+    @Environment(\.editorPasteMode) var editorPasteMode
+    @Environment(\.onSanitizerRemoveContent) var onSanitizerRemoveContent
+    @Environment(\.onSelectedImageChange) var onSelectedImageChange
+    @Environment(\.editorMentionTriggers) var editorMentionTriggers
+    @Environment(\.onMentionQueryChange) var onMentionQueryChange
+    @Environment(\.onFindResultsChange) var onFindResultsChange
+    @Environment(\.editorAutoLinkDetectors) var editorAutoLinkDetectors
+    @Environment(\.editorLinkTapBehavior) var editorLinkTapBehavior
+    @Environment(\.onLinkTap) var onLinkTap
+    @Environment(\.onDecorationTap) var onDecorationTap
+    @Environment(\.onFileDrop) var onFileDrop
+    @Environment(\.editorMaximumDroppedFileDataSize) var editorMaximumDroppedFileDataSize
+    @Environment(\.editorEditable) var isEditorEditable
+    @Environment(\.editorContentLimits) var editorContentLimits
+    @Environment(\.onContentStatisticsChange) var onContentStatisticsChange
+    @Environment(\.editorKeyboardShortcuts) var editorKeyboardShortcuts
+    @Environment(\.onKeyCombinationPress) var onKeyCombinationPress
+    @Environment(\.editorProtectedRegionConfiguration) var editorProtectedRegionConfiguration
+    @Environment(\.onProtectedRegionRemove) var onProtectedRegionRemove
 
     @Binding public var html: String
     @ObservedObject public var textAttributes: TextAttributes
@@ -47,6 +68,15 @@ public struct RichHTMLEditor: PlateformViewRepresentable {
     private func createPlatformView(context: Context) -> RichHTMLEditorView {
         let richHTMLEditorView = RichHTMLEditorView()
         richHTMLEditorView.delegate = context.coordinator
+        if let editorSanitizerConfiguration {
+            richHTMLEditorView.sanitizerConfiguration = editorSanitizerConfiguration
+        }
+        if let editorContentChangeConfiguration {
+            richHTMLEditorView.contentChangeConfiguration = editorContentChangeConfiguration
+        }
+        if let editorProtectedRegionConfiguration {
+            richHTMLEditorView.protectedRegionConfiguration = editorProtectedRegionConfiguration
+        }
         richHTMLEditorView.html = html
 
         if let css = editorCSS {
@@ -64,6 +94,38 @@ public struct RichHTMLEditor: PlateformViewRepresentable {
             richHTMLEditorView.html = html
         }
 
+        if richHTMLEditorView.pasteMode != editorPasteMode {
+            richHTMLEditorView.pasteMode = editorPasteMode
+        }
+
+        if richHTMLEditorView.autoLinkDetectors != editorAutoLinkDetectors {
+            richHTMLEditorView.autoLinkDetectors = editorAutoLinkDetectors
+        }
+
+        if richHTMLEditorView.linkTapBehavior != editorLinkTapBehavior {
+            richHTMLEditorView.linkTapBehavior = editorLinkTapBehavior
+        }
+
+        if richHTMLEditorView.maximumDroppedFileDataSize != editorMaximumDroppedFileDataSize {
+            richHTMLEditorView.maximumDroppedFileDataSize = editorMaximumDroppedFileDataSize
+        }
+
+        if richHTMLEditorView.isEditable != isEditorEditable {
+            richHTMLEditorView.isEditable = isEditorEditable
+        }
+
+        if richHTMLEditorView.contentLimits != editorContentLimits {
+            richHTMLEditorView.contentLimits = editorContentLimits
+        }
+
+        if richHTMLEditorView.keyboardShortcuts != editorKeyboardShortcuts {
+            richHTMLEditorView.keyboardShortcuts = editorKeyboardShortcuts
+        }
+
+        if richHTMLEditorView.mentionTriggers != editorMentionTriggers {
+            richHTMLEditorView.mentionTriggers = editorMentionTriggers
+        }
+
         #if canImport(UIKit)
         if richHTMLEditorView.isScrollEnabled != isEditorScrollable {
             richHTMLEditorView.isScrollEnabled = isEditorScrollable
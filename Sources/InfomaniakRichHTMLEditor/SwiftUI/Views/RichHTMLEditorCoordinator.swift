@@ -52,4 +52,50 @@ public final class RichHTMLEditorCoordinator: RichHTMLEditorViewDelegate {
     public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, shouldHandleLink link: URL) -> Bool {
         return parent.handleLinkOpening?(link) ?? false
     }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, sanitizerDidRemoveContent report: SanitizerReport) {
+        parent.onSanitizerRemoveContent?(report)
+    }
+
+    public func richHTMLEditorView(
+        _ richHTMLEditorView: RichHTMLEditorView,
+        selectedImageDidChange selectedImage: SelectedImage?
+    ) {
+        parent.onSelectedImageChange?(selectedImage)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, mentionQueryDidChange mentionQuery: MentionQuery?) {
+        parent.onMentionQueryChange?(mentionQuery)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, findResultsDidChange findResults: FindResults) {
+        parent.onFindResultsChange?(findResults)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, protectedRegionDidRemove html: String) {
+        parent.onProtectedRegionRemove?(html)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didTapLink link: SelectedLink) {
+        parent.onLinkTap?(link)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didTapDecoration decoration: TappedDecoration) {
+        parent.onDecorationTap?(decoration)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didDropFile file: DroppedFile) {
+        parent.onFileDrop?(file)
+    }
+
+    public func richHTMLEditorView(
+        _ richHTMLEditorView: RichHTMLEditorView,
+        contentStatisticsDidChange statistics: ContentStatistics
+    ) {
+        parent.onContentStatisticsChange?(statistics)
+    }
+
+    public func richHTMLEditorView(_ richHTMLEditorView: RichHTMLEditorView, didPressKeyCombination keys: KeyCombination) {
+        parent.onKeyCombinationPress?(keys)
+    }
 }
@@ -11,6 +11,8 @@
 //  specific language governing permissions and limitations
 //  under the License.
 
+import Foundation
+
 enum JavaScriptFormatterHelper {
     static func format(_ arg: Any?, mustEscapeString: Bool = true) -> String {
         if arg == nil {
@@ -23,8 +25,18 @@ enum JavaScriptFormatterHelper {
             return "`\(escapedStringIfNeeded)`"
         } else if let value = arg as? LosslessStringConvertible {
             return String(value)
+        } else if let value = arg as? Encodable, let json = encodeToJSON(value) {
+            // A JSON document is a valid JavaScript object literal
+            return json
         } else {
             fatalError("Error while encoding \(type(of: arg)) for JavaScript: type not yet implemented.")
         }
     }
+
+    private static func encodeToJSON(_ value: Encodable) -> String? {
+        guard let data = try? JSONEncoder().encode(value) else {
+            return nil
+        }
+        return String(data: data, encoding: .utf8)
+    }
 }
@@ -0,0 +1,42 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+
+#if canImport(UIKit)
+import UIKit
+#elseif canImport(AppKit)
+import AppKit
+#endif
+
+import UniformTypeIdentifiers
+
+enum PasteboardHelper {
+    @MainActor static var html: String? {
+        #if canImport(UIKit)
+        guard let data = UIPasteboard.general.data(forPasteboardType: UTType.html.identifier) else {
+            return nil
+        }
+        return String(data: data, encoding: .utf8)
+        #elseif canImport(AppKit)
+        return NSPasteboard.general.string(forType: .html)
+        #endif
+    }
+
+    @MainActor static var plainText: String? {
+        #if canImport(UIKit)
+        return UIPasteboard.general.string
+        #elseif canImport(AppKit)
+        return NSPasteboard.general.string(forType: .string)
+        #endif
+    }
+}
@@ -59,6 +59,14 @@ final class JavaScriptManager {
         evaluate(function: .unlink)
     }
 
+    func undo() {
+        evaluate(function: .undo)
+    }
+
+    func redo() {
+        evaluate(function: .redo)
+    }
+
     func focus() {
         evaluate(function: .focus)
     }
@@ -90,6 +98,271 @@ final class JavaScriptManager {
         evaluate(function: .transformColoredLists)
     }
 
+    func normalizeContent() {
+        evaluate(function: .normalizeContent)
+    }
+
+    func insertChecklist() {
+        evaluate(function: .insertChecklist)
+    }
+
+    func setListStyleType(_ type: ListStyleType) {
+        evaluate(function: .setListStyleType(type: type.rawValue))
+    }
+
+    func setListStart(_ start: Int) {
+        evaluate(function: .setListStart(start: start))
+    }
+
+    func continueListNumbering() {
+        evaluate(function: .continueListNumbering)
+    }
+
+    func toggleInlineCode() {
+        evaluate(function: .toggleInlineCode)
+    }
+
+    func setSanitizerConfiguration(_ configuration: SanitizerConfiguration) {
+        evaluateWhenDOMIsReady(function: .setSanitizerConfiguration(configuration: configuration))
+    }
+
+    func setPasteMode(_ mode: PasteMode) {
+        evaluateWhenDOMIsReady(function: .setPasteMode(mode: mode.rawValue))
+    }
+
+    func pasteContent(html: String?, text: String?, mode: PasteMode) {
+        evaluate(function: .pasteContent(html: html, text: text, mode: mode.rawValue))
+    }
+
+    func insertImage(source: String, alternativeText: String?, width: Int?) {
+        evaluate(function: .insertImage(source: source, alternativeText: alternativeText, width: width))
+    }
+
+    func setImageAlternativeText(_ alternativeText: String) {
+        evaluate(function: .setImageAlternativeText(alternativeText: alternativeText))
+    }
+
+    func setImageWidth(_ width: Int) {
+        evaluate(function: .setImageWidth(width: width))
+    }
+
+    func loadBlockedImages() {
+        evaluate(function: .loadBlockedImages)
+    }
+
+    func updateAttachmentProgress(id: String, fraction: Double) {
+        evaluate(function: .updateAttachmentProgress(id: id, fraction: fraction))
+    }
+
+    func replaceAttachmentPlaceholderWithImage(id: String, source: String, alternativeText: String?, width: Int?) {
+        evaluate(function: .replaceAttachmentPlaceholderWithImage(
+            id: id,
+            source: source,
+            alternativeText: alternativeText,
+            width: width
+        ))
+    }
+
+    func replaceAttachmentPlaceholderWithChip(id: String, url: String, name: String) {
+        evaluate(function: .replaceAttachmentPlaceholderWithChip(id: id, url: url, name: name))
+    }
+
+    func removeAttachmentPlaceholder(id: String) {
+        evaluate(function: .removeAttachmentPlaceholder(id: id))
+    }
+
+    func insertTable(rows: Int, columns: Int) {
+        evaluate(function: .insertTable(rows: rows, columns: columns))
+    }
+
+    func insertTableRow(position: TableInsertionPosition) {
+        evaluate(function: .insertTableRow(position: position.rawValue))
+    }
+
+    func insertTableColumn(position: TableInsertionPosition) {
+        evaluate(function: .insertTableColumn(position: position.rawValue))
+    }
+
+    func deleteTableRow() {
+        evaluate(function: .deleteTableRow)
+    }
+
+    func deleteTableColumn() {
+        evaluate(function: .deleteTableColumn)
+    }
+
+    func mergeTableCells() {
+        evaluate(function: .mergeTableCells)
+    }
+
+    func splitTableCell() {
+        evaluate(function: .splitTableCell)
+    }
+
+    func setTableCellBackgroundColor(_ color: String) {
+        evaluate(function: .setTableCellBackgroundColor(color: color))
+    }
+
+    func setMarkdown(_ markdown: String) {
+        evaluateWhenDOMIsReady(function: .setMarkdown(markdown: markdown))
+    }
+
+    func getContentAsMarkdown(completion: @escaping (String?) -> Void) {
+        evaluate(function: .getContentAsMarkdown) { result in
+            completion(result as? String)
+        }
+    }
+
+    func setContentChangeConfiguration(_ configuration: ContentChangeConfiguration) {
+        evaluateWhenDOMIsReady(function: .setContentChangeConfiguration(configuration: configuration))
+    }
+
+    func getHTMLContent(completion: @escaping (String?) -> Void) {
+        evaluate(function: .getHTMLContent) { result in
+            completion(result as? String)
+        }
+    }
+
+    func getContentAsPlainText(options: PlainTextOptions, completion: @escaping (String?) -> Void) {
+        evaluate(function: .getContentAsPlainText(options: options)) { result in
+            completion(result as? String)
+        }
+    }
+
+    func getContentWithInlineCSS(options: InlineCSSOptions, completion: @escaping (String?) -> Void) {
+        evaluate(function: .getContentWithInlineCSS(options: options)) { result in
+            completion(result as? String)
+        }
+    }
+
+    func setMentionTriggers(_ triggers: [String]) {
+        evaluateWhenDOMIsReady(function: .setMentionTriggers(triggers: triggers))
+    }
+
+    func insertMention(_ mention: Mention) {
+        evaluate(function: .insertMention(mention: mention))
+    }
+
+    func getMentions(completion: @escaping ([Mention]) -> Void) {
+        evaluate(function: .getMentions) { result in
+            guard let result, let data = try? JSONSerialization.data(withJSONObject: result),
+                  let mentions = try? JSONDecoder().decode([Mention].self, from: data) else {
+                completion([])
+                return
+            }
+            completion(mentions)
+        }
+    }
+
+    func find(_ query: String, options: FindOptions) {
+        evaluate(function: .find(query: query, options: options))
+    }
+
+    func findNext() {
+        evaluate(function: .findNext)
+    }
+
+    func findPrevious() {
+        evaluate(function: .findPrevious)
+    }
+
+    func clearFind() {
+        evaluate(function: .clearFind)
+    }
+
+    func replace(with replacement: String) {
+        evaluate(function: .replace(replacement: replacement))
+    }
+
+    func replaceAll(with replacement: String) {
+        evaluate(function: .replaceAll(replacement: replacement))
+    }
+
+    func setProtectedRegionConfiguration(_ configuration: ProtectedRegionConfiguration) {
+        evaluateWhenDOMIsReady(function: .setProtectedRegionConfiguration(configuration: configuration))
+    }
+
+    func setProtectedRegionsCollapsed(_ isCollapsed: Bool) {
+        evaluate(function: .setProtectedRegionsCollapsed(isCollapsed: isCollapsed))
+    }
+
+    func addDecorations(_ decorations: [Decoration]) {
+        // The decorations refer to the content set just before
+        evaluateWhenDOMIsReady(function: .addDecorations(decorations: decorations))
+    }
+
+    func removeDecorations(withIDs ids: [String]) {
+        evaluate(function: .removeDecorations(ids: ids))
+    }
+
+    func removeAllDecorations() {
+        evaluate(function: .removeAllDecorations)
+    }
+
+    func setAutoLinkDetectors(_ detectors: Set<AutoLinkDetector>) {
+        let sortedDetectors = AutoLinkDetector.allCases.filter { detectors.contains($0) }
+        evaluateWhenDOMIsReady(function: .setAutoLinkDetectors(detectors: sortedDetectors.map(\.rawValue)))
+    }
+
+    func setLinkTapBehavior(_ behavior: LinkTapBehavior) {
+        evaluateWhenDOMIsReady(function: .setLinkTapBehavior(behavior: behavior.rawValue))
+    }
+
+    func setMaximumDroppedFileDataSize(_ size: Int) {
+        evaluateWhenDOMIsReady(function: .setMaximumDroppedFileDataSize(size: size))
+    }
+
+    func setKeyboardShortcuts(_ shortcuts: [EditorKeyboardShortcut]) {
+        evaluateWhenDOMIsReady(function: .setKeyboardShortcuts(shortcuts: shortcuts))
+    }
+
+    func setContentLimits(_ limits: ContentLimits) {
+        evaluateWhenDOMIsReady(function: .setContentLimits(limits: limits))
+    }
+
+    func setReadOnly(_ isReadOnly: Bool) {
+        evaluateWhenDOMIsReady(function: .setReadOnly(isReadOnly: isReadOnly))
+    }
+
+    func getLinkAtSelection(completion: @escaping (SelectedLink?) -> Void) {
+        evaluate(function: .getLinkAtSelection) { result in
+            // There is no link at the selection when the result is null
+            guard let result, let data = try? JSONSerialization.data(withJSONObject: result) else {
+                completion(nil)
+                return
+            }
+            completion(try? JSONDecoder().decode(SelectedLink.self, from: data))
+        }
+    }
+
+    func setFontSize(_ size: Double, unit: FontSizeUnit) {
+        evaluate(function: .setFontSize(size: size, unit: unit.rawValue))
+    }
+
+    func setLineHeight(_ lineHeight: Double) {
+        evaluate(function: .setLineHeight(lineHeight: lineHeight))
+    }
+
+    func setLetterSpacing(_ spacing: Double) {
+        evaluate(function: .setLetterSpacing(spacing: spacing))
+    }
+
+    func saveSelection(completion: @escaping (SerializedSelection?) -> Void) {
+        evaluate(function: .saveSelection) { result in
+            // There is no selection in the editor when the result is null
+            guard let result, let data = try? JSONSerialization.data(withJSONObject: result) else {
+                completion(nil)
+                return
+            }
+            completion(try? JSONDecoder().decode(SerializedSelection.self, from: data))
+        }
+    }
+
+    func restoreSelection(_ selection: SerializedSelection) {
+        // The selection is restored after the content set just before
+        evaluateWhenDOMIsReady(function: .restoreSelection(selection: selection))
+    }
+
     private func evaluateWaitingFunctions() {
         guard isDOMContentLoaded else {
             return
@@ -109,11 +382,11 @@ final class JavaScriptManager {
         evaluate(function: function)
     }
 
-    private func evaluate(function: JavaScriptFunction, completion: ((_ result: Any) -> Void)? = nil) {
+    private func evaluate(function: JavaScriptFunction, completion: ((_ result: Any?) -> Void)? = nil) {
         webView?.evaluateJavaScript(function.call()) { [weak self] result, error in
             if let error {
                 self?.delegate?.javascriptFunctionDidFail(error: error, function: function.identifier)
-            } else if let result {
+            } else {
                 completion?(result)
             }
         }
@@ -18,18 +18,42 @@ import WebKit
 protocol ScriptMessageHandlerDelegate: AnyObject {
     func editorDidLoad()
     func contentDidChange(_ text: String)
+    func contentDidBecomeDirty()
+    func contentDeltaDidChange(_ delta: ContentDelta)
     func contentHeightDidChange(_ contentHeight: CGFloat)
     func selectedTextAttributesDidChange(_ selectedTextAttributes: UITextAttributes?)
     func caretPositionDidChange(_ caretRect: CGRect)
+    func sanitizerDidRemoveContent(_ report: SanitizerReport)
+    func selectedImageDidChange(_ selectedImage: SelectedImage?)
+    func mentionQueryDidChange(_ mentionQuery: MentionQuery?)
+    func findResultsDidChange(_ findResults: FindResults)
+    func protectedRegionDidRemove(_ html: String)
+    func linkDidTap(_ link: SelectedLink)
+    func decorationDidTap(_ decoration: TappedDecoration)
+    func fileDidDrop(_ file: DroppedFile)
+    func contentStatisticsDidChange(_ statistics: ContentStatistics)
+    func keyCombinationDidPress(_ keys: KeyCombination)
 }
 
 final class ScriptMessageHandler: NSObject, WKScriptMessageHandler {
     enum ScriptMessage: String, CaseIterable {
         case editorDidLoad
         case contentDidChange
+        case contentDidBecomeDirty
+        case contentDeltaDidChange
         case contentHeightDidChange
         case caretPositionDidChange
         case selectedTextAttributesDidChange
+        case sanitizerDidRemoveContent
+        case selectedImageDidChange
+        case mentionQueryDidChange
+        case findResultsDidChange
+        case protectedRegionDidRemove
+        case linkDidTap
+        case decorationDidTap
+        case fileDidDrop
+        case contentStatisticsDidChange
+        case keyboardShortcutDidPress
         case scriptLog
     }
 
@@ -47,12 +71,36 @@ final class ScriptMessageHandler: NSObject, WKScriptMessageHandler {
             editorDidLoad()
         case .contentDidChange:
             contentDidChange(message)
+        case .contentDidBecomeDirty:
+            contentDidBecomeDirty()
+        case .contentDeltaDidChange:
+            contentDeltaDidChange(message)
         case .contentHeightDidChange:
             contentHeightDidChange(message)
         case .selectedTextAttributesDidChange:
             selectedTextAttributesDidChange(message)
         case .caretPositionDidChange:
             caretPositionDidChange(message)
+        case .sanitizerDidRemoveContent:
+            sanitizerDidRemoveContent(message)
+        case .selectedImageDidChange:
+            selectedImageDidChange(message)
+        case .mentionQueryDidChange:
+            mentionQueryDidChange(message)
+        case .findResultsDidChange:
+            findResultsDidChange(message)
+        case .protectedRegionDidRemove:
+            protectedRegionDidRemove(message)
+        case .linkDidTap:
+            linkDidTap(message)
+        case .decorationDidTap:
+            decorationDidTap(message)
+        case .fileDidDrop:
+            fileDidDrop(message)
+        case .contentStatisticsDidChange:
+            contentStatisticsDidChange(message)
+        case .keyboardShortcutDidPress:
+            keyboardShortcutDidPress(message)
         case .scriptLog:
             scriptLog(message)
         }
@@ -69,6 +117,25 @@ final class ScriptMessageHandler: NSObject, WKScriptMessageHandler {
         delegate?.contentDidChange(newContent)
     }
 
+    private func contentDidBecomeDirty() {
+        delegate?.contentDidBecomeDirty()
+    }
+
+    private func contentDeltaDidChange(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let delta = try decoder.decode(ContentDelta.self, from: data)
+
+            delegate?.contentDeltaDidChange(delta)
+        } catch {
+            logger.error("Error while trying to decode ContentDelta: \(error)")
+        }
+    }
+
     private func contentHeightDidChange(_ message: WKScriptMessage) {
         guard let height = message.body as? CGFloat else {
             return
@@ -107,6 +174,152 @@ final class ScriptMessageHandler: NSObject, WKScriptMessageHandler {
 //        delegate?.caretPositionDidChange(caretPosition)
     }
 
+    private func sanitizerDidRemoveContent(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let report = try decoder.decode(SanitizerReport.self, from: data)
+
+            delegate?.sanitizerDidRemoveContent(report)
+        } catch {
+            logger.error("Error while trying to decode SanitizerReport: \(error)")
+        }
+    }
+
+    private func selectedImageDidChange(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            delegate?.selectedImageDidChange(nil)
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let selectedImage = try decoder.decode(SelectedImage.self, from: data)
+
+            delegate?.selectedImageDidChange(selectedImage)
+        } catch {
+            logger.error("Error while trying to decode SelectedImage: \(error)")
+            delegate?.selectedImageDidChange(nil)
+        }
+    }
+
+    private func mentionQueryDidChange(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            delegate?.mentionQueryDidChange(nil)
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let mentionQuery = try decoder.decode(MentionQuery.self, from: data)
+
+            delegate?.mentionQueryDidChange(mentionQuery)
+        } catch {
+            logger.error("Error while trying to decode MentionQuery: \(error)")
+            delegate?.mentionQueryDidChange(nil)
+        }
+    }
+
+    private func findResultsDidChange(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let findResults = try decoder.decode(FindResults.self, from: data)
+
+            delegate?.findResultsDidChange(findResults)
+        } catch {
+            logger.error("Error while trying to decode FindResults: \(error)")
+        }
+    }
+
+    private func protectedRegionDidRemove(_ message: WKScriptMessage) {
+        guard let html = message.body as? String else {
+            return
+        }
+        delegate?.protectedRegionDidRemove(html)
+    }
+
+    private func linkDidTap(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let link = try decoder.decode(SelectedLink.self, from: data)
+
+            delegate?.linkDidTap(link)
+        } catch {
+            logger.error("Error while trying to decode SelectedLink: \(error)")
+        }
+    }
+
+    private func decorationDidTap(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let decoration = try decoder.decode(TappedDecoration.self, from: data)
+
+            delegate?.decorationDidTap(decoration)
+        } catch {
+            logger.error("Error while trying to decode TappedDecoration: \(error)")
+        }
+    }
+
+    private func fileDidDrop(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let file = try decoder.decode(DroppedFile.self, from: data)
+
+            delegate?.fileDidDrop(file)
+        } catch {
+            logger.error("Error while trying to decode DroppedFile: \(error)")
+        }
+    }
+
+    private func contentStatisticsDidChange(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let statistics = try decoder.decode(ContentStatistics.self, from: data)
+
+            delegate?.contentStatisticsDidChange(statistics)
+        } catch {
+            logger.error("Error while trying to decode ContentStatistics: \(error)")
+        }
+    }
+
+    private func keyboardShortcutDidPress(_ message: WKScriptMessage) {
+        guard let json = message.body as? String, let data = json.data(using: .utf8) else {
+            return
+        }
+
+        do {
+            let decoder = JSONDecoder()
+            let keys = try decoder.decode(KeyCombination.self, from: data)
+
+            delegate?.keyCombinationDidPress(keys)
+        } catch {
+            logger.error("Error while trying to decode KeyCombination: \(error)")
+        }
+    }
+
     private func scriptLog(_ message: WKScriptMessage) {
         guard let log = message.body as? String else {
             return
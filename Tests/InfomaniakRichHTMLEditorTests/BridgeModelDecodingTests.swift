@@ -0,0 +1,247 @@
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//      http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing,
+//  software distributed under the License is distributed on an
+//  "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+//  KIND, either express or implied.  See the License for the
+//  specific language governing permissions and limitations
+//  under the License.
+
+@testable import InfomaniakRichHTMLEditor
+import XCTest
+
+/// The models sent by the JavaScript of the editor, decoded from the JSON it posts to the message handlers.
+final class BridgeModelDecodingTests: XCTestCase {
+    private func decode<T: Decodable>(_ type: T.Type, from json: String) throws -> T {
+        return try JSONDecoder().decode(type, from: Data(json.utf8))
+    }
+
+    // MARK: - SanitizerReport
+
+    func testDecodeSanitizerReport() throws {
+        let json = """
+        {
+            "origin": "setContent", "removedTags": ["script"], "removedAttributes": ["onclick"],
+            "removedStyleProperties": ["position"], "removedURLs": ["javascript:alert(1)"],
+            "blockedImageURLs": ["https://example.com/pixel.png"]
+        }
+        """
+
+        let report = try decode(SanitizerReport.self, from: json)
+
+        XCTAssertEqual(report.origin, .setContent)
+        XCTAssertEqual(report.removedTags, ["script"])
+        XCTAssertEqual(report.removedAttributes, ["onclick"])
+        XCTAssertEqual(report.removedStyleProperties, ["position"])
+        XCTAssertEqual(report.removedURLs, ["javascript:alert(1)"])
+        XCTAssertEqual(report.blockedImageURLs, ["https://example.com/pixel.png"])
+    }
+
+    // MARK: - UITextAttributes
+
+    func testDecodeTextAttributes() throws {
+        let json = """
+        {
+            "hasBold": true, "hasItalic": false, "hasUnderline": false, "hasStrikeThrough": false,
+            "hasSubscript": false, "hasSuperscript": false, "hasOrderedList": true, "hasUnorderedList": false,
+            "hasChecklist": false, "listStyleType": "lower-roman", "listDepth": 2, "hasCode": true,
+            "isInCodeBlock": false, "fontName": "Helvetica", "rawFontSize": "3", "cssFontSize": 16,
+            "lineHeight": 1.5, "letterSpacing": null, "rawForegroundColor": "rgb(255, 0, 0)",
+            "rawBackgroundColor": "rgba(0, 0, 0, 0)", "formatBlock": "div", "hasLink": false,
+            "textJustification": "center", "isInTable": true, "tableRowIndex": 1, "tableColumnIndex": 0,
+            "canUndo": true, "canRedo": false
+        }
+        """
+
+        let textAttributes = try decode(UITextAttributes.self, from: json)
+
+        XCTAssertTrue(textAttributes.hasBold)
+        XCTAssertTrue(textAttributes.hasOrderedList)
+        XCTAssertEqual(textAttributes.listStyleType, .lowerRoman)
+        XCTAssertEqual(textAttributes.listDepth, 2)
+        XCTAssertTrue(textAttributes.hasCode)
+        XCTAssertEqual(textAttributes.fontName, "Helvetica")
+        XCTAssertEqual(textAttributes.fontSize, 3)
+        XCTAssertEqual(textAttributes.cssFontSize, 16)
+        XCTAssertEqual(textAttributes.lineHeight, 1.5)
+        XCTAssertNil(textAttributes.letterSpacing)
+        XCTAssertNotNil(textAttributes.foregroundColor)
+        XCTAssertEqual(textAttributes.formatBlock, "div")
+        XCTAssertEqual(textAttributes.textJustification, .center)
+        XCTAssertTrue(textAttributes.isInTable)
+        XCTAssertEqual(textAttributes.tableRowIndex, 1)
+        XCTAssertEqual(textAttributes.tableColumnIndex, 0)
+        XCTAssertTrue(textAttributes.canUndo)
+        XCTAssertFalse(textAttributes.canRedo)
+    }
+
+    func testDecodeDefaultTextAttributes() throws {
+        // The attributes sent when no text is selected
+        let json = """
+        {
+            "hasBold": false, "hasItalic": false, "hasUnderline": false, "hasStrikeThrough": false,
+            "hasSubscript": false, "hasSuperscript": false, "hasOrderedList": false, "hasUnorderedList": false,
+            "hasChecklist": false, "listStyleType": null, "listDepth": 0, "hasCode": false, "isInCodeBlock": false,
+            "fontName": null, "rawFontSize": null, "cssFontSize": null, "lineHeight": null, "letterSpacing": null,
+            "rawForegroundColor": null, "rawBackgroundColor": null, "formatBlock": null, "hasLink": false,
+            "textJustification": null, "isInTable": false, "tableRowIndex": null, "tableColumnIndex": null,
+            "canUndo": false, "canRedo": false
+        }
+        """
+
+        let textAttributes = try decode(UITextAttributes.self, from: json)
+
+        XCTAssertNil(textAttributes.listStyleType)
+        XCTAssertEqual(textAttributes.listDepth, 0)
+        XCTAssertEqual(textAttributes.fontName, "")
+        XCTAssertNil(textAttributes.fontSize)
+        XCTAssertNil(textAttributes.foregroundColor)
+        XCTAssertEqual(textAttributes.formatBlock, "")
+        XCTAssertNil(textAttributes.textJustification)
+        XCTAssertNil(textAttributes.tableRowIndex)
+    }
+
+    func testDecodeTextAttributesWithNullValues() throws {
+        let json = """
+        {
+            "hasBold": true, "hasChecklist": null, "listDepth": null, "hasCode": null, "isInCodeBlock": null,
+            "fontName": null, "rawFontSize": null, "rawForegroundColor": null, "rawBackgroundColor": null,
+            "formatBlock": null, "isInTable": null, "canUndo": null, "canRedo": null
+        }
+        """
+
+        let textAttributes = try decode(UITextAttributes.self, from: json)
+
+        XCTAssertTrue(textAttributes.hasBold)
+        XCTAssertFalse(textAttributes.hasChecklist)
+        XCTAssertEqual(textAttributes.listDepth, 0)
+        XCTAssertFalse(textAttributes.hasCode)
+        XCTAssertFalse(textAttributes.isInCodeBlock)
+        XCTAssertEqual(textAttributes.fontName, "")
+        XCTAssertNil(textAttributes.fontSize)
+        XCTAssertNil(textAttributes.foregroundColor)
+        XCTAssertEqual(textAttributes.formatBlock, "")
+        XCTAssertFalse(textAttributes.isInTable)
+        XCTAssertFalse(textAttributes.canUndo)
+        XCTAssertFalse(textAttributes.canRedo)
+    }
+
+    func testDecodeTextAttributesWithMissingKeys() throws {
+        let textAttributes = try decode(UITextAttributes.self, from: #"{ "hasItalic": true }"#)
+
+        XCTAssertTrue(textAttributes.hasItalic)
+        XCTAssertFalse(textAttributes.hasBold)
+        XCTAssertEqual(textAttributes.fontName, "")
+        XCTAssertEqual(textAttributes.listDepth, 0)
+    }
+
+    func testDecodeTextAttributesWithUnknownListStyleType() throws {
+        let textAttributes = try decode(UITextAttributes.self, from: #"{ "listStyleType": "georgian", "listDepth": 1 }"#)
+
+        XCTAssertNil(textAttributes.listStyleType)
+        XCTAssertEqual(textAttributes.listDepth, 1)
+    }
+
+    // MARK: - SelectedImage
+
+    func testDecodeSelectedImage() throws {
+        let json = """
+        {
+            "source": "cid:image", "alternativeText": "A cat", "x": 10, "y": 20.5, "width": 100, "height": 50,
+            "naturalWidth": 200, "naturalHeight": 100
+        }
+        """
+
+        let image = try decode(SelectedImage.self, from: json)
+
+        XCTAssertEqual(image.source, "cid:image")
+        XCTAssertEqual(image.alternativeText, "A cat")
+        XCTAssertEqual(image.rect, CGRect(x: 10, y: 20.5, width: 100, height: 50))
+        XCTAssertEqual(image.size, CGSize(width: 100, height: 50))
+        XCTAssertEqual(image.naturalSize, CGSize(width: 200, height: 100))
+    }
+
+    // MARK: - SerializedSelection
+
+    func testDecodeSerializedSelection() throws {
+        let json = """
+        {
+            "anchor": { "path": [0, 0], "offset": 1, "textOffset": 1 },
+            "focus": { "path": null, "offset": 2, "textOffset": 8 }
+        }
+        """
+
+        let selection = try decode(SerializedSelection.self, from: json)
+
+        XCTAssertEqual(selection.anchor.path, [0, 0])
+        XCTAssertEqual(selection.anchor.offset, 1)
+        XCTAssertEqual(selection.anchor.textOffset, 1)
+        XCTAssertNil(selection.focus.path)
+        XCTAssertEqual(selection.focus.offset, 2)
+        XCTAssertEqual(selection.focus.textOffset, 8)
+    }
+
+    func testEncodeSerializedSelection() throws {
+        let json = """
+        {
+            "anchor": { "path": [1], "offset": 0, "textOffset": 4 },
+            "focus": { "path": [1], "offset": 3, "textOffset": 7 }
+        }
+        """
+        let selection = try decode(SerializedSelection.self, from: json)
+
+        let encodedSelection = try JSONEncoder().encode(selection)
+
+        XCTAssertEqual(try JSONDecoder().decode(SerializedSelection.self, from: encodedSelection), selection)
+    }
+
+    // MARK: - DroppedFile
+
+    func testDecodeDroppedFile() throws {
+        let json = """
+        {
+            "id": "attachment-1", "name": "hello.txt", "mimeType": "text/plain", "size": 5, "origin": "paste",
+            "data": "aGVsbG8=", "x": 1, "y": 2, "width": 30, "height": 40
+        }
+        """
+
+        let file = try decode(DroppedFile.self, from: json)
+
+        XCTAssertEqual(file.id, "attachment-1")
+        XCTAssertEqual(file.name, "hello.txt")
+        XCTAssertEqual(file.mimeType, "text/plain")
+        XCTAssertEqual(file.size, 5)
+        XCTAssertEqual(file.origin, .paste)
+        XCTAssertEqual(file.data, Data("hello".utf8))
+        XCTAssertEqual(file.rect, CGRect(x: 1, y: 2, width: 30, height: 40))
+    }
+
+    func testDecodeDroppedFileWithoutData() throws {
+        let json = """
+        {
+            "id": "attachment-2", "name": "movie.mov", "mimeType": "video/quicktime", "size": 104857600,
+            "origin": "drop", "data": null, "x": 0, "y": 0, "width": 0, "height": 0
+        }
+        """
+
+        let file = try decode(DroppedFile.self, from: json)
+
+        XCTAssertEqual(file.size, 104_857_600)
+        XCTAssertEqual(file.origin, .drop)
+        XCTAssertNil(file.data)
+    }
+
+    // MARK: - ContentStatistics
+
+    func testDecodeContentStatistics() throws {
+        let json = #"{ "characterCount": 27, "wordCount": 4, "paragraphCount": 2, "readingTime": 2 }"#
+
+        let statistics = try decode(ContentStatistics.self, from: json)
+
+        XCTAssertEqual(statistics, ContentStatistics(characterCount: 27, wordCount: 4, paragraphCount: 2, readingTime: 2))
+    }
+}
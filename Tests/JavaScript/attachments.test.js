@@ -0,0 +1,80 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { setTimeout: wait } = require("node:timers/promises");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("attachments", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setContent("<div>See </div>");
+        setSelection(window, editor.firstChild.firstChild, 4);
+    });
+
+    function pasteFile(content, name, type) {
+        const file = new window.File([content], name, { type: type });
+        const event = new window.Event("paste", { bubbles: true, cancelable: true });
+        event.clipboardData = { files: [file], types: ["Files"] };
+        editor.dispatchEvent(event);
+    }
+
+    async function getDroppedFiles(count) {
+        // The content of the files is read asynchronously
+        let files = [];
+        for (let attempt = 0; attempt < 50 && files.length < count; attempt++) {
+            await wait(10);
+            files = messages.filter(message => message.name === "fileDidDrop").map(message => JSON.parse(message.body));
+        }
+        return files;
+    }
+
+    function getPlaceholderID() {
+        return editor.querySelector("[data-attachment-placeholder]").getAttribute("data-attachment-placeholder");
+    }
+
+    test("inserts a placeholder and reports only the metadata of the file by default", async () => {
+        pasteFile("hello", "hello.txt", "text/plain");
+
+        const files = await getDroppedFiles(1);
+        assert.equal(files.length, 1);
+        assert.equal(files[0].id, getPlaceholderID());
+        assert.equal(files[0].name, "hello.txt");
+        assert.equal(files[0].mimeType, "text/plain");
+        assert.equal(files[0].size, 5);
+        assert.equal(files[0].origin, "paste");
+        assert.equal(files[0].data, null);
+    });
+
+    test("reports the content of the files up to the maximum size", async () => {
+        window.setMaximumDroppedFileDataSize(5);
+        pasteFile("hello", "hello.txt", "text/plain");
+        pasteFile("hello!", "large.txt", "text/plain");
+
+        // The metadata of the large file is reported without waiting
+        const files = await getDroppedFiles(2);
+        assert.deepEqual(files.map(file => [file.name, file.data]), [["large.txt", null], ["hello.txt", "aGVsbG8="]]);
+    });
+
+    test("never exports the placeholders", () => {
+        pasteFile("hello", "hello.txt", "text/plain");
+
+        assert.equal(window.getContentHTML(), "<div>See </div>");
+    });
+
+    test("replaces a placeholder with a chip, or removes it", () => {
+        pasteFile("a", "a.pdf", "application/pdf");
+        window.replaceAttachmentPlaceholderWithChip(getPlaceholderID(), "https://example.com/a.pdf", "a.pdf");
+        pasteFile("b", "b.pdf", "application/pdf");
+        window.removeAttachmentPlaceholder(getPlaceholderID());
+
+        assert.equal(
+            window.getContentHTML(),
+            "<div>See <a href=\"https://example.com/a.pdf\" data-attachment=\"\" contenteditable=\"false\">a.pdf</a></div>"
+        );
+    });
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection, typeText } = require("./helpers/editor");
+
+describe("automatic links", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+        window.setContent("<div></div>");
+        setSelection(window, editor.firstChild, 0);
+    });
+
+    function pressBackspace() {
+        const eventInit = { inputType: "deleteContentBackward", bubbles: true, cancelable: true };
+        return editor.dispatchEvent(new window.InputEvent("beforeinput", eventInit));
+    }
+
+    test("converts a URL to a link when a word boundary is typed", () => {
+        typeText(window, "See https://example.com/page, ");
+
+        const anchor = editor.querySelector("a");
+        assert.equal(anchor.getAttribute("href"), "https://example.com/page");
+        assert.equal(anchor.textContent, "https://example.com/page");
+    });
+
+    test("adds the scheme of the www addresses and the email addresses", () => {
+        typeText(window, "www.example.com john@example.com ");
+
+        const urls = [...editor.querySelectorAll("a")].map(anchor => anchor.getAttribute("href"));
+        assert.deepEqual(urls, ["https://www.example.com", "mailto:john@example.com"]);
+    });
+
+    test("only detects the phone numbers when enabled, and never the dates", () => {
+        typeText(window, "+41 22 555 01 01 ");
+        assert.equal(editor.querySelector("a"), null);
+
+        window.setAutoLinkDetectors(["phone"]);
+        typeText(window, "0225550101 2024-05-17 ");
+        const urls = [...editor.querySelectorAll("a")].map(anchor => anchor.getAttribute("href"));
+        assert.deepEqual(urls, ["tel:0225550101"]);
+    });
+
+    test("removes the link but keeps its text with Backspace right after it", () => {
+        typeText(window, "https://example.com ");
+
+        assert.equal(pressBackspace(), false);
+        assert.equal(editor.querySelector("a"), null);
+        assert.equal(editor.textContent, "https://example.com ");
+    });
+
+    test("undoes the link before the typed text", () => {
+        typeText(window, "https://example.com ");
+
+        window.undo();
+
+        assert.equal(editor.querySelector("a"), null);
+        assert.equal(editor.textContent.trim(), "https://example.com");
+    });
+
+    test("never converts the text of a code block", () => {
+        window.setContent("<pre>https://example.com</pre>");
+        const textNode = editor.querySelector("pre").firstChild;
+        setSelection(window, textNode, textNode.length);
+
+        typeText(window, " ");
+
+        assert.equal(editor.querySelector("a"), null);
+    });
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { setTimeout: wait } = require("node:timers/promises");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("checklists", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+    });
+
+    test("converts a bulleted list to a checklist of unchecked items", () => {
+        window.setContent("<ul><li>Milk</li><li>Eggs</li></ul>");
+        setSelection(window, editor.querySelector("li").firstChild, 1);
+
+        window.insertChecklist();
+
+        const list = editor.querySelector("ul");
+        assert.ok(list.hasAttribute("data-checklist"));
+        assert.equal(list.style.listStyleType, "none");
+        assert.deepEqual([...list.children].map(item => item.getAttribute("data-checked")), ["false", "false"]);
+        assert.ok(window.hasChecklist());
+    });
+
+    test("turns the nested lists into checklists and removes the state of the items moved out", async () => {
+        window.setContent("<ul data-checklist><li data-checked=\"true\">Milk</li></ul>");
+
+        const nestedList = window.document.createElement("ul");
+        nestedList.innerHTML = "<li data-checked=\"false\">Whole</li>";
+        editor.querySelector("li").append(nestedList);
+        const movedItem = window.document.createElement("div");
+        movedItem.setAttribute("data-checked", "true");
+        editor.append(movedItem);
+        await wait(0);
+
+        assert.ok(nestedList.hasAttribute("data-checklist"));
+        assert.ok(!movedItem.hasAttribute("data-checked"));
+    });
+
+    test("adds a box before each item of the exported HTML and removes it when it is set again", () => {
+        window.setContent("<ul data-checklist><li data-checked=\"true\">Milk</li><li data-checked=\"false\">Eggs</li></ul>");
+
+        const html = window.getContentHTML();
+        assert.match(html, /<li data-checked="true"><span data-checklist-box="">☑ <\/span>Milk<\/li>/);
+        assert.match(html, /<li data-checked="false"><span data-checklist-box="">☐ <\/span>Eggs<\/li>/);
+
+        window.setContent(html);
+        assert.equal(editor.querySelector("[data-checklist-box]"), null);
+    });
+
+    test("exports the state of the items as plain text", () => {
+        window.setContent("<ul data-checklist><li data-checked=\"true\">Milk</li><li data-checked=\"false\">Eggs</li></ul>");
+
+        assert.equal(window.getContentAsPlainText(), "[x] Milk\n[ ] Eggs");
+    });
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("code", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+    });
+
+    function dispatchBeforeInput(inputType) {
+        const event = new window.InputEvent("beforeinput", { inputType: inputType, bubbles: true, cancelable: true });
+        return editor.dispatchEvent(event);
+    }
+
+    test("wraps the selection in inline code and removes it again", () => {
+        window.setContent("<div>Call run() now</div>");
+        const textNode = editor.firstChild.firstChild;
+        setSelection(window, textNode, 5, textNode, 10);
+
+        window.toggleInlineCode();
+        assert.equal(editor.innerHTML, "<div>Call <code>run()</code> now</div>");
+        assert.ok(window.hasInlineCode());
+
+        window.toggleInlineCode();
+        assert.equal(editor.innerHTML, "<div>Call run() now</div>");
+        assert.equal(window.document.getSelection().toString(), "run()");
+    });
+
+    test("inserts a new line instead of a new paragraph in a code block", () => {
+        window.setContent("<pre>let a = 1</pre>");
+        const textNode = editor.firstChild.firstChild;
+        setSelection(window, textNode, textNode.length);
+
+        assert.equal(dispatchBeforeInput("insertParagraph"), false);
+
+        // A second line break makes the new empty line at the end visible
+        assert.equal(editor.firstChild.textContent, "let a = 1\n\n");
+    });
+
+    test("inserts a tab with the Tab key in a code block", () => {
+        window.setContent("<pre>a</pre>");
+        setSelection(window, editor.firstChild.firstChild, 0);
+
+        const event = new window.KeyboardEvent("keydown", { key: "Tab", bubbles: true, cancelable: true });
+        assert.equal(editor.dispatchEvent(event), false);
+        assert.equal(editor.firstChild.textContent, "\ta");
+    });
+
+    test("ignores the formatting commands in a code block", () => {
+        window.setContent("<pre>a</pre><div>b</div>");
+
+        setSelection(window, editor.firstChild.firstChild, 0);
+        assert.ok(window.isCodeBlockCommandIgnored("bold"));
+        assert.ok(window.isSelectionInCodeBlock());
+
+        setSelection(window, editor.lastChild.firstChild, 0);
+        assert.equal(window.isCodeBlockCommandIgnored("bold"), false);
+    });
+
+    test("converts each line of a code block to a block", () => {
+        window.setContent("<pre>one\n\ntwo</pre>");
+        setSelection(window, editor.firstChild.firstChild, 6);
+
+        window.formatBlock("<div>");
+
+        assert.equal(editor.innerHTML, "<div>one</div><div><br></div><div>two</div>");
+        const range = window.document.getSelection().getRangeAt(0);
+        assert.equal(range.startContainer, editor.lastChild.firstChild);
+        assert.equal(range.startOffset, 1);
+    });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { setTimeout: wait } = require("node:timers/promises");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("content changes", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setContent("<div>One</div><div>Two</div>");
+        // The mutations of the initial content are observed asynchronously
+        await wait(0);
+        window.getHTMLContent();
+        messages.length = 0;
+    });
+
+    function getMessages(name) {
+        return messages.filter(message => message.name === name).map(message => message.body);
+    }
+
+    test("reports the content once the user pauses typing", async () => {
+        editor.firstChild.firstChild.data = "One!";
+        editor.firstChild.firstChild.data = "One!!";
+        await wait(0);
+
+        assert.equal(getMessages("contentDidBecomeDirty").length, 1);
+        assert.deepEqual(getMessages("contentDidChange"), []);
+
+        await wait(400);
+        assert.deepEqual(getMessages("contentDidChange"), ["<div>One!!</div><div>Two</div>"]);
+    });
+
+    test("reports each change right away without a debounce delay", async () => {
+        window.setContentChangeConfiguration({ debounceDelay: 0 });
+
+        editor.firstChild.firstChild.data = "One!";
+        await wait(0);
+
+        assert.deepEqual(getMessages("contentDidChange"), ["<div>One!</div><div>Two</div>"]);
+    });
+
+    test("only reports that the content is dirty in on demand mode", async () => {
+        window.setContentChangeConfiguration({ mode: "onDemand", debounceDelay: 0 });
+
+        editor.lastChild.remove();
+        await wait(0);
+
+        assert.equal(getMessages("contentDidBecomeDirty").length, 1);
+        assert.deepEqual(getMessages("contentDidChange"), []);
+        assert.equal(window.getHTMLContent(), "<div>One</div>");
+    });
+
+    test("reports the changed blocks in delta mode", async () => {
+        window.setContentChangeConfiguration({ mode: "delta", debounceDelay: 0 });
+        const initialDelta = JSON.parse(getMessages("contentDeltaDidChange")[0]);
+
+        editor.lastChild.firstChild.data = "Three";
+        await wait(0);
+
+        assert.deepEqual(initialDelta, {
+            isInitial: true, index: 0, deleteCount: 0, insertedBlocks: ["<div>One</div>", "<div>Two</div>"], blockCount: 2
+        });
+        assert.deepEqual(JSON.parse(getMessages("contentDeltaDidChange")[1]), {
+            isInitial: false, index: 1, deleteCount: 1, insertedBlocks: ["<div>Three</div>"], blockCount: 2
+        });
+    });
+
+    test("reports an upload placeholder at the top level of the content as an empty block", async () => {
+        window.setContentChangeConfiguration({ mode: "delta", debounceDelay: 0 });
+        const placeholder = window.createAttachmentPlaceholder("attachment-1", "report.pdf");
+
+        editor.appendChild(placeholder);
+        await wait(0);
+
+        assert.deepEqual(JSON.parse(getMessages("contentDeltaDidChange")[1]), {
+            isInitial: false, index: 2, deleteCount: 0, insertedBlocks: [""], blockCount: 3
+        });
+    });
+
+    test("normalizes the top level elements in delta mode", async () => {
+        window.setContentChangeConfiguration({ mode: "delta", debounceDelay: 0, normalizesHTML: true });
+        const font = window.document.createElement("font");
+        font.setAttribute("color", "#ff0000");
+        font.textContent = "Red";
+
+        editor.appendChild(font);
+        await wait(0);
+
+        assert.deepEqual(JSON.parse(getMessages("contentDeltaDidChange")[1]).insertedBlocks, [
+            '<span style="color: #ff0000;">Red</span>'
+        ]);
+    });
+});
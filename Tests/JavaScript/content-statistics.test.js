@@ -0,0 +1,140 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection, typeText } = require("./helpers/editor");
+
+function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Like the keyboard, the mutations of each character are observed before the next one is typed.
+ */
+async function typeCharacters(window, text) {
+    for (const character of text) {
+        typeText(window, character);
+        await wait(0);
+    }
+}
+
+describe("content statistics", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+    });
+
+    async function setContent(html) {
+        window.setContent(html);
+        // The statistics are invalidated by the observed mutations
+        await wait(10);
+    }
+
+    function placeCaretAtEnd() {
+        const textNode = editor.lastChild.lastChild;
+        setSelection(window, textNode, textNode.length);
+    }
+
+    describe("getContentStatistics", () => {
+        test("counts the characters, the words and the paragraphs", async () => {
+            await setContent("<div>Hello world</div><div>It’s well-known 👍</div><div><br></div>");
+
+            assert.deepEqual({ ...window.getContentStatistics() }, {
+                characterCount: 28,
+                wordCount: 4,
+                paragraphCount: 2,
+                readingTime: 2
+            });
+        });
+
+        test("counts the top level text and the line breaks", async () => {
+            await setContent("One <b>two</b><br>three<ul><li>four</li><li>five</li></ul>");
+
+            const statistics = window.getContentStatistics();
+            assert.equal(statistics.wordCount, 5);
+            assert.equal(statistics.paragraphCount, 4);
+        });
+
+        test("doesn't count the upload placeholders", async () => {
+            await setContent("<div>See </div>");
+            editor.lastChild.append(window.createAttachmentPlaceholder("attachment-1", "report.pdf"));
+            await wait(10);
+
+            assert.equal(window.getContentStatistics().wordCount, 1);
+        });
+
+        test("counts the changed blocks again", async () => {
+            await setContent("<div>One</div><div>Two</div>");
+            assert.equal(window.getContentStatistics().wordCount, 2);
+
+            editor.lastChild.textContent = "Two three";
+            editor.firstChild.remove();
+            await wait(10);
+
+            assert.equal(window.getContentStatistics().wordCount, 2);
+            assert.equal(window.getContentStatistics().paragraphCount, 1);
+        });
+
+        test("reports the statistics once they changed", async () => {
+            window.setContentChangeConfiguration({ debounceDelay: 0 });
+            await setContent("<div>Hello world</div>");
+            await wait(10);
+
+            const reportedStatistics = messages
+                .filter(message => message.name === "contentStatisticsDidChange")
+                .map(message => JSON.parse(message.body));
+            assert.deepEqual(reportedStatistics.at(-1), {
+                characterCount: 11,
+                wordCount: 2,
+                paragraphCount: 1,
+                readingTime: 1
+            });
+        });
+    });
+
+    describe("content limits", () => {
+        test("prevents typing past the maximum number of characters", async () => {
+            await setContent("<div>Hello</div>");
+            window.setContentLimits({ maximumCharacterCount: 7 });
+            placeCaretAtEnd();
+
+            await typeCharacters(window, " world");
+
+            assert.equal(editor.textContent, "Hello w");
+        });
+
+        test("lets the current word grow at the maximum number of words", async () => {
+            await setContent("<div>Hello</div>");
+            window.setContentLimits({ maximumWordCount: 1 });
+            placeCaretAtEnd();
+
+            await typeCharacters(window, "o world");
+
+            assert.equal(editor.textContent, "Helloo ");
+        });
+
+        test("trims the pasted text and HTML to the room left", async () => {
+            await setContent("<div>One two</div>");
+            window.setContentLimits({ maximumWordCount: 4 });
+            placeCaretAtEnd();
+
+            assert.equal(window.trimTextToContentLimits(" three four five"), " three four");
+            assert.equal(
+                window.trimHTMLToContentLimits("<b>three</b> <i>four five</i> six"),
+                "<b>three</b> <i>four</i>"
+            );
+        });
+
+        test("doesn't trim the content without limits", async () => {
+            await setContent("<div>One two</div>");
+            window.setContentLimits({ maximumCharacterCount: 3 });
+            window.setContentLimits({});
+            placeCaretAtEnd();
+
+            assert.equal(window.trimTextToContentLimits(" three"), " three");
+        });
+    });
+});
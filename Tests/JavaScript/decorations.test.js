@@ -0,0 +1,84 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { setTimeout: wait } = require("node:timers/promises");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("decorations", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setContent("<div>Hello wrold</div><div><b>Bold</b></div>");
+    });
+
+    function waitForRedraw() {
+        // The mutations are observed first, then the decorations are drawn with a timer
+        return wait(10);
+    }
+
+    function getDecorationIDs() {
+        return [...window.eval("decorations").keys()];
+    }
+
+    function getDecoratedText(id) {
+        return window.eval("decorations").get(id).range.toString();
+    }
+
+    test("draws the decorations in an overlay without changing the content", () => {
+        window.addDecorations([{ id: "bold", className: "highlight", selector: "b" }]);
+
+        const boxes = window.document.querySelectorAll("#swift-rich-html-editor-decorations .decoration.highlight");
+        assert.equal(boxes.length, 1);
+        assert.equal(editor.querySelector(".decoration"), null);
+        assert.equal(window.getContentHTML(), "<div>Hello wrold</div><div><b>Bold</b></div>");
+    });
+
+    test("follows the decorated text while the user types before it", async () => {
+        window.addDecorations([{ id: "typo", className: "typo", start: 6, end: 11 }]);
+
+        editor.firstChild.firstChild.insertData(0, "Oh, ");
+        await waitForRedraw();
+
+        assert.equal(getDecoratedText("typo"), "wrold");
+    });
+
+    test("removes a decoration when all its text is deleted", async () => {
+        window.addDecorations([{ id: "typo", className: "typo", start: 6, end: 11 }]);
+
+        editor.firstChild.firstChild.deleteData(5, 6);
+        await waitForRedraw();
+
+        assert.deepEqual(getDecorationIDs(), []);
+        assert.equal(window.document.getElementById("swift-rich-html-editor-decorations"), null);
+    });
+
+    test("replaces a decoration with the same ID and removes the decorations by ID", () => {
+        window.addDecorations([
+            { id: "typo", className: "typo", start: 0, end: 5 },
+            { id: "bold", className: "highlight", selector: "b" }
+        ]);
+        window.addDecorations([{ id: "typo", className: "typo", start: 6, end: 11 }]);
+        assert.equal(getDecoratedText("typo"), "wrold");
+
+        window.removeDecorations(["typo"]);
+        assert.deepEqual(getDecorationIDs(), ["bold"]);
+
+        window.removeAllDecorations();
+        assert.deepEqual(getDecorationIDs(), []);
+    });
+
+    test("reports the tapped decoration", () => {
+        window.Range.prototype.getClientRects = () => [new window.DOMRect(10, 20, 40, 16)];
+        window.addDecorations([{ id: "typo", className: "typo", start: 6, end: 11 }]);
+
+        const event = new window.MouseEvent("click", { bubbles: true, clientX: 30, clientY: 25 });
+        editor.firstChild.dispatchEvent(event);
+
+        const taps = messages.filter(message => message.name === "decorationDidTap");
+        assert.deepEqual(taps.map(message => JSON.parse(message.body).id), ["typo"]);
+    });
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("find and replace", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+    });
+
+    function getLastResults() {
+        const message = messages.filter(message => message.name === "findResultsDidChange").at(-1);
+        return JSON.parse(message.body);
+    }
+
+    test("counts the matches and ends the search with an empty query", () => {
+        window.setContent("<div>One cat, two Cats</div><div>cat</div>");
+
+        window.find("cat", null);
+        assert.equal(getLastResults().matchCount, 3);
+        assert.equal(getLastResults().currentIndex, 0);
+
+        window.find("", null);
+        assert.equal(getLastResults().matchCount, 0);
+        assert.equal(getLastResults().currentIndex, null);
+    });
+
+    test("matches the case and the whole words when asked", () => {
+        window.setContent("<div>One cat, two Cats, a category</div>");
+
+        window.find("cat", { caseSensitive: true });
+        assert.equal(getLastResults().matchCount, 2);
+
+        window.find("cat", { wholeWord: true });
+        assert.equal(getLastResults().matchCount, 1);
+    });
+
+    test("never matches across two blocks", () => {
+        window.setContent("<div>Hello</div><div>world</div>");
+
+        window.find("Helloworld", null);
+
+        assert.equal(getLastResults().matchCount, 0);
+    });
+
+    test("moves through the matches and wraps at the end", () => {
+        window.setContent("<div>a b a b a</div>");
+        window.find("a", null);
+
+        // The current match is selected first
+        window.findNext();
+        assert.equal(getLastResults().currentIndex, 0);
+        window.findNext();
+        assert.equal(getLastResults().currentIndex, 1);
+        window.findNext();
+        window.findNext();
+        assert.equal(getLastResults().currentIndex, 0);
+        window.findPrevious();
+        assert.equal(getLastResults().currentIndex, 2);
+    });
+
+    test("replaces the current match, then all the matches as a single undo step", () => {
+        window.setContent("<div>cat <b>cat</b> cat</div>");
+        window.find("cat", null);
+
+        window.replace("dog");
+        assert.equal(editor.innerHTML, "<div>dog <b>cat</b> cat</div>");
+        assert.equal(getLastResults().matchCount, 2);
+
+        window.replaceAll("cow");
+        assert.equal(editor.innerHTML, "<div>dog <b>cow</b> cow</div>");
+        assert.equal(getLastResults().matchCount, 0);
+
+        window.undo();
+        assert.equal(editor.innerHTML, "<div>dog <b>cat</b> cat</div>");
+    });
+
+    test("replaces with the groups of a regular expression", () => {
+        window.setContent("<div>2024-05-17</div>");
+        window.find("(\\d+)-(\\d+)-(\\d+)", { regex: true });
+
+        window.replaceAll("$3/$2/$1");
+
+        assert.equal(editor.innerHTML, "<div>17/05/2024</div>");
+    });
+
+    test("never matches or replaces the text of the mention and attachment chips", () => {
+        window.setContent(
+            "<div>@anna <span class=\"mention\" data-mention-id=\"1\" data-mention-trigger=\"@\">@anna</span> " +
+            "<a href=\"https://example.com/anna.pdf\" data-attachment=\"\">anna.pdf</a></div>"
+        );
+
+        window.find("anna", null);
+        assert.equal(getLastResults().matchCount, 1);
+
+        window.replaceAll("bob");
+        assert.equal(editor.querySelector("[data-mention-id]").textContent, "@anna");
+        assert.equal(editor.querySelector("[data-attachment]").textContent, "anna.pdf");
+        assert.equal(editor.firstChild.textContent, "@bob @anna anna.pdf");
+    });
+
+    test("never matches across a chip", () => {
+        window.setContent(
+            "<div>to<span class=\"mention\" data-mention-id=\"1\">@x</span>day</div>"
+        );
+
+        window.find("today", null);
+
+        assert.equal(getLastResults().matchCount, 0);
+    });
+
+    test("never matches or replaces the text of the protected regions, even collapsed", () => {
+        window.setProtectedRegionConfiguration({ selectors: ["blockquote"], isCollapsedByDefault: true });
+        window.setContent("<div>Thanks</div><blockquote><div>Thanks for the file</div></blockquote>");
+
+        window.find("Thanks", null);
+        assert.equal(getLastResults().matchCount, 1);
+
+        window.replaceAll("Bye");
+        assert.equal(editor.querySelector("blockquote").textContent, "Thanks for the file");
+        assert.equal(editor.firstChild.textContent, "Bye");
+    });
+});
@@ -0,0 +1,135 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const SOURCES_PATH = path.join(__dirname, "../../../Sources/InfomaniakRichHTMLEditor");
+const RESOURCES_PATH = path.join(SOURCES_PATH, "Resources");
+const SCRIPT_DIRECTORIES = ["js", "js/editor", "js/utils"];
+
+/**
+ * The names of the scripts injected in the web view, in the order of `UserScript.allCases`.
+ */
+function getUserScriptNames() {
+    const userScript = fs.readFileSync(path.join(SOURCES_PATH, "Models/UserScript.swift"), "utf8");
+    return [...userScript.matchAll(/UserScript\(name: "([^"]+)"/g)].map(match => match[1]);
+}
+
+function readUserScript(name) {
+    for (const directory of SCRIPT_DIRECTORIES) {
+        const scriptPath = path.join(RESOURCES_PATH, directory, `${name}.js`);
+        if (fs.existsSync(scriptPath)) {
+            return fs.readFileSync(scriptPath, "utf8");
+        }
+    }
+    throw new Error(`The script "${name}" doesn't exist`);
+}
+
+/**
+ * jsdom doesn't implement the editing commands, the insertions are replayed on the selection.
+ */
+function executeCommand(window, command, value) {
+    const selection = window.document.getSelection();
+    if (selection.rangeCount === 0 || !["insertText", "insertHTML"].includes(command)) {
+        return false;
+    }
+
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    if (command === "insertText" && range.startContainer.nodeType === window.Node.TEXT_NODE) {
+        // Like WebKit, the typed text continues the text node of the caret
+        range.startContainer.insertData(range.startOffset, value);
+        range.setStart(range.startContainer, range.startOffset + value.length);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return true;
+    }
+
+    const fragment = (command === "insertText")
+        ? window.document.createTextNode(value)
+        : range.createContextualFragment(value);
+    const lastNode = fragment.lastChild ?? fragment;
+    range.insertNode(fragment);
+    if (lastNode.nodeType === window.Node.TEXT_NODE) {
+        range.setEnd(lastNode, lastNode.length);
+    } else if (lastNode.parentNode !== null) {
+        range.setEndAfter(lastNode);
+    }
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return true;
+}
+
+/**
+ * Loads `index.html` with the scripts of the editor, like the web view does.
+ * The messages posted to the WKWebView and the editing commands are recorded instead.
+ *
+ * @returns {Promise<Object>} - The `window` of the page, the `editor` element, the posted `messages` and the
+ * executed `commands`
+ */
+function loadEditor() {
+    const scripts = getUserScriptNames().map(name => `<script>${readUserScript(name)}</script>`).join("\n");
+    const html = fs.readFileSync(path.join(RESOURCES_PATH, "index.html"), "utf8")
+        .replace("<head>", () => `<head>${scripts}`);
+
+    const messages = [];
+    const commands = [];
+    const dom = new JSDOM(html, {
+        runScripts: "dangerously",
+        pretendToBeVisual: true,
+        beforeParse(window) {
+            window.webkit = {
+                messageHandlers: new Proxy({}, {
+                    get: (_, name) => ({ postMessage: body => messages.push({ name: name, body: body }) })
+                })
+            };
+            // WebKit APIs not implemented by jsdom
+            window.ResizeObserver = class {
+                observe() {}
+            };
+            window.document.execCommand = (command, showUI, value) => {
+                commands.push({ command: command, value: value });
+                return executeCommand(window, command, value);
+            };
+            window.document.queryCommandState = () => false;
+            window.document.queryCommandValue = () => "";
+            window.Range.prototype.getClientRects = () => [];
+            window.Range.prototype.getBoundingClientRect = () => new window.DOMRect();
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        dom.window.addEventListener("error", event => reject(event.error));
+        dom.window.addEventListener("load", () => {
+            resolve({ window: dom.window, editor: dom.window.getEditor(), messages: messages, commands: commands });
+        });
+    });
+}
+
+/**
+ * Places the caret, or selects from the caret to the focus point when one is given.
+ */
+function setSelection(window, node, offset, focusNode = node, focusOffset = offset) {
+    window.document.getSelection().setBaseAndExtent(node, offset, focusNode, focusOffset);
+}
+
+/**
+ * Types the text character by character like the keyboard does: each `beforeinput` event can be cancelled
+ * by the editor, otherwise the character is inserted and an `input` event follows.
+ */
+function typeText(window, text) {
+    const editor = window.getEditor();
+    for (const character of text) {
+        const eventInit = { inputType: "insertText", data: character, bubbles: true, cancelable: true };
+        if (!editor.dispatchEvent(new window.InputEvent("beforeinput", eventInit))) {
+            continue;
+        }
+
+        executeCommand(window, "insertText", character);
+        editor.dispatchEvent(new window.InputEvent("input", { ...eventInit, cancelable: false }));
+    }
+}
+
+module.exports = { loadEditor, setSelection, typeText };
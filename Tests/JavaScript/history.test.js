@@ -0,0 +1,79 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection, typeText } = require("./helpers/editor");
+
+describe("history", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+        window.setContent("<div>Hello</div>");
+        setSelection(window, editor.firstChild.firstChild, 5);
+    });
+
+    test("undoes and redoes a command with its selection", () => {
+        window.recordHistoryStep();
+        editor.firstChild.firstChild.data = "Hello world";
+        setSelection(window, editor.firstChild.firstChild, 11);
+
+        window.undo();
+        assert.equal(editor.innerHTML, "<div>Hello</div>");
+        assert.equal(window.getRange().startOffset, 5);
+        assert.deepEqual({ ...window.getHistoryState() }, { canUndo: false, canRedo: true });
+
+        window.redo();
+        assert.equal(editor.innerHTML, "<div>Hello world</div>");
+        assert.equal(window.getRange().startOffset, 11);
+    });
+
+    test("groups the typed characters of a word into one step", () => {
+        editor.firstChild.firstChild.data = "Hello ";
+        setSelection(window, editor.firstChild.firstChild, 6);
+
+        typeText(window, "big world");
+
+        window.undo();
+        assert.equal(editor.textContent, "Hello big ");
+        window.undo();
+        assert.equal(editor.textContent, "Hello ");
+    });
+
+    test("starts a new step when the caret moved", () => {
+        typeText(window, "!");
+        setSelection(window, editor.firstChild.firstChild, 0);
+        typeText(window, "Oh");
+
+        window.undo();
+        assert.equal(editor.textContent, "Hello!");
+    });
+
+    test("undoes with the undo input of the keyboard", () => {
+        typeText(window, "!");
+
+        const event = new window.InputEvent("beforeinput", { inputType: "historyUndo", bubbles: true, cancelable: true });
+        editor.dispatchEvent(event);
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(editor.textContent, "Hello");
+    });
+
+    test("clears the redo steps when the content changes", () => {
+        typeText(window, "!");
+        window.undo();
+
+        window.recordHistoryStep();
+
+        assert.equal(window.getHistoryState().canRedo, false);
+    });
+
+    test("starts from the content set by the host", () => {
+        typeText(window, "!");
+
+        window.setContent("<div>New</div>");
+
+        assert.deepEqual({ ...window.getHistoryState() }, { canUndo: false, canRedo: false });
+    });
+});
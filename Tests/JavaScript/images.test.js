@@ -0,0 +1,77 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("images", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setContent("<div>Text</div>");
+        const range = window.document.createRange();
+        range.setStart(editor.firstChild.firstChild, 4);
+        window.document.getSelection().removeAllRanges();
+        window.document.getSelection().addRange(range);
+    });
+
+    function getSelectedImageReports() {
+        return messages
+            .filter(message => message.name === "selectedImageDidChange")
+            .map(message => JSON.parse(message.body));
+    }
+
+    test("inserts an image at the insertion point", () => {
+        window.insertImage("cid:image", "A cat", 120);
+
+        assert.equal(editor.innerHTML, '<div>Text<img src="cid:image" alt="A cat" width="120"></div>');
+        window.undo();
+        assert.equal(editor.innerHTML, "<div>Text</div>");
+    });
+
+    test("doesn't insert an image whose source is not allowed", () => {
+        window.insertImage("javascript:alert(1)", null, null);
+
+        assert.equal(editor.innerHTML, "<div>Text</div>");
+    });
+
+    test("reports the selected image and its changes", () => {
+        window.insertImage("cid:image", null, null);
+        const image = editor.querySelector("img");
+
+        image.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+        window.setImageAlternativeText("A dog");
+
+        const reports = getSelectedImageReports();
+        assert.equal(reports.length, 2);
+        assert.equal(reports[0].source, "cid:image");
+        assert.equal(reports[1].alternativeText, "A dog");
+        assert.equal(image.alt, "A dog");
+    });
+
+    test("keeps the aspect ratio of the resized image", () => {
+        window.insertImage("cid:image", null, null);
+        const image = editor.querySelector("img");
+        Object.defineProperty(image, "naturalWidth", { value: 400 });
+        Object.defineProperty(image, "naturalHeight", { value: 200 });
+
+        image.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+        window.setImageWidth(300);
+
+        assert.equal(image.getAttribute("width"), "300");
+        assert.equal(image.getAttribute("height"), "150");
+    });
+
+    test("deselects the image when the user clicks elsewhere", () => {
+        window.insertImage("cid:image", null, null);
+        editor.querySelector("img").dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+
+        editor.firstChild.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+
+        assert.equal(messages.at(-1).name, "selectedImageDidChange");
+        assert.equal(messages.at(-1).body, null);
+    });
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("getContentWithInlineCSS", () => {
+    let window;
+
+    beforeEach(async () => {
+        ({ window } = await loadEditor());
+    });
+
+    test("writes the matching rules in the style attribute and removes the classes", () => {
+        window.injectCSS("p { color: red; } .note { color: blue; margin: 0px; }");
+        window.setContent("<p>One</p><p class=\"note\">Two</p>");
+
+        assert.equal(
+            window.getContentWithInlineCSS(null),
+            "<p style=\"color: red;\">One</p><p style=\"color: blue; margin: 0px;\">Two</p>"
+        );
+    });
+
+    test("keeps the inline styles of the content, unless the rule is important", () => {
+        window.injectCSS("p { color: red; font-weight: bold !important; }");
+        window.setContent("<p style=\"color: green; font-weight: normal;\">One</p>");
+
+        assert.equal(
+            window.getContentWithInlineCSS(null),
+            "<p style=\"color: green; font-weight: bold;\">One</p>"
+        );
+    });
+
+    test("keeps the classes when asked", () => {
+        window.injectCSS(".note { color: blue; }");
+        window.setContent("<p class=\"note\">Two</p>");
+
+        assert.equal(
+            window.getContentWithInlineCSS({ keepsClassAttributes: true }),
+            "<p class=\"note\" style=\"color: blue;\">Two</p>"
+        );
+    });
+
+    test("writes the inherited properties of the page and the editor on the top level elements", () => {
+        window.injectCSS(
+            "body { font-family: Arial; color: gray; margin: 8px; } " +
+            "#swift-rich-html-editor { color: black; padding: 4px; } h1 { color: navy; }"
+        );
+        window.setContent("<h1>Title</h1>Text<br><div style=\"font-family: Courier;\">Code</div>");
+
+        assert.equal(
+            window.getContentWithInlineCSS(null),
+            "<h1 style=\"color: navy; font-family: Arial;\">Title</h1>" +
+            "<span style=\"font-family: Arial; color: black;\">Text</span><br>" +
+            "<div style=\"font-family: Courier; color: black;\">Code</div>"
+        );
+    });
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("keyboard shortcuts", () => {
+    let window;
+    let editor;
+    let messages;
+    let commands;
+
+    beforeEach(async () => {
+        ({ window, editor, messages, commands } = await loadEditor());
+        window.setContent("<div>Hello</div>");
+        setSelection(window, editor.firstChild.firstChild, 0, editor.firstChild.firstChild, 5);
+    });
+
+    function pressKeys(key, modifiers) {
+        const code = /^[a-z]$/.test(key) ? `Key${key.toUpperCase()}` : (/^\d$/.test(key) ? `Digit${key}` : key);
+        const event = new window.KeyboardEvent("keydown", {
+            key: key,
+            code: code,
+            metaKey: modifiers.includes("command"),
+            ctrlKey: modifiers.includes("control"),
+            altKey: modifiers.includes("option"),
+            shiftKey: modifiers.includes("shift"),
+            bubbles: true,
+            cancelable: true
+        });
+        return editor.dispatchEvent(event);
+    }
+
+    function getReportedKeys() {
+        return messages
+            .filter(message => message.name === "keyboardShortcutDidPress")
+            .map(message => JSON.parse(message.body));
+    }
+
+    test("runs the default shortcuts", () => {
+        assert.equal(pressKeys("b", ["command"]), false);
+        pressKeys("2", ["option", "command"]);
+
+        assert.deepEqual(commands.map(command => ({ ...command })), [
+            { command: "bold", value: null },
+            { command: "formatBlock", value: "h2" }
+        ]);
+    });
+
+    test("leaves the combinations without shortcut to WebKit without reporting them", () => {
+        for (const key of ["c", "v", "a", "z"]) {
+            assert.equal(pressKeys(key, ["command"]), true);
+        }
+        assert.equal(pressKeys("enter", ["control"]), true);
+
+        assert.deepEqual(getReportedKeys(), []);
+    });
+
+    test("reports the forwarded combinations instead of letting WebKit handle them", () => {
+        window.setKeyboardShortcuts([
+            { keys: { key: "Enter", modifiers: ["command"] }, action: { command: "forward", arguments: [] } }
+        ]);
+
+        assert.equal(pressKeys("Enter", ["command"]), false);
+        assert.deepEqual(getReportedKeys(), [{ key: "enter", modifiers: ["command"] }]);
+    });
+
+    test("overrides and disables the default shortcuts", () => {
+        window.setKeyboardShortcuts([
+            { keys: { key: "b", modifiers: ["command"] }, action: { command: "native", arguments: [] } },
+            { keys: { key: "i", modifiers: ["command"] }, action: { command: "execCommand", arguments: ["underline"] } }
+        ]);
+
+        assert.equal(pressKeys("b", ["command"]), true);
+        pressKeys("i", ["command"]);
+        assert.deepEqual(commands.map(command => command.command), ["underline"]);
+    });
+
+    test("reports the link shortcut when the selected text is not a URL", () => {
+        assert.equal(pressKeys("k", ["command"]), true);
+        assert.deepEqual(getReportedKeys(), [{ key: "k", modifiers: ["command"] }]);
+    });
+});
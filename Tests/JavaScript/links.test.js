@@ -0,0 +1,58 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("links", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setContent("<div>Read <a href=\"#terms\">the terms</a> first</div>");
+    });
+
+    function clickLink() {
+        const event = new window.MouseEvent("click", { bubbles: true, cancelable: true });
+        return editor.querySelector("a").dispatchEvent(event);
+    }
+
+    function getTaps() {
+        return messages.filter(message => message.name === "linkDidTap").map(message => JSON.parse(message.body));
+    }
+
+    test("describes the link at the insertion point", () => {
+        setSelection(window, editor.querySelector("a").firstChild, 3);
+
+        assert.ok(window.hasLink());
+        const link = window.getLinkAtSelection();
+        assert.equal(link.url, "#terms");
+        assert.equal(link.text, "the terms");
+    });
+
+    test("has no link outside of the links", () => {
+        setSelection(window, editor.firstChild.firstChild, 2);
+
+        assert.equal(window.hasLink(), false);
+        assert.equal(window.getLinkAtSelection(), null);
+    });
+
+    test("reports a tap without opening the link by default", () => {
+        const isNotPrevented = clickLink();
+
+        assert.equal(isNotPrevented, true);
+        assert.deepEqual(getTaps().map(tap => tap.url), ["#terms"]);
+    });
+
+    test("opens the tapped link when asked, and always in read-only mode", () => {
+        window.setLinkTapBehavior("open");
+        assert.equal(clickLink(), false);
+
+        window.setLinkTapBehavior("edit");
+        window.setReadOnly(true);
+        assert.equal(clickLink(), false);
+        assert.equal(getTaps().length, 2);
+    });
+});
@@ -0,0 +1,118 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("lists", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+    });
+
+    function placeCaretInItem(text) {
+        const item = [...editor.querySelectorAll("li")].find(item => item.firstChild.data === text);
+        setSelection(window, item.firstChild, 0);
+    }
+
+    function pressTab(shiftKey = false) {
+        const eventInit = { key: "Tab", shiftKey: shiftKey, bubbles: true, cancelable: true };
+        return editor.dispatchEvent(new window.KeyboardEvent("keydown", eventInit));
+    }
+
+    describe("setListStyleType", () => {
+        test("turns a bulleted list into a numbered list with the markers", () => {
+            window.setContent('<ul class="list"><li>One</li><li>Two</li></ul>');
+            placeCaretInItem("Two");
+
+            window.setListStyleType("lower-roman");
+
+            assert.equal(
+                editor.innerHTML,
+                '<ol class="list" style="list-style-type: lower-roman;"><li>One</li><li>Two</li></ol>'
+            );
+            assert.equal(window.getRange().startContainer.data, "Two");
+        });
+
+        test("turns a checklist into a bulleted list", () => {
+            window.setContent('<ol><li>One</li></ol><ul data-checklist><li data-checked="true">Milk</li></ul>');
+            placeCaretInItem("Milk");
+
+            window.setListStyleType("square");
+
+            assert.equal(editor.lastChild.outerHTML, '<ul style="list-style-type: square;"><li>Milk</li></ul>');
+            assert.deepEqual({ ...window.getListState() }, { listStyleType: "square", listDepth: 1 });
+        });
+    });
+
+    describe("numbering", () => {
+        test("sets the number of the first item", () => {
+            window.setContent("<ol><li>One</li></ol>");
+            placeCaretInItem("One");
+
+            window.setListStart(4);
+            assert.equal(editor.firstChild.getAttribute("start"), "4");
+
+            window.setListStart(1);
+            assert.equal(editor.firstChild.hasAttribute("start"), false);
+        });
+
+        test("continues the numbering of the previous list", () => {
+            window.setContent('<ol start="2"><li>Two</li><li>Three</li></ol><div>Note</div><ol><li>Four</li></ol>');
+            placeCaretInItem("Four");
+
+            window.continueListNumbering();
+
+            assert.equal(editor.lastChild.getAttribute("start"), "4");
+        });
+
+        test("doesn't number a bulleted list", () => {
+            window.setContent("<ol><li>One</li></ol><ul><li>Two</li></ul>");
+            placeCaretInItem("Two");
+
+            window.setListStart(3);
+            window.continueListNumbering();
+
+            assert.equal(editor.innerHTML, "<ol><li>One</li></ol><ul><li>Two</li></ul>");
+        });
+    });
+
+    describe("nesting", () => {
+        test("nests the item in the previous one with Tab", () => {
+            window.setContent("<ol><li>One</li><li>Two</li></ol>");
+            placeCaretInItem("Two");
+
+            assert.equal(pressTab(), false);
+
+            assert.equal(editor.innerHTML, "<ol><li>One<ol><li>Two</li></ol></li></ol>");
+            assert.deepEqual({ ...window.getListState() }, { listStyleType: "decimal", listDepth: 2 });
+        });
+
+        test("keeps the focus in the list when the first item can't be nested", () => {
+            window.setContent("<ul><li>One</li><li>Two</li></ul>");
+            placeCaretInItem("One");
+
+            assert.equal(pressTab(), false);
+
+            assert.equal(editor.innerHTML, "<ul><li>One</li><li>Two</li></ul>");
+        });
+
+        test("moves the item up one level with Shift+Tab, the following items stay nested in it", () => {
+            window.setContent("<ul><li>One<ul><li>Two</li><li>Three</li></ul></li></ul>");
+            placeCaretInItem("Two");
+
+            pressTab(true);
+
+            assert.equal(editor.innerHTML, "<ul><li>One</li><li>Two<ul><li>Three</li></ul></li></ul>");
+        });
+
+        test("leaves Tab to WebKit outside of the lists", () => {
+            window.setContent("<div>Text</div>");
+            setSelection(window, editor.firstChild.firstChild, 0);
+
+            assert.equal(pressTab(), true);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("Markdown", () => {
+    let window;
+
+    beforeEach(async () => {
+        ({ window } = await loadEditor());
+    });
+
+    describe("convertMarkdownToHTML", () => {
+        test("converts the headings and the paragraphs", () => {
+            assert.equal(
+                window.convertMarkdownToHTML("# Title\n\nFirst line\n\nSecond line"),
+                "<h1>Title</h1><div>First line</div><div><br></div><div>Second line</div>"
+            );
+        });
+
+        test("converts the emphasis, the code spans and the links", () => {
+            assert.equal(
+                window.convertMarkdownToHTML("**Bold** *italic* `code` [link](https://example.com)"),
+                '<div><b>Bold</b> <i>italic</i> <code>code</code> <a href="https://example.com">link</a></div>'
+            );
+        });
+
+        test("converts the nested lists", () => {
+            assert.equal(
+                window.convertMarkdownToHTML("- One\n    1. Two\n- Three"),
+                "<ul><li>One<ol><li>Two</li></ol></li><li>Three</li></ul>"
+            );
+        });
+
+        test("keeps the raw HTML as text", () => {
+            assert.equal(window.convertMarkdownToHTML("<b>Hi</b>"), "<div>&lt;b&gt;Hi&lt;/b&gt;</div>");
+        });
+    });
+
+    describe("getContentAsMarkdown", () => {
+        test("converts the blocks and the inline formats", () => {
+            window.setContent(
+                "<h2>Title</h2><div><b>Bold</b> <i>italic</i> <code>code</code> <a href=\"https://example.com\">link</a></div>"
+            );
+
+            assert.equal(window.getContentAsMarkdown(), "## Title\n\n**Bold** *italic* `code` [link](https://example.com)");
+        });
+
+        test("converts the lists and the quotes", () => {
+            window.setContent("<ul><li>One</li><li>Two</li></ul><ol><li>Three</li></ol><blockquote>Quote</blockquote>");
+
+            assert.equal(window.getContentAsMarkdown(), "- One\n- Two\n\n1. Three\n\n> Quote");
+        });
+
+        test("escapes the Markdown characters of the text", () => {
+            window.setContent("<div>1. Not a *list*</div>");
+
+            assert.equal(window.getContentAsMarkdown(), "1\\. Not a \\*list\\*");
+        });
+
+        test("drops the formats Markdown can't express", () => {
+            window.setContent('<div><u>Under</u> <span style="color: red;">red</span></div>');
+
+            assert.equal(window.getContentAsMarkdown(), "Under red");
+        });
+
+        test("skips the upload placeholders and writes the state of the checklist items", () => {
+            window.setContent("<ul data-checklist><li data-checked=\"true\">Milk</li></ul><div>See </div>");
+            window.getEditor().lastChild.append(window.createAttachmentPlaceholder("attachment-1", "report.pdf"));
+
+            assert.equal(window.getContentAsMarkdown(), "- [x] Milk\n\nSee");
+        });
+    });
+});
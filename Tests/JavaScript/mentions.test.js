@@ -0,0 +1,84 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("mentions", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setMentionTriggers(["@", "#"]);
+    });
+
+    function typeContent(html, caretOffset) {
+        window.setContent(html);
+        const textNode = editor.firstChild.firstChild;
+        setSelection(window, textNode, caretOffset ?? textNode.length);
+        window.document.dispatchEvent(new window.Event("selectionchange"));
+    }
+
+    function getQueryReports() {
+        return messages
+            .filter(message => message.name === "mentionQueryDidChange")
+            .map(message => JSON.parse(message.body));
+    }
+
+    test("reports the query typed after a trigger", () => {
+        typeContent("<div>Hello @jo</div>");
+
+        const reports = getQueryReports();
+        assert.equal(reports.length, 1);
+        assert.equal(reports[0].trigger, "@");
+        assert.equal(reports[0].query, "jo");
+    });
+
+    test("ignores the triggers inside a word, like in an email address", () => {
+        typeContent("<div>Mail me at john@example</div>");
+
+        assert.deepEqual(getQueryReports(), []);
+    });
+
+    test("ends the query at the first whitespace", () => {
+        typeContent("<div>Hello @jo</div>");
+        typeContent("<div>Hello @jo and</div>");
+
+        assert.equal(messages.at(-1).name, "mentionQueryDidChange");
+        assert.equal(messages.at(-1).body, null);
+    });
+
+    test("replaces the query with an atomic chip", () => {
+        typeContent("<div>Hello @jo</div>");
+
+        window.insertMention({ id: "42", label: "John", data: { userEmail: "john@example.com" } });
+
+        assert.equal(
+            editor.innerHTML,
+            '<div>Hello <span class="mention" contenteditable="false" data-user-email="john@example.com" ' +
+            'data-mention-id="42" data-mention-trigger="@">@John</span>&nbsp;</div>'
+        );
+        // The mentions are sent to the WKWebView as JSON
+        assert.deepEqual(JSON.parse(JSON.stringify(window.getMentions())), [
+            { id: "42", label: "John", trigger: "@", data: { userEmail: "john@example.com" } }
+        ]);
+    });
+
+    test("deletes the chip as a whole", () => {
+        typeContent("<div>Hello @jo</div>");
+        window.insertMention({ id: "42", label: "John" });
+        setSelection(window, editor.querySelector("[data-mention-id]").nextSibling, 0);
+
+        const event = new window.InputEvent("beforeinput", {
+            inputType: "deleteContentBackward", bubbles: true, cancelable: true
+        });
+        editor.dispatchEvent(event);
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(editor.querySelector("[data-mention-id]"), null);
+        window.undo();
+        assert.notEqual(editor.querySelector("[data-mention-id]"), null);
+    });
+});
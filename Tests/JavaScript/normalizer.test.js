@@ -0,0 +1,63 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("normalizeHTML", () => {
+    let window;
+
+    beforeEach(async () => {
+        ({ window } = await loadEditor());
+    });
+
+    function normalize(html) {
+        const root = window.document.createElement("div");
+        root.innerHTML = html;
+        window.normalizeHTML(root);
+        return root.innerHTML;
+    }
+
+    test("converts the font elements to styled spans", () => {
+        assert.equal(
+            normalize('<font face="Arial" size="5" color="#ff0000">Text</font>'),
+            '<span style="color: #ff0000; font-family: Arial; font-size: x-large;">Text</span>'
+        );
+    });
+
+    test("converts the colors to the hexadecimal format", () => {
+        assert.equal(
+            normalize('<span style="color: rgb(255, 0, 0); background-color: rgb(0, 128, 255);">Text</span>'),
+            '<span style="color: #ff0000; background-color: #0080ff;">Text</span>'
+        );
+    });
+
+    test("merges the identical adjacent inline elements", () => {
+        assert.equal(normalize("<b>One</b><b> two</b> <i>three</i>"), "<b>One two</b> <i>three</i>");
+    });
+
+    test("merges the nested spans", () => {
+        assert.equal(
+            normalize('<span style="color: #ff0000;"><span style="font-weight: bold;">Text</span></span>'),
+            '<span style="font-weight: bold; color: #ff0000;">Text</span>'
+        );
+    });
+
+    test("removes the empty inline elements", () => {
+        assert.equal(normalize("<div>Text<b></b><span><i></i></span></div>"), "<div>Text</div>");
+    });
+
+    test("moves the blocks out of the inline elements", () => {
+        assert.equal(normalize("<b>One<div>Two</div></b>"), "<b>One</b><div><b>Two</b></div>");
+    });
+
+    test("keeps the element and its attributes", () => {
+        const root = window.document.createElement("div");
+        root.id = "root";
+        root.innerHTML = "<font color=\"#00ff00\">Text</font>";
+
+        window.normalizeHTML(root);
+
+        assert.equal(root.outerHTML, '<div id="root"><span style="color: #00ff00;">Text</span></div>');
+    });
+});
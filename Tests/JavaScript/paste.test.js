@@ -0,0 +1,74 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("paste", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+    });
+
+    function placeCaretAtEnd() {
+        const range = window.document.createRange();
+        range.selectNodeContents(editor.lastChild);
+        range.collapse(false);
+        window.document.getSelection().removeAllRanges();
+        window.document.getSelection().addRange(range);
+    }
+
+    test("keeps the structure and the basic formats with the clean formatting mode", () => {
+        const html = window.cleanPastedHTML(
+            '<p class="title" style="color: red; font-size: 40px">Hello <strong>bold</strong> <em>world</em></p>',
+            "cleanFormatting"
+        );
+
+        assert.equal(html, "<div>Hello <b>bold</b> <i>world</i></div>");
+    });
+
+    test("ignores the bold wrapper of Google Docs", () => {
+        const html = window.cleanPastedHTML(
+            '<b style="font-weight: normal;" id="docs-internal-guid-1"><p><span style="font-weight: 700;">Bold</span> text</p></b>',
+            "cleanFormatting"
+        );
+
+        assert.equal(html, "<div><b>Bold</b> text</div>");
+    });
+
+    test("converts the lists of Word to real lists", () => {
+        const html = window.cleanPastedHTML(
+            '<p style="mso-list: l0 level1 lfo1"><span style="mso-list: Ignore">·</span>One</p>' +
+            '<p style="mso-list: l0 level2 lfo1"><span style="mso-list: Ignore">1.</span>Two</p>' +
+            '<p style="mso-list: l0 level1 lfo1"><span style="mso-list: Ignore">·</span>Three</p>',
+            "cleanFormatting"
+        );
+
+        assert.equal(html, "<ul><li>One<ol><li>Two</li></ol></li><li>Three</li></ul>");
+    });
+
+    test("removes the classes and the identifiers with the keep formatting mode", () => {
+        const html = window.cleanPastedHTML('<p class="title" id="a" style="color: red;">Text</p>', "keepFormatting");
+
+        assert.equal(html, '<p style="color: red;">Text</p>');
+    });
+
+    test("removes the line break added by WebKit at the end of the copied content", () => {
+        const html = window.cleanPastedHTML('<div>Text</div><br class="Apple-interchange-newline">', "cleanFormatting");
+
+        assert.equal(html, "<div>Text</div>");
+    });
+
+    test("inserts the text only with the plain text mode, as an undo step", () => {
+        window.setContent("<div>Start </div>");
+        placeCaretAtEnd();
+
+        window.pasteContent("<b>Bold</b>", "Bold", "plainText");
+
+        assert.equal(editor.innerHTML, "<div>Start Bold</div>");
+        window.undo();
+        assert.equal(editor.innerHTML, "<div>Start </div>");
+    });
+});
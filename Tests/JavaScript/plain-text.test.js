@@ -0,0 +1,62 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("getContentAsPlainText", () => {
+    let window;
+
+    beforeEach(async () => {
+        ({ window } = await loadEditor());
+    });
+
+    test("writes one line per line of the editor", () => {
+        window.setContent("<div>First</div><div><br></div><div>Second<br>Third</div>");
+
+        assert.equal(window.getContentAsPlainText(), "First\n\nSecond\nThird");
+    });
+
+    test("keeps the bullets and the numbers of the lists", () => {
+        window.setContent("<ul><li>One</li><li>Two<ol><li>Three</li></ol></li></ul>");
+
+        assert.equal(window.getContentAsPlainText(), "- One\n- Two\n  1. Three");
+    });
+
+    test("prefixes the quotes", () => {
+        window.setContent("<div>Hello</div><blockquote><div>Quoted</div><blockquote>Nested</blockquote></blockquote>");
+
+        assert.equal(window.getContentAsPlainText(), "Hello\n\n> Quoted\n>\n> > Nested");
+    });
+
+    test("writes the links as footnotes", () => {
+        window.setContent('<div><a href="https://example.com">Example</a> and <a href="https://infomaniak.com">us</a></div>');
+
+        assert.equal(
+            window.getContentAsPlainText(),
+            "Example [1] and us [2]\n\n[1] https://example.com\n[2] https://infomaniak.com"
+        );
+    });
+
+    test("writes the links inline", () => {
+        window.setContent('<div><a href="https://example.com">Example</a></div>');
+
+        assert.equal(window.getContentAsPlainText({ linkStyle: "inline" }), "Example <https://example.com>");
+    });
+
+    test("wraps the lines longer than the line width", () => {
+        window.setContent("<blockquote>The quick brown fox jumps over the lazy dog</blockquote>");
+
+        assert.equal(
+            window.getContentAsPlainText({ lineWidth: 20 }),
+            "> The quick brown\n> fox jumps over the\n> lazy dog"
+        );
+    });
+
+    test("skips the upload placeholders", () => {
+        window.setContent("<div>See </div>");
+        window.getEditor().firstChild.append(window.createAttachmentPlaceholder("attachment-1", "report.pdf"));
+
+        assert.equal(window.getContentAsPlainText(), "See");
+    });
+});
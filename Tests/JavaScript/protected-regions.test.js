@@ -0,0 +1,81 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { setTimeout: wait } = require("node:timers/promises");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("protected regions", () => {
+    let window;
+    let editor;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, editor, messages } = await loadEditor());
+        window.setProtectedRegionConfiguration({ selectors: ["blockquote"], isCollapsedByDefault: false });
+        window.setContent("<div>Hello</div><blockquote><div>Quoted</div></blockquote><div>Bye</div>");
+    });
+
+    function dispatchBeforeInput(inputType, data = null) {
+        const event = new window.InputEvent("beforeinput", { inputType: inputType, data: data, cancelable: true });
+        return editor.dispatchEvent(event);
+    }
+
+    test("marks the regions matching the selectors and collapses them", () => {
+        const region = editor.querySelector("blockquote");
+        assert.ok(region.hasAttribute("data-editor-protected"));
+        assert.ok(!region.hasAttribute("data-editor-collapsed"));
+
+        window.setProtectedRegionsCollapsed(true);
+        assert.ok(region.hasAttribute("data-editor-collapsed"));
+    });
+
+    test("exports the regions without their display attributes", () => {
+        window.setProtectedRegionsCollapsed(true);
+
+        assert.equal(window.getContentHTML(), "<div>Hello</div><blockquote><div>Quoted</div></blockquote><div>Bye</div>");
+    });
+
+    test("deletes a whole region with backspace after it", () => {
+        setSelection(window, editor.lastChild.firstChild, 0);
+
+        const isNotPrevented = dispatchBeforeInput("deleteContentBackward");
+
+        assert.equal(isNotPrevented, false);
+        assert.equal(editor.innerHTML, "<div>Hello</div><div>Bye</div>");
+    });
+
+    test("extends a selection overlapping a region before it is deleted", () => {
+        setSelection(window, editor.firstChild.firstChild, 2, editor.querySelector("blockquote div").firstChild, 3);
+
+        dispatchBeforeInput("deleteContentBackward");
+
+        assert.equal(editor.querySelector("blockquote"), null);
+        assert.equal(editor.textContent, "HeBye");
+    });
+
+    test("extends a selection overlapping a region before the pasted content replaces it", () => {
+        setSelection(window, editor.querySelector("blockquote div").firstChild, 3, editor.lastChild.firstChild, 1);
+
+        window.extendSelectionToProtectedRegions();
+
+        const range = window.document.getSelection().getRangeAt(0);
+        assert.equal(range.startContainer, editor);
+        assert.equal(range.startOffset, 1);
+    });
+
+    test("reports the removed regions, but not the ones replaced by undo", async () => {
+        setSelection(window, editor.lastChild.firstChild, 0);
+        dispatchBeforeInput("deleteContentBackward");
+        await wait(0);
+
+        const removals = messages.filter(message => message.name === "protectedRegionDidRemove");
+        assert.deepEqual(removals.map(message => message.body), ["<blockquote><div>Quoted</div></blockquote>"]);
+
+        window.undo();
+        await wait(0);
+        window.redo();
+        await wait(0);
+        assert.equal(messages.filter(message => message.name === "protectedRegionDidRemove").length, 2);
+    });
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection, typeText } = require("./helpers/editor");
+
+describe("read-only mode", () => {
+    let window;
+    let editor;
+    let messages;
+    let commands;
+
+    beforeEach(async () => {
+        ({ window, editor, messages, commands } = await loadEditor());
+        window.setContent("<div>Hello</div>");
+        setSelection(window, editor.firstChild.firstChild, 0, editor.firstChild.firstChild, 5);
+    });
+
+    test("toggles the editability of the editor", () => {
+        window.setReadOnly(true);
+        assert.equal(editor.getAttribute("contenteditable"), "false");
+
+        window.setReadOnly(false);
+        assert.equal(editor.getAttribute("contenteditable"), "true");
+    });
+
+    test("throws an error instead of running the commands changing the content", () => {
+        window.execCommand("bold");
+        window.setReadOnly(true);
+
+        assert.throws(() => window.execCommand("italic"), /the "italic" command can't change the content/);
+        assert.throws(() => window.undo(), /the "undo" command can't change the content/);
+        assert.throws(() => window.insertTable(2, 2), /the command can't change the content/);
+        assert.deepEqual(commands.map(command => command.command), ["bold"]);
+        assert.equal(editor.innerHTML, "<div>Hello</div>");
+    });
+
+    test("runs the commands again once editable", () => {
+        window.setReadOnly(true);
+        window.setReadOnly(false);
+
+        window.execCommand("italic");
+        assert.deepEqual(commands.map(command => command.command), ["italic"]);
+    });
+
+    test("ignores the keyboard shortcuts and the mentions", () => {
+        window.setMentionTriggers(["@"]);
+        window.setReadOnly(true);
+
+        const event = new window.KeyboardEvent("keydown", {
+            key: "b",
+            code: "KeyB",
+            metaKey: true,
+            bubbles: true,
+            cancelable: true
+        });
+        assert.equal(editor.dispatchEvent(event), true);
+        typeText(window, "@jo");
+
+        assert.deepEqual(commands, []);
+        assert.deepEqual(messages.filter(message => message.name.startsWith("mention")), []);
+    });
+
+    test("still checks the checklist items", () => {
+        window.setContent('<ul data-checklist><li data-checked="false">Milk</li></ul>');
+        window.setReadOnly(true);
+
+        const item = editor.querySelector("li");
+        // The checkbox is in the margin, before the item
+        const eventInit = { clientX: -10, clientY: 0, bubbles: true, cancelable: true };
+        item.dispatchEvent(new window.MouseEvent("click", eventInit));
+
+        assert.equal(item.getAttribute("data-checked"), "true");
+    });
+
+    test("still completes the uploads", () => {
+        editor.firstChild.append(window.createAttachmentPlaceholder("attachment-1", "report.pdf"));
+        window.setReadOnly(true);
+
+        window.replaceAttachmentPlaceholderWithChip("attachment-1", "https://example.com/report.pdf", "report.pdf");
+
+        assert.equal(editor.querySelector("[data-attachment-placeholder]"), null);
+        assert.equal(editor.querySelector("a").getAttribute("href"), "https://example.com/report.pdf");
+    });
+});
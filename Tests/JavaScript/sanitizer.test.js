@@ -0,0 +1,87 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("sanitizer", () => {
+    let window;
+    let messages;
+
+    beforeEach(async () => {
+        ({ window, messages } = await loadEditor());
+    });
+
+    function getReports() {
+        return messages
+            .filter(message => message.name === "sanitizerDidRemoveContent")
+            .map(message => JSON.parse(message.body));
+    }
+
+    test("removes the tags that are not allowed and their unsafe content", () => {
+        const html = window.sanitizeHTML("<p>Hello<script>alert(1)</script> <blink>world</blink></p>", "paste");
+
+        assert.equal(html, "<p>Hello world</p>");
+        assert.deepEqual(getReports()[0].removedTags, ["script", "blink"]);
+    });
+
+    test("removes the event handlers and the attributes that are not allowed", () => {
+        const html = window.sanitizeHTML('<div onclick="alert(1)" contenteditable="false" data-id="1">Hi</div>', "paste");
+
+        assert.equal(html, '<div data-id="1">Hi</div>');
+        assert.deepEqual(getReports()[0].removedAttributes, ["onclick", "contenteditable"]);
+    });
+
+    test("removes the CSS properties that are not allowed", () => {
+        const html = window.sanitizeHTML('<span style="color: red; position: fixed">Hi</span>', "paste");
+
+        assert.equal(html, '<span style="color: red;">Hi</span>');
+        assert.deepEqual(getReports()[0].removedStyleProperties, ["position"]);
+    });
+
+    test("removes the links whose scheme is not allowed", () => {
+        const html = window.sanitizeHTML('<a href="java\tscript:alert(1)">A</a><a href="https://example.com">B</a>', "paste");
+
+        assert.equal(html, '<a>A</a><a href="https://example.com">B</a>');
+        assert.deepEqual(getReports()[0].removedURLs, ["java\tscript:alert(1)"]);
+    });
+
+    test("keeps the source of the blocked remote images", () => {
+        const html = window.sanitizeHTML('<img src="https://example.com/a.png" alt="A"><img src="cid:b">', "setContent");
+
+        assert.equal(html, '<img alt="A" data-blocked-src="https://example.com/a.png"><img src="cid:b">');
+        assert.deepEqual(getReports()[0].blockedImageURLs, ["https://example.com/a.png"]);
+        assert.deepEqual(getReports()[0].removedURLs, []);
+    });
+
+    test("restores the source of the blocked images in the exported HTML", () => {
+        window.setContent('<div><img src="https://example.com/a.png"></div>');
+
+        assert.equal(window.getContentHTML(), '<div><img src="https://example.com/a.png"></div>');
+    });
+
+    test("removes the images without an allowed source", () => {
+        const html = window.sanitizeHTML('<img src="javascript:alert(1)"><img data-blocked-src="javascript:alert(1)">', "paste");
+
+        assert.equal(html, "");
+    });
+
+    test("follows the allowlists of the configuration", () => {
+        window.setSanitizerConfiguration({
+            allowedTags: ["b"],
+            allowedAttributes: ["title"],
+            allowedImageURLSchemes: ["https"]
+        });
+
+        assert.equal(window.sanitizeHTML('<b title="T" class="c">Bold</b><i>Italic</i>', "paste"), '<b title="T">Bold</b>Italic');
+        assert.equal(window.sanitizeURL("https://example.com/a.png", "image"), "https://example.com/a.png");
+        assert.equal(window.sanitizeURL("ftp://example.com", "link"), null);
+    });
+
+    test("keeps the HTML unchanged when it is disabled", () => {
+        window.setSanitizerConfiguration({ isEnabled: false });
+
+        assert.equal(window.sanitizeHTML("<script>alert(1)</script>", "paste"), "<script>alert(1)</script>");
+        assert.deepEqual(getReports(), []);
+    });
+});
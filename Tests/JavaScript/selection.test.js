@@ -0,0 +1,73 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("saved selections", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+        window.setContent("<div>Hello <b>big</b> world</div>");
+    });
+
+    function getSelectionPoints() {
+        const selection = window.document.getSelection();
+        return {
+            anchor: [selection.anchorNode, selection.anchorOffset],
+            focus: [selection.focusNode, selection.focusOffset]
+        };
+    }
+
+    test("saves both ends of the selection with their path and text offset", () => {
+        setSelection(window, editor.querySelector("b").firstChild, 1, editor.firstChild.lastChild, 3);
+
+        const savedSelection = JSON.parse(JSON.stringify(window.saveSelection()));
+
+        assert.deepEqual(savedSelection, {
+            anchor: { path: [0, 1, 0], offset: 1, textOffset: 7 },
+            focus: { path: [0, 2], offset: 3, textOffset: 12 }
+        });
+    });
+
+    test("has no saved selection outside of the editor", () => {
+        setSelection(window, window.document.body, 0);
+
+        assert.equal(window.saveSelection(), null);
+    });
+
+    test("restores the selection after the same content was set again, keeping its direction", () => {
+        setSelection(window, editor.firstChild.lastChild, 3, editor.firstChild.firstChild, 2);
+        const savedSelection = JSON.parse(JSON.stringify(window.saveSelection()));
+
+        window.setContent("<div>Hello <b>big</b> world</div>");
+        window.restoreSelection(savedSelection);
+
+        assert.deepEqual(getSelectionPoints(), {
+            anchor: [editor.firstChild.lastChild, 3],
+            focus: [editor.firstChild.firstChild, 2]
+        });
+    });
+
+    test("falls back to the text offsets when the structure changed", () => {
+        setSelection(window, editor.firstChild.lastChild, 3);
+        const savedSelection = JSON.parse(JSON.stringify(window.saveSelection()));
+
+        window.setContent("<div>Hello big world</div>");
+        window.restoreSelection(savedSelection);
+
+        assert.deepEqual(getSelectionPoints().focus, [editor.firstChild.firstChild, 12]);
+    });
+
+    test("places the caret at the end when the content is shorter", () => {
+        setSelection(window, editor.firstChild.lastChild, 3);
+        const savedSelection = JSON.parse(JSON.stringify(window.saveSelection()));
+
+        window.setContent("<div>Hi</div>");
+        window.restoreSelection(savedSelection);
+
+        assert.deepEqual(getSelectionPoints().focus, [editor, 1]);
+    });
+});
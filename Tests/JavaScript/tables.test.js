@@ -0,0 +1,104 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor } = require("./helpers/editor");
+
+describe("tables", () => {
+    let window;
+    let editor;
+
+    beforeEach(async () => {
+        ({ window, editor } = await loadEditor());
+        window.setContent("<div><br></div>");
+        const range = window.document.createRange();
+        range.setStart(editor.firstChild, 0);
+        window.document.getSelection().removeAllRanges();
+        window.document.getSelection().addRange(range);
+    });
+
+    /** The text of each cell, with its spans when it spans over several rows or columns */
+    function getTableLayout() {
+        return [...editor.querySelector("table").rows].map(row => [...row.cells].map(cell => {
+            const spans = (cell.colSpan > 1 || cell.rowSpan > 1) ? `(${cell.colSpan}x${cell.rowSpan})` : "";
+            return cell.textContent + spans;
+        }));
+    }
+
+    function fillTable() {
+        [...editor.querySelectorAll("td")].forEach((cell, index) => {
+            cell.textContent = String.fromCharCode(97 + index);
+        });
+    }
+
+    function placeCaretInCell(text) {
+        const cell = [...editor.querySelectorAll("td")].find(cell => cell.textContent === text);
+        const range = window.document.createRange();
+        range.setStart(cell.firstChild, 0);
+        window.document.getSelection().removeAllRanges();
+        window.document.getSelection().addRange(range);
+    }
+
+    test("inserts a table and places the caret in its first cell", () => {
+        window.insertTable(2, 3);
+
+        assert.deepEqual(getTableLayout(), [["", "", ""], ["", "", ""]]);
+        assert.equal(window.getRange().startContainer, editor.querySelector("td"));
+        assert.deepEqual({ ...window.getTableState() }, { isInTable: true, tableRowIndex: 0, tableColumnIndex: 0 });
+    });
+
+    test("inserts and deletes rows and columns around the current cell", () => {
+        window.insertTable(2, 2);
+        fillTable();
+        placeCaretInCell("b");
+
+        window.insertTableRow("after");
+        window.insertTableColumn("before");
+
+        assert.deepEqual(getTableLayout(), [["a", "", "b"], ["", "", ""], ["c", "", "d"]]);
+
+        window.deleteTableRow();
+        assert.deepEqual(getTableLayout(), [["", "", ""], ["c", "", "d"]]);
+    });
+
+    test("merges the current cell with the cell on its right and splits it again", () => {
+        window.insertTable(2, 2);
+        fillTable();
+        placeCaretInCell("a");
+
+        window.mergeTableCells();
+        assert.deepEqual(getTableLayout(), [["ab(2x1)"], ["c", "d"]]);
+
+        window.splitTableCell();
+        assert.deepEqual(getTableLayout(), [["ab", ""], ["c", "d"]]);
+    });
+
+    test("deletes the table with its last row", () => {
+        window.insertTable(1, 2);
+
+        window.deleteTableRow();
+
+        assert.equal(editor.querySelector("table"), null);
+    });
+
+    test("moves to the next cell with tab and adds a row in the last cell", () => {
+        window.insertTable(1, 2);
+        fillTable();
+        placeCaretInCell("b");
+
+        editor.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Tab", bubbles: true, cancelable: true }));
+
+        assert.deepEqual(getTableLayout(), [["a", "b"], ["", ""]]);
+        assert.deepEqual({ ...window.getTableState() }, { isInTable: true, tableRowIndex: 1, tableColumnIndex: 0 });
+    });
+
+    test("undoes the table edits", () => {
+        window.insertTable(1, 1);
+        window.insertTableColumn("after");
+
+        window.undo();
+        assert.deepEqual(getTableLayout(), [[""]]);
+        window.undo();
+        assert.equal(editor.innerHTML, "<div><br></div>");
+    });
+});
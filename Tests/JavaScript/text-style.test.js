@@ -0,0 +1,59 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+const { loadEditor, setSelection } = require("./helpers/editor");
+
+describe("text style", () => {
+    let window;
+    let editor;
+    let commands;
+
+    beforeEach(async () => {
+        ({ window, editor, commands } = await loadEditor());
+    });
+
+    test("sets the line height of the paragraphs of the selection", () => {
+        window.setContent("<div>One</div><div>Two</div><div>Three</div>");
+        setSelection(window, editor.firstChild.firstChild, 1, editor.children[1].firstChild, 1);
+
+        window.setLineHeight(1.5);
+
+        assert.deepEqual([...editor.children].map(block => block.style.lineHeight), ["1.5", "1.5", ""]);
+        assert.equal(editor.style.lineHeight, "");
+    });
+
+    test("creates a paragraph for the text directly in the editor before setting its line height", () => {
+        window.setContent("First line");
+        setSelection(window, editor.firstChild, 2);
+
+        window.setLineHeight(2);
+
+        assert.deepEqual(commands.map(command => ({ ...command })), [{ command: "formatBlock", value: "div" }]);
+    });
+
+    test("sets the font size of the selected text, reusing the span of a previous change", () => {
+        window.setContent("<div>Hello world</div>");
+        const textNode = editor.firstChild.firstChild;
+        setSelection(window, textNode, 6, textNode, 11);
+
+        window.setFontSize(20, "px");
+        window.setFontSize(24, "pt");
+
+        assert.equal(editor.innerHTML, "<div>Hello <span style=\"font-size: 24pt;\">world</span></div>");
+    });
+
+    test("never styles the text of the chips, the protected regions and the code", () => {
+        window.setProtectedRegionConfiguration({ selectors: ["blockquote"], isCollapsedByDefault: false });
+        window.setContent(
+            "<div>Hi <span class=\"mention\" data-mention-id=\"1\">@anna</span> run <code>make</code></div>" +
+            "<blockquote><div>Quoted</div></blockquote><div>End</div>"
+        );
+        setSelection(window, editor.firstChild.firstChild, 0, editor.lastChild.firstChild, 3);
+
+        window.setLetterSpacing(2);
+
+        const styledText = [...editor.querySelectorAll("span[style]")].map(span => span.textContent);
+        assert.deepEqual(styledText, ["Hi ", " run ", "End"]);
+    });
+});